@@ -5,6 +5,8 @@
  * @see analyze/american_express_checking.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'american_express';
 
@@ -15,6 +17,16 @@ const BASE_URL = 'https://global.americanexpress.com';
 const FUNCTIONS_URL = 'https://functions.americanexpress.com';
 const GRAPHQL_URL = 'https://graph.americanexpress.com/graphql';
 
+/**
+ * Figures of card statement PDFs whose labels the generic patterns miss
+ * The account summary lists "Payments/Credits -$X" and "New Charges +$X".
+ * @type {import('./bank.types').StatementPatterns}
+ */
+export const statementPatterns = {
+    totalCredits: [/Payments\/Credits\s*(-?\$[\d,]+\.\d{2})/i],
+    totalDebits: [/New Charges\s*\+?(\$[\d,]+\.\d{2})/i],
+};
+
 /**
  * Makes an authenticated API request with all required headers and cookies
  * @param {string} url - Full URL
@@ -31,14 +43,20 @@ async function makeAuthenticatedRequest(url, options = {}) {
         ...options.headers,
     };
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include', // Include cookies
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include', // Include cookies
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `American Express API request failed: ${err.message} at ${url}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`American Express API request failed: ${response.status} ${response.statusText} at ${url}`);
+        throw createResponseError(response, `American Express API request failed: ${response.status} ${response.statusText} at ${url}`);
     }
 
     return response;
@@ -58,7 +76,7 @@ async function extractInitialState() {
     // Extract window.__INITIAL_STATE__
     const stateMatch = html.match(/window\.__INITIAL_STATE__\s*=\s*(.+?);\s*window\.__holocron/s);
     if (!stateMatch) {
-        throw new Error('Could not find __INITIAL_STATE__ in overview page');
+        throw createBankError('ParseError', 'Could not find __INITIAL_STATE__ in overview page');
     }
 
     return stateMatch[1];
@@ -168,7 +186,7 @@ async function extractAccountsFromOverview() {
         return Array.from(accountsMap.values());
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to extract accounts from overview page: ${err.message}`);
+        throw new Error(`Failed to extract accounts from overview page: ${err.message}`, { cause: error });
     }
 }
 
@@ -190,7 +208,7 @@ export async function getAccounts(profile) {
         }));
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
     }
 }
 
@@ -227,6 +245,15 @@ async function makeGraphQLRequest(operationName, variables, query) {
     return data.data;
 }
 
+/**
+ * Check whether a statement end date is a readable YYYY-MM-DD date
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
 /**
  * Retrieves statements for a credit card account
  * @param {import('./bank.types').Account} account
@@ -254,7 +281,7 @@ async function getCreditCardStatements(account) {
     const data = /** @type {any} */ (await response.json());
 
     if (!data || !data.billingStatements) {
-        throw new Error('Invalid response format from ReadAccountActivity API');
+        throw createBankError('ParseError', 'Invalid response format from ReadAccountActivity API');
     }
 
     // Combine recent and older statements
@@ -264,7 +291,8 @@ async function getCreditCardStatements(account) {
     ];
 
     // Transform to Statement format
-    const statements = allStatements.map(stmt => {
+    // Statements without a readable end date cannot be placed in the history, so they are left out
+    const statements = allStatements.filter(stmt => isValidDate(stmt.statementEndDate)).map(stmt => {
         // Extract encrypted ID from the PDF URL
         const pdfUrl = stmt.downloadOptions?.STATEMENT_PDF || '';
         const match = pdfUrl.match(/\/statements\/([A-F0-9]+)\?/);
@@ -272,12 +300,13 @@ async function getCreditCardStatements(account) {
 
         // Parse date from YYYY-MM-DD format
         const dateStr = stmt.statementEndDate;
-        const statementDate = dateStr ? new Date(dateStr).toISOString() : new Date().toISOString();
 
         return {
             account,
             statementId: encryptedId || `${account.accountId}-${dateStr}`,
-            statementDate,
+            statementDate: new Date(dateStr).toISOString(),
+            // Only the closing date is listed, the period start is filled in from the previous statement
+            periodEnd: dateStr,
         };
     });
 
@@ -359,7 +388,7 @@ export async function getStatements(account) {
         }
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`);
+        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`, { cause: error });
     }
 }
 
@@ -463,7 +492,7 @@ export async function downloadStatement(statement) {
         }
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement ${statement.statementId}: ${err.message}`);
+        throw new Error(`Failed to download statement ${statement.statementId}: ${err.message}`, { cause: error });
     }
 }
 
@@ -480,7 +509,7 @@ export function getSessionId() {
             return valueParts.join('='); // Rejoin in case the value contains '='
         }
     }
-    throw new Error('JSESSIONID cookie not found. User may not be logged in to American Express.');
+    throw createBankError('SessionExpired', 'JSESSIONID cookie not found. User may not be logged in to American Express.');
 }
 
 /**
@@ -505,6 +534,6 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
@@ -31,8 +31,38 @@ export type Account = {
 
   /** Account type */
   accountType: AccountType;
+
+  /** ISO 4217 currency code of the account, when the bank reports it */
+  currency?: string;
+
+  /** Balance as shown by the bank: money held, or the amount owed for credit cards and loans */
+  currentBalance?: number;
+
+  /** Money that can be spent or withdrawn now */
+  availableBalance?: number;
+
+  /** Credit left on a credit card or line of credit */
+  availableCredit?: number;
+
+  /** When the bank reported the balances (ISO 8601 string format) */
+  asOf?: string;
 };
 
+/**
+ * Kind of document returned by getStatements
+ * - statement: periodic account statement
+ * - tax: tax form or receipt, e.g. 1099, T5, T3, RRSP contribution receipt
+ * - confirmation: trade or transaction confirmation
+ * - notice: notification, letter or disclosure about the account
+ * - other: any other document, e.g. year-end summary or performance report
+ */
+export type DocumentType =
+  | "statement"
+  | "tax"
+  | "confirmation"
+  | "notice"
+  | "other";
+
 export type Statement = {
   /** The account this statement belongs to */
   account: Account;
@@ -40,8 +70,208 @@ export type Statement = {
   /** Statement ID */
   statementId: string;
 
-  /** Statement date (ISO 8601 string format) */
+  /** Statement date (ISO 8601 string format), or the document date for other document types */
   statementDate: string;
+
+  /** Kind of document, "statement" when omitted */
+  documentType?: DocumentType;
+
+  /** The same document covers several accounts and is listed on each of them, e.g. every currency balance */
+  combined?: boolean;
+
+  /** First day of the period the statement covers (YYYY-MM-DD) */
+  periodStart?: string;
+
+  /** Last day of the period the statement covers, usually the closing date (YYYY-MM-DD) */
+  periodEnd?: string;
+
+  /** Balance at the end of the period: money held, or the amount owed for credit cards and loans */
+  closingBalance?: number;
+
+  /** Minimum payment due for the period, for credit cards and loans */
+  minimumPaymentDue?: number;
+
+  /** Date the payment of the period is due (YYYY-MM-DD) */
+  paymentDueDate?: string;
+};
+
+/**
+ * Outcome of asking the bank for the statement of one month
+ * - found: the bank returned a statement
+ * - empty: the bank answered that the month has no statement
+ * - failed: the request failed, so whether the month has a statement is unknown
+ */
+export type StatementProbeStatus = "found" | "empty" | "failed";
+
+export type StatementProbe = {
+  /** Month asked for (YYYY-MM) */
+  month: string;
+
+  /** What the bank answered */
+  status: StatementProbeStatus;
+
+  /** Message of the error, for failed months */
+  error?: string;
+};
+
+/**
+ * Key figures read from the text of a statement PDF
+ * Amounts follow the Statement conventions: money held, or the amount owed for credit cards and loans.
+ */
+export type StatementFigures = {
+  /** First day of the period the statement covers (YYYY-MM-DD) */
+  periodStart?: string;
+
+  /** Last day of the period the statement covers (YYYY-MM-DD) */
+  periodEnd?: string;
+
+  /** Balance at the start of the period */
+  openingBalance?: number;
+
+  /** Balance at the end of the period */
+  closingBalance?: number;
+
+  /** Deposits, payments and other credits of the period */
+  totalCredits?: number;
+
+  /** Withdrawals, purchases and other debits of the period */
+  totalDebits?: number;
+
+  /** Minimum payment due for the period */
+  minimumPaymentDue?: number;
+
+  /** Date the payment of the period is due (YYYY-MM-DD) */
+  paymentDueDate?: string;
+};
+
+/**
+ * Patterns that find the figures in the text of a bank's statement PDFs.
+ * Each pattern captures the raw value in its first group, e.g. "$1,234.56" or "Oct 21, 2025";
+ * `period` patterns capture the start and end dates in their first two groups.
+ * The first matching pattern wins, and fields without a bank pattern fall back to generic ones.
+ */
+export type StatementPatterns = {
+  [Field in keyof StatementFigures | "period"]?: RegExp[];
+} & {
+  /** Numeric dates are written day first, e.g. 21/10/2025 */
+  dayFirst?: boolean;
+};
+
+/**
+ * Known cause of a failed bank request, set as `code` on the error thrown by a bank module
+ * - SessionExpired: the bank signed the user out
+ * - MfaRequired: the bank asks for a one-time code or other verification before answering
+ * - RateLimited: the bank rejected the request for being sent too often
+ * - NotSupported: the bank offers no way to do what was asked, e.g. PDFs of EQ Bank Card statements
+ * - NetworkError: the bank could not be reached or its server failed
+ * - ParseError: the bank answered with data in an unexpected shape
+ */
+export type BankErrorCode =
+  | "SessionExpired"
+  | "MfaRequired"
+  | "RateLimited"
+  | "NotSupported"
+  | "NetworkError"
+  | "ParseError";
+
+/**
+ * Error whose cause the bank module recognized.
+ * Errors that wrap it keep it as their `cause`, so the code survives added context.
+ */
+export type BankError = Error & { code: BankErrorCode };
+
+/**
+ * Limits of the shared request helper (extension/request.mjs) for one bank
+ */
+export type RequestClientOptions = {
+  /** Retries of a request answered with 429 or 5xx, default 3 */
+  retries?: number;
+
+  /** Delay before the first retry in milliseconds, doubled for each further retry, default 500 */
+  baseDelay?: number;
+
+  /** Longest delay before a retry in milliseconds, default 30000. Responses asking for a longer Retry-After are not retried. */
+  maxDelay?: number;
+
+  /** Requests in flight at the same time, default 2 */
+  concurrency?: number;
+
+  /** Requests started per second, default 4 */
+  requestsPerSecond?: number;
+};
+
+/**
+ * Timing of the requests a bank module sent through the shared request helper
+ */
+export type RequestMetrics = {
+  /** Requests sent, retries included */
+  requests: number;
+
+  /** Requests sent again after a 429 or 5xx response */
+  retries: number;
+
+  /** Requests that failed after the last retry, or could not reach the bank */
+  failures: number;
+
+  /** Time spent waiting for a free slot under the concurrency and rate limits (milliseconds) */
+  queueTime: number;
+
+  /** Time spent waiting between retries (milliseconds) */
+  backoffTime: number;
+
+  /** Average response time (milliseconds) */
+  averageTime: number;
+
+  /** Slowest response time (milliseconds) */
+  maxTime: number;
+};
+
+export type Transaction = {
+  /** Transaction date (YYYY-MM-DD) */
+  date: string;
+
+  /** Date the transaction was posted to the account (YYYY-MM-DD), when different from the transaction date */
+  postedDate?: string;
+
+  /** Transaction description as shown by the bank */
+  description: string;
+
+  /** Signed amount: negative for money leaving the account, positive for money coming in */
+  amount: number;
+
+  /** ISO 4217 currency code, e.g. "USD" */
+  currency: string;
+
+  /** Account balance after this transaction */
+  runningBalance?: number;
+
+  /** Category assigned by the bank */
+  category?: string;
+
+  /** The bank's reference ID for the transaction */
+  referenceId?: string;
+};
+
+/**
+ * Window of statement dates to load. Banks that query by year, month or date range only
+ * request what the window covers, back to getStatementHistoryStart(). The result may still
+ * include statements outside the window, which the content script drops.
+ * Without a window, each bank loads its default lookback.
+ */
+export type StatementOptions = {
+  /** Earliest statement date to load (YYYY-MM-DD, inclusive) */
+  from?: string;
+
+  /** Latest statement date to load (YYYY-MM-DD, inclusive) */
+  to?: string;
+};
+
+export type DateRange = {
+  /** Start date (YYYY-MM-DD, inclusive) */
+  from: string;
+
+  /** End date (YYYY-MM-DD, inclusive) */
+  to: string;
 };
 
 /** Bank identifier. This should be a unique string for each bank. Example, 'chase' for Chase bank. */
@@ -59,8 +289,58 @@ export declare function getProfile(sessionId: string): Promise<Profile>;
 /** Get accounts for the bank */
 export declare function getAccounts(profile: Profile): Promise<Account[]>;
 
-/** Get statements for an account */
-export declare function getStatements(account: Account): Promise<Statement[]>;
+/**
+ * Get statements for an account, optionally within a window of statement dates.
+ * Banks that list tax forms, confirmations or notices next to statements return them too, with their documentType.
+ */
+export declare function getStatements(account: Account, options?: StatementOptions): Promise<Statement[]>;
+
+/**
+ * Get the earliest statement date (YYYY-MM-DD) getStatements can load when asked for a window.
+ * Optional: banks that list all statements they keep at once leave it out, the limit is unknown.
+ * Null when the bank documents no limit.
+ */
+export declare const getStatementHistoryStart:
+  | (() => string | null)
+  | undefined;
 
 /** Download a statement */
 export declare function downloadStatement(statement: Statement): Promise<Blob>;
+
+/**
+ * Get transactions for an account within a date range, ordered by date.
+ * Optional: only exported by banks that support transaction export.
+ */
+export declare const getTransactions:
+  | ((account: Account, range: DateRange) => Promise<Transaction[]>)
+  | undefined;
+
+/**
+ * Get the timing of the requests sent so far.
+ * Optional: only exported by banks that send their requests through extension/request.mjs.
+ */
+export declare const getRequestMetrics:
+  | (() => RequestMetrics)
+  | undefined;
+
+/**
+ * Get the outcome of every month getStatements asked the bank for so far, ordered by month.
+ * Optional: only exported by banks that request statements one month at a time.
+ */
+export declare const getStatementProbes:
+  | ((account: Account) => StatementProbe[])
+  | undefined;
+
+/**
+ * Get a statement covering a custom date range, downloaded with downloadStatement.
+ * Optional: only exported by banks that generate statements on demand for any range.
+ */
+export declare const getRangeStatement:
+  | ((account: Account, range: DateRange) => Promise<Statement>)
+  | undefined;
+
+/**
+ * Patterns that read the key figures from the text of downloaded statement PDFs.
+ * Optional: banks without them are read with generic patterns only.
+ */
+export declare const statementPatterns: StatementPatterns | undefined;
@@ -3,6 +3,8 @@
  * @see analyze/bank_of_america.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'bank_of_america';
 
@@ -11,6 +13,18 @@ export const bankName = 'Bank of America';
 
 const BASE_URL = 'https://secure.bankofamerica.com';
 
+/** Years of documents offered by gatherDocuments (yearList), including the current one */
+const HISTORY_YEARS = 8;
+
+/** Years of statements loaded when no window is requested */
+const DEFAULT_YEARS = 3;
+
+/** Document category of monthly statements, the other categories are listed in documentCategoryList */
+const STATEMENT_CATEGORY_ID = 'DISPFLD001';
+
+/** Document category of notifications and letters */
+const NOTICE_CATEGORY_ID = 'DISPFLD002';
+
 /**
  * Gets the session ID from cookies
  * @returns {string} Session ID from CSID cookie (SMSESSION is HttpOnly and not accessible)
@@ -23,7 +37,7 @@ export function getSessionId() {
             return value;
         }
     }
-    throw new Error('CSID cookie not found - user may not be logged in');
+    throw createBankError('SessionExpired', 'CSID cookie not found - user may not be logged in');
 }
 
 /**
@@ -43,14 +57,20 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
         ...(/** @type {Record<string, string>} */ (options.headers || {})),
     };
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include', // Include cookies
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include', // Include cookies
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `API request failed: ${err.message}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `API request failed: ${response.status} ${response.statusText}`);
     }
 
     return response;
@@ -60,9 +80,10 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
  * Calls the gatherDocuments API to retrieve document metadata for a specific account/year.
  * @param {string} adx - Account identifier
  * @param {number|string} year - Target year
+ * @param {string} [categoryId] - Document category, defaults to statements
  * @returns {Promise<any>} The parsed JSON response
  */
-async function callGatherDocuments(adx, year) {
+async function callGatherDocuments(adx, year, categoryId = STATEMENT_CATEGORY_ID) {
     const response = await makeAuthenticatedRequest('/mycommunications/omni/statements/rest/v1/gatherDocuments', {
         method: 'POST',
         headers: {
@@ -74,7 +95,7 @@ async function callGatherDocuments(adx, year) {
         body: JSON.stringify({
             adx,
             year: year.toString(),
-            docCategoryId: 'DISPFLD001',
+            docCategoryId: categoryId,
         }),
     });
 
@@ -85,10 +106,11 @@ async function callGatherDocuments(adx, year) {
  * Refreshes session cookies by calling gatherDocuments before PDF download.
  * @param {string} adx - Account identifier
  * @param {number} year - Target statement year
+ * @param {string} categoryId - Document category of the statement
  */
-async function refreshDocuments(adx, year) {
+async function refreshDocuments(adx, year, categoryId) {
     try {
-        const data = await callGatherDocuments(adx, year);
+        const data = await callGatherDocuments(adx, year, categoryId);
         if (data && data.status !== 'SUCCESS') {
             console.warn('gatherDocuments refresh failed:', data.errorInfo?.[0]?.message || data.status);
         }
@@ -105,7 +127,7 @@ async function refreshDocuments(adx, year) {
 function extractProfileEligibilty(html) {
     const match = html.match(/profile\.eligibility=([A-Z0-9]+)/);
     if (!match) {
-        throw new Error('Could not extract profileEligibilty from accounts overview page');
+        throw createBankError('ParseError', 'Could not extract profileEligibilty from accounts overview page');
     }
     return match[1];
 }
@@ -206,69 +228,142 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
+    }
+}
+
+/**
+ * Get the start of the oldest year offered by gatherDocuments
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getStatementHistoryStart() {
+    return `${new Date().getFullYear() - HISTORY_YEARS + 1}-01-01`;
+}
+
+/**
+ * Get the years to request with gatherDocuments, newest first
+ * @param {import('./bank.types').StatementOptions} options
+ * @returns {number[]}
+ */
+function getStatementYears(options) {
+    const currentYear = new Date().getFullYear();
+    const oldestYear = currentYear - (options.from ? HISTORY_YEARS : DEFAULT_YEARS) + 1;
+    const fromYear = options.from ? Math.max(parseInt(options.from, 10), oldestYear) : oldestYear;
+    const toYear = options.to ? Math.min(parseInt(options.to, 10), currentYear) : currentYear;
+
+    const years = [];
+    for (let year = toYear; year >= fromYear; year--) {
+        years.push(year);
+    }
+    return years;
+}
+
+/**
+ * Get the document type of a gatherDocuments category
+ * @param {string} categoryId - docCategoryId
+ * @param {string} categoryName - docCategoryName, e.g. "Credit Card Year-end Summary"
+ * @returns {import('./bank.types').DocumentType}
+ */
+function getDocumentType(categoryId, categoryName) {
+    if (categoryId === STATEMENT_CATEGORY_ID) {
+        return 'statement';
+    }
+    if (/tax|1099|1098/i.test(categoryName)) {
+        return 'tax';
     }
+    if (categoryId === NOTICE_CATEGORY_ID || /notification|letter|notice/i.test(categoryName)) {
+        return 'notice';
+    }
+    return 'other';
+}
+
+/**
+ * Parse a gatherDocuments document date
+ * @param {any} doc - Document from documentList
+ * @returns {string | null} ISO 8601 date, null when the document has no readable date
+ */
+function parseDocumentDate(doc) {
+    // ISO 8601 format: "2025-09-18T00:00:00.000+0000", or formatted: "Sep 18, 2025"
+    const date = new Date(doc.date || doc.dateString || NaN);
+    return isNaN(date.getTime()) ? null : date.toISOString();
 }
 
 /**
- * Retrieves all statements for a specific account
+ * Retrieves all statements and other documents for a specific account
+ * gatherDocuments returns one year of one category at a time, so only the years within the window are requested.
+ * Statements are requested first; the other categories come from its documentCategoryList.
  * @param {import('./bank.types').Account} account - The account to get statements for
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to the last three years
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     try {
-        const currentYear = new Date().getFullYear();
         const statements = [];
-        const years = [currentYear, currentYear - 1, currentYear - 2];
+        const years = getStatementYears(options);
 
         for (const year of years) {
-            const data = /** @type {any} */ (await callGatherDocuments(account.accountId, year));
+            /** @type {Map<string, string>} */
+            const categories = new Map([[STATEMENT_CATEGORY_ID, 'Statements']]);
 
-            if (!data || typeof data !== 'object') {
-                throw new Error(`Invalid response format from gatherDocuments API for year ${year}`);
-            }
+            for (const [categoryId, categoryName] of categories) {
+                const data = /** @type {any} */ (await callGatherDocuments(account.accountId, year, categoryId));
 
-            if (data.status !== 'SUCCESS') {
-                const errorMessage = data.errorInfo?.length > 0 ? data.errorInfo[0].message : 'Unknown error';
-                throw new Error(`API returned error status for year ${year}: ${errorMessage}`);
-            }
+                if (!data || typeof data !== 'object') {
+                    throw createBankError('ParseError', `Invalid response format from gatherDocuments API for year ${year}`);
+                }
+
+                if (data.status !== 'SUCCESS') {
+                    const errorMessage = data.errorInfo?.length > 0 ? data.errorInfo[0].message : 'Unknown error';
+                    throw new Error(`API returned error status for year ${year}: ${errorMessage}`);
+                }
+
+                // Other categories are requested after statements, in the order listed
+                if (Array.isArray(data.documentCategoryList)) {
+                    for (const category of data.documentCategoryList) {
+                        if (category.docCategoryId && !categories.has(category.docCategoryId)) {
+                            categories.set(category.docCategoryId, category.docCategoryName || '');
+                        }
+                    }
+                }
+
+                if (!Array.isArray(data.documentList)) {
+                    continue;
+                }
+
+                const documentType = getDocumentType(categoryId, categoryName);
 
-            // Extract statements from documentList
-            if (data.documentList && Array.isArray(data.documentList)) {
                 for (const doc of data.documentList) {
                     // Filter by account if adx is present in the document
                     if (doc.adx && doc.adx !== account.accountId) {
                         continue;
                     }
 
-                    // Only include statements (not other document types)
-                    if (doc.docCategoryId !== 'DISPFLD001' && doc.docCategory !== 'Statements') {
+                    // Only include documents of the requested category
+                    if (doc.docCategoryId && doc.docCategoryId !== categoryId) {
                         continue;
                     }
 
-                    if (!doc.docId) {
+                    // Documents without a date cannot be placed in the statement history
+                    const statementDate = parseDocumentDate(doc);
+                    if (!doc.docId || !statementDate) {
                         continue;
                     }
 
-                    // Parse statement date
-                    let statementDate;
-                    if (doc.date) {
-                        // ISO 8601 format: "2025-09-18T00:00:00.000+0000"
-                        statementDate = new Date(doc.date).toISOString();
-                    } else if (doc.dateString) {
-                        // Try parsing formatted date: "Sep 18, 2025"
-                        statementDate = new Date(doc.dateString).toISOString();
-                    } else {
-                        statementDate = new Date().toISOString();
-                    }
-
-                    // Encode adx and docId together in statementId: "adx|docId"
+                    // Encode adx and docId together in statementId: "adx|docId",
+                    // followed by the category for documents other than statements: "adx|docId|categoryId"
                     const statementAdx = doc.adx || account.accountId;
-                    statements.push({
+                    /** @type {import('./bank.types').Statement} */
+                    const statement = {
                         account,
-                        statementId: `${statementAdx}|${doc.docId}`,
+                        statementId: categoryId === STATEMENT_CATEGORY_ID
+                            ? `${statementAdx}|${doc.docId}`
+                            : `${statementAdx}|${doc.docId}|${categoryId}`,
                         statementDate,
-                    });
+                    };
+                    if (documentType !== 'statement') {
+                        statement.documentType = documentType;
+                    }
+                    statements.push(statement);
                 }
             }
         }
@@ -279,7 +374,7 @@ export async function getStatements(account) {
         return statements;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`);
+        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`, { cause: error });
     }
 }
 
@@ -290,16 +385,17 @@ export async function getStatements(account) {
  */
 export async function downloadStatement(statement) {
     try {
-        // Extract adx and docId from statementId (format: "adx|docId")
+        // Extract adx, docId and category from statementId (format: "adx|docId" or "adx|docId|categoryId")
         const parts = statement.statementId.split('|');
-        const adx = parts.length === 2 ? parts[0] : statement.account.accountId;
-        const documentId = parts.length === 2 ? parts[1] : statement.statementId;
+        const adx = parts.length >= 2 ? parts[0] : statement.account.accountId;
+        const documentId = parts.length >= 2 ? parts[1] : statement.statementId;
+        const categoryId = parts[2] || STATEMENT_CATEGORY_ID;
 
         // Pre-download refresh: attempt to rotate session cookies and entitlement via gatherDocuments.
         // Use the statement year (fallback to current year if unavailable).
         const stmtYear = new Date(statement.statementDate).getFullYear();
         try {
-            await refreshDocuments(adx, stmtYear);
+            await refreshDocuments(adx, stmtYear, categoryId);
         } catch (e) {
             console.warn('Pre-download gatherDocuments refresh failed, proceeding anyway:', e);
         }
@@ -329,7 +425,7 @@ export async function downloadStatement(statement) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to download PDF: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to download PDF: ${response.status} ${response.statusText}`);
         }
 
         const contentType = response.headers.get('content-type') || '';
@@ -346,7 +442,7 @@ export async function downloadStatement(statement) {
         return blob;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement: ${err.message}`);
+        throw new Error(`Failed to download statement: ${err.message}`, { cause: error });
     }
 }
 
@@ -381,7 +477,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
 
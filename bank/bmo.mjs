@@ -1,4 +1,6 @@
 /** @type {string} */
+
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
 export const bankId = 'bmo';
 
 /** @type {string} */
@@ -68,24 +70,30 @@ function createHeaderRequest() {
 async function apiRequest(url, body) {
     const xsrfToken = getCookie('XSRF-TOKEN');
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json, text/plain, */*',
-            'X-XSRF-TOKEN': xsrfToken || '',
-            'X-ChannelType': 'OLB',
-            'X-Request-ID': generateRequestId(),
-            'X-UI-Session-ID': '0.0.1',
-            'X-App-Version': 'session-id',
-            'X-App-Current-Path': '/banking/digital/accounts',
-            'X-Original-Request-Time': new Date().toUTCString(),
-        },
-        body: JSON.stringify(body),
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/plain, */*',
+                'X-XSRF-TOKEN': xsrfToken || '',
+                'X-ChannelType': 'OLB',
+                'X-Request-ID': generateRequestId(),
+                'X-UI-Session-ID': '0.0.1',
+                'X-App-Version': 'session-id',
+                'X-App-Current-Path': '/banking/digital/accounts',
+                'X-Original-Request-Time': new Date().toUTCString(),
+            },
+            body: JSON.stringify(body),
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `API request failed: ${err.message}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `API request failed: ${response.status} ${response.statusText}`);
     }
 
     return response.json();
@@ -99,7 +107,7 @@ export function getSessionId() {
     // BMO uses XSRF-TOKEN as the primary session identifier
     const xsrfToken = getCookie('XSRF-TOKEN');
     if (!xsrfToken) {
-        throw new Error('XSRF-TOKEN cookie not found - user may not be logged in');
+        throw createBankError('SessionExpired', 'XSRF-TOKEN cookie not found - user may not be logged in');
     }
     return xsrfToken;
 }
@@ -150,6 +158,19 @@ export async function getProfile(sessionId) {
     };
 }
 
+/**
+ * Parse an amount of the summary, sent as a string such as "2006.98"
+ * @param {unknown} value
+ * @returns {number | undefined} undefined when missing or not a number
+ */
+function parseAmount(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const amount = Number(String(value).replace(/,/g, ''));
+    return Number.isNaN(amount) ? undefined : amount;
+}
+
 /**
  * @param {import('./bank.types.ts').Profile} profile - The user profile
  * @returns {Promise<import('./bank.types.ts').Account[]>}
@@ -170,13 +191,36 @@ export async function getAccounts(profile) {
                 // Remove all non-digit characters and get last 4 digits
                 const accountMask = accountNumber.replace(/\D/g, '').slice(-4);
 
-                accounts.push({
+                const accountType = mapAccountType(product.productName || '', category.categoryName || '');
+
+                /** @type {import('./bank.types.ts').Account} */
+                const account = {
                     profile,
                     accountId: `${category.categoryName}:${product.accountIndex}`,
                     accountName: product.productName || product.ocifAccountName || 'Unknown Account',
                     accountMask: accountMask,
-                    accountType: mapAccountType(product.productName || '', category.categoryName || ''),
-                });
+                    accountType,
+                };
+                if (product.currency) {
+                    account.currency = product.currency;
+                }
+                const currentBalance = parseAmount(product.accountBalance);
+                if (currentBalance !== undefined) {
+                    account.currentBalance = currentBalance;
+                }
+                const availableAmount = parseAmount(product.availableAmount);
+                if (availableAmount !== undefined) {
+                    // The available amount of credit cards and lines of credit is the credit left
+                    if (accountType === 'CreditCard' || accountType === 'Loan') {
+                        account.availableCredit = availableAmount;
+                    } else {
+                        account.availableBalance = availableAmount;
+                    }
+                }
+                if (product.asOfDate) {
+                    account.asOf = product.asOfDate;
+                }
+                accounts.push(account);
             }
         }
     }
@@ -230,7 +274,7 @@ export async function getStatements(account) {
     });
 
     if (!statementListResponse.ok) {
-        throw new Error(`Failed to get statement list: ${statementListResponse.status} ${statementListResponse.statusText}`);
+        throw createResponseError(statementListResponse, `Failed to get statement list: ${statementListResponse.status} ${statementListResponse.statusText}`);
     }
 
     const statementData = await statementListResponse.json();
@@ -261,7 +305,7 @@ export async function downloadStatement(statement) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to download statement: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to download statement: ${response.status} ${response.statusText}`);
     }
 
     return response.blob();
@@ -3,6 +3,8 @@
  * @see analyze/chase.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'chase';
 
@@ -11,6 +13,21 @@ export const bankName = 'Chase';
 
 const BASE_URL = 'https://secure.chase.com';
 
+/**
+ * Figures of Chase statement PDFs whose labels the generic patterns miss
+ * Card statements print "Opening/Closing Date 09/22/25 - 10/21/25" and an account summary with
+ * "Payment, Credits" and "Purchases"; bank statements span "September 20, 2025 through October 21, 2025".
+ * @type {import('./bank.types').StatementPatterns}
+ */
+export const statementPatterns = {
+    period: [
+        /Opening\/Closing Date\s*(\d{2}\/\d{2}\/\d{2})\s*-\s*(\d{2}\/\d{2}\/\d{2})/i,
+        /([A-Z][a-z]+ \d{1,2}, \d{4})\s*through\s*([A-Z][a-z]+ \d{1,2}, \d{4})/,
+    ],
+    totalCredits: [/Payment, Credits\s*(-?\$[\d,]+\.\d{2})/i],
+    totalDebits: [/Purchases\s*\+?(\$[\d,]+\.\d{2})/],
+};
+
 /**
  * Fetches the app/data/list API which contains both profile and account information
  * This is cached to avoid duplicate API calls
@@ -25,7 +42,7 @@ async function getAppData() {
     const data = /** @type {any} */ (await response.json());
 
     if (!data || typeof data !== 'object') {
-        throw new Error('Invalid response format from app data API');
+        throw createBankError('ParseError', 'Invalid response format from app data API');
     }
 
     return data;
@@ -54,14 +71,20 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
         ...options.headers,
     };
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include', // Include cookies
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include', // Include cookies
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `Chase API request failed: ${err.message} at ${endpoint}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`Chase API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
+        throw createResponseError(response, `Chase API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
     }
 
     return response;
@@ -79,31 +102,22 @@ export async function getAccounts(profile) {
         // Extract accounts from the response
         const accounts = [];
 
+        // Balances are as of the app data response
+        const asOf = data.currentDateTime || new Date().toISOString();
+
         // The response structure may vary, so we check multiple possible locations
         if (data.accountTiles) {
             // Direct accountTiles array
             for (const tile of data.accountTiles) {
                 if (tile.accountId) {
-                    accounts.push({
-                        profile,
-                        accountId: String(tile.accountId),
-                        accountName: tile.nickname || tile.displayName || tile.mask || `Account ${tile.accountId}`,
-                        accountMask: tile.mask || tile.accountId.slice(-4),
-                        accountType: mapAccountType(tile),
-                    });
+                    accounts.push(createAccount(profile, tile, asOf));
                 }
             }
         } else if (data.accounts) {
             // Direct accounts array
             for (const acct of data.accounts) {
                 if (acct.accountId) {
-                    accounts.push({
-                        profile,
-                        accountId: String(acct.accountId),
-                        accountName: acct.nickname || acct.displayName || acct.mask || `Account ${acct.accountId}`,
-                        accountMask: acct.mask || acct.accountId.slice(-4),
-                        accountType: mapAccountType(acct),
-                    });
+                    accounts.push(createAccount(profile, acct, asOf));
                 }
             }
         } else if (data.cache) {
@@ -115,13 +129,7 @@ export async function getAccounts(profile) {
             if (dashboardData?.response?.accountTiles) {
                 for (const tile of dashboardData.response.accountTiles) {
                     if (tile.accountId) {
-                        accounts.push({
-                            profile,
-                            accountId: String(tile.accountId),
-                            accountName: tile.nickname || tile.displayName || tile.mask || `Account ${tile.accountId}`,
-                            accountMask: tile.mask || tile.accountId.slice(-4),
-                            accountType: mapAccountType(tile),
-                        });
+                        accounts.push(createAccount(profile, tile, asOf));
                     }
                 }
             }
@@ -130,90 +138,225 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
     }
 }
 
 /**
- * Retrieves all statements for a specific account
- * @param {import('./bank.types').Account} account - The account to get statements for
+ * Create an account from an account tile of the app data
+ * @param {import('./bank.types').Profile} profile - The user profile
+ * @param {any} tile - Account tile, or account entry with the same fields
+ * @param {string} asOf - Time of the app data (ISO 8601)
+ * @returns {import('./bank.types').Account}
+ */
+function createAccount(profile, tile, asOf) {
+    const accountType = mapAccountType(tile);
+
+    /** @type {import('./bank.types').Account} */
+    const account = {
+        profile,
+        accountId: String(tile.accountId),
+        accountName: tile.nickname || tile.displayName || tile.mask || `Account ${tile.accountId}`,
+        accountMask: tile.mask || String(tile.accountId).slice(-4),
+        accountType,
+        currency: 'USD',
+    };
+
+    const detail = tile.tileDetail || {};
+    if (typeof detail.currentBalance === 'number') {
+        account.currentBalance = detail.currentBalance;
+        account.asOf = asOf;
+    }
+    if (typeof detail.availableBalance === 'number') {
+        account.asOf = asOf;
+        // The available balance of cards and loans is the credit left
+        if (accountType === 'CreditCard' || accountType === 'Loan') {
+            account.availableCredit = detail.availableBalance;
+        } else {
+            account.availableBalance = detail.availableBalance;
+        }
+    }
+
+    return account;
+}
+
+/**
+ * Date filters of the document APIs, newest first
+ * Each filter covers one calendar year of documents
+ */
+const DATE_FILTERS = ['CURRENT_YEAR', 'PRIOR_YEAR'];
+
+/**
+ * Get the date filter covering a statement
+ * @param {string} statementDate - ISO 8601 statement date
+ * @returns {string}
+ */
+function getDateFilter(statementDate) {
+    const yearsAgo = new Date().getFullYear() - new Date(statementDate).getFullYear();
+    return DATE_FILTERS[Math.min(Math.max(yearsAgo, 0), DATE_FILTERS.length - 1)];
+}
+
+/**
+ * Parse the date of a document reference
+ * @param {any} docRef
+ * @returns {string | null} ISO 8601 date, null when the document has no readable date
+ */
+function parseDocRefDate(docRef) {
+    const dateStr = docRef.documentDate || docRef.statementDate || docRef.date;
+
+    if (!dateStr) {
+        return null;
+    }
+    let date;
+    if (typeof dateStr === 'string' && dateStr.length === 8) {
+        // YYYYMMDD format
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        const month = parseInt(dateStr.substring(4, 6), 10) - 1; // JS months are 0-indexed
+        const day = parseInt(dateStr.substring(6, 8), 10);
+        date = new Date(year, month, day);
+    } else {
+        // Try parsing as ISO date or other format
+        date = new Date(dateStr);
+    }
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Get the statements of an account for one date filter
+ * @param {import('./bank.types').Account} account
+ * @param {string} dateFilter - One of DATE_FILTERS
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
-    try {
-        // Step 1: Get document references for the account
-        // The body needs to include the account ID and date filter
-        const docRefParams = new URLSearchParams({
-            'accountFilter': account.accountId,
-            'dateFilter.idalDateFilterType': 'CURRENT_YEAR',
-        });
+async function getStatementsForDateFilter(account, dateFilter) {
+    // The body needs to include the account ID and date filter
+    const docRefParams = new URLSearchParams({
+        'accountFilter': account.accountId,
+        'dateFilter.idalDateFilterType': dateFilter,
+    });
 
-        const docRefResponse = await makeAuthenticatedRequest('/svc/rr/documents/secure/idal/v2/docref/list', {
-            method: 'POST',
-            body: docRefParams.toString(),
-        });
+    const docRefResponse = await makeAuthenticatedRequest('/svc/rr/documents/secure/idal/v2/docref/list', {
+        method: 'POST',
+        body: docRefParams.toString(),
+    });
 
-        const docRefData = /** @type {any} */ (await docRefResponse.json());
+    const docRefData = /** @type {any} */ (await docRefResponse.json());
 
-        if (!docRefData || typeof docRefData !== 'object') {
-            throw new Error('Invalid response format from document reference API');
-        }
+    if (!docRefData || typeof docRefData !== 'object') {
+        throw createBankError('ParseError', 'Invalid response format from document reference API');
+    }
 
-        // Transform document references to statements
-        const statements = [];
+    // Transform document references to statements
+    const statements = [];
 
-        // Check various possible response structures
-        const docRefs = docRefData.idaldocRefs || docRefData.documentRefs || docRefData.documents || [];
+    // Check various possible response structures
+    const docRefs = docRefData.idaldocRefs || docRefData.documentRefs || docRefData.documents || [];
 
-        for (const docRef of docRefs) {
-            // Filter by account if accountId is present in the document
-            const docAccountId = docRef.accountId || docRef.accountNumber;
-            if (docAccountId && String(docAccountId) !== account.accountId) {
-                continue;
-            }
+    for (const docRef of docRefs) {
+        // Filter by account if accountId is present in the document
+        const docAccountId = docRef.accountId || docRef.accountNumber;
+        if (docAccountId && String(docAccountId) !== account.accountId) {
+            continue;
+        }
 
-            // Only include statements (not other document types)
-            const docType = docRef.idaldocType || docRef.documentType || docRef.type;
-            if (docType !== 'STMT' && docType !== 'STATEMENT') {
-                continue;
+        // Documents without a date cannot be placed in the statement history, so they are left out
+        const statementId = docRef.documentId || docRef.docKey || docRef.id;
+        const statementDate = parseDocRefDate(docRef);
+        if (statementId && statementDate) {
+            /** @type {import('./bank.types').Statement} */
+            const statement = {
+                account,
+                statementId: String(statementId),
+                statementDate,
+            };
+            const documentType = getDocumentType(docRef);
+            if (documentType !== 'statement') {
+                statement.documentType = documentType;
+            } else if (/^\d{8}$/.test(docRef.documentDate || '')) {
+                // Statements are dated with their closing date (YYYYMMDD)
+                const date = docRef.documentDate;
+                statement.periodEnd = `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6, 8)}`;
             }
+            statements.push(statement);
+        }
+    }
 
-            // Parse date - could be in various formats
-            let statementDate;
-            const dateStr = docRef.documentDate || docRef.statementDate || docRef.date;
-
-            if (dateStr) {
-                if (typeof dateStr === 'string' && dateStr.length === 8) {
-                    // YYYYMMDD format
-                    const year = parseInt(dateStr.substring(0, 4), 10);
-                    const month = parseInt(dateStr.substring(4, 6), 10) - 1; // JS months are 0-indexed
-                    const day = parseInt(dateStr.substring(6, 8), 10);
-                    statementDate = new Date(year, month, day).toISOString();
-                } else {
-                    // Try parsing as ISO date or other format
-                    statementDate = new Date(dateStr).toISOString();
-                }
-            } else {
-                statementDate = new Date().toISOString();
-            }
+    return statements;
+}
 
-            const statementId = docRef.documentId || docRef.docKey || docRef.id;
-            if (statementId) {
-                statements.push({
-                    account,
-                    statementId: String(statementId),
-                    statementDate,
-                });
+/**
+ * Get the document type of a document reference
+ * Statements are "STMT"; other documents are told apart by their code and description, e.g. "Year-end mortgage"
+ * @param {any} docRef - Document reference from the docref list
+ * @returns {import('./bank.types').DocumentType}
+ */
+function getDocumentType(docRef) {
+    const docType = docRef.idaldocType || docRef.documentType || docRef.type;
+    if (docType === 'STMT' || docType === 'STATEMENT') {
+        return 'statement';
+    }
+
+    const description = `${docType || ''} ${docRef.documentTypeDesc || ''}`;
+    if (/tax|1099|1098|5498/i.test(description)) {
+        return 'tax';
+    }
+    if (/confirm/i.test(description)) {
+        return 'confirmation';
+    }
+    if (/notice|letter|disclosure|terms/i.test(description)) {
+        return 'notice';
+    }
+    return 'other';
+}
+
+/**
+ * Get the earliest statement date the date filters reach: the start of the oldest year
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getStatementHistoryStart() {
+    return `${new Date().getFullYear() - DATE_FILTERS.length + 1}-01-01`;
+}
+
+/**
+ * Retrieves all statements for a specific account
+ * Each date filter returns one calendar year, so only the filters of the years within the
+ * window are requested and the results merged.
+ * @param {import('./bank.types').Account} account - The account to get statements for
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to all available years
+ * @returns {Promise<import('./bank.types').Statement[]>}
+ */
+export async function getStatements(account, options = {}) {
+    try {
+        const from = options.from ? new Date(`${options.from}T00:00:00`) : null;
+        const to = options.to ? new Date(`${options.to}T23:59:59.999`) : null;
+        const fromYear = from ? from.getFullYear() : -Infinity;
+        const toYear = to ? to.getFullYear() : Infinity;
+        const currentYear = new Date().getFullYear();
+        const dateFilters = DATE_FILTERS.filter((_, yearsAgo) => {
+            const year = currentYear - yearsAgo;
+            return year >= fromYear && year <= toYear;
+        });
+
+        // Documents near the start of a year may be returned by more than one filter
+        /** @type {Map<string, import('./bank.types').Statement>} */
+        const statements = new Map();
+        for (const dateFilter of dateFilters) {
+            for (const statement of await getStatementsForDateFilter(account, dateFilter)) {
+                const date = new Date(statement.statementDate);
+                if ((from && date < from) || (to && date > to)) {
+                    continue;
+                }
+                if (!statements.has(statement.statementId)) {
+                    statements.set(statement.statementId, statement);
+                }
             }
         }
 
         // Sort statements by date descending (newest first)
-        statements.sort((a, b) => new Date(b.statementDate).getTime() - new Date(a.statementDate).getTime());
-
-        return statements;
+        return Array.from(statements.values())
+            .sort((a, b) => new Date(b.statementDate).getTime() - new Date(a.statementDate).getTime());
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`);
+        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`, { cause: error });
     }
 }
 
@@ -238,10 +381,10 @@ export async function downloadStatement(statement) {
         }
 
         // Step 2: Get the document key for download
-        // The request body needs account ID, date filter, and document ID
+        // The request body needs account ID, the date filter the document was listed under, and document ID
         const docKeyParams = new URLSearchParams({
             'accountFilter': statement.account.accountId,
-            'dateFilter.idalDateFilterType': 'CURRENT_YEAR',
+            'dateFilter.idalDateFilterType': getDateFilter(statement.statementDate),
             'documentId': statement.statementId,
         });
 
@@ -253,7 +396,7 @@ export async function downloadStatement(statement) {
         const docKeyData = /** @type {any} */ (await docKeyResponse.json());
 
         if (!docKeyData || typeof docKeyData !== 'object') {
-            throw new Error('Invalid response format from document key API');
+            throw createBankError('ParseError', 'Invalid response format from document key API');
         }
 
         // Extract document key
@@ -291,7 +434,7 @@ export async function downloadStatement(statement) {
         });
 
         if (!downloadResponse.ok) {
-            throw new Error(`Failed to download PDF: ${downloadResponse.status} ${downloadResponse.statusText}`);
+            throw createResponseError(downloadResponse, `Failed to download PDF: ${downloadResponse.status} ${downloadResponse.statusText}`);
         }
 
         // Return as Blob for browser compatibility
@@ -304,7 +447,7 @@ export async function downloadStatement(statement) {
         return blob;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement ${statement.statementId}: ${err.message}`);
+        throw new Error(`Failed to download statement ${statement.statementId}: ${err.message}`, { cause: error });
     }
 }
 
@@ -320,7 +463,7 @@ export function getSessionId() {
             return valueParts.join('='); // Rejoin in case the value contains '='
         }
     }
-    throw new Error('v1st cookie not found. User may not be logged in to Chase.');
+    throw createBankError('SessionExpired', 'v1st cookie not found. User may not be logged in to Chase.');
 }
 
 /**
@@ -374,7 +517,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
 
@@ -4,6 +4,8 @@
  * Uses GraphQL Automatic Persisted Queries (APQ) with static MD5 hashes.
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'chime';
 
@@ -42,20 +44,29 @@ async function graphQL(operationName, variables, hash) {
         'referer': 'https://app.chime.com/',
     };
 
-    const resp = await fetch(GRAPHQL_URL, {
-        method: 'POST',
-        headers,
-        body,
-        credentials: 'include',
-    });
+    let resp;
+    try {
+        resp = await fetch(GRAPHQL_URL, {
+            method: 'POST',
+            headers,
+            body,
+            credentials: 'include',
+        });
+    } catch (err) {
+        const e = /** @type {Error} */ (err);
+        throw createBankError('NetworkError', `Chime GraphQL error ${e.message} (${operationName})`);
+    }
 
     if (!resp.ok) {
-        throw new Error(`Chime GraphQL error ${resp.status} ${resp.statusText} (${operationName})`);
+        throw createResponseError(resp, `Chime GraphQL error ${resp.status} ${resp.statusText} (${operationName})`);
     }
 
     const json = /** @type {any} */(await resp.json());
-    if (!json || typeof json !== 'object' || json.errors) {
-        const msg = json?.errors?.map(/** @param {any} e */ e => e.message).join('; ') || 'Unknown error';
+    if (!json || typeof json !== 'object') {
+        throw createBankError('ParseError', `Invalid GraphQL response for ${operationName}: Unknown error`);
+    }
+    if (json.errors) {
+        const msg = json.errors.map(/** @param {any} e */ e => e.message).join('; ') || 'Unknown error';
         throw new Error(`Invalid GraphQL response for ${operationName}: ${msg}`);
     }
     return json;
@@ -96,7 +107,7 @@ export function getSessionId() {
     if (cookies['__Host-authn']) {
         return cookies['__Host-authn'];
     }
-    throw new Error('Chime session cookie not found. User may not be logged in.');
+    throw createBankError('SessionExpired', 'Chime session cookie not found. User may not be logged in.');
 }
 
 /**
@@ -116,7 +127,7 @@ export async function getProfile(sessionId) {
         return { sessionId, profileId: String(profileId), profileName };
     } catch (err) {
         const e = /** @type {Error} */(err);
-        throw new Error(`Failed to get Chime profile: ${e.message}`);
+        throw new Error(`Failed to get Chime profile: ${e.message}`, { cause: err });
     }
 }
 
@@ -177,7 +188,7 @@ export async function getAccounts(profile) {
         return out;
     } catch (err) {
         const e = /** @type {Error} */(err);
-        throw new Error(`Failed to get Chime accounts: ${e.message}`);
+        throw new Error(`Failed to get Chime accounts: ${e.message}`, { cause: err });
     }
 }
 
@@ -209,7 +220,7 @@ export async function getStatements(account) {
         return out;
     } catch (err) {
         const e = /** @type {Error} */(err);
-        throw new Error(`Failed to get Chime statements for account ${account.accountId}: ${e.message}`);
+        throw new Error(`Failed to get Chime statements for account ${account.accountId}: ${e.message}`, { cause: err });
     }
 }
 
@@ -233,14 +244,14 @@ export async function downloadStatement(statement) {
         const acct = accounts.find(/** @param {any} a */ a => a?.monthly_pdf_statement?.encoded_pdf);
         const b64 = acct?.monthly_pdf_statement?.encoded_pdf;
         if (!b64) {
-            throw new Error('Encoded PDF not found in response');
+            throw createBankError('ParseError', 'Encoded PDF not found in response');
         }
         // Decode base64 to binary
         const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
         return new Blob([bytes], { type: 'application/pdf' });
     } catch (err) {
         const e = /** @type {Error} */(err);
-        throw new Error(`Failed to download Chime statement ${statement.statementId}: ${e.message}`);
+        throw new Error(`Failed to download Chime statement ${statement.statementId}: ${e.message}`, { cause: err });
     }
 }
 
@@ -3,6 +3,8 @@
  * @see analyze/citi.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'citi';
 
@@ -11,6 +13,20 @@ export const bankName = 'Citi';
 
 const BASE_URL = 'https://online.citi.com/gcgapi/prod/public/v1';
 
+/** Month abbreviations of the dates in the balances API, e.g. "Nov 15, 2025" */
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Figures of Citi statement PDFs whose labels the generic patterns miss
+ * The billing period prints the year once, e.g. "Billing Period: Sep 19-Oct 17, 2025", so only its
+ * end is read; the account summary lists "Purchases +$X" apart from payments and credits.
+ * @type {import('./bank.types').StatementPatterns}
+ */
+export const statementPatterns = {
+    periodEnd: [/(?:Billing|Statement) Period:?\s*[A-Z][a-z]{2}\.? \d{1,2}\s*-\s*([A-Z][a-z]{2}\.? \d{1,2}, \d{4})/i],
+    totalDebits: [/Purchases\s*\+?(\$[\d,]+\.\d{2})/],
+};
+
 /**
  * Makes an authenticated API request with all required headers and cookies
  * @param {string} endpoint - API endpoint path (relative to base URL)
@@ -49,14 +65,20 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
         headers['customersessionid'] = cookieMap['bcsid'];
     }
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include', // Include cookies
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include', // Include cookies
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `Citi API request failed: ${err.message} at ${endpoint}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`Citi API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
+        throw createResponseError(response, `Citi API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
     }
 
     return response;
@@ -74,7 +96,7 @@ export function getSessionId() {
             return valueParts.join('=');
         }
     }
-    throw new Error('bcsid cookie not found. User may not be logged in to Citi.');
+    throw createBankError('SessionExpired', 'bcsid cookie not found. User may not be logged in to Citi.');
 }
 
 /**
@@ -91,7 +113,7 @@ export async function getProfile(sessionId) {
         const data = /** @type {any} */ (await response.json());
 
         if (!data || !data.welcomeData) {
-            throw new Error('Invalid response format from welcome message API');
+            throw createBankError('ParseError', 'Invalid response format from welcome message API');
         }
 
         const firstName = data.welcomeData.firstName || 'User';
@@ -103,7 +125,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
 
@@ -124,7 +146,7 @@ export async function getAccounts(profile) {
         const data = /** @type {any} */ (await response.json());
 
         if (!data || !data.eligibleAccounts) {
-            throw new Error('Invalid response format from eligible accounts API');
+            throw createBankError('ParseError', 'Invalid response format from eligible accounts API');
         }
 
         /** @type {import('./bank.types').Account[]} */
@@ -188,7 +210,7 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
     }
 }
 
@@ -209,7 +231,7 @@ export async function getStatements(account) {
         const data = /** @type {any} */ (await response.json());
 
         if (!data || !data.statementsByYear) {
-            throw new Error('Invalid response format from statements list API');
+            throw createBankError('ParseError', 'Invalid response format from statements list API');
         }
 
         const statements = [];
@@ -230,6 +252,8 @@ export async function getStatements(account) {
                     account,
                     statementId: statement.statementDate, // Use date as ID
                     statementDate,
+                    // Statements are listed by closing date
+                    periodEnd: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
                 });
             }
         }
@@ -237,11 +261,74 @@ export async function getStatements(account) {
         // Sort statements by date descending (newest first)
         statements.sort((a, b) => new Date(b.statementDate).getTime() - new Date(a.statementDate).getTime());
 
+        if (account.accountType === 'CreditCard' && statements.length > 0) {
+            await addLatestStatementFigures(account, statements);
+        }
+
         return statements;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`);
+        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`, { cause: error });
+    }
+}
+
+/**
+ * Parse a date of the balances API, e.g. "Nov 15, 2025"
+ * @param {unknown} value
+ * @returns {string | undefined} YYYY-MM-DD
+ */
+function parseLedgerDate(value) {
+    const match = typeof value === 'string' ? value.match(/^([A-Z][a-z]{2}) (\d{1,2}), (\d{4})$/) : null;
+    const month = match ? MONTHS.indexOf(match[1]) + 1 : 0;
+    if (!match || month === 0) {
+        return undefined;
     }
+    return `${match[3]}-${String(month).padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Parse an amount of the balances API, e.g. "1234.5"
+ * @param {unknown} value
+ * @returns {number | undefined}
+ */
+function parseLedgerAmount(value) {
+    const amount = typeof value === 'string' || typeof value === 'number' ? parseFloat(String(value)) : NaN;
+    return Number.isNaN(amount) ? undefined : amount;
+}
+
+/**
+ * Add the balance, minimum payment and due date of the latest statement of a card, which the balances API reports
+ * The figures are extras: when the balances cannot be loaded, the statements are returned without them.
+ * @param {import('./bank.types').Account} account
+ * @param {import('./bank.types').Statement[]} statements - Updated in place
+ */
+async function addLatestStatementFigures(account, statements) {
+    let data;
+    try {
+        const response = await makeAuthenticatedRequest('/cbol/accounts/details/balances?isRedesignPage=true', {
+            method: 'GET',
+        });
+        data = /** @type {any} */ (await response.json());
+    } catch (error) {
+        console.warn('Citi balances unavailable, statements are listed without their figures:', error);
+        return;
+    }
+
+    const ledger = (data?.accountLedgerData || []).find((/** @type {any} */ entry) =>
+        (entry.accountMetaData?.accountId || entry.accountId) === account.accountId);
+    const balance = ledger?.accountBalance;
+    const closingDate = parseLedgerDate(balance?.prevStatementClosingDate);
+    const statement = closingDate && statements.find(found => found.periodEnd === closingDate);
+    if (!statement) {
+        return;
+    }
+
+    const closingBalance = parseLedgerAmount(balance.statementBalanceAmount);
+    const minimumPaymentDue = parseLedgerAmount(balance.minimumPaymentAmount);
+    const paymentDueDate = parseLedgerDate(balance.paymentDueDate);
+    if (closingBalance !== undefined) statement.closingBalance = closingBalance;
+    if (minimumPaymentDue !== undefined) statement.minimumPaymentDue = minimumPaymentDue;
+    if (paymentDueDate) statement.paymentDueDate = paymentDueDate;
 }
 
 /**
@@ -278,6 +365,6 @@ export async function downloadStatement(statement) {
         return blob;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement ${statement.statementId}: ${err.message}`);
+        throw new Error(`Failed to download statement ${statement.statementId}: ${err.message}`, { cause: error });
     }
 }
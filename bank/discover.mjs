@@ -6,6 +6,8 @@
  * @typedef {import('../extension/extension.type').RequestFetchResponse} RequestFetchResponse
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'discover';
 
@@ -80,22 +82,39 @@ async function fetchViaPopup(url, options) {
 async function smartFetch(url, options) {
     const hostname = window.location.hostname;
 
-    // Check if we need to use popup for this request
-    if (url.includes('card.discover.com') && !hostname.includes('card.discover.com')) {
-        return fetchViaPopup(url, options);
-    }
-    if (url.includes('bank.discover.com') && !hostname.includes('bank.discover.com')) {
-        return fetchViaPopup(url, options);
-    }
+    try {
+        // Check if we need to use popup for this request
+        if (url.includes('card.discover.com') && !hostname.includes('card.discover.com')) {
+            return await fetchViaPopup(url, options);
+        }
+        if (url.includes('bank.discover.com') && !hostname.includes('bank.discover.com')) {
+            return await fetchViaPopup(url, options);
+        }
 
-    // Otherwise use regular fetch
-    return fetch(url, options);
+        // Otherwise use regular fetch
+        return await fetch(url, options);
+    } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        throw createBankError('NetworkError', `Request to ${url} failed: ${message}`);
+    }
 }
 
 const PORTAL_BASE_URL = 'https://portal.discover.com';
 const CARD_BASE_URL = 'https://card.discover.com';
 const BANK_BASE_URL = 'https://bank.discover.com';
 
+/**
+ * Figures of Discover statement PDFs whose labels the generic patterns miss
+ * Card statements print "Open Date: 09/13/2025 - Close Date: 10/12/2025" and an account summary
+ * with "Payments and Credits" and "Purchases".
+ * @type {import('./bank.types').StatementPatterns}
+ */
+export const statementPatterns = {
+    period: [/Open Date:?\s*(\d{2}\/\d{2}\/\d{4})\s*-?\s*Close Date:?\s*(\d{2}\/\d{2}\/\d{4})/i],
+    totalCredits: [/Payments and Credits\s*(-?\$[\d,]+\.\d{2})/i],
+    totalDebits: [/Purchases\s*\+?(\$[\d,]+\.\d{2})/],
+};
+
 /**
  * Get the current session ID from cookies
  * @returns {string} - The session ID (customerId cookie value)
@@ -109,7 +128,7 @@ export function getSessionId() {
     const hasSecToken = cookies.includes('sectoken=');
 
     if (!hasCustomerId || !hasCif || !hasSecToken) {
-        throw new Error('User is not logged in - missing required session cookies');
+        throw createBankError('SessionExpired', 'User is not logged in - missing required session cookies');
     }
 
     const customerIdMatch = cookies.match(/customerId=([^;]+)/);
@@ -161,7 +180,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to get profile: ${message}`);
+        throw new Error(`Failed to get profile: ${message}`, { cause: error });
     }
 }
 
@@ -267,7 +286,7 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to get accounts: ${message}`);
+        throw new Error(`Failed to get accounts: ${message}`, { cause: error });
     }
 }
 
@@ -297,6 +316,16 @@ function getAccountDomain(account) {
     return account.accountType === 'CreditCard' ? 'card' : 'bank';
 }
 
+/**
+ * Convert a date of the card APIs to YYYY-MM-DD
+ * @param {unknown} value - Date in MM/DD/YYYY format
+ * @returns {string | undefined} undefined when missing or in another format
+ */
+function parseCardDate(value) {
+    const match = typeof value === 'string' ? value.match(/^(\d{2})\/(\d{2})\/(\d{4})$/) : null;
+    return match ? `${match[3]}-${match[1]}-${match[2]}` : undefined;
+}
+
 /**
  * Get statements for a credit card account
  * @param {import('./bank.types').Account} account
@@ -316,7 +345,7 @@ async function getCardStatements(account) {
         );
 
         if (!recentResponse.ok) {
-            throw new Error(`API request failed: ${recentResponse.status} ${recentResponse.statusText}`);
+            throw createResponseError(recentResponse, `API request failed: ${recentResponse.status} ${recentResponse.statusText}`);
         }
 
         // Strip security prefix ")]}', " before parsing JSON
@@ -332,11 +361,13 @@ async function getCardStatements(account) {
         // Parse the statement date (format: MM/DD/YYYY) to get stmtDate parameter
         const dateMatch = recentData.summaryData.lastStmtDate.match(/(\d{2})\/(\d{2})\/(\d{4})/);
         if (!dateMatch) {
-            throw new Error(`Invalid statement date format: ${recentData.summaryData.lastStmtDate}`);
+            throw createBankError('ParseError', `Invalid statement date format: ${recentData.summaryData.lastStmtDate}`);
         }
 
         const [, month, day, year] = dateMatch;
         const stmtDate = `${year}${month}${day}`; // YYYYMMDD format
+        const lastStatementEnd = `${year}-${month}-${day}`;
+        const lastStatementBalance = parseFloat(String(recentData.summaryData.lastStmtBal ?? '').replace(/,/g, ''));
 
         // Get the full list of statements
         const stmtResponse = await smartFetch(
@@ -350,7 +381,7 @@ async function getCardStatements(account) {
         );
 
         if (!stmtResponse.ok) {
-            throw new Error(`Statement list API request failed: ${stmtResponse.status} ${stmtResponse.statusText}`);
+            throw createResponseError(stmtResponse, `Statement list API request failed: ${stmtResponse.status} ${stmtResponse.statusText}`);
         }
 
         // Strip security prefix ")]}', " before parsing JSON
@@ -385,17 +416,31 @@ async function getCardStatements(account) {
             const day = statementId.substring(6, 8);
             const statementDate = new Date(`${year}-${month}-${day}`).toISOString();
 
-            statements.push({
+            /** @type {import('./bank.types').Statement} */
+            const statement = {
                 account,
                 statementId,
                 statementDate,
-            });
+            };
+            const periodStart = parseCardDate(stmt.fromDate);
+            const periodEnd = parseCardDate(stmt.toDate);
+            if (periodStart) {
+                statement.periodStart = periodStart;
+            }
+            if (periodEnd) {
+                statement.periodEnd = periodEnd;
+                // The summary only has the balance of the latest statement
+                if (periodEnd === lastStatementEnd && !Number.isNaN(lastStatementBalance)) {
+                    statement.closingBalance = lastStatementBalance;
+                }
+            }
+            statements.push(statement);
         }
 
         return statements;
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(message);
+        throw new Error(message, { cause: error });
     }
 }
 
@@ -417,13 +462,13 @@ async function getBankStatements(account) {
         );
 
         if (!response.ok) {
-            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `API request failed: ${response.status} ${response.statusText}`);
         }
 
         const data = await response.json();
 
         if (!Array.isArray(data)) {
-            throw new Error('Invalid response format: expected array of statements');
+            throw createBankError('ParseError', 'Invalid response format: expected array of statements');
         }
 
         const statements = [];
@@ -442,7 +487,7 @@ async function getBankStatements(account) {
         return statements;
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(message);
+        throw new Error(message, { cause: error });
     }
 }
 
@@ -484,7 +529,7 @@ async function downloadCardStatement(statement) {
         );
 
         if (!response.ok) {
-            throw new Error(`PDF download failed: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `PDF download failed: ${response.status} ${response.statusText}`);
         }
 
         if (!response.headers.get('content-type')?.includes('pdf')) {
@@ -494,7 +539,7 @@ async function downloadCardStatement(statement) {
         return await response.blob();
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(message);
+        throw new Error(message, { cause: error });
     }
 }
 
@@ -524,7 +569,7 @@ async function downloadBankStatement(statement) {
         });
 
         if (!response.ok) {
-            throw new Error(`PDF download failed: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `PDF download failed: ${response.status} ${response.statusText}`);
         }
 
         if (!response.headers.get('content-type')?.includes('pdf')) {
@@ -534,7 +579,7 @@ async function downloadBankStatement(statement) {
         return await response.blob();
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to download bank statement: ${message}`);
+        throw new Error(`Failed to download bank statement: ${message}`, { cause: error });
     }
 }
 
@@ -3,6 +3,8 @@
  * @see analyze/disnat.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'disnat';
 
@@ -28,7 +30,7 @@ export function getSessionId() {
         }
     }
 
-    throw new Error('Session ID not found. XSRF-TOKEN cookie is missing. Please ensure you are logged in.');
+    throw createBankError('SessionExpired', 'Session ID not found. XSRF-TOKEN cookie is missing. Please ensure you are logged in.');
 }
 
 /**
@@ -50,14 +52,20 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
         ...options.headers,
     };
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include', // Include cookies (JSESSIONID, XSRF-TOKEN)
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include', // Include cookies (JSESSIONID, XSRF-TOKEN)
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `Disnat API request failed: ${err.message} at ${endpoint}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`Disnat API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
+        throw createResponseError(response, `Disnat API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
     }
 
     return response;
@@ -76,14 +84,14 @@ export async function getProfile(sessionId) {
         const data = await response.json();
 
         if (data.status !== 'OK' || !data.payload?.demographics) {
-            throw new Error('Invalid response format from demographics API');
+            throw createBankError('ParseError', 'Invalid response format from demographics API');
         }
 
         const demographics = data.payload.demographics;
         const clientCode = demographics.referenceClientDemographicsJson?.clientCode;
 
         if (!clientCode) {
-            throw new Error('Client code not found in demographics response');
+            throw createBankError('ParseError', 'Client code not found in demographics response');
         }
 
         const firstName = demographics.self?.firstName || '';
@@ -97,7 +105,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to retrieve user profile: ${err.message}`);
+        throw new Error(`Failed to retrieve user profile: ${err.message}`, { cause: error });
     }
 }
 
@@ -139,10 +147,12 @@ export async function getAccounts(profile) {
         const data = await response.json();
 
         if (!data.clients) {
-            throw new Error('Invalid response format from portfolio API');
+            throw createBankError('ParseError', 'Invalid response format from portfolio API');
         }
 
         const accounts = [];
+        // Balances are as of the portfolio response
+        const asOf = new Date().toISOString();
 
         // Iterate through clients (usually just one)
         for (const client of data.clients) {
@@ -163,13 +173,24 @@ export async function getAccounts(profile) {
                 const type = account.accountType || '';
                 const accountName = `${type} ${currency}`.trim() || accountNumber;
 
-                accounts.push({
+                /** @type {import('./bank.types').Account} */
+                const result = {
                     profile,
                     accountId: account.accountId,
                     accountName,
                     accountMask,
                     accountType: mapAccountType(account.accountType),
-                });
+                };
+                if (currency) {
+                    result.currency = currency;
+                }
+                // Total of cash and securities in the account currency
+                const total = account.balances?.find(/** @param {any} balance */ balance => balance.currency === currency)?.summary?.total;
+                if (typeof total === 'number') {
+                    result.currentBalance = total;
+                    result.asOf = asOf;
+                }
+                accounts.push(result);
             }
         }
 
@@ -180,34 +201,57 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to retrieve accounts: ${err.message}`);
+        throw new Error(`Failed to retrieve accounts: ${err.message}`, { cause: error });
     }
 }
 
 /**
- * Retrieves all statements for the given account
+ * Document types requested from the documents API, with the kind of document each one is
+ * @type {Record<string, import('./bank.types').DocumentType>}
+ */
+const DOCUMENT_TYPES = {
+    ETATCOMPTE: 'statement', // Account Statement
+    RAP_PERF: 'other', // Performance Report
+    RAP_FRAIS: 'other', // Charges and Other Compensation
+    RPFEE_AM: 'other', // Annual Management Fee Report
+};
+
+/**
+ * Get the earliest statement date getStatements can load
+ * The documents API takes any fromDate, Disnat does not document how far back it goes
+ * @returns {null}
+ */
+export function getStatementHistoryStart() {
+    return null;
+}
+
+/**
+ * Retrieves all statements and reports for the given account
  * @param {import('./bank.types').Account} account - The account
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to the last year
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     try {
         const clientCode = account.profile.profileId;
 
-        // Calculate date range: 1 year back from today
+        // Default date range: 1 year back from today
         const toDate = new Date();
         const fromDate = new Date();
         fromDate.setFullYear(toDate.getFullYear() - 1);
 
         // Format dates as YYYY-MM-DD
-        const toDateStr = toDate.toISOString().split('T')[0];
-        const fromDateStr = fromDate.toISOString().split('T')[0];
+        const toDateStr = options.to || toDate.toISOString().split('T')[0];
+        const fromDateStr = options.from || fromDate.toISOString().split('T')[0];
 
         // Build query string with document types
         const params = new URLSearchParams();
         params.append('clientCodes', clientCode);
         params.append('fromDate', fromDateStr);
         params.append('toDate', toDateStr);
-        params.append('documentTypes', 'ETATCOMPTE'); // Account Statement
+        for (const documentType of Object.keys(DOCUMENT_TYPES)) {
+            params.append('documentTypes', documentType);
+        }
 
         const response = await makeAuthenticatedRequest(
             `/s9web/secure/web-api/v2/documents/info/clients?${params.toString()}`
@@ -215,14 +259,14 @@ export async function getStatements(account) {
         const data = await response.json();
 
         if (!Array.isArray(data)) {
-            throw new Error('Invalid response format from documents API');
+            throw createBankError('ParseError', 'Invalid response format from documents API');
         }
 
         const statements = [];
 
-        // Filter for account statements (ETATCOMPTE)
         for (const doc of data) {
-            if (doc.type !== 'ETATCOMPTE') continue;
+            const documentType = DOCUMENT_TYPES[doc.type];
+            if (!documentType) continue;
 
             // Parse statement date (YYYY-MM-DD format)
             const parsedDate = new Date(doc.date);
@@ -242,11 +286,15 @@ export async function getStatements(account) {
 
             // Use token as statementId since it's required for download
             // The token is ephemeral and unique per request
+            /** @type {import('./bank.types').Statement} */
             const stmt = {
                 account,
                 statementId: doc.token,
                 statementDate,
             };
+            if (documentType !== 'statement') {
+                stmt.documentType = documentType;
+            }
 
             statements.push(stmt);
         }
@@ -254,7 +302,7 @@ export async function getStatements(account) {
         return statements;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to retrieve statements: ${err.message}`);
+        throw new Error(`Failed to retrieve statements: ${err.message}`, { cause: error });
     }
 }
 
@@ -296,6 +344,6 @@ export async function downloadStatement(statement) {
         return blob;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement: ${err.message}`);
+        throw new Error(`Failed to download statement: ${err.message}`, { cause: error });
     }
 }
@@ -3,6 +3,9 @@
  * @see analyze/eq_bank.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+import { createRequestClient } from '../extension/request.mjs';
+
 /** @type {string} */
 export const bankId = 'eq_bank';
 
@@ -11,6 +14,9 @@ export const bankName = 'EQ Bank';
 
 const BASE_URL = 'https://web-api.eqbank.ca/web/v1.1';
 
+/** Paces the web API requests of statement lists and downloads */
+const requestClient = createRequestClient();
+
 /** @type {string | null} */
 let capturedAccessToken = null;
 
@@ -236,7 +242,8 @@ async function decryptToken() {
     // Step 1: Get the encryption key from cookie
     const encryptionKey = getEncryptionKey();
     if (!encryptionKey) {
-        throw new Error(
+        throw createBankError(
+            'SessionExpired',
             'Encryption key not found. Please make sure you are logged in to EQ Bank.'
         );
     }
@@ -246,7 +253,8 @@ async function decryptToken() {
     const encryptedToken = sessionStorage.getItem(encryptedTokenKey);
 
     if (!encryptedToken) {
-        throw new Error(
+        throw createBankError(
+            'SessionExpired',
             'Encrypted token not found in sessionStorage. Please make sure you are logged in to EQ Bank.'
         );
     }
@@ -296,7 +304,7 @@ async function decryptToken() {
 
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to decrypt token: ${err.message}`);
+        throw new Error(`Failed to decrypt token: ${err.message}`, { cause: error });
     }
 }
 
@@ -397,11 +405,17 @@ async function makeAuthenticatedRequest(endpoint, profile, options = {}, extraHe
         headers['email'] = profileIdParts[1];
     }
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include',
-    });
+    let response;
+    try {
+        response = await requestClient.fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include',
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `EQ Bank API request failed: ${err.message} at ${endpoint}`);
+    }
 
     // Handle 401 Unauthorized (expired token)
     if (response.status === 401) {
@@ -421,21 +435,21 @@ async function makeAuthenticatedRequest(endpoint, profile, options = {}, extraHe
         retryHeaders['correlationid'] = generateCorrelationId();
         retryHeaders['traceparent'] = generateTraceparent();
 
-        const retryResponse = await fetch(url, {
+        const retryResponse = await requestClient.fetch(url, {
             ...options,
             headers: retryHeaders,
             credentials: 'include',
         });
 
         if (!retryResponse.ok) {
-            throw new Error(`EQ Bank API request failed after token refresh: ${retryResponse.status} ${retryResponse.statusText} at ${endpoint}`);
+            throw createResponseError(retryResponse, `EQ Bank API request failed after token refresh: ${retryResponse.status} ${retryResponse.statusText} at ${endpoint}`);
         }
 
         return retryResponse;
     }
 
     if (!response.ok) {
-        throw new Error(`EQ Bank API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
+        throw createResponseError(response, `EQ Bank API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
     }
 
     return response;
@@ -473,6 +487,14 @@ function generateTraceparent() {
     return `00-${traceId}-${parentId}-01`;
 }
 
+/**
+ * Get the timing of the requests sent so far
+ * @returns {import('./bank.types').RequestMetrics}
+ */
+export function getRequestMetrics() {
+    return requestClient.getMetrics();
+}
+
 /**
  * Retrieves the current user profile
  * @param {string} sessionId - The JWT access token
@@ -521,7 +543,7 @@ export async function getProfile(sessionId) {
             });
 
             if (!retryResponse.ok) {
-                throw new Error(`Failed to get profile after token refresh: ${retryResponse.status} ${retryResponse.statusText}`);
+                throw createResponseError(retryResponse, `Failed to get profile after token refresh: ${retryResponse.status} ${retryResponse.statusText}`);
             }
 
             const retryData = await retryResponse.json();
@@ -547,7 +569,7 @@ export async function getProfile(sessionId) {
         }
 
         if (!response.ok) {
-            throw new Error(`Failed to get profile: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to get profile: ${response.status} ${response.statusText}`);
         }
 
         const data = await response.json();
@@ -573,7 +595,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
 
@@ -616,10 +638,12 @@ export async function getAccounts(profile) {
         const data = await response.json();
 
         if (!Array.isArray(data)) {
-            throw new Error('Invalid response format from accounts API');
+            throw createBankError('ParseError', 'Invalid response format from accounts API');
         }
 
         const accounts = [];
+        // Balances are as of the accounts response
+        const asOf = new Date().toISOString();
         for (const account of data) {
             // Skip closed accounts
             if (account.restrictionStatus === 'CLOSED' || account.cardStatus === 'CLOSED') {
@@ -649,13 +673,29 @@ export async function getAccounts(profile) {
                 ? `${account.accountId}|${account.accountOpeningDate}`
                 : account.accountId;
 
-            accounts.push({
+            /** @type {import('./bank.types').Account} */
+            const result = {
                 profile,
                 accountId: accountIdWithDate,
                 accountName: `${account.accountName} (${account.currency})`,
                 accountMask: accountMask || account.accountId.substring(0, 8),
                 accountType,
-            });
+                currency: account.currency,
+            };
+            // The EQ Bank Card is prepaid: its balance is money held and not owed, so it is
+            // left out rather than counted as credit card debt
+            if (accountType !== 'CreditCard') {
+                if (typeof account.currentBalance === 'number') {
+                    result.currentBalance = account.currentBalance;
+                }
+                if (typeof account.availableBalance === 'number') {
+                    result.availableBalance = account.availableBalance;
+                }
+                if (result.currentBalance !== undefined || result.availableBalance !== undefined) {
+                    result.asOf = asOf;
+                }
+            }
+            accounts.push(result);
         }
 
         if (accounts.length === 0) {
@@ -665,7 +705,7 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
     }
 }
 
@@ -687,7 +727,7 @@ async function getAccountNumber(accountId, sessionId) {
         const data = await response.json();
 
         if (!Array.isArray(data)) {
-            throw new Error('Invalid response format from accounts API');
+            throw createBankError('ParseError', 'Invalid response format from accounts API');
         }
 
         for (const account of data) {
@@ -699,7 +739,7 @@ async function getAccountNumber(accountId, sessionId) {
         throw new Error(`Account number not found for accountId: ${accountId}`);
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get account number: ${err.message}`);
+        throw new Error(`Failed to get account number: ${err.message}`, { cause: error });
     }
 }
 
@@ -720,7 +760,7 @@ async function getProductType(accountId, sessionId) {
         const data = await response.json();
 
         if (!Array.isArray(data)) {
-            throw new Error('Invalid response format from accounts API');
+            throw createBankError('ParseError', 'Invalid response format from accounts API');
         }
 
         for (const account of data) {
@@ -732,19 +772,27 @@ async function getProductType(accountId, sessionId) {
         throw new Error(`Product type not found for accountId: ${accountId}`);
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get product type: ${err.message}`);
+        throw new Error(`Failed to get product type: ${err.message}`, { cause: error });
     }
 }
 
 /**
- * Generates a list of statement dates for the past 12 months
+ * Generates a list of statement dates for the past 12 months, or for the months of a window
  * @param {string | null} [accountOpeningDate] - Optional account opening date in YYYY-MM-DD format
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates
  * @returns {Array<{statementMonthYear: string, startDate: string, endDate: string}>}
  */
-function generateStatementDates(accountOpeningDate) {
+function generateStatementDates(accountOpeningDate, options = {}) {
     const statements = [];
     const now = new Date();
 
+    // Months back to the start of the window, or 12 by default
+    let monthCount = 12;
+    if (options.from) {
+        const [fromYear, fromMonth] = options.from.split('-').map(Number);
+        monthCount = (now.getFullYear() - fromYear) * 12 + now.getMonth() + 1 - fromMonth;
+    }
+
     // Parse account opening date if provided
     let openingDate = null;
     if (accountOpeningDate) {
@@ -752,7 +800,7 @@ function generateStatementDates(accountOpeningDate) {
     }
 
     // Start from previous month (skip current month since it hasn't ended)
-    for (let i = 1; i <= 12; i++) {
+    for (let i = 1; i <= monthCount; i++) {
         const statementDate = new Date(now.getFullYear(), now.getMonth() - i, 1);
         const year = statementDate.getFullYear();
         const month = statementDate.getMonth() + 1; // 0-indexed
@@ -773,6 +821,11 @@ function generateStatementDates(accountOpeningDate) {
         const startDateStr = `${year}-${month.toString().padStart(2, '0')}-01`;
         const endDateStr = `${year}-${month.toString().padStart(2, '0')}-${endDate.getDate().toString().padStart(2, '0')}`;
 
+        // Skip months after the window
+        if (options.to && startDateStr > options.to) {
+            continue;
+        }
+
         statements.push({
             statementMonthYear,
             startDate: startDateStr,
@@ -820,19 +873,67 @@ function formatCardStatementDate(dateStr, isEndDate = false) {
     return `${yearStr}-${monthStr}-${dayStr}T${hours}:${minutes}:${seconds}${offsetSign}${offsetHours.toString().padStart(2, '0')}:${offsetMinutes.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Get the earliest statement date getStatements can load
+ * Statements are built for any month since the account was opened, which differs per account
+ * @returns {null}
+ */
+export function getStatementHistoryStart() {
+    return null;
+}
+
+/**
+ * Outcome of each month requested by getStatements, by account ID and then month (YYYY-MM)
+ * Kept for the life of the page, so months of earlier windows are still reported.
+ * @type {Map<string, Map<string, import('./bank.types').StatementProbe>>}
+ */
+const statementProbes = new Map();
+
+/**
+ * Remember what the bank answered for a month
+ * @param {import('./bank.types').Account} account
+ * @param {string} month - Month in YYYY-MM format
+ * @param {import('./bank.types').StatementProbeStatus} status
+ * @param {unknown} [error]
+ */
+function recordProbe(account, month, status, error) {
+    const probes = statementProbes.get(account.accountId) || new Map();
+    /** @type {import('./bank.types').StatementProbe} */
+    const probe = { month, status };
+    if (error !== undefined) {
+        probe.error = error instanceof Error ? error.message : String(error);
+    }
+    probes.set(month, probe);
+    statementProbes.set(account.accountId, probes);
+}
+
+/**
+ * Get the outcome of every month requested for an account, ordered by month
+ * @param {import('./bank.types').Account} account
+ * @returns {import('./bank.types').StatementProbe[]}
+ */
+export function getStatementProbes(account) {
+    return Array.from(statementProbes.get(account.accountId)?.values() || [])
+        .sort((a, b) => a.month.localeCompare(b.month));
+}
+
 /**
  * Retrieves all statements for a specific account
+ * Months are listed from the account opening date. For regular accounts the transactions of each
+ * month are requested, since statements are generated from them: months without transactions are
+ * still listed, months that fail are skipped, and each outcome is reported by getStatementProbes.
  * @param {import('./bank.types').Account} account - The account to get statements for
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to the last 12 months
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     try {
         // Decode accountOpeningDate from accountId (format: accountId|YYYY-MM-DD)
         const accountIdParts = account.accountId.split('|');
         const actualAccountId = accountIdParts[0];
         const accountOpeningDate = accountIdParts[1] || null;
 
-        const statementDates = generateStatementDates(accountOpeningDate);
+        const statementDates = generateStatementDates(accountOpeningDate, options);
         const statements = [];
 
         // Get account number and product type for API calls
@@ -850,6 +951,22 @@ export async function getStatements(account) {
                 statementId = `${actualAccountId}|${fromDateTime}|${toDateTime}`;
                 statementDate = dateInfo.endDate;
             } else {
+                const month = dateInfo.startDate.slice(0, 7);
+                try {
+                    const items = await fetchPeriodTransactions(account.profile, accountNumber, dateInfo);
+                    recordProbe(account, month, items.length > 0 ? 'found' : 'empty');
+                } catch (error) {
+                    recordProbe(account, month, 'failed', error);
+                    // Signing in again fixes every month, so stop instead of skipping them all.
+                    // A month still rate limited after the retries means the next ones would be too.
+                    const code = /** @type {import('./bank.types').BankError} */ (error).code;
+                    if (code === 'SessionExpired' || code === 'MfaRequired' || code === 'RateLimited') {
+                        throw error;
+                    }
+                    // Continue with the other months; the failure is reported by getStatementProbes
+                    continue;
+                }
+
                 // Regular accounts use MMYYYY format
                 statementId = `${accountNumber}|${dateInfo.statementMonthYear}|${dateInfo.startDate}|${dateInfo.endDate}`;
                 statementDate = dateInfo.endDate;
@@ -865,19 +982,503 @@ export async function getStatements(account) {
         return statements;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements: ${err.message}`);
+        throw new Error(`Failed to get statements: ${err.message}`, { cause: error });
+    }
+}
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Parses a transaction display date such as "01 OCT 2025"
+ * @param {string} dateStr - Date in "DD MMM YYYY" format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function parseTransactionDate(dateStr) {
+    const [day, monthName, year] = dateStr.trim().split(/\s+/);
+    const month = MONTHS.indexOf(monthName.toUpperCase()) + 1;
+    if (!month || !/^\d{4}$/.test(year)) {
+        throw new Error(`Unexpected transaction date format: ${dateStr}`);
     }
+    return `${year}-${month.toString().padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Splits a date range into calendar months clipped to the range
+ * @param {string} from - Start date in YYYY-MM-DD format (inclusive)
+ * @param {string} to - End date in YYYY-MM-DD format (inclusive)
+ * @returns {Array<{statementMonthYear: string, startDate: string, endDate: string}>}
+ */
+function getMonthlyPeriods(from, to) {
+    const periods = [];
+    let [year, month] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+
+    while (year < toYear || (year === toYear && month <= toMonth)) {
+        const monthStr = month.toString().padStart(2, '0');
+        const lastDay = new Date(year, month, 0).getDate().toString().padStart(2, '0');
+        const startDate = `${year}-${monthStr}-01`;
+        const endDate = `${year}-${monthStr}-${lastDay}`;
+
+        periods.push({
+            statementMonthYear: `${monthStr}${year}`,
+            startDate: startDate < from ? from : startDate,
+            endDate: endDate > to ? to : endDate,
+        });
+
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+
+    return periods;
+}
+
+/**
+ * @typedef {Object} StatementTransaction
+ * @property {'DEBIT' | 'CREDIT'} type - Transaction type
+ * @property {string} date - Transaction date in "DD MMM YYYY" format
+ * @property {number} amount - Unsigned transaction amount
+ * @property {number} [balance] - Account balance after the transaction
+ * @property {string} description - Transaction description
+ * @property {string} [dateTime] - Transaction time in UTC (ISO 8601)
+ * @property {string} [bookingDateTime] - Transaction time in local time (ISO 8601 with offset)
+ */
+
+/**
+ * Gets the currency of an account
+ * Account names are formatted as "Name (CUR)" by getAccounts.
+ * @param {import('./bank.types').Account} account
+ * @returns {string} ISO 4217 currency code
+ */
+function getAccountCurrency(account) {
+    return account.accountName.match(/\(([A-Z]{3})\)$/)?.[1] || 'CAD';
+}
+
+/**
+ * Gets the signed amount of a transaction: negative for debits
+ * @param {StatementTransaction} item
+ * @returns {number}
+ */
+function getSignedAmount(item) {
+    const amount = Math.abs(Number(item.amount));
+    return item.type === 'DEBIT' ? -amount : amount;
+}
+
+/**
+ * Fetches the transactions of a regular account for one statement period
+ * This is the data EQ Bank's web app renders its statement PDFs from.
+ * @param {import('./bank.types').Profile} profile - The user profile
+ * @param {string} accountNumber - The account number
+ * @param {{statementMonthYear: string, startDate: string, endDate: string}} period - Statement period
+ * @returns {Promise<StatementTransaction[]>}
+ */
+async function fetchPeriodTransactions(profile, accountNumber, period) {
+    const params = new URLSearchParams(period);
+    const response = await makeAuthenticatedRequest(`/transaction/statements?${params}`, profile, {
+        method: 'GET',
+    }, {
+        'accountid': accountNumber,
+    });
+
+    const data = await response.json();
+    if (!data || !Array.isArray(data.transactions)) {
+        throw createBankError('ParseError', 'Invalid response format from transactions API');
+    }
+
+    return data.transactions;
+}
+
+/**
+ * Retrieves transactions for an account within a date range
+ * Only regular accounts (HISA, USD_HISA) are supported: the card statement API returns summaries only.
+ * @param {import('./bank.types').Account} account - The account to get transactions for
+ * @param {import('./bank.types').DateRange} range - The date range to retrieve
+ * @returns {Promise<import('./bank.types').Transaction[]>}
+ */
+export async function getTransactions(account, range) {
+    try {
+        const actualAccountId = account.accountId.split('|')[0];
+        const productType = await getProductType(actualAccountId, account.profile.sessionId);
+        if (productType === 'CARD') {
+            throw createBankError('NotSupported', 'Transaction export is not supported for EQ Bank Card accounts');
+        }
+
+        const accountNumber = await getAccountNumber(actualAccountId, account.profile.sessionId);
+        const currency = getAccountCurrency(account);
+
+        /** @type {import('./bank.types').Transaction[]} */
+        const transactions = [];
+
+        for (const period of getMonthlyPeriods(range.from, range.to)) {
+            const items = await fetchPeriodTransactions(account.profile, accountNumber, period);
+
+            for (const item of items) {
+                const date = parseTransactionDate(item.date);
+                if (date < range.from || date > range.to) {
+                    continue;
+                }
+
+                // bookingDateTime is in local time, e.g. "2025-10-02T00:50:00-04:00"
+                const postedDate = item.bookingDateTime ? item.bookingDateTime.split('T')[0] : undefined;
+
+                transactions.push({
+                    date,
+                    ...(postedDate && postedDate !== date ? { postedDate } : {}),
+                    description: item.description,
+                    amount: getSignedAmount(item),
+                    currency,
+                    ...(typeof item.balance === 'number' ? { runningBalance: item.balance } : {}),
+                });
+            }
+        }
+
+        // Stable sort keeps the API order for transactions on the same day
+        return transactions.sort((a, b) => a.date.localeCompare(b.date));
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw new Error(`Failed to get transactions: ${err.message}`, { cause: error });
+    }
+}
+
+/** Page size (US Letter) and margin, in points */
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const PAGE_MARGIN = 50;
+
+/**
+ * Glyph widths of the standard Helvetica font for characters 32 to 126 (1/1000 em)
+ * Standard fonts need no embedding, but text width must be computed to align columns.
+ */
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+/** Glyph widths of the standard Helvetica-Bold font for characters 32 to 126 (1/1000 em) */
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+/**
+ * WinAnsiEncoding codes of common characters outside Latin-1
+ * @type {Record<string, number>}
+ */
+const WIN_ANSI_EXTRA = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+/**
+ * Encodes text in WinAnsiEncoding, the encoding of the standard PDF fonts
+ * Characters that cannot be encoded are replaced with "?".
+ * @param {string} text
+ * @returns {string} String of character codes 0-255
+ */
+function encodeWinAnsi(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+            result += char;
+        } else if (char in WIN_ANSI_EXTRA) {
+            result += String.fromCharCode(WIN_ANSI_EXTRA[char]);
+        } else {
+            result += '?';
+        }
+    }
+    return result;
+}
+
+/**
+ * Measures the width of text in points
+ * @param {string} text
+ * @param {boolean} bold
+ * @param {number} size - Font size in points
+ * @returns {number}
+ */
+function measureText(text, bold, size) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let width = 0;
+    for (const char of encodeWinAnsi(text)) {
+        const code = char.charCodeAt(0);
+        width += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (width * size) / 1000;
+}
+
+/**
+ * Shortens text with an ellipsis so it fits within a width
+ * @param {string} text
+ * @param {number} maxWidth - Width in points
+ * @param {number} size - Font size in points
+ * @returns {string}
+ */
+function truncateText(text, maxWidth, size) {
+    if (measureText(text, false, size) <= maxWidth) {
+        return text;
+    }
+    let truncated = text;
+    while (truncated.length > 0 && measureText(`${truncated}...`, false, size) > maxWidth) {
+        truncated = truncated.slice(0, -1);
+    }
+    return `${truncated.trimEnd()}...`;
+}
+
+/**
+ * Builds the content stream operator that draws text
+ * @param {number} x - Left edge, or right edge when align is "right"
+ * @param {number} y - Baseline
+ * @param {string} text
+ * @param {{bold?: boolean, size?: number, align?: 'left' | 'right'}} [style]
+ * @returns {string}
+ */
+function pdfText(x, y, text, style = {}) {
+    const bold = style.bold || false;
+    const size = style.size || 9;
+    const left = style.align === 'right' ? x - measureText(text, bold, size) : x;
+    const escaped = encodeWinAnsi(text).replace(/[\\()]/g, '\\$&');
+    return `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${escaped}) Tj ET`;
+}
+
+/**
+ * Builds the content stream operator that draws a horizontal rule
+ * @param {number} y
+ * @returns {string}
+ */
+function pdfRule(y) {
+    return `0.75 G 0.5 w ${PAGE_MARGIN} ${y} m ${PAGE_WIDTH - PAGE_MARGIN} ${y} l S 0 G`;
+}
+
+/**
+ * Writes a PDF document using the standard Helvetica fonts (minimal PDF 1.4 writer, no external dependencies)
+ * @param {string[]} pages - Content stream of each page
+ * @param {string} title - Document title
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function createPdf(pages, title) {
+    // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a content stream and a page per page
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title (${encodeWinAnsi(title).replace(/[\\()]/g, '\\$&')}) /Producer (Bank Statement Downloader) >>`,
+    ];
+
+    const pageRefs = [];
+    for (const content of pages) {
+        objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        const contentRef = objects.length;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`);
+        pageRefs.push(`${objects.length} 0 R`);
+    }
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`;
+
+    // Every character code is below 256, so string offsets are byte offsets
+    let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    /** @type {number[]} */
+    const offsets = [];
+    objects.forEach((object, index) => {
+        offsets.push(pdf.length);
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    for (const offset of offsets) {
+        pdf += `${offset.toString().padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Uint8Array.from(pdf, char => char.charCodeAt(0));
+}
+
+/**
+ * Formats an amount with thousands separators and two decimals
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    return amount.toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Formats a date for the statement header, e.g. "October 31, 2025"
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string}
+ */
+function formatLongDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-CA', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC',
+    });
+}
+
+/**
+ * Renders a statement PDF from the transactions of a statement period
+ * @param {import('./bank.types').Account} account - The account of the statement
+ * @param {string} accountNumber - The account number
+ * @param {string} startDate - Period start date in YYYY-MM-DD format
+ * @param {string} endDate - Period end date in YYYY-MM-DD format
+ * @param {StatementTransaction[]} items - Transactions of the period
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function renderStatementPdf(account, accountNumber, startDate, endDate, items) {
+    const currency = getAccountCurrency(account);
+
+    // The API does not guarantee chronological order
+    const sorted = [...items].sort((a, b) =>
+        (a.dateTime || parseTransactionDate(a.date)).localeCompare(b.dateTime || parseTransactionDate(b.date))
+    );
+
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const deposits = sorted.filter(item => item.type !== 'DEBIT').reduce((sum, item) => sum + getSignedAmount(item), 0);
+    const withdrawals = sorted.filter(item => item.type === 'DEBIT').reduce((sum, item) => sum - getSignedAmount(item), 0);
+
+    // Balances are only known from the transactions of the period
+    const openingBalance = first && typeof first.balance === 'number'
+        ? Math.round((first.balance - getSignedAmount(first)) * 100) / 100
+        : null;
+    const closingBalance = last && typeof last.balance === 'number' ? last.balance : null;
+
+    const right = PAGE_WIDTH - PAGE_MARGIN;
+    const columns = { date: PAGE_MARGIN, description: PAGE_MARGIN + 70, withdrawals: right - 150, deposits: right - 75, balance: right };
+    const descriptionWidth = columns.withdrawals - 60 - columns.description;
+    const rowHeight = 14;
+
+    /** @type {string[][]} */
+    const pages = [];
+    /** @type {string[]} */
+    let ops = [];
+    let y = PAGE_HEIGHT - PAGE_MARGIN - 16;
+
+    // Header and summary on the first page
+    ops.push(
+        pdfText(PAGE_MARGIN, y, bankName, { bold: true, size: 20 }),
+        pdfText(right, y, 'Account Statement', { bold: true, size: 14, align: 'right' })
+    );
+    y -= 30;
+    ops.push(
+        pdfText(PAGE_MARGIN, y, account.profile.profileName, { bold: true, size: 11 }),
+        pdfText(right, y, `${formatLongDate(startDate)} – ${formatLongDate(endDate)}`, { size: 10, align: 'right' })
+    );
+    y -= 15;
+    ops.push(pdfText(PAGE_MARGIN, y, account.accountName, { size: 10 }));
+    y -= 14;
+    ops.push(pdfText(PAGE_MARGIN, y, `Account number: ${accountNumber}`, { size: 10 }));
+    y -= 14;
+    ops.push(pdfText(PAGE_MARGIN, y, `Amounts in ${currency}`, { size: 10 }));
+    y -= 24;
+
+    ops.push(pdfRule(y + 12), pdfText(PAGE_MARGIN, y, 'Summary', { bold: true, size: 11 }));
+    y -= 18;
+    for (const [label, value] of /** @type {Array<[string, number | null]>} */ ([
+        ['Opening balance', openingBalance],
+        ['Total deposits', deposits],
+        ['Total withdrawals', withdrawals],
+        ['Closing balance', closingBalance],
+    ])) {
+        ops.push(
+            pdfText(PAGE_MARGIN, y, label, { size: 10 }),
+            pdfText(PAGE_MARGIN + 250, y, value === null ? 'Not available' : formatAmount(value), { size: 10, align: 'right' })
+        );
+        y -= 14;
+    }
+    y -= 16;
+
+    const drawTableHeader = () => {
+        ops.push(
+            pdfText(columns.date, y, 'Date', { bold: true }),
+            pdfText(columns.description, y, 'Description', { bold: true }),
+            pdfText(columns.withdrawals, y, 'Withdrawals', { bold: true, align: 'right' }),
+            pdfText(columns.deposits, y, 'Deposits', { bold: true, align: 'right' }),
+            pdfText(columns.balance, y, 'Balance', { bold: true, align: 'right' }),
+            pdfRule(y - 5)
+        );
+        y -= rowHeight + 4;
+    };
+
+    drawTableHeader();
+
+    if (sorted.length === 0) {
+        ops.push(pdfText(columns.description, y, 'No transactions in this period'));
+    }
+
+    for (const item of sorted) {
+        if (y < PAGE_MARGIN + 20) {
+            pages.push(ops);
+            ops = [];
+            y = PAGE_HEIGHT - PAGE_MARGIN;
+            drawTableHeader();
+        }
+
+        const amount = formatAmount(Math.abs(getSignedAmount(item)));
+        ops.push(
+            pdfText(columns.date, y, item.date),
+            pdfText(columns.description, y, truncateText(item.description || '', descriptionWidth, 9)),
+            pdfText(item.type === 'DEBIT' ? columns.withdrawals : columns.deposits, y, amount, { align: 'right' })
+        );
+        if (typeof item.balance === 'number') {
+            ops.push(pdfText(columns.balance, y, formatAmount(item.balance), { align: 'right' }));
+        }
+        y -= rowHeight;
+    }
+    pages.push(ops);
+
+    // Footers need the page count
+    const contents = pages.map((pageOps, index) => [
+        ...pageOps,
+        pdfRule(PAGE_MARGIN - 8),
+        pdfText(PAGE_MARGIN, PAGE_MARGIN - 22, `Generated by Bank Statement Downloader from ${bankName} transaction data`, { size: 7 }),
+        pdfText(right, PAGE_MARGIN - 22, `Page ${index + 1} of ${pages.length}`, { size: 7, align: 'right' }),
+    ].join('\n'));
+
+    return createPdf(contents, `${bankName} ${account.accountName} statement ${startDate} to ${endDate}`);
 }
 
 /**
  * Downloads a statement file
+ * EQ Bank renders statement PDFs in the browser, so the PDF is generated locally
+ * from the transactions of the statement period.
  * @param {import('./bank.types').Statement} statement - The statement to download
  * @returns {Promise<Blob>}
  */
 export async function downloadStatement(statement) {
-    // PDF download is not currently supported for EQ Bank
-    // The analysis document indicates that EQ Bank generates PDFs client-side using Angular + jsPDF,
-    // and there is no reliable server-side PDF generation API available.
-    // See analyze/eq_bank.md for detailed explanation of the challenges.
-    throw new Error('PDF download is not currently supported for EQ Bank. EQ Bank generates PDFs client-side using Angular + jsPDF, and there is no reliable server-side PDF API. Please use the bank\'s website to download PDFs manually, or use the transaction data directly from getStatements().');
+    const parts = statement.statementId.split('|');
+
+    // Card statement IDs are accountId|fromDateTime|toDateTime; the card API only returns statement summaries
+    if (parts.length !== 4) {
+        throw createBankError('NotSupported', 'PDF download is not supported for EQ Bank Card statements');
+    }
+
+    const [accountNumber, statementMonthYear, startDate, endDate] = parts;
+
+    try {
+        const items = await fetchPeriodTransactions(statement.account.profile, accountNumber, {
+            statementMonthYear,
+            startDate,
+            endDate,
+        });
+
+        const pdf = renderStatementPdf(statement.account, accountNumber, startDate, endDate, items);
+        return new Blob([pdf], { type: 'application/pdf' });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw new Error(`Failed to download statement: ${err.message}`, { cause: error });
+    }
 }
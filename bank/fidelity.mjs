@@ -3,6 +3,8 @@
  * @see analyze/fidelity.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'fidelity';
 
@@ -39,7 +41,7 @@ function parseFidelityDate(fidelityDate) {
         month = parseInt(monthDay.substring(0, 1), 10);
         day = parseInt(monthDay.substring(1, 3), 10);
     } else {
-        throw new Error(`Invalid Fidelity date format: ${fidelityDate}`);
+        throw createBankError('ParseError', `Invalid Fidelity date format: ${fidelityDate}`);
     }
 
     return new Date(year, month - 1, day);
@@ -75,7 +77,7 @@ export function getSessionId() {
         }
     }
 
-    throw new Error('Fidelity session not found. Please ensure you are logged in to digital.fidelity.com.');
+    throw createBankError('SessionExpired', 'Fidelity session not found. Please ensure you are logged in to digital.fidelity.com.');
 }
 
 /**
@@ -116,7 +118,7 @@ export async function getProfile(sessionId) {
         });
 
         if (!response.ok) {
-            throw new Error(`GetDeliveryPref API request failed: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `GetDeliveryPref API request failed: ${response.status} ${response.statusText}`);
         }
 
         const data = /** @type {any} */ (await response.json());
@@ -134,7 +136,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
 
@@ -197,7 +199,7 @@ export async function getAccounts(profile) {
         });
 
         if (!response.ok) {
-            throw new Error(`GetContext API request failed: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `GetContext API request failed: ${response.status} ${response.statusText}`);
         }
 
         const data = /** @type {any} */ (await response.json());
@@ -238,40 +240,65 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
     }
 }
 
+/**
+ * Get the earliest statement date getStatements can load
+ * Both statement APIs take any date range, Fidelity does not document how far back they go
+ * @returns {null}
+ */
+export function getStatementHistoryStart() {
+    return null;
+}
+
 /**
  * Retrieves all statements for a specific account
  * @param {import('./bank.types').Account} account - The account to get statements for
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to the last 6 months
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     try {
         const isCreditCard = account.accountType === 'CreditCard';
 
         if (isCreditCard) {
-            return await getCreditCardStatements(account);
+            return await getCreditCardStatements(account, options);
         } else {
-            return await getBrokerageStatements(account);
+            return await getBrokerageStatements(account, options);
         }
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements: ${err.message}`);
+        throw new Error(`Failed to get statements: ${err.message}`, { cause: error });
     }
 }
 
 /**
- * Retrieves statements for brokerage/investment accounts
- * @param {import('./bank.types').Account} account - The account
- * @returns {Promise<import('./bank.types').Statement[]>}
+ * Get the date range to request statements for
+ * @param {import('./bank.types').StatementOptions} options - Window of statement dates
+ * @returns {{startDate: string, endDate: string}} Dates in YYYY-MM-DD format, the last 6 months by default
  */
-async function getBrokerageStatements(account) {
+function getStatementDateRange(options) {
     const endDate = new Date();
     const startDate = new Date();
     startDate.setMonth(startDate.getMonth() - 6); // Get last 6 months
 
+    return {
+        startDate: options.from || startDate.toISOString().split('T')[0],
+        endDate: options.to || endDate.toISOString().split('T')[0],
+    };
+}
+
+/**
+ * Retrieves statements for brokerage/investment accounts
+ * @param {import('./bank.types').Account} account - The account
+ * @param {import('./bank.types').StatementOptions} options - Window of statement dates
+ * @returns {Promise<import('./bank.types').Statement[]>}
+ */
+async function getBrokerageStatements(account, options) {
+    const { startDate, endDate } = getStatementDateRange(options);
+
     const query = `query GetStatements($docType: String, $startDate: String, $endDate: String) {
   getStatement(docType: $docType, startDate: $startDate, endDate: $endDate) {
     statement {
@@ -307,15 +334,15 @@ async function getBrokerageStatements(account) {
             operationName: 'GetStatements',
             variables: {
                 docType: 'STMT',
-                startDate: startDate.toISOString().split('T')[0],
-                endDate: endDate.toISOString().split('T')[0],
+                startDate,
+                endDate,
             },
             query: query,
         }),
     });
 
     if (!response.ok) {
-        throw new Error(`GetStatements API request failed: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `GetStatements API request failed: ${response.status} ${response.statusText}`);
     }
 
     const data = /** @type {any} */ (await response.json());
@@ -359,12 +386,11 @@ async function getBrokerageStatements(account) {
 /**
  * Retrieves statements for credit card accounts
  * @param {import('./bank.types').Account} account - The credit card account
+ * @param {import('./bank.types').StatementOptions} options - Window of statement dates
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-async function getCreditCardStatements(account) {
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - 6); // Get last 6 months
+async function getCreditCardStatements(account, options) {
+    const { startDate, endDate } = getStatementDateRange(options);
 
     const query = `query GetStatementsList($accountId: String!, $dateRange: DateRange, $year: String) {
   getStatementsList(accountId: $accountId, dateRange: $dateRange, year: $year) {
@@ -391,8 +417,8 @@ async function getCreditCardStatements(account) {
             variables: {
                 accountId: account.accountId,
                 dateRange: {
-                    startDate: startDate.toISOString().split('T')[0],
-                    endDate: endDate.toISOString().split('T')[0],
+                    startDate,
+                    endDate,
                 },
             },
             query: query,
@@ -400,7 +426,7 @@ async function getCreditCardStatements(account) {
     });
 
     if (!response.ok) {
-        throw new Error(`GetStatementsList API request failed: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `GetStatementsList API request failed: ${response.status} ${response.statusText}`);
     }
 
     const data = /** @type {any} */ (await response.json());
@@ -467,7 +493,7 @@ export async function downloadStatement(statement) {
             });
 
             if (!response.ok) {
-                throw new Error(`Credit card PDF download failed: ${response.status} ${response.statusText}`);
+                throw createResponseError(response, `Credit card PDF download failed: ${response.status} ${response.statusText}`);
             }
 
             const data = /** @type {any} */ (await response.json());
@@ -503,13 +529,13 @@ export async function downloadStatement(statement) {
             });
 
             if (!response.ok) {
-                throw new Error(`PDF download failed: ${response.status} ${response.statusText}`);
+                throw createResponseError(response, `PDF download failed: ${response.status} ${response.statusText}`);
             }
 
             return await response.blob();
         }
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement: ${err.message}`);
+        throw new Error(`Failed to download statement: ${err.message}`, { cause: error });
     }
 }
@@ -3,6 +3,8 @@
  * @see analyze/first_tech_fcu.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'first_tech_fcu';
 
@@ -44,7 +46,7 @@ export async function getProfile(sessionId) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch dashboard: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to fetch dashboard: ${response.status} ${response.statusText}`);
         }
 
         const html = await response.text();
@@ -54,7 +56,7 @@ export async function getProfile(sessionId) {
         const profileName = nameMatch ? nameMatch[1].trim() : '';
 
         if (!profileName) {
-            throw new Error('Failed to extract profile name from dashboard HTML');
+            throw createBankError('ParseError', 'Failed to extract profile name from dashboard HTML');
         }
 
         // Fetch documents data
@@ -69,13 +71,13 @@ export async function getProfile(sessionId) {
         });
 
         if (!documentsResponse.ok) {
-            throw new Error(`Failed to fetch documents: ${documentsResponse.status} ${documentsResponse.statusText}`);
+            throw createResponseError(documentsResponse, `Failed to fetch documents: ${documentsResponse.status} ${documentsResponse.statusText}`);
         }
 
         const documentsData = await documentsResponse.json();
 
         if (!documentsData || !Array.isArray(documentsData.Accounts)) {
-            throw new Error('Invalid response format: missing Accounts array');
+            throw createBankError('ParseError', 'Invalid response format: missing Accounts array');
         }
 
         // Store the entire documents response as profileId (serialized JSON)
@@ -88,7 +90,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to get profile: ${message}`);
+        throw new Error(`Failed to get profile: ${message}`, { cause: error });
     }
 }
 
@@ -132,12 +134,33 @@ export async function getAccounts(profile) {
         });
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to get accounts: ${message}`);
+        throw new Error(`Failed to get accounts: ${message}`, { cause: error });
     }
 }
 
 /**
- * Retrieves all statements for a specific account
+ * Get the document type of a document listing
+ * Types are STMT, TAX, 1099 and NSF (notices); statements are also listed as "Credit Cards" and "Monthly/Quarterly"
+ * @param {any} doc - Document from DocumentListings
+ * @returns {import('./bank.types').DocumentType}
+ */
+function getDocumentType(doc) {
+    const type = doc.Type || '';
+    const name = doc.Name || '';
+    if (type === 'STMT' || type === 'Credit Cards' || type === 'Monthly/Quarterly') {
+        return 'statement';
+    }
+    if (type === 'TAX' || type === '1099' || /tax|1099/i.test(name)) {
+        return 'tax';
+    }
+    if (type === 'NSF' || /notice/i.test(name)) {
+        return 'notice';
+    }
+    return name.includes('Statement') ? 'statement' : 'other';
+}
+
+/**
+ * Retrieves all statements and other documents for a specific account
  * @param {import('./bank.types').Account} account - Account to get statements for
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
@@ -156,23 +179,11 @@ export async function getStatements(account) {
         // Extract last 4 digits from account mask (e.g., "*1644" -> "1644")
         const last4Digits = account.accountMask.replace(/\*/g, '');
 
-        // Filter statements for this specific account
-        // Include documents that are actual statements (Credit Cards, Monthly/Quarterly)
+        // Filter documents for this specific account
         const accountStatements = data.DocumentListings.filter((/** @type {any} */ doc) => {
             const docAccount = doc.Account || '';
             const docDisplayNumber = doc.DisplayAccountNumber || '';
 
-            // Include only actual statement types (not notices, tax forms, etc.)
-            const isStatement = (
-                doc.Type === 'Credit Cards' ||
-                doc.Type === 'Monthly/Quarterly' ||
-                (doc.Name && doc.Name.includes('Statement'))
-            );
-
-            if (!isStatement) {
-                return false;
-            }
-
             // Match by:
             // 1. DisplayAccountNumber (most reliable: "*2301", "*1644")
             // 2. Full account number (for unmasked statements)
@@ -193,15 +204,21 @@ export async function getStatements(account) {
             // Create unique statement ID from provider ID, key, and date
             const statementId = `${statement.ProviderId}_${statement.Key}_${statement.DocumentDate.replace(/\//g, '')}`;
 
-            return {
+            /** @type {import('./bank.types').Statement} */
+            const result = {
                 account,
                 statementId,
                 statementDate: isoDate,
             };
+            const documentType = getDocumentType(statement);
+            if (documentType !== 'statement') {
+                result.documentType = documentType;
+            }
+            return result;
         });
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to get statements: ${message}`);
+        throw new Error(`Failed to get statements: ${message}`, { cause: error });
     }
 }
 
@@ -233,7 +250,7 @@ export async function downloadStatement(statement) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to download statement: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to download statement: ${response.status} ${response.statusText}`);
         }
 
         const contentType = response.headers.get('content-type');
@@ -250,6 +267,6 @@ export async function downloadStatement(statement) {
         return blob;
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to download statement: ${message}`);
+        throw new Error(`Failed to download statement: ${message}`, { cause: error });
     }
 }
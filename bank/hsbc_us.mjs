@@ -3,6 +3,8 @@
  * @see analyze/hsbc_us.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'hsbc_us';
 
@@ -12,6 +14,16 @@ export const bankName = 'HSBC US';
 const BASE_URL = 'https://www.us.hsbc.com';
 const API_BASE = '/api';
 
+/**
+ * Figures of HSBC statement PDFs whose labels the generic patterns miss
+ * The account summary lists "Deposits & Other Credits" and "Withdrawals & Other Debits" without a "Total".
+ * @type {import('./bank.types').StatementPatterns}
+ */
+export const statementPatterns = {
+    totalCredits: [/Deposits (?:&|and) Other Credits\s*(\$?[\d,]+\.\d{2})/i],
+    totalDebits: [/Withdrawals (?:&|and) Other Debits\s*(-?\$?[\d,]+\.\d{2})/i],
+};
+
 /**
  * Get the device fingerprint data from the page
  * This is generated by client-side JavaScript and stored in the page
@@ -66,14 +78,20 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
         ...options.headers,
     };
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include', // Include cookies (dspSession, dxp-pep-token, etc.)
-    });
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include', // Include cookies (dspSession, dxp-pep-token, etc.)
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `HSBC US API request failed: ${err.message} at ${endpoint}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`HSBC US API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
+        throw createResponseError(response, `HSBC US API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
     }
 
     return response;
@@ -114,10 +132,10 @@ export function getSessionId() {
     // Check if user is logged in by looking for authentication indicators
     const authTimeCookie = cookies.find(c => c.startsWith('AUTHTIME='));
     if (!authTimeCookie) {
-        throw new Error('Not logged in to HSBC US. Please log in first.');
+        throw createBankError('SessionExpired', 'Not logged in to HSBC US. Please log in first.');
     }
 
-    throw new Error('Session ID not found. Please ensure you are logged in and try again.');
+    throw createBankError('SessionExpired', 'Session ID not found. Please ensure you are logged in and try again.');
 }
 
 /**
@@ -134,7 +152,7 @@ export async function getProfile(sessionId) {
         const data = /** @type {any} */ (await response.json());
 
         if (!data?.dashboardData?.customerName) {
-            throw new Error('Invalid response format from dashboard data API');
+            throw createBankError('ParseError', 'Invalid response format from dashboard data API');
         }
 
         const customerName = data.dashboardData.customerName;
@@ -147,7 +165,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
 
@@ -192,7 +210,7 @@ export async function getAccounts(profile) {
         const data = /** @type {any} */ (await response.json());
 
         if (!data?.accountList || !Array.isArray(data.accountList)) {
-            throw new Error('Invalid response format from account list API');
+            throw createBankError('ParseError', 'Invalid response format from account list API');
         }
 
         const accounts = [];
@@ -221,7 +239,7 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
     }
 }
 
@@ -242,7 +260,7 @@ export async function getStatements(account) {
         const data = /** @type {any} */ (await response.json());
 
         if (!data?.statements || !Array.isArray(data.statements)) {
-            throw new Error('Invalid response format from statement list API');
+            throw createBankError('ParseError', 'Invalid response format from statement list API');
         }
 
         const statements = [];
@@ -259,13 +277,15 @@ export async function getStatements(account) {
                 statementId: stmt.statementIdentifier,
                 // Convert date to ISO format (YYYY-MM-DD is already in the correct format)
                 statementDate: stmt.statementDate,
+                // Regular statements close their period on the statement date
+                ...(stmt.statementType === 'REGULAR' ? { periodEnd: stmt.statementDate } : {}),
             });
         }
 
         return statements;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements for account ${account.accountMask}: ${err.message}`);
+        throw new Error(`Failed to get statements for account ${account.accountMask}: ${err.message}`, { cause: error });
     }
 }
 
@@ -298,6 +318,6 @@ export async function downloadStatement(statement) {
         return blob;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement for ${statement.statementDate}: ${err.message}`);
+        throw new Error(`Failed to download statement for ${statement.statementDate}: ${err.message}`, { cause: error });
     }
 }
@@ -2,8 +2,11 @@
  * @typedef {import('./bank.types.ts').Profile} Profile
  * @typedef {import('./bank.types.ts').Account} Account
  * @typedef {import('./bank.types.ts').Statement} Statement
+ * @typedef {import('./bank.types.ts').StatementOptions} StatementOptions
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'mbna_ca';
 
@@ -15,6 +18,12 @@ export const bankName = 'MBNA Canada';
  */
 const BASE_URL = 'https://service.mbna.ca/waw/mbna';
 
+/**
+ * Years of statement history, including the current one
+ * MBNA provides up to 7 years of statements
+ */
+const HISTORY_YEARS = 7;
+
 /**
  * Get session ID from cookies or storage
  * Note: JSESSIONID and AUTHSTATE are HttpOnly and cannot be accessed via document.cookie.
@@ -31,7 +40,7 @@ export function getSessionId() {
         }
     }
 
-    throw new Error('Session cookie not found. Please log in first.');
+    throw createBankError('SessionExpired', 'Session cookie not found. Please log in first.');
 }
 
 /**
@@ -49,7 +58,8 @@ export async function getProfile(sessionId) {
     });
 
     if (!response.ok) {
-        throw new Error(
+        throw createResponseError(
+            response,
             `Failed to get profile: ${response.status} ${response.statusText}`
         );
     }
@@ -78,7 +88,8 @@ export async function getAccounts(profile) {
     });
 
     if (!response.ok) {
-        throw new Error(
+        throw createResponseError(
+            response,
             `Failed to get accounts: ${response.status} ${response.statusText}`
         );
     }
@@ -99,18 +110,28 @@ export async function getAccounts(profile) {
     );
 }
 
+/**
+ * Get the start of the oldest year of statement history
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getStatementHistoryStart() {
+    return `${new Date().getFullYear() - HISTORY_YEARS + 1}-01-01`;
+}
+
 /**
  * Get all statements for an account
  * @param {Account} account - The account to get statements for
+ * @param {StatementOptions} [options] - Window of statement dates, defaults to all years of history
  * @returns {Promise<Statement[]>} List of statements
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     const currentYear = new Date().getFullYear();
+    const fromYear = Math.max(options.from ? parseInt(options.from, 10) : 0, currentYear - HISTORY_YEARS + 1);
+    const toYear = Math.min(options.to ? parseInt(options.to, 10) : currentYear, currentYear);
     const statements = [];
 
-    // Try to get statements for the current year and previous years
-    // MBNA provides up to 7 years of statements
-    for (let year = currentYear; year >= currentYear - 6; year--) {
+    // Try to get statements for each year of the window, from the newest
+    for (let year = toYear; year >= fromYear; year--) {
         try {
             const response = await fetch(
                 `${BASE_URL}/accounts/${account.accountId}/statement-history/${year}`,
@@ -123,6 +144,13 @@ export async function getStatements(account) {
                 }
             );
 
+            if (response.status === 401 || response.status === 403) {
+                throw createResponseError(
+                    response,
+                    `Failed to get statements for ${year}: ${response.status} ${response.statusText}`
+                );
+            }
+
             if (!response.ok) {
                 // If we get a 404 or error, this year might not have statements
                 // Continue to the next year instead of throwing
@@ -141,6 +169,10 @@ export async function getStatements(account) {
                 }
             }
         } catch (error) {
+            // An expired session fails every year, so it is not mistaken for a list without statements
+            if (/** @type {import('./bank.types').BankError} */ (error).code === 'SessionExpired') {
+                throw error;
+            }
             // If there's an error for this year, continue to the next year
             continue;
         }
@@ -166,7 +198,8 @@ export async function downloadStatement(statement) {
     });
 
     if (!response.ok) {
-        throw new Error(
+        throw createResponseError(
+            response,
             `Failed to download statement: ${response.status} ${response.statusText}`
         );
     }
@@ -3,6 +3,8 @@
  * @see analyze/paypal.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'paypal';
 
@@ -11,6 +13,14 @@ export const bankName = 'PayPal';
 
 const BASE_URL = 'https://www.paypal.com';
 
+/**
+ * Currencies PayPal keeps balances in, used to tell currency codes from other capitalized words
+ */
+const BALANCE_CURRENCIES = [
+    'AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD', 'HUF', 'ILS',
+    'JPY', 'MXN', 'MYR', 'NOK', 'NZD', 'PHP', 'PLN', 'SEK', 'SGD', 'THB', 'TWD', 'USD',
+];
+
 /**
  * Get the current session ID from cookies or storage
  * Note: PayPal's nsid cookie is HttpOnly and not accessible via JavaScript.
@@ -45,7 +55,7 @@ export function getSessionId() {
         }
     }
 
-    throw new Error('PayPal session not found. Please ensure you are logged in to PayPal.');
+    throw createBankError('SessionExpired', 'PayPal session not found. Please ensure you are logged in to PayPal.');
 }
 
 /**
@@ -62,13 +72,13 @@ export async function getProfile(sessionId) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to retrieve PayPal user profile: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to retrieve PayPal user profile: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
 
     if (!data.userInfo || !data.userInfo.firstName) {
-        throw new Error('PayPal user profile data is missing or invalid');
+        throw createBankError('ParseError', 'PayPal user profile data is missing or invalid');
     }
 
     return {
@@ -87,38 +97,17 @@ export async function getAccounts(profile) {
     const accounts = [];
 
     // Fetch the summary page to parse account information
-    const response = await fetch(`${BASE_URL}/myaccount/summary`, {
-        credentials: 'include',
-        headers: {
-            'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        },
-    });
-
-    if (!response.ok) {
-        throw new Error(`Failed to retrieve PayPal accounts: ${response.status} ${response.statusText}`);
-    }
-
-    const html = await response.text();
+    const html = await getSummaryPage();
 
-    // Parse PayPal balance account (always present for logged-in users)
-    // Look for balance information in the HTML
-    const balanceMatch = html.match(/balance[^>]*>([^<]*USD[^<]*)</i);
-    if (balanceMatch) {
+    // One balance account per currency held, USD when the page shows none
+    for (const currency of getBalanceCurrencies(html)) {
         accounts.push({
             profile,
-            accountId: 'paypal_balance_usd',
-            accountName: 'PayPal Balance (USD)',
-            accountMask: 'USD',
+            accountId: `paypal_balance_${currency.toLowerCase()}`,
+            accountName: `PayPal Balance (${currency})`,
+            accountMask: currency,
             accountType: /** @type {import('./bank.types').AccountType} */ ('Checking'), // PayPal balance acts like a checking account
-        });
-    } else {
-        // Always add the balance account even if we can't find balance in HTML
-        accounts.push({
-            profile,
-            accountId: 'paypal_balance_usd',
-            accountName: 'PayPal Balance (USD)',
-            accountMask: 'USD',
-            accountType: /** @type {import('./bank.types').AccountType} */ ('Checking'),
+            currency,
         });
     }
 
@@ -177,6 +166,44 @@ export async function getAccounts(profile) {
     return accounts;
 }
 
+/**
+ * Fetch the account summary page
+ * @returns {Promise<string>} Summary page HTML
+ */
+async function getSummaryPage() {
+    const response = await fetch(`${BASE_URL}/myaccount/summary`, {
+        credentials: 'include',
+        headers: {
+            'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        },
+    });
+
+    if (!response.ok) {
+        throw createResponseError(response, `Failed to retrieve PayPal accounts: ${response.status} ${response.statusText}`);
+    }
+
+    return response.text();
+}
+
+/**
+ * Find the currencies of the balances on the summary page
+ * Balances are shown as e.g. "$1,234.56 USD" or "€50.00 EUR" in elements whose class or label mentions balance.
+ * @param {string} html - Summary page HTML
+ * @returns {string[]} Currency codes in page order, ['USD'] when none is found
+ */
+function getBalanceCurrencies(html) {
+    /** @type {Set<string>} */
+    const currencies = new Set();
+    for (const [, text] of html.matchAll(/balance[^>]*>([^<]*)</gi)) {
+        for (const code of text.match(/\b[A-Z]{3}\b/g) || []) {
+            if (BALANCE_CURRENCIES.includes(code)) {
+                currencies.add(code);
+            }
+        }
+    }
+    return currencies.size > 0 ? Array.from(currencies) : ['USD'];
+}
+
 /**
  * Get credit card details via GraphQL
  * @param {string} creditAccountId - The credit account ID
@@ -213,7 +240,7 @@ async function getCreditCardDetails(creditAccountId) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to get credit card details: ${response.status}`);
+        throw createResponseError(response, `Failed to get credit card details: ${response.status}`);
     }
 
     const data = await response.json();
@@ -241,16 +268,19 @@ export async function getStatements(account) {
                 account,
                 statementId: stmt.statementId,
                 statementDate: stmt.statementDate,
+                ...(stmt.closingBalance !== undefined ? { closingBalance: stmt.closingBalance } : {}),
             });
         }
     } else {
-        // Get PayPal balance transaction statements
+        // The statements API takes no currency: each monthly statement covers every currency balance,
+        // so every balance account lists it, marked as combined
         const balanceStatements = await getBalanceStatements();
         for (const stmt of balanceStatements) {
             statements.push({
                 account,
                 statementId: stmt.statementId,
                 statementDate: stmt.statementDate,
+                combined: true,
             });
         }
     }
@@ -271,7 +301,7 @@ async function getBalanceStatements() {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to retrieve PayPal balance statements: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to retrieve PayPal balance statements: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
@@ -293,10 +323,23 @@ async function getBalanceStatements() {
     return statements;
 }
 
+/**
+ * Parse an amount formatted by the credit card API, e.g. "$1,234.56" or "-$5.00"
+ * @param {unknown} value
+ * @returns {number | undefined}
+ */
+function parseFormattedCurrency(value) {
+    if (typeof value !== 'string' || !/\d/.test(value)) {
+        return undefined;
+    }
+    const amount = parseFloat(value.replace(/[^\d.-]/g, ''));
+    return Number.isNaN(amount) ? undefined : amount;
+}
+
 /**
  * Get credit card statements via GraphQL
  * @param {string} creditAccountId - The credit account ID
- * @returns {Promise<Array<{statementId: string, statementDate: string}>>}
+ * @returns {Promise<Array<{statementId: string, statementDate: string, closingBalance?: number}>>}
  */
 async function getCreditCardStatements(creditAccountId) {
     // Extract CSRF token from credit card page
@@ -313,6 +356,9 @@ async function getCreditCardStatements(creditAccountId) {
         formattedDateString
         formattedDateStringLong
       }
+      formattedTotalBalance {
+        formattedCurrency
+      }
     }
   }
 }`;
@@ -336,7 +382,7 @@ async function getCreditCardStatements(creditAccountId) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to retrieve credit card statements: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to retrieve credit card statements: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
@@ -348,6 +394,7 @@ async function getCreditCardStatements(creditAccountId) {
             statements.push({
                 statementId: header.statementId, // YYYY-MM-DD format
                 statementDate: header.statementId, // Already in ISO format
+                closingBalance: parseFormattedCurrency(header.formattedTotalBalance?.formattedCurrency),
             });
         }
     }
@@ -381,14 +428,14 @@ async function getCsrfToken() {
     );
 
     if (!response.ok) {
-        throw new Error(`Failed to load credit card page: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to load credit card page: ${response.status} ${response.statusText}`);
     }
 
     const html = await response.text();
     const csrfMatch = html.match(/"_csrf":"([^"]+)"/);
 
     if (!csrfMatch) {
-        throw new Error('CSRF token not found in page');
+        throw createBankError('ParseError', 'CSRF token not found in page');
     }
 
     // Decode unicode escapes (e.g., \u002F -> /)
@@ -433,7 +480,7 @@ async function downloadBalanceStatement(statementId) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to download PayPal balance statement: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to download PayPal balance statement: ${response.status} ${response.statusText}`);
     }
 
     const blob = await response.blob();
@@ -473,7 +520,7 @@ async function downloadCreditCardStatement(creditAccountId, statementId) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to download credit card statement: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to download credit card statement: ${response.status} ${response.statusText}`);
     }
 
     const blob = await response.blob();
@@ -3,6 +3,8 @@
  * @see analyze/questrade.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'questrade';
 
@@ -100,7 +102,8 @@ export function getSessionId() {
         }
     }
 
-    throw new Error(
+    throw createBankError(
+        'SessionExpired',
         'Questrade session not found. Please ensure you are logged in. ' +
         'The Bearer token must be available in sessionStorage, localStorage, or cookies.'
     );
@@ -250,13 +253,13 @@ export async function getProfile(sessionId) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to get user profile: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to get user profile: ${response.status} ${response.statusText}`);
         }
 
         const data = await response.json();
 
         if (!data || typeof data !== 'object') {
-            throw new Error('Invalid response format from userinfo API');
+            throw createBankError('ParseError', 'Invalid response format from userinfo API');
         }
 
         // The API may return an array or object depending on context
@@ -301,13 +304,13 @@ export async function getAccounts(profile) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to get accounts: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to get accounts: ${response.status} ${response.statusText}`);
         }
 
         const data = await response.json();
 
         if (!data || typeof data !== 'object' || !Array.isArray(data.accounts)) {
-            throw new Error('Invalid response format from brokerage accounts API');
+            throw createBankError('ParseError', 'Invalid response format from brokerage accounts API');
         }
 
         const accounts = [];
@@ -332,7 +335,7 @@ export async function getAccounts(profile) {
 
         return accounts;
     } catch (error) {
-        throw new Error(`Failed to retrieve Questrade accounts: ${error instanceof Error ? error.message : String(error)}`);
+        throw new Error(`Failed to retrieve Questrade accounts: ${error instanceof Error ? error.message : String(error)}`, { cause: error });
     }
 }
 
@@ -368,13 +371,13 @@ export async function getStatements(account) {
         );
 
         if (!response.ok) {
-            throw new Error(`Failed to get statements: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to get statements: ${response.status} ${response.statusText}`);
         }
 
         const data = await response.json();
 
         if (!data || !Array.isArray(data)) {
-            throw new Error('Invalid response format from statement API - expected array');
+            throw createBankError('ParseError', 'Invalid response format from statement API - expected array');
         }
 
         // The API returns an array of account objects, each with a documents array
@@ -415,7 +418,7 @@ export async function getStatements(account) {
 
         return statements;
     } catch (error) {
-        throw new Error(`Failed to retrieve Questrade statements: ${error instanceof Error ? error.message : String(error)}`);
+        throw new Error(`Failed to retrieve Questrade statements: ${error instanceof Error ? error.message : String(error)}`, { cause: error });
     }
 }
 
@@ -446,7 +449,7 @@ export async function downloadStatement(statement) {
         );
 
         if (!response.ok) {
-            throw new Error(`Failed to download statement: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to download statement: ${response.status} ${response.statusText}`);
         }
 
         const blob = await response.blob();
@@ -462,6 +465,6 @@ export async function downloadStatement(statement) {
 
         return blob;
     } catch (error) {
-        throw new Error(`Failed to download Questrade statement: ${error instanceof Error ? error.message : String(error)}`);
+        throw new Error(`Failed to download Questrade statement: ${error instanceof Error ? error.message : String(error)}`, { cause: error });
     }
 }
@@ -3,6 +3,9 @@
  * @see analyze/simplii.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+import { createRequestClient } from '../extension/request.mjs';
+
 /** @type {string} */
 export const bankId = 'simplii';
 
@@ -11,6 +14,18 @@ export const bankName = 'Simplii Financial';
 
 const BASE_URL = 'https://online.simplii.com';
 
+/** Months of statements offered by the statements page */
+const HISTORY_MONTHS = 24;
+
+/** getStatements sends one POST per month, so requests go out one at a time and at most twice a second */
+const requestClient = createRequestClient({ concurrency: 1, requestsPerSecond: 2 });
+
+/**
+ * Simplii answers 401 when a one-time verification code is needed, 403 when signed out
+ * @type {Record<number, import('./bank.types').BankErrorCode>}
+ */
+const STATUS_CODES = { 401: 'MfaRequired' };
+
 /**
  * Retrieves the current session ID from browser storage
  * @returns {string}
@@ -37,7 +52,7 @@ export function getSessionId() {
         }
     }
 
-    throw new Error('Simplii session token not found. Please ensure you are logged in.');
+    throw createBankError('SessionExpired', 'Simplii session token not found. Please ensure you are logged in.');
 }
 
 /**
@@ -62,23 +77,37 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
         ...options.headers,
     };
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include',
-    });
+    let response;
+    try {
+        response = await requestClient.fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include',
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `Simplii API request failed: ${err.message} at ${endpoint}`);
+    }
 
     if (!response.ok) {
         // 422 is expected for missing statements
         if (response.status === 422) {
             return response;
         }
-        throw new Error(`Simplii API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
+        throw createResponseError(response, `Simplii API request failed: ${response.status} ${response.statusText} at ${endpoint}`, STATUS_CODES);
     }
 
     return response;
 }
 
+/**
+ * Get the timing of the requests sent so far
+ * @returns {import('./bank.types').RequestMetrics}
+ */
+export function getRequestMetrics() {
+    return requestClient.getMetrics();
+}
+
 /**
  * Retrieves the current user profile
  * @param {string} sessionId - The session token
@@ -100,7 +129,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to retrieve Simplii profile: ${message}`);
+        throw new Error(`Failed to retrieve Simplii profile: ${message}`, { cause: error });
     }
 }
 
@@ -132,7 +161,7 @@ export async function getAccounts(profile) {
         const data = await response.json();
 
         if (!data || !data.accounts || !Array.isArray(data.accounts)) {
-            throw new Error('Invalid accounts response format');
+            throw createBankError('ParseError', 'Invalid accounts response format');
         }
 
         return data.accounts.map((/** @type {any} */ account) => {
@@ -173,30 +202,94 @@ export async function getAccounts(profile) {
         });
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to retrieve Simplii accounts: ${message}`);
+        throw new Error(`Failed to retrieve Simplii accounts: ${message}`, { cause: error });
+    }
+}
+
+/**
+ * Get the first day of the oldest month offered by the statements page
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getStatementHistoryStart() {
+    const now = new Date();
+    const start = new Date(now.getFullYear(), now.getMonth() - HISTORY_MONTHS, 1);
+    return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-01`;
+}
+
+/**
+ * Outcome of each month requested by getStatements, by account ID and then month (YYYY-MM)
+ * Kept for the life of the page, so months of earlier windows are still reported.
+ * @type {Map<string, Map<string, import('./bank.types').StatementProbe>>}
+ */
+const statementProbes = new Map();
+
+/**
+ * Remember what the bank answered for a month
+ * @param {import('./bank.types').Account} account
+ * @param {string} year
+ * @param {string} month - Month as string (1-12)
+ * @param {import('./bank.types').StatementProbeStatus} status
+ * @param {unknown} [error]
+ */
+function recordProbe(account, year, month, status, error) {
+    const probes = statementProbes.get(account.accountId) || new Map();
+    const key = `${year}-${month.padStart(2, '0')}`;
+    /** @type {import('./bank.types').StatementProbe} */
+    const probe = { month: key, status };
+    if (error !== undefined) {
+        probe.error = error instanceof Error ? error.message : String(error);
     }
+    probes.set(key, probe);
+    statementProbes.set(account.accountId, probes);
 }
 
 /**
- * Retrieves all available statements for an account by querying the past 12 months
+ * Get the outcome of every month requested for an account, ordered by month
+ * @param {import('./bank.types').Account} account
+ * @returns {import('./bank.types').StatementProbe[]}
+ */
+export function getStatementProbes(account) {
+    return Array.from(statementProbes.get(account.accountId)?.values() || [])
+        .sort((a, b) => a.month.localeCompare(b.month));
+}
+
+/**
+ * Retrieves all available statements for an account by querying each month of the window
  * @param {import('./bank.types').Account} account - The account
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to the past 12 months
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     try {
         const statements = [];
         const currentDate = new Date();
 
-        // Calculate the earliest date to check (12 months ago or account open date)
+        // Calculate the earliest date to check (start of the window, 12 months ago by default,
+        // but not before the statement history or the account open date)
         const acct = /** @type {typeof account & {_openDate?: string}} */ (account);
         const openDate = acct._openDate ? new Date(acct._openDate) : null;
-        const oneYearAgo = new Date(currentDate);
-        oneYearAgo.setMonth(oneYearAgo.getMonth() - 12);
-
-        const startDate = openDate && openDate > oneYearAgo ? openDate : oneYearAgo;
+        let startDate = new Date(currentDate);
+        startDate.setMonth(startDate.getMonth() - 12);
+        if (options.from) {
+            const [fromYear, fromMonth] = options.from.split('-').map(Number);
+            startDate = new Date(Math.max(
+                new Date(fromYear, fromMonth - 1, 1).getTime(),
+                new Date(`${getStatementHistoryStart()}T00:00:00`).getTime()
+            ));
+        }
+        if (openDate && openDate > startDate) {
+            startDate = openDate;
+        }
 
-        // Iterate through each month from current back to start date
-        const checkDate = new Date(currentDate);
+        // Iterate through each month from the end of the window back to start date
+        let checkDate = new Date(currentDate);
+        if (options.to) {
+            const [toYear, toMonth] = options.to.split('-').map(Number);
+            const toDate = new Date(toYear, toMonth - 1, 1);
+            if (toDate < checkDate) {
+                checkDate = toDate;
+            }
+        }
 
         while (checkDate >= startDate) {
             const month = String(checkDate.getMonth() + 1); // 1-12
@@ -207,9 +300,16 @@ export async function getStatements(account) {
                 if (statement) {
                     statements.push(statement);
                 }
+                recordProbe(account, year, month, statement ? 'found' : 'empty');
             } catch (error) {
-                // Ignore 422 errors (statement doesn't exist)
-                // Continue checking other months
+                recordProbe(account, year, month, 'failed', error);
+                // Signing in again or verifying fixes every month, so stop instead of skipping them all.
+                // A month still rate limited after the retries means the next ones would be too.
+                const code = /** @type {import('./bank.types').BankError} */ (error).code;
+                if (code === 'SessionExpired' || code === 'MfaRequired' || code === 'RateLimited') {
+                    throw error;
+                }
+                // Continue checking other months; the failure is reported by getStatementProbes
             }
 
             // Move to previous month
@@ -219,7 +319,7 @@ export async function getStatements(account) {
         return statements;
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to retrieve Simplii statements: ${message}`);
+        throw new Error(`Failed to retrieve Simplii statements: ${message}`, { cause: error });
     }
 }
 
@@ -255,7 +355,7 @@ async function requestStatement(account, month, year) {
     }
 
     if (!response.ok) {
-        throw new Error(`Failed to request statement for ${year}-${month}: ${response.status}`);
+        throw createResponseError(response, `Failed to request statement for ${year}-${month}: ${response.status}`, STATUS_CODES);
     }
 
     const data = await response.json();
@@ -268,11 +368,16 @@ async function requestStatement(account, month, year) {
 
     // Create statement date (first day of the statement month)
     const statementDate = new Date(parseInt(year), parseInt(month) - 1, 1);
+    const lastDay = new Date(parseInt(year), parseInt(month), 0).getDate();
+    const monthPrefix = `${year}-${String(month).padStart(2, '0')}`;
 
     return {
         account: account,
         statementId: eStatement.fileUri, // UUID for downloading
         statementDate: statementDate.toISOString(),
+        // eStatements are requested by calendar month
+        periodStart: `${monthPrefix}-01`,
+        periodEnd: `${monthPrefix}-${String(lastDay).padStart(2, '0')}`,
     };
 }
 
@@ -302,7 +407,7 @@ export async function downloadStatement(statement) {
         );
 
         if (!response.ok) {
-            throw new Error(`Failed to download statement: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to download statement: ${response.status} ${response.statusText}`, STATUS_CODES);
         }
 
         const blob = await response.blob();
@@ -314,6 +419,6 @@ export async function downloadStatement(statement) {
         return blob;
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to download Simplii statement: ${message}`);
+        throw new Error(`Failed to download Simplii statement: ${message}`, { cause: error });
     }
 }
@@ -3,6 +3,8 @@
  * @see analyze/sofi.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /**
  * @typedef {import('./bank.types').Profile} Profile
  * @typedef {import('./bank.types').Account} Account
@@ -71,7 +73,7 @@ export async function getProfile(sessionId) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to retrieve profile: HTTP ${response.status}`);
+            throw createResponseError(response, `Failed to retrieve profile: HTTP ${response.status}`);
         }
 
         const data = await response.json();
@@ -83,7 +85,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to retrieve profile: ${message}`);
+        throw new Error(`Failed to retrieve profile: ${message}`, { cause: error });
     }
 }
 
@@ -103,13 +105,13 @@ export async function getAccounts(profile) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to retrieve accounts: HTTP ${response.status}`);
+            throw createResponseError(response, `Failed to retrieve accounts: HTTP ${response.status}`);
         }
 
         const data = await response.json();
 
         if (!data.accounts || !Array.isArray(data.accounts)) {
-            throw new Error('Invalid response format: accounts array not found');
+            throw createBankError('ParseError', 'Invalid response format: accounts array not found');
         }
 
         return data.accounts.map((/** @type {any} */ account) => ({
@@ -122,7 +124,7 @@ export async function getAccounts(profile) {
         }));
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to retrieve accounts: ${message}`);
+        throw new Error(`Failed to retrieve accounts: ${message}`, { cause: error });
     }
 }
 
@@ -142,13 +144,13 @@ export async function getStatements(account) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to retrieve statements: HTTP ${response.status}`);
+            throw createResponseError(response, `Failed to retrieve statements: HTTP ${response.status}`);
         }
 
         const data = await response.json();
 
         if (!Array.isArray(data)) {
-            throw new Error('Invalid response format: expected array of statements');
+            throw createBankError('ParseError', 'Invalid response format: expected array of statements');
         }
 
         // SoFi provides combined statements that include all accounts
@@ -160,7 +162,7 @@ export async function getStatements(account) {
         }));
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to retrieve statements: ${message}`);
+        throw new Error(`Failed to retrieve statements: ${message}`, { cause: error });
     }
 }
 
@@ -188,7 +190,7 @@ export async function downloadStatement(statement) {
         );
 
         if (!response.ok) {
-            throw new Error(`Failed to download statement: HTTP ${response.status}`);
+            throw createResponseError(response, `Failed to download statement: HTTP ${response.status}`);
         }
 
         const contentType = response.headers.get('content-type');
@@ -199,7 +201,7 @@ export async function downloadStatement(statement) {
         return await response.blob();
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error(`Failed to download statement: ${message}`);
+        throw new Error(`Failed to download statement: ${message}`, { cause: error });
     }
 }
 
@@ -3,6 +3,9 @@
  * @see analyze/tangerine.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+import { createRequestClient } from '../extension/request.mjs';
+
 /** @type {string} */
 export const bankId = 'tangerine';
 
@@ -11,6 +14,9 @@ export const bankName = 'Tangerine';
 
 const BASE_URL = 'https://secure.tangerine.ca';
 
+/** getStatements asks for each month separately, so requests go out one at a time */
+const requestClient = createRequestClient({ concurrency: 1 });
+
 /**
  * Makes an authenticated API request with all required headers
  * @param {string} endpoint - API endpoint path
@@ -27,14 +33,20 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
         ...options.headers,
     };
 
-    const response = await fetch(url, {
-        ...options,
-        headers,
-        credentials: 'include', // Include cookies
-    });
+    let response;
+    try {
+        response = await requestClient.fetch(url, {
+            ...options,
+            headers,
+            credentials: 'include', // Include cookies
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `Tangerine API request failed: ${err.message} at ${endpoint}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`Tangerine API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
+        throw createResponseError(response, `Tangerine API request failed: ${response.status} ${response.statusText} at ${endpoint}`);
     }
 
     return response;
@@ -57,7 +69,15 @@ export function getSessionId() {
         return cookie.split('=')[1].trim();
     }
 
-    throw new Error('No session identifier found. Please log in to Tangerine.');
+    throw createBankError('SessionExpired', 'No session identifier found. Please log in to Tangerine.');
+}
+
+/**
+ * Get the timing of the requests sent so far
+ * @returns {import('./bank.types').RequestMetrics}
+ */
+export function getRequestMetrics() {
+    return requestClient.getMetrics();
 }
 
 /**
@@ -79,7 +99,7 @@ export async function getProfile(sessionId) {
         const data = await response.json();
 
         if (!data || !data.customer) {
-            throw new Error('Invalid response format from customer profile API');
+            throw createBankError('ParseError', 'Invalid response format from customer profile API');
         }
 
         const customer = data.customer;
@@ -92,7 +112,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error('Failed to get profile: ' + message);
+        throw new Error('Failed to get profile: ' + message, { cause: error });
     }
 }
 
@@ -112,7 +132,7 @@ export async function getAccounts(profile) {
         const data = await response.json();
 
         if (!data || !data.accounts) {
-            throw new Error('Invalid response format from accounts API');
+            throw createBankError('ParseError', 'Invalid response format from accounts API');
         }
 
         const accounts = [];
@@ -159,18 +179,28 @@ export async function getAccounts(profile) {
         return accounts;
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error('Failed to get accounts: ' + message);
+        throw new Error('Failed to get accounts: ' + message, { cause: error });
     }
 }
 
+/**
+ * Get the earliest statement date getStatements can load
+ * The statements API lists every month Tangerine keeps, so there is no fixed limit
+ * @returns {null}
+ */
+export function getStatementHistoryStart() {
+    return null;
+}
+
 /**
  * Get all statements for an account
  * Note: Tangerine's API returns statements for ALL accounts in a single call,
  * so we need to filter by account type. We also need to iterate through all available months.
  * @param {import('./bank.types').Account} account - The account
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to the last 12 available months
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     try {
         // First, get the list of available months
         const initialResponse = await makeAuthenticatedRequest(
@@ -186,7 +216,7 @@ export async function getStatements(account) {
         const initialData = await initialResponse.json();
 
         if (!initialData || !initialData.months) {
-            throw new Error('Invalid response format from statements API');
+            throw createBankError('ParseError', 'Invalid response format from statements API');
         }
 
         const allStatements = [];
@@ -204,8 +234,13 @@ export async function getStatements(account) {
         const mappedType = accountTypeMap[account.accountType];
         const targetTypes = Array.isArray(mappedType) ? mappedType : [mappedType];
 
-        // Limit to last 12 months to avoid too many requests
-        const monthsToFetch = initialData.months.slice(0, 12);
+        // Only fetch the months of the window, or the last 12 months to avoid too many requests
+        const fromMonth = options.from ? options.from.slice(0, 7) : null;
+        const toMonth = options.to ? options.to.slice(0, 7) : null;
+        const monthsInWindow = initialData.months.filter((/** @type {{month: string}} */ monthInfo) =>
+            (!fromMonth || monthInfo.month >= fromMonth) && (!toMonth || monthInfo.month <= toMonth)
+        );
+        const monthsToFetch = fromMonth ? monthsInWindow : monthsInWindow.slice(0, 12);
 
         // Iterate through each available month and fetch statements
         for (const monthInfo of monthsToFetch) {
@@ -237,6 +272,10 @@ export async function getStatements(account) {
                     }
                 }
             } catch (error) {
+                // Signed out: the remaining months would fail the same way
+                if (/** @type {import('./bank.types').BankError} */ (error).code === 'SessionExpired') {
+                    throw error;
+                }
                 // Continue with other months if one fails
                 console.warn(`Failed to fetch statements for ${month}:`, error);
             }
@@ -248,7 +287,7 @@ export async function getStatements(account) {
         return allStatements;
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error('Failed to get statements: ' + message);
+        throw new Error('Failed to get statements: ' + message, { cause: error });
     }
 }
 
@@ -297,6 +336,6 @@ export async function downloadStatement(statement) {
         return await response.blob();
     } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
-        throw new Error('Failed to download statement: ' + message);
+        throw new Error('Failed to download statement: ' + message, { cause: error });
     }
 }
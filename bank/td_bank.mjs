@@ -14,6 +14,8 @@
  * 3. /waw/api/* endpoints now work with the JESSIONID cookie
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'td_bank';
 
@@ -22,6 +24,18 @@ export const bankName = 'TD Bank (EasyWeb)';
 
 const BASE_URL = 'https://easyweb.td.com';
 
+/**
+ * Figures of TD statement PDFs whose labels the generic patterns miss
+ * Credit card statements open their summary with "Previous Statement Balance" and list
+ * "Payments & Credits" and "Purchases & Debits".
+ * @type {import('./bank.types').StatementPatterns}
+ */
+export const statementPatterns = {
+    openingBalance: [/Previous Statement Balance:?\s*(-?\$?[\d,]+\.\d{2})/i],
+    totalCredits: [/Payments (?:&|and) Credits:?\s*(-?\$?[\d,]+\.\d{2})/i],
+    totalDebits: [/Purchases (?:&|and) Debits:?\s*\+?(\$?[\d,]+\.\d{2})/i],
+};
+
 /**
  * Get the current session ID from cookies
  * @returns {string}
@@ -44,7 +58,7 @@ export function getSessionId() {
     }
 
     if (!jessionId) {
-        throw new Error('JESSIONID cookie not found. Please ensure you are logged in to TD EasyWeb.');
+        throw createBankError('SessionExpired', 'JESSIONID cookie not found. Please ensure you are logged in to TD EasyWeb.');
     }
 
     return hd4bjx6n || jessionId;
@@ -80,7 +94,7 @@ async function initializeWawSession() {
     });
 
     if (!servletResponse.ok) {
-        throw new Error(`EStatementAccountRepositoryServlet failed: ${servletResponse.status}`);
+        throw createResponseError(servletResponse, `EStatementAccountRepositoryServlet failed: ${servletResponse.status}`);
     }
 
     const ssoResponse = await fetch(`${BASE_URL}/waw/api/ssologin`, {
@@ -105,7 +119,7 @@ async function initializeWawSession() {
     });
 
     if (!ssoResponse.ok) {
-        throw new Error(`SSO login failed: ${ssoResponse.status}`);
+        throw createResponseError(ssoResponse, `SSO login failed: ${ssoResponse.status}`);
     }
 }
 
@@ -131,13 +145,13 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
             await initializeWawSession();
             const retryResponse = await fetch(url, { ...options, headers, credentials: 'include' });
             if (!retryResponse.ok) {
-                throw new Error(`API request failed after session init: ${retryResponse.status} at ${endpoint}`);
+                throw createResponseError(retryResponse, `API request failed after session init: ${retryResponse.status} at ${endpoint}`);
             }
             return retryResponse;
         }
 
         if (!response.ok) {
-            throw new Error(`API request failed: ${response.status} at ${endpoint}`);
+            throw createResponseError(response, `API request failed: ${response.status} at ${endpoint}`);
         }
         return response;
     }
@@ -164,7 +178,7 @@ async function makeAuthenticatedRequest(endpoint, options = {}) {
     const response = await fetch(url, { ...options, headers, credentials: 'include' });
 
     if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} at ${endpoint}`);
+        throw createResponseError(response, `API request failed: ${response.status} at ${endpoint}`);
     }
     return response;
 }
@@ -179,7 +193,7 @@ export async function getProfile(sessionId) {
     const data = /** @type {{displayName: string, firstName: string, initials: string}} */ (await response.json());
 
     if (!data?.displayName) {
-        throw new Error('Invalid profile data received');
+        throw createBankError('ParseError', 'Invalid profile data received');
     }
 
     return {
@@ -218,7 +232,7 @@ export async function getAccounts(profile) {
     }>}} */ (await response.json());
 
     if (!Array.isArray(data?.accountList)) {
-        throw new Error('Invalid account list data received');
+        throw createBankError('ParseError', 'Invalid account list data received');
     }
 
     return data.accountList.map(account => ({
@@ -230,6 +244,17 @@ export async function getAccounts(profile) {
     }));
 }
 
+/**
+ * Get the earliest statement date getStatements can load
+ * The document list is requested with period=Last_12_Months, the only period known to work
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getStatementHistoryStart() {
+    const start = new Date();
+    start.setMonth(start.getMonth() - 12);
+    return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+}
+
 /**
  * Retrieves available statements for an account
  * @param {import('./bank.types').Account} account - The account
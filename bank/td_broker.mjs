@@ -14,6 +14,8 @@
  * automatically via credentials: 'include'.
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'td_broker';
 
@@ -23,6 +25,9 @@ export const bankName = 'TD Direct Investing (WebBroker)';
 const BASE_URL = 'https://webbroker.td.com';
 const API_BASE = `${BASE_URL}/waw/brk/wb/services/rest`;
 
+/** Years of statements kept by TD */
+const HISTORY_YEARS = 7;
+
 /**
  * Get the current session ID from cookies
  * Uses XSRF-TOKEN or com.td.last_login as session identifier (accessible cookies)
@@ -54,7 +59,8 @@ export function getSessionId() {
         return lastLogin;
     }
 
-    throw new Error(
+    throw createBankError(
+        'SessionExpired',
         'TD WebBroker session not found. Please ensure you are logged in to webbroker.td.com.'
     );
 }
@@ -76,7 +82,7 @@ export async function getProfile(sessionId) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to get profile: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to get profile: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
@@ -87,7 +93,7 @@ export async function getProfile(sessionId) {
     const payload = data.payload || data;
 
     if (!payload || !payload.connectId) {
-        throw new Error('Profile API returned no valid data');
+        throw createBankError('ParseError', 'Profile API returned no valid data');
     }
 
     return {
@@ -125,7 +131,7 @@ export async function getAccounts(profile) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to get accounts: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to get accounts: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
@@ -137,7 +143,7 @@ export async function getAccounts(profile) {
     const groups = Array.isArray(data) ? data : (data.payload || []);
 
     if (!Array.isArray(groups)) {
-        throw new Error('Accounts API returned invalid data format');
+        throw createBankError('ParseError', 'Accounts API returned invalid data format');
     }
 
     return groups.map((group) => ({
@@ -180,16 +186,36 @@ function formatDateParam(date) {
     return `${year}-${month}-${day}T00:00:00`;
 }
 
+/**
+ * Get the earliest date of the statement history
+ * @returns {Date}
+ */
+function getHistoryStartDate() {
+    const date = new Date();
+    date.setFullYear(date.getFullYear() - HISTORY_YEARS);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * Get the earliest statement date getStatements can load
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function getStatementHistoryStart() {
+    return formatDateParam(getHistoryStartDate()).split('T')[0];
+}
+
 /**
  * Get all statements for an account
  * @param {import('./bank.types').Account} account - The account to get statements for
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to all years of history
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
-    // Get statements for the last 7 years (TD typically keeps statements for 7 years)
-    const toDate = new Date();
-    const fromDate = new Date();
-    fromDate.setFullYear(fromDate.getFullYear() - 7);
+export async function getStatements(account, options = {}) {
+    const historyStart = getHistoryStartDate();
+    const from = options.from ? new Date(`${options.from}T00:00:00`) : historyStart;
+    const fromDate = from > historyStart ? from : historyStart;
+    const toDate = options.to ? new Date(`${options.to}T00:00:00`) : new Date();
 
     const fromDateStr = formatDateParam(fromDate);
     const toDateStr = formatDateParam(toDate);
@@ -205,7 +231,7 @@ export async function getStatements(account) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to get statements: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to get statements: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
@@ -297,12 +323,12 @@ export async function downloadStatement(statement) {
     });
 
     if (!response.ok) {
-        throw new Error(`Failed to download statement: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `Failed to download statement: ${response.status} ${response.statusText}`);
     }
 
     const contentType = response.headers.get('Content-Type');
     if (!contentType || !contentType.includes('application/pdf')) {
-        throw new Error(`Unexpected content type: ${contentType}`);
+        throw createBankError('ParseError', `Unexpected content type: ${contentType}`);
     }
 
     return response.blob();
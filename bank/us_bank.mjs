@@ -3,6 +3,8 @@
  * @see analyze/us_bank.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'us_bank';
 
@@ -13,6 +15,19 @@ const BASE_URL = 'https://onlinebanking.usbank.com';
 const GRAPHQL_URL = `${BASE_URL}/digital/api/customer-management/graphql/v2`;
 const DOWNLOAD_URL = `${BASE_URL}/digital/api/customer-management/servicing/files/v1/downloads`;
 
+/**
+ * Figures of US Bank statement PDFs whose labels the generic patterns miss
+ * The account summary of bank statements dates its balances, e.g. "Beginning Balance on Sep 1 $X"
+ * and "Ending Balance on Sep 30, 2025 $X"; card statements list "Purchases and Other Debits".
+ * @type {import('./bank.types').StatementPatterns}
+ */
+export const statementPatterns = {
+    periodEnd: [/Ending Balance on ([A-Z][a-z]{2}\.? \d{1,2}, \d{4})/i],
+    openingBalance: [/Beginning Balance on [A-Z][a-z]{2}\.? \d{1,2}(?:, \d{4})?\s*(-?\$?[\d,]+\.\d{2}-?)/i],
+    closingBalance: [/Ending Balance on [A-Z][a-z]{2}\.? \d{1,2}, \d{4}\s*(-?\$?[\d,]+\.\d{2}-?)/i],
+    totalDebits: [/Purchases and Other Debits\s*\+?(\$?[\d,]+\.\d{2})/i],
+};
+
 /**
  * Get the current session ID from cookies
  * @returns {string}
@@ -25,7 +40,7 @@ export function getSessionId() {
             return value;
         }
     }
-    throw new Error('PIM-SESSION-ID cookie not found. Please ensure you are logged in.');
+    throw createBankError('SessionExpired', 'PIM-SESSION-ID cookie not found. Please ensure you are logged in.');
 }
 
 /**
@@ -47,7 +62,7 @@ function getUsername() {
         return users['0'].user_id;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to retrieve username from localStorage: ${err.message}`);
+        throw new Error(`Failed to retrieve username from localStorage: ${err.message}`, { cause: error });
     }
 }
 
@@ -58,7 +73,7 @@ function getUsername() {
 function getAuthToken() {
     const token = sessionStorage.getItem('AccessToken');
     if (!token) {
-        throw new Error('AccessToken not found in sessionStorage. Please ensure you are logged in.');
+        throw createBankError('SessionExpired', 'AccessToken not found in sessionStorage. Please ensure you are logged in.');
     }
     return token;
 }
@@ -73,30 +88,36 @@ function getAuthToken() {
 async function makeGraphQLRequest(operationName, query, variables) {
     const authToken = getAuthToken();
 
-    const response = await fetch(GRAPHQL_URL, {
-        method: 'POST',
-        headers: {
-            'accept': '*/*',
-            'content-type': 'application/json',
-            'application-id': 'WEBCD',
-            'service-version': '2',
-            'authorization': `Bearer ${authToken}`,
-            'origin': BASE_URL,
-            'referer': `${BASE_URL}/digital/servicing/shellapp/`,
-            'sec-fetch-dest': 'empty',
-            'sec-fetch-mode': 'cors',
-            'sec-fetch-site': 'same-origin',
-        },
-        credentials: 'include',
-        body: JSON.stringify({
-            operationName,
-            query,
-            variables,
-        }),
-    });
+    let response;
+    try {
+        response = await fetch(GRAPHQL_URL, {
+            method: 'POST',
+            headers: {
+                'accept': '*/*',
+                'content-type': 'application/json',
+                'application-id': 'WEBCD',
+                'service-version': '2',
+                'authorization': `Bearer ${authToken}`,
+                'origin': BASE_URL,
+                'referer': `${BASE_URL}/digital/servicing/shellapp/`,
+                'sec-fetch-dest': 'empty',
+                'sec-fetch-mode': 'cors',
+                'sec-fetch-site': 'same-origin',
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                operationName,
+                query,
+                variables,
+            }),
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `US Bank GraphQL request failed: ${err.message}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`US Bank GraphQL request failed: ${response.status} ${response.statusText}`);
+        throw createResponseError(response, `US Bank GraphQL request failed: ${response.status} ${response.statusText}`);
     }
 
     const data = await response.json();
@@ -148,7 +169,7 @@ export async function getProfile(sessionId) {
         const data = await makeGraphQLRequest('customer', query, variables);
 
         if (!data.customer?.customer?.[0]?.personal?.[0]) {
-            throw new Error('Invalid profile response structure');
+            throw createBankError('ParseError', 'Invalid profile response structure');
         }
 
         const personal = data.customer.customer[0].personal[0];
@@ -162,7 +183,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
 
@@ -221,7 +242,7 @@ export async function getAccounts(profile) {
         const data = await makeGraphQLRequest('accounts', query, variables);
 
         if (!data.accounts || !Array.isArray(data.accounts)) {
-            throw new Error('Invalid accounts response structure');
+            throw createBankError('ParseError', 'Invalid accounts response structure');
         }
 
         return data.accounts.map((/** @type {any} */ account) => ({
@@ -233,7 +254,7 @@ export async function getAccounts(profile) {
         }));
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
     }
 }
 
@@ -259,20 +280,30 @@ function formatDate(date) {
     return `${month}/${day}/${year}`;
 }
 
+/**
+ * Get the earliest statement date getStatements can load
+ * The statement list takes any date range, U.S. Bank does not document how far back it goes
+ * @returns {null}
+ */
+export function getStatementHistoryStart() {
+    return null;
+}
+
 /**
  * Get all statements for an account
  * @param {import('./bank.types').Account} account - The account to get statements for
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates, defaults to the current year
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     try {
-        // Get statements for the current year
+        // Get statements for the window, or for the current year
         const now = new Date();
         const startOfYear = new Date(now.getFullYear(), 0, 1);
         const endOfYear = new Date(now.getFullYear(), 11, 31);
 
-        const fromDate = formatDate(startOfYear);
-        const toDate = formatDate(endOfYear);
+        const fromDate = formatDate(options.from ? new Date(`${options.from}T00:00:00`) : startOfYear);
+        const toDate = formatDate(options.to ? new Date(`${options.to}T00:00:00`) : endOfYear);
 
         const query = `
 			query getStatementList($statementListRequest: StatementListRequest!) {
@@ -300,17 +331,22 @@ export async function getStatements(account) {
         const data = await makeGraphQLRequest('getStatementList', query, variables);
 
         if (!data.Statements?.list || !Array.isArray(data.Statements.list)) {
-            throw new Error('Invalid statements response structure');
+            throw createBankError('ParseError', 'Invalid statements response structure');
         }
 
-        return data.Statements.list.map((/** @type {any} */ statement) => ({
-            account,
-            statementId: statement.identifier,
-            statementDate: parseStatementDate(statement.statementDate),
-        }));
+        return data.Statements.list.map((/** @type {any} */ statement) => {
+            const statementDate = parseStatementDate(statement.statementDate);
+            return {
+                account,
+                statementId: statement.identifier,
+                statementDate,
+                // The statement date is the closing date of the period
+                periodEnd: statementDate,
+            };
+        });
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements for account ${account.accountName}: ${err.message}`);
+        throw new Error(`Failed to get statements for account ${account.accountName}: ${err.message}`, { cause: error });
     }
 }
 
@@ -361,17 +397,17 @@ export async function downloadStatement(statement) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to download statement: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to download statement: ${response.status} ${response.statusText}`);
         }
 
         const contentType = response.headers.get('content-type');
         if (!contentType?.includes('application/pdf')) {
-            throw new Error(`Expected PDF but received ${contentType}`);
+            throw createBankError('ParseError', `Expected PDF but received ${contentType}`);
         }
 
         return await response.blob();
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement for ${statement.account.accountName} dated ${statement.statementDate}: ${err.message}`);
+        throw new Error(`Failed to download statement for ${statement.account.accountName} dated ${statement.statementDate}: ${err.message}`, { cause: error });
     }
 }
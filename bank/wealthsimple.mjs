@@ -6,6 +6,8 @@
  * @typedef {import('../extension/extension.type').RequestFetchResponse} RequestFetchResponse
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'wealthsimple';
 
@@ -95,19 +97,25 @@ async function makeGraphQLRequest(operationName, query, variables, includeSessio
         requestHeaders['x-ws-session-id'] = headers.sessionId;
     }
 
-    const response = await fetch(GRAPHQL_ENDPOINT, {
-        method: 'POST',
-        headers: requestHeaders,
-        credentials: 'include',
-        body: JSON.stringify({
-            operationName,
-            variables,
-            query,
-        }),
-    });
+    let response;
+    try {
+        response = await fetch(GRAPHQL_ENDPOINT, {
+            method: 'POST',
+            headers: requestHeaders,
+            credentials: 'include',
+            body: JSON.stringify({
+                operationName,
+                variables,
+                query,
+            }),
+        });
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw createBankError('NetworkError', `Wealthsimple GraphQL request failed: ${err.message} for ${operationName}`);
+    }
 
     if (!response.ok) {
-        throw new Error(`Wealthsimple GraphQL request failed: ${response.status} ${response.statusText} for ${operationName}`);
+        throw createResponseError(response, `Wealthsimple GraphQL request failed: ${response.status} ${response.statusText} for ${operationName}`);
     }
 
     const data = await response.json();
@@ -127,7 +135,7 @@ export function getSessionId() {
     const headers = extractHeaders();
 
     if (!headers.authorization) {
-        throw new Error('No authorization token found. Please ensure you are logged in to Wealthsimple.');
+        throw createBankError('SessionExpired', 'No authorization token found. Please ensure you are logged in to Wealthsimple.');
     }
 
     // Return the full Bearer token
@@ -318,6 +326,8 @@ export async function getAccounts(profile) {
             accountName: getAccountName(node.unifiedAccountType, node.type, node.nickname),
             accountMask: node.id.split('-').pop() || '****',
             accountType: mapAccountType(node.type, node.unifiedAccountType),
+            // Balances are not part of the accounts query
+            ...(node.currency ? { currency: node.currency } : {}),
         });
     }
 
@@ -326,7 +336,7 @@ export async function getAccounts(profile) {
 
 /**
  * Format statement date from period string
- * @param {string} period - Period in format YYYY-MM-DD
+ * @param {string} period - Period in format YYYY-MM-DD, or a timestamp for documents without a period
  * @returns {string} - ISO 8601 date string
  */
 function formatStatementDate(period) {
@@ -336,7 +346,30 @@ function formatStatementDate(period) {
 }
 
 /**
- * Get all statements for an account
+ * Get the document type of a document
+ * Monthly "performance" documents are statements; yearly ones are reports
+ * @param {any} doc - Document from the documents query
+ * @returns {import('./bank.types').DocumentType}
+ */
+function getDocumentType(doc) {
+    const category = doc.category || '';
+    if (category === 'performance') {
+        return doc.frequency === 'month' ? 'statement' : 'other';
+    }
+    if (category === 'tax') {
+        return 'tax';
+    }
+    if (/confirm/i.test(category) || /confirm/i.test(doc.type || '')) {
+        return 'confirmation';
+    }
+    if (/notice|letter/i.test(category)) {
+        return 'notice';
+    }
+    return 'other';
+}
+
+/**
+ * Get all statements, tax documents and other documents for an account
  * @param {import('./bank.types').Account} account - The account
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
@@ -410,11 +443,6 @@ export async function getStatements(account) {
     const statements = [];
 
     for (const doc of data.identity.documents.results) {
-        // Only include monthly statements
-        if (doc.frequency !== 'month') {
-            continue;
-        }
-
         // Skip if no S3 key (can't download)
         if (!doc.s3Key || !doc.s3BucketName) {
             continue;
@@ -427,11 +455,17 @@ export async function getStatements(account) {
             key: doc.s3Key,
         });
 
-        statements.push({
+        /** @type {import('./bank.types').Statement} */
+        const statement = {
             account,
             statementId: downloadInfo,
-            statementDate: formatStatementDate(doc.period),
-        });
+            statementDate: formatStatementDate(doc.period || doc.displayAt || doc.availableAt || doc.createdAt),
+        };
+        const documentType = getDocumentType(doc);
+        if (documentType !== 'statement') {
+            statement.documentType = documentType;
+        }
+        statements.push(statement);
     }
 
     // Sort by date descending (newest first)
@@ -497,7 +531,7 @@ export async function downloadStatement(statement) {
     const response = await chrome.runtime.sendMessage(message);
 
     if ('error' in response) {
-        throw new Error(`Failed to download statement PDF: ${response.error}`);
+        throw createBankError('NetworkError', `Failed to download statement PDF: ${response.error}`);
     }
 
     // Response contains base64-encoded PDF data in body
@@ -523,7 +557,7 @@ export async function downloadStatement(statement) {
             }
             return await dataUrlResponse.blob();
         } catch (error) {
-            throw new Error(`Failed to convert data URL to blob: ${error instanceof Error ? error.message : String(error)}`);
+            throw new Error(`Failed to convert data URL to blob: ${error instanceof Error ? error.message : String(error)}`, { cause: error });
         }
     }
 
@@ -3,6 +3,8 @@
  * @see analyze/wise.md
  */
 
+import { createBankError, createResponseError } from '../extension/bank_error.mjs';
+
 /** @type {string} */
 export const bankId = 'wise';
 
@@ -26,7 +28,7 @@ export function getSessionId() {
             return name + '=' + valueParts.join('=');
         }
     }
-    throw new Error('selected-profile-id cookie not found. User may not be logged in to Wise.');
+    throw createBankError('SessionExpired', 'selected-profile-id cookie not found. User may not be logged in to Wise.');
 }
 
 /**
@@ -49,7 +51,7 @@ export async function getProfile(sessionId) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch home page: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to fetch home page: ${response.status} ${response.statusText}`);
         }
 
         const html = await response.text();
@@ -57,7 +59,7 @@ export async function getProfile(sessionId) {
         // Extract __NEXT_DATA__ JSON from the page
         const match = html.match(/<script id="__NEXT_DATA__" type="application\/json">(.+?)<\/script>/);
         if (!match) {
-            throw new Error('Could not find __NEXT_DATA__ in home page');
+            throw createBankError('ParseError', 'Could not find __NEXT_DATA__ in home page');
         }
 
         const nextData = JSON.parse(match[1]);
@@ -65,7 +67,7 @@ export async function getProfile(sessionId) {
         // Extract user information from the pageProps
         const pageProps = nextData?.props?.pageProps;
         if (!pageProps) {
-            throw new Error('Invalid __NEXT_DATA__ structure: missing pageProps');
+            throw createBankError('ParseError', 'Invalid __NEXT_DATA__ structure: missing pageProps');
         }
 
         // Extract userId and profileId from session and selectedProfile
@@ -87,7 +89,7 @@ export async function getProfile(sessionId) {
         };
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get profile: ${err.message}`);
+        throw new Error(`Failed to get profile: ${err.message}`, { cause: error });
     }
 }
 
@@ -111,7 +113,7 @@ export async function getAccounts(profile) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to fetch home page: ${response.status} ${response.statusText}`);
+            throw createResponseError(response, `Failed to fetch home page: ${response.status} ${response.statusText}`);
         }
 
         const html = await response.text();
@@ -119,7 +121,7 @@ export async function getAccounts(profile) {
         // Extract __NEXT_DATA__ JSON from the page
         const match = html.match(/<script id="__NEXT_DATA__" type="application\/json">(.+?)<\/script>/);
         if (!match) {
-            throw new Error('Could not find __NEXT_DATA__ in home page');
+            throw createBankError('ParseError', 'Could not find __NEXT_DATA__ in home page');
         }
 
         const nextData = JSON.parse(match[1]);
@@ -127,10 +129,12 @@ export async function getAccounts(profile) {
         // Extract launchpad data which contains balances
         const launchpadData = nextData?.props?.pageProps?.launchpadData;
         if (!launchpadData) {
-            throw new Error('Invalid __NEXT_DATA__ structure: missing launchpadData');
+            throw createBankError('ParseError', 'Invalid __NEXT_DATA__ structure: missing launchpadData');
         }
 
         const accounts = [];
+        // Balances are as of the page load
+        const asOf = new Date().toISOString();
 
         // Navigate through nested components to find balance entries
         // Structure: launchpadData.components[] -> section.components[] -> "Section - Balances".components[]
@@ -153,13 +157,22 @@ export async function getAccounts(profile) {
                                     /** @type {import('./bank.types').AccountType} */
                                     const accountType = 'Checking'; // Wise accounts are multi-currency balances (treated as checking)
 
-                                    accounts.push({
+                                    /** @type {import('./bank.types').Account} */
+                                    const account = {
                                         profile,
                                         accountId: String(balanceId),
                                         accountName,
                                         accountMask,
                                         accountType,
-                                    });
+                                        currency,
+                                    };
+                                    // Balance amount as shown on the home page, e.g. "53.69" or "1,250.00"
+                                    const value = Number(String(balance.value ?? '').replace(/,/g, ''));
+                                    if (balance.value !== undefined && balance.value !== '' && !Number.isNaN(value)) {
+                                        account.currentBalance = value;
+                                        account.asOf = asOf;
+                                    }
+                                    accounts.push(account);
                                 }
                             }
                         }
@@ -173,49 +186,180 @@ export async function getAccounts(profile) {
         } return accounts;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get accounts: ${err.message}`);
+        throw new Error(`Failed to get accounts: ${err.message}`, { cause: error });
+    }
+}
+
+/**
+ * Month numbers by the first three letters of English month names
+ * @type {Record<string, string>}
+ */
+const MONTHS = {
+    jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+    jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12',
+};
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Build a statement for a date range
+ * The statement ID encodes the range, which downloadStatement requests from Wise
+ * @param {import('./bank.types').Account} account
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @returns {import('./bank.types').Statement}
+ */
+function createRangeStatement(account, fromDate, toDate) {
+    const [year, month, day] = fromDate.split('-').map(Number);
+    return {
+        account,
+        statementId: `${fromDate},${toDate}`,
+        statementDate: new Date(year, month - 1, day).toISOString(),
+        periodStart: fromDate,
+        periodEnd: toDate,
+    };
+}
+
+/**
+ * Parse the date range of a previously requested statement from its title
+ * Format can be: "October 1, 2025 - October 31, 2025" or "1 October 2025 - 31 October 2025"
+ * @param {string} title
+ * @returns {{ from: string, to: string } | null}
+ */
+function parseStatementTitle(title) {
+    /** @type {string[]} */
+    const dates = [];
+    const datePattern = /(?:([A-Za-z]+)\.?\s+(\d{1,2})|(\d{1,2})\s+([A-Za-z]+)\.?),?\s+(\d{4})/g;
+
+    for (const match of title.matchAll(datePattern)) {
+        const [, monthFirst, dayAfter, dayFirst, monthAfter, year] = match;
+        const month = MONTHS[(monthFirst || monthAfter).slice(0, 3).toLowerCase()];
+        if (!month) {
+            return null;
+        }
+        dates.push(`${year}-${month}-${(dayAfter || dayFirst).padStart(2, '0')}`);
     }
+
+    return dates.length === 2 ? { from: dates[0], to: dates[1] } : null;
+}
+
+/**
+ * Get the earliest statement date getStatements can load
+ * Statements are generated on demand for any past range, so there is no fixed limit
+ * @returns {null}
+ */
+export function getStatementHistoryStart() {
+    return null;
 }
 
 /**
  * Retrieves all statements for a specific account
  * Since Wise uses dynamic statement generation with date ranges,
- * we return predefined monthly statements for the last 12 months
+ * we return predefined monthly statements for the last 12 months, or for the months of the window.
+ * Other ranges are available through getRangeStatement.
  * @param {import('./bank.types').Account} account - The account to get statements for
+ * @param {import('./bank.types').StatementOptions} [options] - Window of statement dates
  * @returns {Promise<import('./bank.types').Statement[]>}
  */
-export async function getStatements(account) {
+export async function getStatements(account, options = {}) {
     try {
-        // Generate monthly statements for the last 12 months
+        // Generate monthly statements for the last 12 months or back to the start of the window
         // Skip the current month since it's not complete yet
         const statements = [];
         const now = new Date();
 
-        for (let i = 1; i <= 12; i++) {
-            const statementDate = new Date(now.getFullYear(), now.getMonth() - i, 1);
-            const endDate = new Date(statementDate.getFullYear(), statementDate.getMonth() + 1, 0);
+        let monthCount = 12;
+        if (options.from) {
+            const [fromYear, fromMonth] = options.from.split('-').map(Number);
+            monthCount = (now.getFullYear() - fromYear) * 12 + now.getMonth() + 1 - fromMonth;
+        }
 
-            // Format dates as YYYY-MM-DD
-            const startDateStr = `${statementDate.getFullYear()}-${String(statementDate.getMonth() + 1).padStart(2, '0')}-01`;
-            const endDateStr = `${endDate.getFullYear()}-${String(endDate.getMonth() + 1).padStart(2, '0')}-${String(endDate.getDate()).padStart(2, '0')}`;
+        for (let i = 1; i <= monthCount; i++) {
+            const startDate = new Date(now.getFullYear(), now.getMonth() - i, 1);
+            const endDate = new Date(startDate.getFullYear(), startDate.getMonth() + 1, 0);
+            const from = formatDateString(startDate);
+            if ((options.from && from < options.from) || (options.to && from > options.to)) {
+                continue;
+            }
+            statements.push(createRangeStatement(account, from, formatDateString(endDate)));
+        }
 
-            // Create a statement ID that encodes the date range
-            const statementId = `${startDateStr},${endDateStr}`;
+        return statements;
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`, { cause: error });
+    }
+}
 
-            statements.push({
-                account,
-                statementId,
-                statementDate: statementDate.toISOString(),
-            });
+/**
+ * Get a statement covering a custom date range
+ * Wise generates statements on demand, so any range up to today can be requested
+ * @param {import('./bank.types').Account} account - The account to get the statement for
+ * @param {import('./bank.types').DateRange} range - Dates covered by the statement
+ * @returns {Promise<import('./bank.types').Statement>}
+ */
+export async function getRangeStatement(account, range) {
+    try {
+        const { from, to } = range;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            throw new Error('Dates must be in YYYY-MM-DD format');
+        }
+        if (from > to) {
+            throw new Error('Start date is after end date');
+        }
+        if (to > formatDateString(new Date())) {
+            throw new Error('End date is in the future');
         }
 
-        return statements;
+        return createRangeStatement(account, from, to);
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to get statements for account ${account.accountId}: ${err.message}`);
+        throw new Error(`Failed to get range statement for account ${account.accountId}: ${err.message}`, { cause: error });
     }
 }
 
+/**
+ * Build the body of the create and poll requests
+ * The API requires the preset date ranges along with the requested range
+ * @param {string} balanceId
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getStatementRequestBody(balanceId, fromDate, toDate) {
+    const today = new Date();
+    const todayStr = today.toISOString().split('T')[0];
+    const yesterday = new Date(today);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const yesterdayStr = yesterday.toISOString().split('T')[0];
+    const dateRange = `${fromDate},${toDate}`;
+
+    return JSON.stringify({
+        todayRange: `${todayStr},${todayStr}`,
+        yesterdayRange: `${yesterdayStr},${yesterdayStr}`,
+        lastMonthRange: dateRange, // Use the target date range
+        lastQuarterRange: '',
+        lastYearRange: '',
+        previousDateRange: dateRange,
+        previousFrom: fromDate,
+        previousTo: toDate,
+        dateRange: dateRange,
+        from: fromDate,
+        to: toDate,
+        balances: [parseInt(balanceId, 10)],
+        fileFormat: 'PDF',
+        splitFees: true,
+        locale: 'en-GB',
+    });
+}
+
 /**
  * Downloads a statement PDF file
  * First checks for existing statements (stored for 30 days), otherwise creates a new one
@@ -226,8 +370,8 @@ export async function downloadStatement(statement) {
     try {
         const profileId = statement.account.profile.profileId;
         const balanceId = statement.account.accountId;
-        const dateRange = statement.statementId; // Format: YYYY-MM-DD,YYYY-MM-DD
-        const [fromDate, toDate] = dateRange.split(',');
+        // Format: YYYY-MM-DD,YYYY-MM-DD
+        const [fromDate, toDate] = statement.statementId.split(',');
 
         // Step 0: Check for existing statements (stored for 30 days)
         const refreshUrl = `${BASE_URL}/hold/v1/profiles/${profileId}/statements-and-reports/balance-statement?action=refresh&balanceId=${balanceId}`;
@@ -251,7 +395,7 @@ export async function downloadStatement(statement) {
         });
 
         if (!refreshResponse.ok) {
-            throw new Error(`Failed to check existing statements: ${refreshResponse.status} ${refreshResponse.statusText}`);
+            throw createResponseError(refreshResponse, `Failed to check existing statements: ${refreshResponse.status} ${refreshResponse.statusText}`);
         }
 
         const refreshData = /** @type {any} */ (await refreshResponse.json());
@@ -262,40 +406,26 @@ export async function downloadStatement(statement) {
             for (const layoutItem of refreshData.layout) {
                 if (layoutItem.control === 'statements-list-item-with-action' && Array.isArray(layoutItem.items)) {
                     for (const item of layoutItem.items) {
-                        // Parse the date range from the title
-                        // Format can be: "October 1, 2025 - October 31, 2025" or "1 October 2025 - 31 October 2025"
-                        const titleMatch = item.title?.match(/(\w+)\s+(\d{1,2}),?\s+(\d{4})\s+-\s+(\w+)\s+(\d{1,2}),?\s+(\d{4})/);
-                        if (titleMatch) {
-                            const [, startMonth, startDay, startYear, endMonth, endDay, endYear] = titleMatch;
-                            /** @type {Record<string, string>} */
-                            const monthMap = {
-                                'January': '01', 'February': '02', 'March': '03', 'April': '04',
-                                'May': '05', 'June': '06', 'July': '07', 'August': '08',
-                                'September': '09', 'October': '10', 'November': '11', 'December': '12'
-                            };
-                            const itemFrom = `${startYear}-${monthMap[startMonth]}-${startDay.padStart(2, '0')}`;
-                            const itemTo = `${endYear}-${monthMap[endMonth]}-${endDay.padStart(2, '0')}`;
-
-                            if (itemFrom === fromDate && itemTo === toDate) {
-                                // Found a matching statement, extract the request ID from the download URL in tags
-                                if (Array.isArray(item.tags)) {
-                                    for (const tag of item.tags) {
-                                        if (typeof tag === 'string' && tag.includes('statement-requests')) {
-                                            try {
-                                                const tagData = JSON.parse(tag);
-                                                const urlMatch = tagData.url?.match(/statement-requests\/([a-f0-9-]+)\//);
-                                                if (urlMatch) {
-                                                    existingRequestId = urlMatch[1];
-                                                    break;
-                                                }
-                                            } catch (e) {
-                                                // Ignore parse errors
+                        const itemRange = item.title ? parseStatementTitle(item.title) : null;
+                        if (itemRange && itemRange.from === fromDate && itemRange.to === toDate) {
+                            // Found a matching statement, extract the request ID from the download URL in tags
+                            if (Array.isArray(item.tags)) {
+                                for (const tag of item.tags) {
+                                    if (typeof tag === 'string' && tag.includes('statement-requests')) {
+                                        try {
+                                            const tagData = JSON.parse(tag);
+                                            const urlMatch = tagData.url?.match(/statement-requests\/([a-f0-9-]+)\//);
+                                            if (urlMatch) {
+                                                existingRequestId = urlMatch[1];
+                                                break;
                                             }
+                                        } catch (e) {
+                                            // Ignore parse errors
                                         }
                                     }
                                 }
-                                if (existingRequestId) break;
                             }
+                            if (existingRequestId) break;
                         }
                     }
                 }
@@ -303,13 +433,6 @@ export async function downloadStatement(statement) {
             }
         }
 
-        // Calculate the preset date ranges (required by the API for both create and poll)
-        const today = new Date();
-        const todayStr = today.toISOString().split('T')[0];
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
-
         let requestId = existingRequestId;
 
         // If no existing statement found, create a new one
@@ -333,27 +456,11 @@ export async function downloadStatement(statement) {
                     'sec-fetch-site': 'same-origin',
                 },
                 credentials: 'include',
-                body: JSON.stringify({
-                    todayRange: `${todayStr},${todayStr}`,
-                    yesterdayRange: `${yesterdayStr},${yesterdayStr}`,
-                    lastMonthRange: dateRange, // Use the target date range
-                    lastQuarterRange: '',
-                    lastYearRange: '',
-                    previousDateRange: dateRange,
-                    previousFrom: fromDate,
-                    previousTo: toDate,
-                    dateRange: dateRange,
-                    from: fromDate,
-                    to: toDate,
-                    balances: [parseInt(balanceId, 10)],
-                    fileFormat: 'PDF',
-                    splitFees: true,
-                    locale: 'en-GB',
-                }),
+                body: getStatementRequestBody(balanceId, fromDate, toDate),
             });
 
             if (!createResponse.ok) {
-                throw new Error(`Failed to create statement request: ${createResponse.status} ${createResponse.statusText}`);
+                throw createResponseError(createResponse, `Failed to create statement request: ${createResponse.status} ${createResponse.statusText}`);
             }
 
             const createData = /** @type {any} */ (await createResponse.json());
@@ -396,27 +503,11 @@ export async function downloadStatement(statement) {
                         'sec-fetch-site': 'same-origin',
                     },
                     credentials: 'include',
-                    body: JSON.stringify({
-                        todayRange: `${todayStr},${todayStr}`,
-                        yesterdayRange: `${yesterdayStr},${yesterdayStr}`,
-                        lastMonthRange: dateRange,
-                        lastQuarterRange: '',
-                        lastYearRange: '',
-                        previousDateRange: dateRange,
-                        previousFrom: fromDate,
-                        previousTo: toDate,
-                        dateRange: dateRange,
-                        from: fromDate,
-                        to: toDate,
-                        balances: [parseInt(balanceId, 10)],
-                        fileFormat: 'PDF',
-                        splitFees: true,
-                        locale: 'en-GB',
-                    }),
+                    body: getStatementRequestBody(balanceId, fromDate, toDate),
                 });
 
                 if (!pollResponse.ok) {
-                    throw new Error(`Failed to poll statement status: ${pollResponse.status} ${pollResponse.statusText}`);
+                    throw createResponseError(pollResponse, `Failed to poll statement status: ${pollResponse.status} ${pollResponse.statusText}`);
                 }
 
                 const pollData = /** @type {any} */ (await pollResponse.json());
@@ -476,7 +567,7 @@ export async function downloadStatement(statement) {
         });
 
         if (!downloadResponse.ok) {
-            throw new Error(`Failed to download PDF: ${downloadResponse.status} ${downloadResponse.statusText}`);
+            throw createResponseError(downloadResponse, `Failed to download PDF: ${downloadResponse.status} ${downloadResponse.statusText}`);
         }
 
         const blob = await downloadResponse.blob();
@@ -488,6 +579,6 @@ export async function downloadStatement(statement) {
         return blob;
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        throw new Error(`Failed to download statement ${statement.statementId}: ${err.message}`);
+        throw new Error(`Failed to download statement ${statement.statementId}: ${err.message}`, { cause: error });
     }
 }
@@ -1,8 +1,15 @@
 /**
  * Background service worker that persists data and coordinates between popup and content scripts
  * @typedef {import('../bank/bank.types').Account} Account
+ * @typedef {import('../bank/bank.types').BankError} BankError
  * @typedef {import('../bank/bank.types').Statement} Statement
+ * @typedef {import('../bank/bank.types').StatementFigures} StatementFigures
+ * @typedef {import('../bank/bank.types').StatementPatterns} StatementPatterns
+ * @typedef {import('../bank/bank.types').StatementOptions} StatementOptions
+ * @typedef {import('../bank/bank.types').RequestMetrics} RequestMetrics
+ * @typedef {import('../bank/bank.types').Transaction} Transaction
  * @typedef {import('./extension.type').BackgroundMessage} BackgroundMessage
+ * @typedef {import('./extension.type').BankSession} BankSession
  * @typedef {import('./extension.type').BackgroundResponse} BackgroundResponse
  * @typedef {import('./extension.type').MessageResponse} MessageResponse
  * @typedef {import('./extension.type').MessageAction} MessageAction
@@ -10,9 +17,44 @@
  * @typedef {import('./extension.type').RequestFetchMessage} RequestFetchMessage
  * @typedef {import('./extension.type').RequestFetchSuccessResponse} RequestFetchSuccessResponse
  * @typedef {import('./extension.type').RequestFetchErrorResponse} RequestFetchErrorResponse
+ * @typedef {import('./extension.type').BulkDownloadRequest} BulkDownloadRequest
+ * @typedef {import('./extension.type').BulkDownloadJob} BulkDownloadJob
+ * @typedef {import('./extension.type').BulkDownloadItem} BulkDownloadItem
+ * @typedef {import('./extension.type').DownloadConflictAction} DownloadConflictAction
+ * @typedef {import('./extension.type').DownloadResult} DownloadResult
+ * @typedef {import('./extension.type').TransactionExportFormat} TransactionExportFormat
+ * @typedef {import('./extension.type').Settings} Settings
+ * @typedef {import('./extension.type').StatementsUpdate} StatementsUpdate
  */
 
-const CACHE_TTL = 15 * 60 * 1000; // 15 minutes in milliseconds
+import { clearCache, getCacheEntry, getCachedData, isCacheEntryFresh, setCachedData } from './cache.mjs';
+import { COMBINED_STATEMENT_BANKS, splitCombinedStatement } from './combined_statement.mjs';
+import { toCsv } from './csv.mjs';
+import { getStatementArchivePath, getStatementFilename, getTransactionExportFilename, renderDownloadFolder } from './filename.mjs';
+import { getLedger, getLedgerEntry, recordDownloads } from './ledger.mjs';
+import { getOfflineBanks, isOfflineCacheUnlocked, listOfflineBanks, removeExpiredOfflineBanks, saveOfflineAccounts, saveOfflineStatements, unlockOfflineCache } from './offline_cache.mjs';
+import { toOfx, toQfx } from './ofx.mjs';
+import { toQif } from './qif.mjs';
+import { getSettings } from './settings.mjs';
+import { extractStatementFigures, restoreStatementPatterns } from './statement_figures.mjs';
+import { createZip } from './zip.mjs';
+
+const BULK_JOB_KEY = 'bulk_download_job';
+
+/** Statement list that changed when it was loaded again in the background, for the popup */
+const STATEMENTS_UPDATED_KEY = 'statements_updated';
+
+/** Number of statements downloaded in parallel during a bulk download */
+const DEFAULT_BULK_CONCURRENCY = 2;
+
+/**
+ * Per-bank overrides of the bulk download concurrency
+ * Banks that generate statements on demand are downloaded one at a time
+ * @type {Record<string, number>}
+ */
+const BULK_CONCURRENCY = {
+    wise: 1,
+};
 
 /**
  * Send a message to the content script in a specific tab
@@ -29,71 +71,14 @@ async function sendMessageToContentScript(tabId, action, data) {
     const response = await chrome.tabs.sendMessage(tabId, message);
 
     if (response.action === 'error') {
-        throw new Error(response.error || 'Unknown error from content script');
+        const error = new Error(response.error || 'Unknown error from content script');
+        throw response.code ? Object.assign(error, { code: response.code }) : error;
     }
 
     /** @type {MessageDataMap[A]['response']} */
     return response.data;
 }
 
-/**
- * @template T
- * @typedef {{ data: T; timestamp: number }} CacheEntry
- */
-
-/**
- * Get cached data from chrome.storage.session
- * @template {MessageAction} A
- * @param {A} action
- * @param {string} suffix - Additional cache key suffix
- * @returns {Promise<MessageDataMap[A]['response'] | null>}
- */
-async function getCachedData(action, suffix) {
-    const key = `cached_${action}_${suffix}`;
-    try {
-        const result = await chrome.storage.session.get(key);
-        const cached = /** @type {CacheEntry<MessageDataMap[A]['response']> | undefined} */ (result[key]);
-
-        if (!cached) {
-            return null;
-        }
-
-        // Check if cache has expired
-        const age = Date.now() - cached.timestamp;
-        if (age > CACHE_TTL) {
-            await chrome.storage.session.remove(key);
-            return null;
-        }
-
-        return cached.data;
-    } catch (error) {
-        console.error('Cache read error:', error);
-        return null;
-    }
-}
-
-/**
- * Set cached data in chrome.storage.session
- * @template {MessageAction} A
- * @param {A} action
- * @param {string} suffix - Additional cache key suffix
- * @param {MessageDataMap[A]['response']} data
- * @returns {Promise<void>}
- */
-async function setCachedData(action, suffix, data) {
-    const key = `cached_${action}_${suffix}`;
-    try {
-        await chrome.storage.session.set({
-            [key]: {
-                data,
-                timestamp: Date.now()
-            }
-        });
-    } catch (error) {
-        console.error('Cache write error:', error);
-    }
-}
-
 /**
  * Handle fetch request from content script
  * @param {RequestFetchMessage} fetchMessage
@@ -131,6 +116,925 @@ async function handleFetchRequest(fetchMessage) {
     };
 }
 
+/**
+ * Bank sessions found in the browser's tabs, by bank ID
+ * Rebuilt by getBankSessions and pruned when tabs close or navigate
+ * @type {Map<string, BankSession>}
+ */
+const bankSessions = new Map();
+
+/**
+ * Ask the content script of a tab for its bank and session
+ * A session the bank module fails to read, e.g. because it expired, is kept with its error
+ * so the popup can say so and offer to switch to the tab.
+ * @param {number} tabId
+ * @returns {Promise<BankSession | null>} Null when the tab has no content script or is not signed in
+ */
+async function getTabBankSession(tabId) {
+    let bankId;
+    let bankName;
+    try {
+        bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
+        bankName = await sendMessageToContentScript(tabId, 'getBankName', {});
+    } catch {
+        return null;
+    }
+
+    try {
+        const sessionId = await sendMessageToContentScript(tabId, 'getSessionId', {});
+        return sessionId ? { bankId, bankName, sessionId, tabId } : null;
+    } catch (error) {
+        const err = /** @type {BankError} */ (error);
+        return { bankId, bankName, sessionId: '', tabId, error: err.message, code: err.code };
+    }
+}
+
+/**
+ * Find every tab whose content script has a bank session, one tab per bank
+ * Sessions the bank module failed to read are listed with their error.
+ * When a bank is open in several tabs, active tabs are preferred, then the most recently used.
+ * Banks turned off in the options are left out.
+ * @returns {Promise<BankSession[]>}
+ */
+async function getBankSessions() {
+    const tabs = (await chrome.tabs.query({}))
+        .filter(tab => tab.id !== undefined && isSupportedUrl(tab.url))
+        .sort((a, b) => Number(b.active) - Number(a.active) || (b.lastAccessed || 0) - (a.lastAccessed || 0));
+
+    const sessions = await Promise.all(tabs.map(tab => getTabBankSession(/** @type {number} */ (tab.id))));
+    const { disabledBanks } = await getSettings();
+
+    // A tab with a live session wins over the tabs whose session failed
+    bankSessions.clear();
+    for (const session of [...sessions.filter(found => !found?.error), ...sessions.filter(found => found?.error)]) {
+        if (session && !bankSessions.has(session.bankId) && !disabledBanks.includes(session.bankId)) {
+            bankSessions.set(session.bankId, session);
+        }
+    }
+    return Array.from(bankSessions.values());
+}
+
+/**
+ * Get the tab that handles a popup request
+ * @param {string | undefined} bankId - Bank of the request, the active tab is used when omitted
+ * @returns {Promise<number>}
+ */
+async function getTabId(bankId) {
+    if (bankId) {
+        const session = bankSessions.get(bankId)
+            || (await getBankSessions()).find(found => found.bankId === bankId);
+        if (!session) {
+            throw new Error(`No signed-in tab found for ${bankId}`);
+        }
+        return session.tabId;
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) {
+        throw new Error('Unable to determine current tab');
+    }
+    return tab.id;
+}
+
+/**
+ * Forget the bank sessions of a tab that closed or navigated
+ * @param {number} tabId
+ */
+function forgetTabSessions(tabId) {
+    for (const [bankId, session] of bankSessions) {
+        if (session.tabId === tabId) {
+            bankSessions.delete(bankId);
+        }
+    }
+}
+
+/**
+ * Get the cache TTL of the settings
+ * @param {Settings} settings
+ * @returns {number} Milliseconds
+ */
+function getCacheTtl(settings) {
+    return settings.cacheTtlMinutes * 60 * 1000;
+}
+
+/**
+ * Get accounts from cache or from the content script
+ * @param {number} tabId
+ * @param {boolean} [forceRefresh=false]
+ * @returns {Promise<Account[]>}
+ */
+async function getAccounts(tabId, forceRefresh = false) {
+    const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
+    const sessionId = await sendMessageToContentScript(tabId, 'getSessionId', {});
+    const scope = { bankId, sessionId };
+    const settings = await getSettings();
+
+    // Check cache first
+    let accounts = await getCachedData('getAccounts', scope, undefined, getCacheTtl(settings));
+
+    if (!accounts || forceRefresh) {
+        accounts = await sendMessageToContentScript(tabId, 'getAccounts', {});
+        await setCachedData('getAccounts', scope, undefined, accounts);
+
+        const loaded = accounts;
+        await saveOffline(tabId, (bankName) => saveOfflineAccounts(bankId, bankName, loaded));
+    }
+
+    return accounts;
+}
+
+/**
+ * Save freshly loaded metadata in the offline cache when it is turned on
+ * Failures are logged, the offline cache never stops a request
+ * @param {number} tabId
+ * @param {(bankName: string) => Promise<boolean>} save
+ * @returns {Promise<void>}
+ */
+async function saveOffline(tabId, save) {
+    try {
+        const settings = await getSettings();
+        if (!settings.offlineCache) {
+            return;
+        }
+        const bankName = await sendMessageToContentScript(tabId, 'getBankName', {});
+        await save(bankName);
+    } catch (error) {
+        console.error('Offline cache error:', error);
+    }
+}
+
+/**
+ * Get the earliest statement date to load for a history depth
+ * @param {number} years - Calendar years including the current one, 0 for all available years
+ * @returns {string | undefined} Date in YYYY-MM-DD format
+ */
+function getHistoryStart(years) {
+    return years > 0 ? `${new Date().getFullYear() - years + 1}-01-01` : undefined;
+}
+
+/**
+ * Statement lists being loaded, by cache scope and window, so a list is not requested twice at once
+ * @type {Map<string, Promise<Statement[]>>}
+ */
+const pendingStatements = new Map();
+
+/**
+ * Load the statements of an account from the content script and cache them
+ * @param {number} tabId
+ * @param {import('./extension.type').CacheScope} scope
+ * @param {Account} account
+ * @param {StatementOptions} statementWindow - Window of statement dates to load
+ * @param {boolean} offline - Whether to keep the list in the offline cache
+ * @returns {Promise<Statement[]>}
+ */
+function loadStatements(tabId, scope, account, statementWindow, offline) {
+    const { from, to } = statementWindow;
+    const cacheSuffix = from || to ? `${from || ''}_${to || ''}` : '';
+    const pendingKey = `${scope.bankId}_${scope.sessionId}_${scope.accountId}_${cacheSuffix}`;
+
+    const pending = pendingStatements.get(pendingKey);
+    if (pending) {
+        return pending;
+    }
+
+    const load = (async () => {
+        const statements = await sendMessageToContentScript(tabId, 'getStatements', { account, from, to });
+        await setCachedData('getStatements', scope, cacheSuffix, statements);
+        if (offline) {
+            await saveOffline(tabId, (bankName) => saveOfflineStatements(scope.bankId, bankName, account, statements));
+        }
+        return statements;
+    })().finally(() => {
+        pendingStatements.delete(pendingKey);
+    });
+    pendingStatements.set(pendingKey, load);
+    return load;
+}
+
+/**
+ * Check whether two statement lists hold the same statements
+ * @param {Statement[]} a
+ * @param {Statement[]} b
+ * @returns {boolean}
+ */
+function isSameStatementList(a, b) {
+    const ids = new Set(a.map(statement => statement.statementId));
+    return a.length === b.length && b.every(statement => ids.has(statement.statementId));
+}
+
+/**
+ * Get statements for an account from cache or from the content script
+ * Without a window, statements are loaded back to the start of the history setting.
+ * With allowStale, a list older than the cache TTL is returned right away while a fresh one loads
+ * in the background; if the statements changed, the new list is written to STATEMENTS_UPDATED_KEY.
+ * @param {number} tabId
+ * @param {Account} account
+ * @param {StatementOptions} [statementWindow] - Window of statement dates, e.g. of a bulk download
+ * @param {{ forceRefresh?: boolean, allowStale?: boolean }} [options]
+ * @returns {Promise<Statement[]>}
+ */
+async function getStatements(tabId, account, statementWindow, { forceRefresh = false, allowStale = false } = {}) {
+    const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
+    const sessionId = await sendMessageToContentScript(tabId, 'getSessionId', {});
+    const settings = await getSettings();
+    const { from, to } = statementWindow || { from: getHistoryStart(settings.statementHistoryYears) };
+    const scope = { bankId, sessionId, accountId: account.accountId };
+    const cacheSuffix = from || to ? `${from || ''}_${to || ''}` : '';
+
+    // Only the popup's history view is kept offline, not the windows of bulk downloads
+    const offline = !statementWindow;
+
+    const entry = forceRefresh ? null : await getCacheEntry('getStatements', scope, cacheSuffix);
+    if (entry && isCacheEntryFresh(entry, getCacheTtl(settings))) {
+        return entry.data;
+    }
+
+    if (entry && allowStale) {
+        loadStatements(tabId, scope, account, { from, to }, offline)
+            .then(async (statements) => {
+                if (!isSameStatementList(entry.data, statements)) {
+                    /** @type {StatementsUpdate} */
+                    const update = { bankId, sessionId, accountId: account.accountId, statements, updatedAt: Date.now() };
+                    await chrome.storage.session.set({ [STATEMENTS_UPDATED_KEY]: update });
+                }
+            })
+            .catch((error) => {
+                console.error('Statement refresh error:', error);
+            });
+        return entry.data;
+    }
+
+    return loadStatements(tabId, scope, account, { from, to }, offline);
+}
+
+/**
+ * Get transactions for an account within a date range from cache or from the content script
+ * @param {number} tabId
+ * @param {Account} account
+ * @param {string} from - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} to - End date (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Transaction[]>}
+ */
+async function getTransactions(tabId, account, from, to) {
+    const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
+    const sessionId = await sendMessageToContentScript(tabId, 'getSessionId', {});
+    const scope = { bankId, sessionId, accountId: account.accountId };
+    const cacheSuffix = `${from}_${to}`;
+    const settings = await getSettings();
+
+    // Check cache first
+    let transactions = await getCachedData('getTransactions', scope, cacheSuffix, getCacheTtl(settings));
+
+    if (!transactions) {
+        transactions = await sendMessageToContentScript(tabId, 'getTransactions', { account, from, to });
+        await setCachedData('getTransactions', scope, cacheSuffix, transactions);
+    }
+
+    return transactions;
+}
+
+/**
+ * Find a completed download whose file still exists at the given path
+ * @param {string} filename - Path relative to the Downloads folder
+ * @returns {Promise<chrome.downloads.DownloadItem | undefined>}
+ */
+async function findExistingDownload(filename) {
+    // DownloadItem.filename is absolute and uses the platform's path separator
+    const pattern = filename
+        .split('/')
+        .map(segment => segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[\\\\/]');
+    const [existing] = await chrome.downloads.search({
+        filenameRegex: `[\\\\/]${pattern}$`,
+        exists: true,
+        state: 'complete',
+        limit: 1,
+    });
+    return existing;
+}
+
+/**
+ * Save a file with chrome.downloads, handling filename conflicts
+ * @param {string} filename - Path relative to the Downloads folder
+ * @param {DownloadConflictAction} conflictAction
+ * @param {() => Promise<string>} getUrl - Provides the file URL, only called when the file is downloaded
+ * @returns {Promise<DownloadResult>}
+ */
+async function saveDownload(filename, conflictAction, getUrl) {
+    if (conflictAction === 'skip') {
+        const existing = await findExistingDownload(filename);
+        if (existing) {
+            return { downloadId: existing.id, filename, skipped: true };
+        }
+    }
+
+    const url = await getUrl();
+    const downloadId = await chrome.downloads.download({
+        url,
+        filename,
+        conflictAction: conflictAction === 'overwrite' ? 'overwrite' : 'uniquify',
+    });
+    return { downloadId, filename, skipped: false };
+}
+
+/**
+ * Download a statement from the bank as a data URL
+ * Combined statements covering several accounts are reduced to the statement account's
+ * pages when enabled; the full document is kept when its pages cannot be told apart.
+ * Other document types, such as tax forms, are never split.
+ * @param {number} tabId
+ * @param {string} bankId
+ * @param {Statement} statement
+ * @param {Settings} settings
+ * @returns {Promise<string>}
+ */
+async function downloadStatementData(tabId, bankId, statement, settings) {
+    const dataUrl = await sendMessageToContentScript(tabId, 'downloadStatement', { statement });
+    const isStatement = (statement.documentType || 'statement') === 'statement';
+    if (!settings.splitCombinedStatements || !isStatement || !COMBINED_STATEMENT_BANKS.includes(bankId)) {
+        return dataUrl;
+    }
+
+    try {
+        const accounts = await getAccounts(tabId);
+        const otherMasks = accounts
+            .filter(account => account.accountId !== statement.account.accountId)
+            .map(account => account.accountMask);
+        const pages = splitCombinedStatement(await dataUrlToBytes(dataUrl), statement.account.accountMask, otherMasks);
+        return pages ? bytesToDataUrl(pages, 'application/pdf') : dataUrl;
+    } catch (error) {
+        console.warn('Failed to split combined statement, keeping the full document:', error);
+        return dataUrl;
+    }
+}
+
+/**
+ * Statement patterns of each bank, loaded once from its content script
+ * @type {Map<string, StatementPatterns>}
+ */
+const statementPatterns = new Map();
+
+/**
+ * Read the key figures of a downloaded statement
+ * Only statements are read; failing to read one never fails its download.
+ * @param {number} tabId
+ * @param {string} bankId
+ * @param {Statement} statement
+ * @param {string | Uint8Array} data - Data URL or bytes of the statement
+ * @returns {Promise<StatementFigures | null>}
+ */
+async function readStatementFigures(tabId, bankId, statement, data) {
+    if ((statement.documentType || 'statement') !== 'statement') {
+        return null;
+    }
+
+    try {
+        let patterns = statementPatterns.get(bankId);
+        if (!patterns) {
+            patterns = restoreStatementPatterns(await sendMessageToContentScript(tabId, 'getStatementPatterns', {}));
+            statementPatterns.set(bankId, patterns);
+        }
+        const bytes = typeof data === 'string' ? await dataUrlToBytes(data) : data;
+        return extractStatementFigures(bytes, patterns);
+    } catch (error) {
+        console.warn('Failed to read statement figures:', error);
+        return null;
+    }
+}
+
+/**
+ * Download a statement from the bank and save it to the download folder
+ * @param {number} tabId
+ * @param {Statement} statement
+ * @returns {Promise<DownloadResult>}
+ */
+async function saveStatement(tabId, statement) {
+    const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
+    const bankName = await sendMessageToContentScript(tabId, 'getBankName', {});
+    const settings = await getSettings();
+    const filename = getStatementFilename(bankId, bankName, statement, settings.filenameTemplate, settings.downloadFolder);
+
+    /** @type {StatementFigures | null} */
+    let figures = null;
+    const result = await saveDownload(filename, settings.conflictAction, async () => {
+        const dataUrl = await downloadStatementData(tabId, bankId, statement, settings);
+        figures = await readStatementFigures(tabId, bankId, statement, dataUrl);
+        return dataUrl;
+    });
+    await recordDownloads(bankId, [{ statement, filename: result.filename, downloadId: result.downloadId, figures }]);
+    return result;
+}
+
+/**
+ * MIME type of each transaction export format
+ * @type {Record<TransactionExportFormat, string>}
+ */
+const EXPORT_MIME_TYPES = {
+    csv: 'text/csv',
+    ofx: 'application/x-ofx',
+    qfx: 'application/vnd.intu.qfx',
+    qif: 'application/qif',
+};
+
+/**
+ * Export the transactions of an account within a date range and save them to the download folder
+ * @param {number} tabId
+ * @param {Account} account
+ * @param {string} from - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} to - End date (YYYY-MM-DD, inclusive)
+ * @param {TransactionExportFormat} format
+ * @returns {Promise<DownloadResult>}
+ */
+async function exportTransactions(tabId, account, from, to, format) {
+    if (!(format in EXPORT_MIME_TYPES)) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
+    const bankName = await sendMessageToContentScript(tabId, 'getBankName', {});
+    const settings = await getSettings();
+    const transactions = await getTransactions(tabId, account, from, to);
+    const range = { from, to };
+
+    let content;
+    switch (format) {
+        case 'csv':
+            // Excel needs the byte order mark to detect UTF-8
+            content = '\ufeff' + toCsv(transactions, account, {
+                columns: settings.csvColumns,
+                dateFormat: settings.csvDateFormat,
+                decimalSeparator: settings.csvDecimalSeparator,
+            });
+            break;
+        case 'ofx':
+            content = toOfx(transactions, account, range, { organization: bankName });
+            break;
+        case 'qfx':
+            content = toQfx(transactions, account, range, { organization: bankName });
+            break;
+        case 'qif':
+            content = toQif(transactions, account);
+            break;
+    }
+
+    const filename = getTransactionExportFilename(bankId, bankName, account, range, format, settings.downloadFolder);
+    return saveDownload(filename, settings.conflictAction, async () =>
+        bytesToDataUrl(new TextEncoder().encode(content), EXPORT_MIME_TYPES[format])
+    );
+}
+
+/** @type {BulkDownloadJob | null} */
+let bulkJob = null;
+
+/**
+ * Persist the bulk download job so the popup can follow its progress
+ * @param {BulkDownloadJob} job
+ * @returns {Promise<void>}
+ */
+async function saveBulkJob(job) {
+    try {
+        await chrome.storage.session.set({ [BULK_JOB_KEY]: job });
+    } catch (error) {
+        console.error('Bulk job write error:', error);
+    }
+}
+
+/**
+ * Get the current bulk download job, including one persisted before the worker restarted
+ * @returns {Promise<BulkDownloadJob | null>}
+ */
+async function getBulkJob() {
+    if (bulkJob) {
+        return bulkJob;
+    }
+    const result = await chrome.storage.session.get(BULK_JOB_KEY);
+    const job = /** @type {BulkDownloadJob | undefined} */ (result[BULK_JOB_KEY]) || null;
+
+    // A running job without an in-memory counterpart was interrupted by a worker restart
+    if (job && (job.status === 'listing' || job.status === 'downloading')) {
+        job.status = 'cancelled';
+        job.errors.push('Bulk download was interrupted');
+        for (const item of job.items) {
+            if (item.status === 'pending' || item.status === 'downloading') {
+                item.status = 'skipped';
+            }
+        }
+        job.finishedAt = Date.now();
+        await saveBulkJob(job);
+    }
+
+    return job;
+}
+
+/**
+ * Check whether a bulk download job was cancelled
+ * The status changes while the job runs, so it is read through a function call
+ * @param {BulkDownloadJob} job
+ * @returns {boolean}
+ */
+function isBulkJobCancelled(job) {
+    return job.status === 'cancelled';
+}
+
+/**
+ * Check whether a statement falls within the requested date window
+ * @param {Statement} statement
+ * @param {BulkDownloadRequest} request
+ * @returns {boolean}
+ */
+function isInDateWindow(statement, request) {
+    const date = statement.statementDate.split('T')[0];
+    if (request.from && date < request.from) return false;
+    if (request.to && date > request.to) return false;
+    return true;
+}
+
+/**
+ * Check whether a statement is one of the requested document types
+ * @param {Statement} statement
+ * @param {BulkDownloadRequest} request
+ * @returns {boolean}
+ */
+function isRequestedDocumentType(statement, request) {
+    return !request.documentTypes || request.documentTypes.includes(statement.documentType || 'statement');
+}
+
+/**
+ * Run async work over items with a limited number of parallel workers
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T) => Promise<void>} worker
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Decode a data URL into bytes
+ * @param {string} dataUrl
+ * @returns {Promise<Uint8Array>}
+ */
+async function dataUrlToBytes(dataUrl) {
+    const response = await fetch(dataUrl);
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode bytes as a base64 data URL
+ * The service worker has no URL.createObjectURL, so chrome.downloads is given a data URL
+ * @param {Uint8Array} bytes
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function bytesToDataUrl(bytes, mimeType) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+/**
+ * Compute the SHA-256 digest of bytes as a hex string
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', /** @type {Uint8Array<ArrayBuffer>} */ (bytes));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get an archive path that is not used yet, appending a counter on collision
+ * @param {string} path
+ * @param {Set<string>} usedPaths
+ * @returns {string}
+ */
+function getUniqueArchivePath(path, usedPaths) {
+    let uniquePath = path;
+    for (let counter = 2; usedPaths.has(uniquePath); counter++) {
+        uniquePath = path.replace(/\.pdf$/, ` (${counter}).pdf`);
+    }
+    usedPaths.add(uniquePath);
+    return uniquePath;
+}
+
+/**
+ * Save the downloaded statements of a job as a single ZIP archive
+ * The archive includes a manifest.json listing every statement with its SHA-256
+ * @param {BulkDownloadJob} job
+ * @param {Map<BulkDownloadItem, Uint8Array>} files
+ * @param {Map<BulkDownloadItem, StatementFigures | null>} figures - Key figures read from each file
+ * @returns {Promise<void>}
+ */
+async function saveBulkArchive(job, files, figures) {
+    /** @type {import('./zip.mjs').ZipEntry[]} */
+    const entries = [];
+    const statements = [];
+    const bankNames = new Map(job.banks.map(bank => [bank.bankId, bank.bankName]));
+
+    for (const item of job.items) {
+        const data = files.get(item);
+        if (!data) continue;
+
+        const { account } = item.statement;
+        entries.push({ name: item.filename, data });
+        statements.push({
+            path: item.filename,
+            bankId: item.bankId,
+            bankName: bankNames.get(item.bankId),
+            profileName: account.profile.profileName,
+            accountId: account.accountId,
+            accountName: account.accountName,
+            accountMask: account.accountMask,
+            accountType: account.accountType,
+            statementId: item.statement.statementId,
+            statementDate: item.statement.statementDate,
+            sha256: item.sha256,
+        });
+    }
+
+    const manifest = {
+        createdAt: new Date().toISOString(),
+        banks: job.banks,
+        statements,
+    };
+    entries.push({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+    // An archive of several banks drops the bank tokens from the folder, e.g. "Bank Statements/{bankName}"
+    const settings = await getSettings();
+    const [singleBank] = job.banks.length === 1 ? job.banks : [{ bankId: '', bankName: '' }];
+    const folder = renderDownloadFolder(settings.downloadFolder, singleBank.bankId, singleBank.bankName);
+    const archiveName = `${singleBank.bankName || 'Bank Statements'}_${new Date().toISOString().split('T')[0]}.zip`.replace(/[\\/:*?"<>|]/g, '_');
+    const filename = folder ? `${folder}/${archiveName}` : archiveName;
+
+    // An archive always contains new content, so "skip" saves it under a numbered name instead
+    const conflictAction = settings.conflictAction === 'overwrite' ? 'overwrite' : 'uniquify';
+    const zip = createZip(entries);
+    const result = await saveDownload(filename, conflictAction, async () => bytesToDataUrl(zip, 'application/zip'));
+    job.archiveFilename = result.filename;
+
+    for (const { bankId } of job.banks) {
+        try {
+            await recordDownloads(bankId, job.items
+                .filter(item => item.bankId === bankId && files.has(item))
+                .map(item => ({ statement: item.statement, filename: item.filename, figures: figures.get(item) })));
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            job.errors.push(`Failed to record the statements of ${bankNames.get(bankId)} as downloaded: ${message}`);
+        }
+    }
+}
+
+/**
+ * Start a bulk download job for the requested banks
+ * The job runs in the background worker and keeps going when the popup closes
+ * @param {BulkDownloadRequest} request
+ * @returns {Promise<BulkDownloadJob>}
+ */
+async function startBulkDownload(request) {
+    const current = await getBulkJob();
+    if (current && (current.status === 'listing' || current.status === 'downloading')) {
+        throw new Error('A bulk download is already in progress');
+    }
+
+    const bankIds = request.bankIds;
+    const sessions = (await getBankSessions())
+        .filter(session => !bankIds || bankIds.includes(session.bankId));
+    if (sessions.length === 0) {
+        throw new Error('No signed-in bank tab found');
+    }
+
+    /** @type {BulkDownloadJob} */
+    const job = {
+        jobId: crypto.randomUUID(),
+        banks: sessions.map(({ bankId, bankName }) => ({ bankId, bankName })),
+        status: 'listing',
+        request,
+        items: [],
+        errors: [],
+        startedAt: Date.now(),
+    };
+    bulkJob = job;
+    await saveBulkJob(job);
+
+    runBulkDownload(sessions, job).catch(async (error) => {
+        job.errors.push(error instanceof Error ? error.message : String(error));
+        job.status = 'completed';
+        job.finishedAt = Date.now();
+        await saveBulkJob(job);
+    });
+
+    return job;
+}
+
+/**
+ * List the statements of one bank's selected accounts into the job
+ * @param {BankSession} session
+ * @param {BulkDownloadJob} job
+ * @param {Settings} settings
+ * @param {Set<string>} usedPaths - Archive paths taken by earlier items
+ * @returns {Promise<void>}
+ */
+async function listBulkItems(session, job, settings, usedPaths) {
+    const { bankId, bankName, tabId } = session;
+    const accounts = await getAccounts(tabId);
+    const accountIds = job.request.accountIds;
+    const selectedAccounts = accountIds
+        ? accounts.filter(account => accountIds.includes(account.accountId))
+        : accounts;
+
+    const ledger = job.request.onlyNew ? await getLedger(bankId) : null;
+
+    for (const account of selectedAccounts) {
+        if (isBulkJobCancelled(job)) return;
+
+        try {
+            // Let banks that query by date load the whole window, even beyond the history setting
+            const { from, to } = job.request;
+            const statements = await getStatements(tabId, account, from || to ? { from, to } : undefined);
+            for (const statement of statements) {
+                if (ledger && getLedgerEntry(ledger, statement)) {
+                    continue;
+                }
+                if (isInDateWindow(statement, job.request) && isRequestedDocumentType(statement, job.request)) {
+                    job.items.push({
+                        bankId,
+                        statement,
+                        filename: job.request.archive
+                            ? getUniqueArchivePath(getStatementArchivePath(bankId, bankName, statement), usedPaths)
+                            : getStatementFilename(bankId, bankName, statement, settings.filenameTemplate, settings.downloadFolder),
+                        status: 'pending',
+                    });
+                }
+            }
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            job.errors.push(`${job.banks.length > 1 ? `${bankName} ` : ''}${account.accountName}: ${message}`);
+        }
+        await saveBulkJob(job);
+    }
+}
+
+/**
+ * Collect the request timing of the banks that use the shared request helper
+ * @param {BankSession[]} sessions
+ * @returns {Promise<Record<string, RequestMetrics>>}
+ */
+async function getBulkRequestMetrics(sessions) {
+    /** @type {Record<string, RequestMetrics>} */
+    const metrics = {};
+    for (const { bankId, tabId } of sessions) {
+        try {
+            const bankMetrics = await sendMessageToContentScript(tabId, 'getRequestMetrics', {});
+            if (bankMetrics) {
+                metrics[bankId] = bankMetrics;
+            }
+        } catch (error) {
+            // The tab may have been closed during the job
+        }
+    }
+    return metrics;
+}
+
+/**
+ * Walk the accounts and statements of every bank, then download every statement in the job
+ * Banks are downloaded side by side, each with its own concurrency limit
+ * @param {BankSession[]} sessions
+ * @param {BulkDownloadJob} job
+ * @returns {Promise<void>}
+ */
+async function runBulkDownload(sessions, job) {
+    const settings = await getSettings();
+
+    /** @type {Set<string>} */
+    const usedPaths = new Set();
+
+    for (const session of sessions) {
+        if (isBulkJobCancelled(job)) return;
+
+        try {
+            await listBulkItems(session, job, settings, usedPaths);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            job.errors.push(`${session.bankName}: ${message}`);
+            await saveBulkJob(job);
+        }
+    }
+
+    if (isBulkJobCancelled(job)) return;
+    job.status = 'downloading';
+    await saveBulkJob(job);
+
+    /** @type {Map<BulkDownloadItem, Uint8Array>} */
+    const archiveFiles = new Map();
+    /** @type {Map<BulkDownloadItem, StatementFigures | null>} */
+    const archiveFigures = new Map();
+
+    await Promise.all(sessions.map(({ bankId, tabId }) => {
+        const items = job.items.filter(item => item.bankId === bankId);
+        const concurrency = BULK_CONCURRENCY[bankId] || DEFAULT_BULK_CONCURRENCY;
+
+        return runWithConcurrency(items, concurrency, async (item) => {
+            if (isBulkJobCancelled(job)) {
+                item.status = 'skipped';
+                return;
+            }
+
+            item.status = 'downloading';
+            await saveBulkJob(job);
+
+            try {
+                if (job.request.archive) {
+                    const base64Data = await downloadStatementData(tabId, bankId, item.statement, settings);
+                    const data = await dataUrlToBytes(base64Data);
+                    item.sha256 = await sha256Hex(data);
+                    archiveFiles.set(item, data);
+                    archiveFigures.set(item, await readStatementFigures(tabId, bankId, item.statement, data));
+                    item.status = 'done';
+                } else {
+                    /** @type {StatementFigures | null} */
+                    let figures = null;
+                    const result = await saveDownload(item.filename, settings.conflictAction, async () => {
+                        const dataUrl = await downloadStatementData(tabId, bankId, item.statement, settings);
+                        figures = await readStatementFigures(tabId, bankId, item.statement, dataUrl);
+                        return dataUrl;
+                    });
+                    item.downloadId = result.downloadId;
+                    if (result.skipped) {
+                        item.status = 'skipped';
+                        item.skipReason = 'File already exists';
+                    } else {
+                        item.status = 'done';
+                    }
+
+                    // The file is saved either way; a failed ledger write only loses its "downloaded" mark
+                    try {
+                        await recordDownloads(bankId, [{ statement: item.statement, filename: result.filename, downloadId: result.downloadId, figures }]);
+                    } catch (error) {
+                        const message = error instanceof Error ? error.message : String(error);
+                        job.errors.push(`Failed to record ${result.filename} as downloaded: ${message}`);
+                    }
+                }
+            } catch (error) {
+                item.status = 'failed';
+                item.error = error instanceof Error ? error.message : String(error);
+            }
+            await saveBulkJob(job);
+        });
+    }));
+
+    // Statements downloaded before a cancellation are still saved
+    if (archiveFiles.size > 0) {
+        try {
+            await saveBulkArchive(job, archiveFiles, archiveFigures);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            job.errors.push(`Failed to save archive: ${message}`);
+        }
+    }
+
+    job.requestMetrics = await getBulkRequestMetrics(sessions);
+
+    if (!isBulkJobCancelled(job)) {
+        job.status = 'completed';
+    }
+    job.finishedAt = Date.now();
+    await saveBulkJob(job);
+}
+
+/**
+ * Cancel the running bulk download job
+ * Statements already downloading finish, the remaining ones are skipped
+ * @returns {Promise<BulkDownloadJob | null>}
+ */
+async function cancelBulkDownload() {
+    const job = await getBulkJob();
+    if (!job || job.status === 'completed' || job.status === 'cancelled') {
+        return job;
+    }
+
+    job.status = 'cancelled';
+    for (const item of job.items) {
+        if (item.status === 'pending') {
+            item.status = 'skipped';
+        }
+    }
+    job.finishedAt = Date.now();
+    await saveBulkJob(job);
+    return job;
+}
+
 /**
  * Handle messages from popup and content scripts
  * @param {BackgroundMessage} message
@@ -145,72 +1049,57 @@ function handleMessage(message, sender, sendResponse) {
                 throw new Error('Message must have an action');
             }
 
-            // Get the active tab for communication with content script
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (!tab?.id) {
-                throw new Error('Unable to determine current tab');
-            }
-
-            const tabId = tab.id;
-
             switch (message.action) {
+                case 'getBankSessions': {
+                    const sessions = await getBankSessions();
+                    sendResponse({ success: true, data: sessions });
+                    break;
+                }
+
                 case 'getBankId': {
+                    const tabId = await getTabId(message.bankId);
                     const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
                     sendResponse({ success: true, data: bankId });
                     break;
                 }
 
                 case 'getBankName': {
+                    const tabId = await getTabId(message.bankId);
                     const bankName = await sendMessageToContentScript(tabId, 'getBankName', {});
                     sendResponse({ success: true, data: bankName });
                     break;
                 }
 
                 case 'getSessionId': {
+                    const tabId = await getTabId(message.bankId);
                     const sessionId = await sendMessageToContentScript(tabId, 'getSessionId', {});
                     sendResponse({ success: true, data: sessionId });
                     break;
                 }
 
                 case 'getAccounts': {
-                    const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
-                    const sessionId = await sendMessageToContentScript(tabId, 'getSessionId', {});
-                    const cacheSuffix = `${bankId}_${sessionId}`;
-
-                    // Check cache first
-                    let accounts = await getCachedData('getAccounts', cacheSuffix);
-
-                    if (!accounts || message.forceRefresh) {
-                        accounts = await sendMessageToContentScript(tabId, 'getAccounts', {});
-                        await setCachedData('getAccounts', cacheSuffix, accounts);
-                    }
-
+                    const tabId = await getTabId(message.bankId);
+                    const accounts = await getAccounts(tabId, message.forceRefresh);
                     sendResponse({ success: true, data: accounts });
                     break;
                 }
 
                 case 'getStatements': {
+                    const tabId = await getTabId(message.bankId);
                     if (!message.account) {
                         throw new Error('Account is required for getStatements');
                     }
 
-                    const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
-                    const sessionId = await sendMessageToContentScript(tabId, 'getSessionId', {});
-                    const cacheSuffix = `${bankId}_${sessionId}_${message.account.accountId}`;
-
-                    // Check cache first
-                    let statements = await getCachedData('getStatements', cacheSuffix);
-
-                    if (!statements) {
-                        statements = await sendMessageToContentScript(tabId, 'getStatements', { account: message.account });
-                        await setCachedData('getStatements', cacheSuffix, statements);
-                    }
-
+                    const statements = await getStatements(tabId, message.account, undefined, {
+                        forceRefresh: message.forceRefresh,
+                        allowStale: true,
+                    });
                     sendResponse({ success: true, data: statements });
                     break;
                 }
 
                 case 'downloadStatement': {
+                    const tabId = await getTabId(message.bankId);
                     if (!message.statement) {
                         throw new Error('Statement is required for downloadStatement');
                     }
@@ -220,12 +1109,148 @@ function handleMessage(message, sender, sendResponse) {
                     break;
                 }
 
+                case 'getCapabilities': {
+                    const tabId = await getTabId(message.bankId);
+                    const capabilities = await sendMessageToContentScript(tabId, 'getCapabilities', {});
+                    sendResponse({ success: true, data: capabilities });
+                    break;
+                }
+
+                case 'getRequestMetrics': {
+                    const tabId = await getTabId(message.bankId);
+                    const metrics = await sendMessageToContentScript(tabId, 'getRequestMetrics', {});
+                    sendResponse({ success: true, data: metrics });
+                    break;
+                }
+
+                case 'getStatementProbes': {
+                    const tabId = await getTabId(message.bankId);
+                    if (!message.account) {
+                        throw new Error('Account is required for getStatementProbes');
+                    }
+                    const probes = await sendMessageToContentScript(tabId, 'getStatementProbes', { account: message.account });
+                    sendResponse({ success: true, data: probes });
+                    break;
+                }
+
+                case 'getTransactions': {
+                    const tabId = await getTabId(message.bankId);
+                    if (!message.account) {
+                        throw new Error('Account is required for getTransactions');
+                    }
+                    if (!message.from || !message.to) {
+                        throw new Error('Date range is required for getTransactions');
+                    }
+
+                    const transactions = await getTransactions(tabId, message.account, message.from, message.to);
+                    sendResponse({ success: true, data: transactions });
+                    break;
+                }
+
+                case 'exportTransactions': {
+                    const tabId = await getTabId(message.bankId);
+                    if (!message.account) {
+                        throw new Error('Account is required for exportTransactions');
+                    }
+                    if (!message.from || !message.to) {
+                        throw new Error('Date range is required for exportTransactions');
+                    }
+
+                    const result = await exportTransactions(tabId, message.account, message.from, message.to, message.format);
+                    sendResponse({ success: true, data: result });
+                    break;
+                }
+
+                case 'saveStatement': {
+                    const tabId = await getTabId(message.bankId);
+                    if (!message.statement) {
+                        throw new Error('Statement is required for saveStatement');
+                    }
+
+                    const result = await saveStatement(tabId, message.statement);
+                    sendResponse({ success: true, data: result });
+                    break;
+                }
+
+                case 'saveRangeStatement': {
+                    const tabId = await getTabId(message.bankId);
+                    if (!message.account) {
+                        throw new Error('Account is required for saveRangeStatement');
+                    }
+                    if (!message.from || !message.to) {
+                        throw new Error('Date range is required for saveRangeStatement');
+                    }
+
+                    const statement = await sendMessageToContentScript(tabId, 'getRangeStatement', {
+                        account: message.account,
+                        from: message.from,
+                        to: message.to,
+                    });
+                    const result = await saveStatement(tabId, statement);
+                    sendResponse({ success: true, data: result });
+                    break;
+                }
+
+                case 'getDownloadLedger': {
+                    const tabId = await getTabId(message.bankId);
+                    const bankId = await sendMessageToContentScript(tabId, 'getBankId', {});
+                    const ledger = await getLedger(bankId);
+                    sendResponse({ success: true, data: ledger });
+                    break;
+                }
+
+                case 'getOfflineCache': {
+                    const settings = await getSettings();
+                    if (!(await isOfflineCacheUnlocked())) {
+                        await removeExpiredOfflineBanks(settings);
+                        // Nothing to unlock when every bank expired
+                        const locked = (await listOfflineBanks()).length > 0;
+                        sendResponse({ success: true, data: { locked, banks: [] } });
+                        break;
+                    }
+                    const banks = await getOfflineBanks(settings);
+                    sendResponse({ success: true, data: { locked: false, banks } });
+                    break;
+                }
+
+                case 'unlockOfflineCache': {
+                    await unlockOfflineCache(message.passphrase);
+                    sendResponse({ success: true, data: null });
+                    break;
+                }
+
                 case 'clearCache': {
-                    await chrome.storage.session.clear();
+                    await clearCache({ bankId: message.bankId, sessionId: message.sessionId, accountId: message.accountId });
                     sendResponse({ success: true, data: null });
                     break;
                 }
 
+                case 'startBulkDownload': {
+                    const job = await startBulkDownload({
+                        bankIds: message.bankIds,
+                        accountIds: message.accountIds,
+                        from: message.from,
+                        to: message.to,
+                        documentTypes: message.documentTypes,
+                        archive: message.archive,
+                        onlyNew: message.onlyNew,
+                    });
+                    sendResponse({ success: true, data: job });
+                    break;
+                }
+
+                case 'getBulkDownloadJob': {
+                    const job = await getBulkJob();
+                    sendResponse({ success: true, data: job });
+                    break;
+                }
+
+                case 'cancelBulkDownload': {
+                    const job = await cancelBulkDownload();
+                    sendResponse({ success: true, data: job });
+                    break;
+                }
+
                 case 'requestFetch': {
                     try {
                         const successResponse = await handleFetchRequest(message);
@@ -246,8 +1271,8 @@ function handleMessage(message, sender, sendResponse) {
                 }
             }
         } catch (error) {
-            const err = /** @type {Error} */ (error);
-            sendResponse({ success: false, error: err.message });
+            const err = /** @type {BankError} */ (error);
+            sendResponse({ success: false, error: err.message, code: err.code });
         }
     })();
 
@@ -307,11 +1332,20 @@ async function updateIcon(tabId, url) {
 
 // Listen for tab updates to change icon
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url) {
+        // The tab may have left the bank or signed out, it is checked again when needed
+        forgetTabSessions(tabId);
+    }
     if (changeInfo.url || changeInfo.status === 'complete') {
         updateIcon(tabId, tab.url);
     }
 });
 
+// Stop routing requests to closed tabs
+chrome.tabs.onRemoved.addListener((tabId) => {
+    forgetTabSessions(tabId);
+});
+
 // Listen for tab activation to change icon
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
     const tab = await chrome.tabs.get(activeInfo.tabId);
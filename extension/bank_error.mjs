@@ -0,0 +1,33 @@
+/**
+ * Shared error helpers of the bank modules
+ * Errors with a known cause carry a code the content script sends with the message,
+ * see BankErrorCode in bank/bank.types.ts.
+ * @typedef {import('../bank/bank.types').BankError} BankError
+ * @typedef {import('../bank/bank.types').BankErrorCode} BankErrorCode
+ */
+
+/**
+ * Create an error with a known cause
+ * @param {BankErrorCode} code
+ * @param {string} message
+ * @returns {BankError}
+ */
+export function createBankError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Create an error for a failed HTTP response, with a known cause when the status tells it
+ * @param {Response} response
+ * @param {string} message
+ * @param {Record<number, BankErrorCode>} [statusCodes] - Codes of statuses the bank uses differently, e.g. 401 for a one-time code
+ * @returns {Error}
+ */
+export function createResponseError(response, message, statusCodes = {}) {
+    const code = statusCodes[response.status];
+    if (code) return createBankError(code, message);
+    if (response.status === 401 || response.status === 403) return createBankError('SessionExpired', message);
+    if (response.status === 429) return createBankError('RateLimited', message);
+    if (response.status >= 500) return createBankError('NetworkError', message);
+    return new Error(message);
+}
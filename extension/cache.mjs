@@ -0,0 +1,135 @@
+/**
+ * Cache of bank data in chrome.storage.session, so it survives the popup but not the browser session
+ * Every entry records the bank, session and account it belongs to, so it can be cleared on its own.
+ * @typedef {import('./extension.type').CacheScope} CacheScope
+ * @typedef {import('./extension.type').MessageAction} MessageAction
+ * @typedef {import('./extension.type').MessageDataMap} MessageDataMap
+ */
+
+/** Default age after which cached data is loaded again, see the cacheTtlMinutes setting */
+export const CACHE_TTL = 15 * 60 * 1000; // 15 minutes in milliseconds
+
+const CACHE_KEY_PREFIX = 'cached_';
+
+/**
+ * @template T
+ * @typedef {{ data: T; timestamp: number; scope: CacheScope }} CacheEntry
+ */
+
+/**
+ * Get the storage key of cached data
+ * @param {MessageAction} action
+ * @param {CacheScope} scope
+ * @param {string} [suffix] - Additional cache key suffix, e.g. a date range
+ * @returns {string}
+ */
+function getCacheKey(action, scope, suffix) {
+    return [CACHE_KEY_PREFIX + action, scope.bankId, scope.sessionId, scope.accountId, suffix]
+        .filter(part => part !== undefined && part !== '')
+        .join('_');
+}
+
+/**
+ * Check whether a cache entry is younger than the TTL
+ * @param {CacheEntry<unknown>} entry
+ * @param {number} [ttl] - Milliseconds
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isCacheEntryFresh(entry, ttl = CACHE_TTL, now = Date.now()) {
+    return now - entry.timestamp <= ttl;
+}
+
+/**
+ * Get a cache entry, even if it is older than the TTL
+ * @template {MessageAction} A
+ * @param {A} action
+ * @param {CacheScope} scope
+ * @param {string} [suffix]
+ * @returns {Promise<CacheEntry<MessageDataMap[A]['response']> | null>}
+ */
+export async function getCacheEntry(action, scope, suffix) {
+    const key = getCacheKey(action, scope, suffix);
+    try {
+        const result = await chrome.storage.session.get(key);
+        return /** @type {CacheEntry<MessageDataMap[A]['response']> | undefined} */ (result[key]) || null;
+    } catch (error) {
+        console.error('Cache read error:', error);
+        return null;
+    }
+}
+
+/**
+ * Get cached data that is younger than the TTL
+ * @template {MessageAction} A
+ * @param {A} action
+ * @param {CacheScope} scope
+ * @param {string} [suffix]
+ * @param {number} [ttl] - Milliseconds
+ * @returns {Promise<MessageDataMap[A]['response'] | null>}
+ */
+export async function getCachedData(action, scope, suffix, ttl = CACHE_TTL) {
+    const entry = await getCacheEntry(action, scope, suffix);
+    if (!entry) {
+        return null;
+    }
+
+    if (!isCacheEntryFresh(entry, ttl)) {
+        await chrome.storage.session.remove(getCacheKey(action, scope, suffix));
+        return null;
+    }
+
+    return entry.data;
+}
+
+/**
+ * Cache data
+ * @template {MessageAction} A
+ * @param {A} action
+ * @param {CacheScope} scope
+ * @param {string | undefined} suffix
+ * @param {MessageDataMap[A]['response']} data
+ * @returns {Promise<void>}
+ */
+export async function setCachedData(action, scope, suffix, data) {
+    const key = getCacheKey(action, scope, suffix);
+    try {
+        await chrome.storage.session.set({
+            [key]: {
+                data,
+                timestamp: Date.now(),
+                scope,
+            }
+        });
+    } catch (error) {
+        console.error('Cache write error:', error);
+    }
+}
+
+/**
+ * Check whether a cache entry belongs to a scope
+ * @param {CacheScope | undefined} entryScope - Scope of the entry
+ * @param {Partial<CacheScope>} scope - Only the fields set are compared
+ * @returns {boolean}
+ */
+function isInScope(entryScope, scope) {
+    return (!scope.bankId || entryScope?.bankId === scope.bankId)
+        && (!scope.sessionId || entryScope?.sessionId === scope.sessionId)
+        && (!scope.accountId || entryScope?.accountId === scope.accountId);
+}
+
+/**
+ * Clear cached bank data, leaving other session state (e.g. the bulk download job) intact
+ * @param {Partial<CacheScope>} [scope] - Bank, session and/or account to clear, everything when empty
+ * @returns {Promise<void>}
+ */
+export async function clearCache(scope = {}) {
+    const all = await chrome.storage.session.get(null);
+    const keys = Object.entries(all)
+        .filter(([key, entry]) => key.startsWith(CACHE_KEY_PREFIX)
+            && isInScope(/** @type {CacheEntry<unknown>} */ (entry).scope, scope))
+        .map(([key]) => key);
+    if (keys.length > 0) {
+        await chrome.storage.session.remove(keys);
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Splitting of combined statements, where one PDF covers several accounts
+ * Pages are assigned to accounts by the account numbers printed on them.
+ */
+
+import { extractPages, getPageText, getPages, parsePdf } from './pdf.mjs';
+
+/** Banks whose statement PDFs cover all accounts of the customer */
+export const COMBINED_STATEMENT_BANKS = ['fidelity', 'first_tech_fcu'];
+
+/**
+ * Get the digits of an account mask, e.g. "1644" for "*1644"
+ * @param {string} accountMask
+ * @returns {string}
+ */
+function getMaskDigits(accountMask) {
+    return accountMask.replace(/\D/g, '');
+}
+
+/**
+ * Check whether page text mentions an account
+ * The mask must end a run of digits that is not an amount, so "...1644" and "X1644"
+ * match but "1644.50" and "16448" do not.
+ * @param {string} text
+ * @param {string} maskDigits
+ * @returns {boolean}
+ */
+export function mentionsAccount(text, maskDigits) {
+    return new RegExp(`${maskDigits}(?!\\d|[.,]\\d)`).test(text);
+}
+
+/**
+ * Find the pages of a combined statement that belong to an account
+ * A page mentioning a single account starts (or continues) that account's section and
+ * pages without account numbers stay in the current section. Pages mentioning several
+ * accounts, such as a summary, belong to no account unless they continue the current one.
+ * @param {string[]} pageTexts - Text of each page
+ * @param {string} accountMask - Mask of the account to keep
+ * @param {string[]} otherAccountMasks - Masks of the other accounts of the customer
+ * @returns {number[] | null} Zero-based page indexes, or null when the pages cannot be told apart
+ */
+export function findAccountPages(pageTexts, accountMask, otherAccountMasks) {
+    const target = getMaskDigits(accountMask);
+    const others = otherAccountMasks.map(getMaskDigits).filter(mask => mask && mask !== target);
+    if (!target || others.length === 0) {
+        return null;
+    }
+
+    const mentions = pageTexts.map(text => [target, ...others].filter(mask => mentionsAccount(text, mask)));
+
+    // A statement that never mentions another account belongs to this account alone
+    if (!mentions.some(found => found.some(mask => mask !== target))) {
+        return null;
+    }
+
+    /** @type {number[]} */
+    const pages = [];
+    /** @type {string | null} */
+    let current = null;
+
+    mentions.forEach((found, index) => {
+        if (found.length === 1) {
+            current = found[0];
+        } else if (found.length > 1 && (current === null || !found.includes(current))) {
+            current = null;
+        }
+        if (current === target) {
+            pages.push(index);
+        }
+    });
+
+    return pages.length > 0 ? pages : null;
+}
+
+/**
+ * Keep only the pages of a combined statement that belong to an account
+ * @param {Uint8Array} bytes - Combined statement PDF
+ * @param {string} accountMask - Mask of the account to keep
+ * @param {string[]} otherAccountMasks - Masks of the other accounts of the customer
+ * @returns {Uint8Array<ArrayBuffer> | null} PDF with the account's pages, or null when the full document should be kept
+ */
+export function splitCombinedStatement(bytes, accountMask, otherAccountMasks) {
+    const doc = parsePdf(bytes);
+    if (doc.encrypted) {
+        return null;
+    }
+
+    const pages = getPages(doc);
+    const pageTexts = pages.map(page => {
+        try {
+            return getPageText(doc, page);
+        } catch (error) {
+            return '';
+        }
+    });
+
+    const accountPages = findAccountPages(pageTexts, accountMask, otherAccountMasks);
+    if (!accountPages || accountPages.length === pages.length) {
+        return null;
+    }
+    return extractPages(doc, accountPages);
+}
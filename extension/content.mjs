@@ -4,8 +4,13 @@
  * @typedef {import('./extension.type').ContentMessage} ContentMessage
  * @typedef {import('./extension.type').MessageResponse} MessageResponse
  * @typedef {typeof import('../bank/bank.types')} BankModule
+ * @typedef {import('../bank/bank.types').BankError} BankError
+ * @typedef {import('../bank/bank.types').BankErrorCode} BankErrorCode
  */
 
+/** @type {BankErrorCode[]} */
+const BANK_ERROR_CODES = ['SessionExpired', 'MfaRequired', 'RateLimited', 'NotSupported', 'NetworkError', 'ParseError'];
+
 /** @type {BankModule | null} */
 let bankModule = null;
 
@@ -162,6 +167,98 @@ async function getBankModule() {
     throw new Error(`Unsupported bank: ${hostname}`);
 }
 
+/**
+ * Check whether a statement falls within a window of statement dates
+ * Bank modules only narrow their requests to the window, so the list is trimmed here
+ * @param {import('../bank/bank.types').Statement} statement
+ * @param {import('../bank/bank.types').StatementOptions} options
+ * @returns {boolean}
+ */
+function isInStatementWindow(statement, options) {
+    const date = statement.statementDate.split('T')[0];
+    if (options.from && date < options.from) return false;
+    if (options.to && date > options.to) return false;
+    return true;
+}
+
+/**
+ * Fill in the start of statement periods whose bank lists only the closing date
+ * A period starts the day after the account's previous statement closed; the oldest
+ * statement of the list keeps an open start.
+ * @param {import('../bank/bank.types').Statement[]} statements - Statements of one account
+ * @returns {import('../bank/bank.types').Statement[]}
+ */
+function fillStatementPeriods(statements) {
+    const isStatement = (/** @type {import('../bank/bank.types').Statement} */ statement) =>
+        (statement.documentType || 'statement') === 'statement' && Boolean(statement.periodEnd);
+    const closingDates = statements.filter(isStatement).map(statement => /** @type {string} */ (statement.periodEnd)).sort();
+
+    return statements.map(statement => {
+        if (statement.periodStart || !isStatement(statement)) {
+            return statement;
+        }
+        const previous = closingDates.filter(date => date < /** @type {string} */ (statement.periodEnd)).pop();
+        if (!previous) {
+            return statement;
+        }
+        const start = new Date(`${previous}T00:00:00Z`);
+        start.setUTCDate(start.getUTCDate() + 1);
+        return { ...statement, periodStart: start.toISOString().split('T')[0] };
+    });
+}
+
+/**
+ * Turn the statement patterns of a bank module into plain data for the background worker
+ * @param {import('../bank/bank.types').StatementPatterns | undefined} patterns
+ * @returns {import('./extension.type').SerializedStatementPatterns}
+ */
+function serializeStatementPatterns(patterns = {}) {
+    /** @type {import('./extension.type').SerializedStatementPatterns} */
+    const serialized = { patterns: {}, dayFirst: Boolean(patterns.dayFirst) };
+    for (const [field, fieldPatterns] of Object.entries(patterns)) {
+        if (Array.isArray(fieldPatterns)) {
+            serialized.patterns[/** @type {keyof typeof serialized.patterns} */ (field)] =
+                fieldPatterns.map(pattern => ({ source: pattern.source, flags: pattern.flags }));
+        }
+    }
+    return serialized;
+}
+
+/**
+ * Create an error for a request the bank module cannot serve
+ * Content scripts cannot import statically, so the shared helper is loaded with the first such error.
+ * @param {string} message
+ * @returns {Promise<BankError>}
+ */
+async function createNotSupportedError(message) {
+    /** @type {typeof import('./bank_error.mjs')} */
+    const { createBankError } = await import(chrome.runtime.getURL('extension/bank_error.mjs'));
+    return createBankError('NotSupported', message);
+}
+
+/**
+ * Find the code a bank module set on an error, following the errors it was wrapped in
+ * Errors the browser raises for any module are recognized too: a fetch that could not
+ * reach the bank is a NetworkError, and malformed JSON is a ParseError.
+ * @param {unknown} error
+ * @returns {BankErrorCode | undefined}
+ */
+function getErrorCode(error) {
+    for (let cause = error; cause instanceof Error; cause = cause.cause) {
+        const code = /** @type {BankError} */ (cause).code;
+        if (BANK_ERROR_CODES.includes(code)) {
+            return code;
+        }
+        if (cause instanceof TypeError && cause.message === 'Failed to fetch') {
+            return 'NetworkError';
+        }
+        if (cause instanceof SyntaxError) {
+            return 'ParseError';
+        }
+    }
+    return undefined;
+}
+
 /**
  * Message handler for commands from the popup
  * @param {ContentMessage} message
@@ -202,11 +299,73 @@ function handleMessage(message, sender, sendResponse) {
                     if (!message.account) {
                         throw new Error('Account is required for getStatements');
                     }
-                    const statements = await bank.getStatements(message.account);
+                    const options = { from: message.from, to: message.to };
+                    const statements = fillStatementPeriods(await bank.getStatements(message.account, options))
+                        .filter(statement => isInStatementWindow(statement, options));
                     sendResponse({ action: 'getStatements', data: statements });
                     break;
                 }
 
+                case 'getCapabilities': {
+                    sendResponse({
+                        action: 'getCapabilities',
+                        data: {
+                            transactions: typeof bank.getTransactions === 'function',
+                            rangeStatements: typeof bank.getRangeStatement === 'function',
+                            statementHistoryStart: typeof bank.getStatementHistoryStart === 'function' ? bank.getStatementHistoryStart() : null,
+                        },
+                    });
+                    break;
+                }
+
+                case 'getStatementProbes': {
+                    if (!message.account) {
+                        throw new Error('Account is required for getStatementProbes');
+                    }
+                    sendResponse({
+                        action: 'getStatementProbes',
+                        data: typeof bank.getStatementProbes === 'function' ? bank.getStatementProbes(message.account) : null,
+                    });
+                    break;
+                }
+
+                case 'getStatementPatterns': {
+                    sendResponse({ action: 'getStatementPatterns', data: serializeStatementPatterns(bank.statementPatterns) });
+                    break;
+                }
+
+                case 'getRequestMetrics': {
+                    sendResponse({
+                        action: 'getRequestMetrics',
+                        data: typeof bank.getRequestMetrics === 'function' ? bank.getRequestMetrics() : null,
+                    });
+                    break;
+                }
+
+                case 'getTransactions': {
+                    if (!message.account) {
+                        throw new Error('Account is required for getTransactions');
+                    }
+                    if (!bank.getTransactions) {
+                        throw await createNotSupportedError(`${bank.bankName} does not support transaction export`);
+                    }
+                    const transactions = await bank.getTransactions(message.account, { from: message.from, to: message.to });
+                    sendResponse({ action: 'getTransactions', data: transactions });
+                    break;
+                }
+
+                case 'getRangeStatement': {
+                    if (!message.account) {
+                        throw new Error('Account is required for getRangeStatement');
+                    }
+                    if (!bank.getRangeStatement) {
+                        throw await createNotSupportedError(`${bank.bankName} does not support custom range statements`);
+                    }
+                    const statement = await bank.getRangeStatement(message.account, { from: message.from, to: message.to });
+                    sendResponse({ action: 'getRangeStatement', data: statement });
+                    break;
+                }
+
                 case 'downloadStatement': {
                     if (!message.statement) {
                         throw new Error('Statement is required for downloadStatement');
@@ -225,7 +384,7 @@ function handleMessage(message, sender, sendResponse) {
             }
         } catch (error) {
             const err = /** @type {Error} */ (error);
-            sendResponse({ action: 'error', error: err.message });
+            sendResponse({ action: 'error', error: err.message, code: getErrorCode(error) });
         }
     })();
 
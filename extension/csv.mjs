@@ -0,0 +1,156 @@
+/**
+ * CSV writer for normalized transactions
+ * @typedef {import('../bank/bank.types').Account} Account
+ * @typedef {import('../bank/bank.types').Transaction} Transaction
+ */
+
+/**
+ * @typedef {Object} CsvOptions
+ * @property {string[]} [columns] - Columns to include, in order, see CSV_COLUMNS
+ * @property {string} [dateFormat] - Date format, see CSV_DATE_FORMATS
+ * @property {'.' | ','} [decimalSeparator] - Decimal separator for amounts and balances
+ */
+
+/**
+ * Columns available in CSV exports, with their header labels
+ * @type {Record<string, string>}
+ */
+export const CSV_COLUMNS = {
+    date: 'Date',
+    postedDate: 'Posted Date',
+    description: 'Description',
+    amount: 'Amount',
+    debit: 'Debit',
+    credit: 'Credit',
+    currency: 'Currency',
+    runningBalance: 'Balance',
+    category: 'Category',
+    referenceId: 'Reference',
+    accountName: 'Account',
+    accountMask: 'Account Number',
+};
+
+/** Date formats available in CSV exports */
+export const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY'];
+
+/** @type {Required<CsvOptions>} */
+export const DEFAULT_CSV_OPTIONS = {
+    columns: ['date', 'description', 'amount', 'currency', 'runningBalance', 'category', 'referenceId'],
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.',
+};
+
+/** Columns with free text from the bank, which spreadsheets must not evaluate as formulas */
+const TEXT_COLUMNS = new Set(['description', 'category', 'referenceId', 'accountName']);
+
+/**
+ * Format a date for CSV output
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} format - Format using the YYYY, MM and DD tokens
+ * @returns {string}
+ */
+export function formatCsvDate(date, format) {
+    const [year, month, day] = date.split('T')[0].split('-');
+    return format.replace('YYYY', year).replace('MM', month).replace('DD', day);
+}
+
+/**
+ * Format a number with two decimals for CSV output
+ * @param {number} value
+ * @param {'.' | ','} decimalSeparator
+ * @returns {string}
+ */
+export function formatCsvNumber(value, decimalSeparator) {
+    const text = value.toFixed(2);
+    return decimalSeparator === ',' ? text.replace('.', ',') : text;
+}
+
+/**
+ * Quote a field when it contains the delimiter, quotes or line breaks (RFC 4180)
+ * @param {string} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function quoteField(value, delimiter) {
+    if (value.includes(delimiter) || /["\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+/**
+ * Prevent spreadsheets from evaluating bank-provided text as a formula
+ * @param {string} value
+ * @returns {string}
+ */
+function neutralizeFormula(value) {
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Get the value of a column for a transaction
+ * @param {string} column
+ * @param {Transaction} transaction
+ * @param {Account} account
+ * @param {Required<CsvOptions>} options
+ * @returns {string}
+ */
+function getColumnValue(column, transaction, account, options) {
+    switch (column) {
+        case 'date':
+            return formatCsvDate(transaction.date, options.dateFormat);
+        case 'postedDate':
+            return formatCsvDate(transaction.postedDate || transaction.date, options.dateFormat);
+        case 'description':
+            return transaction.description;
+        case 'amount':
+            return formatCsvNumber(transaction.amount, options.decimalSeparator);
+        case 'debit':
+            return transaction.amount < 0 ? formatCsvNumber(-transaction.amount, options.decimalSeparator) : '';
+        case 'credit':
+            return transaction.amount >= 0 ? formatCsvNumber(transaction.amount, options.decimalSeparator) : '';
+        case 'currency':
+            return transaction.currency;
+        case 'runningBalance':
+            return transaction.runningBalance === undefined ? '' : formatCsvNumber(transaction.runningBalance, options.decimalSeparator);
+        case 'category':
+            return transaction.category || '';
+        case 'referenceId':
+            return transaction.referenceId || '';
+        case 'accountName':
+            return account.accountName;
+        case 'accountMask':
+            return account.accountMask;
+        default:
+            throw new Error(`Unknown CSV column: ${column}`);
+    }
+}
+
+/**
+ * Write transactions as CSV with a header row
+ * Fields are separated by ";" when "," is the decimal separator, as spreadsheets expect in those locales.
+ * @param {Transaction[]} transactions
+ * @param {Account} account
+ * @param {CsvOptions} [options]
+ * @returns {string}
+ */
+export function toCsv(transactions, account, options = {}) {
+    /** @type {Required<CsvOptions>} */
+    const resolved = {
+        columns: options.columns && options.columns.length > 0 ? options.columns : DEFAULT_CSV_OPTIONS.columns,
+        dateFormat: options.dateFormat || DEFAULT_CSV_OPTIONS.dateFormat,
+        decimalSeparator: options.decimalSeparator || DEFAULT_CSV_OPTIONS.decimalSeparator,
+    };
+    const delimiter = resolved.decimalSeparator === ',' ? ';' : ',';
+
+    const rows = [resolved.columns.map(column => quoteField(CSV_COLUMNS[column] || column, delimiter))];
+
+    for (const transaction of transactions) {
+        rows.push(resolved.columns.map(column => {
+            const value = getColumnValue(column, transaction, account, resolved);
+            return quoteField(TEXT_COLUMNS.has(column) ? neutralizeFormula(value) : value, delimiter);
+        }));
+    }
+
+    return rows.map(row => row.join(delimiter)).join('\r\n') + '\r\n';
+}
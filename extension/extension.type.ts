@@ -1,9 +1,13 @@
-import type { Account, Statement } from "../bank/bank.types";
+import type { Account, BankErrorCode, DocumentType, RequestMetrics, Statement, StatementFigures, StatementProbe, Transaction } from "../bank/bank.types";
 
 /**
  * Map message action to request and response data types
  */
 export type MessageDataMap = {
+  getBankSessions: {
+    request: {};
+    response: BankSession[];
+  };
   getBankId: {
     request: {};
     response: string;
@@ -21,17 +25,395 @@ export type MessageDataMap = {
     response: Account[];
   };
   getStatements: {
-    request: { account: Account };
+    request: { account: Account; from?: string; to?: string; forceRefresh?: boolean };
     response: Statement[];
   };
   downloadStatement: {
     request: { statement: Statement };
     response: string;
   };
+  getRangeStatement: {
+    request: { account: Account; from: string; to: string };
+    response: Statement;
+  };
+  getCapabilities: {
+    request: {};
+    response: BankCapabilities;
+  };
+  getStatementPatterns: {
+    request: {};
+    response: SerializedStatementPatterns;
+  };
+  getRequestMetrics: {
+    request: {};
+    response: RequestMetrics | null;
+  };
+  getStatementProbes: {
+    request: { account: Account };
+    response: StatementProbe[] | null;
+  };
+  getTransactions: {
+    request: { account: Account; from: string; to: string };
+    response: Transaction[];
+  };
+  exportTransactions: {
+    request: {
+      account: Account;
+      from: string;
+      to: string;
+      format: TransactionExportFormat;
+    };
+    response: DownloadResult;
+  };
+  saveStatement: {
+    request: { statement: Statement };
+    response: DownloadResult;
+  };
+  saveRangeStatement: {
+    request: { account: Account; from: string; to: string };
+    response: DownloadResult;
+  };
+  getDownloadLedger: {
+    request: {};
+    response: DownloadLedger;
+  };
   clearCache: {
+    request: Partial<CacheScope>;
+    response: null;
+  };
+  getOfflineCache: {
     request: {};
+    response: OfflineCache;
+  };
+  unlockOfflineCache: {
+    request: { passphrase: string };
     response: null;
   };
+  startBulkDownload: {
+    request: BulkDownloadRequest;
+    response: BulkDownloadJob;
+  };
+  getBulkDownloadJob: {
+    request: {};
+    response: BulkDownloadJob | null;
+  };
+  cancelBulkDownload: {
+    request: {};
+    response: BulkDownloadJob | null;
+  };
+};
+
+/**
+ * Bank, session and account that cached data belongs to
+ */
+export type CacheScope = {
+  bankId: string;
+  sessionId: string;
+
+  /** Set for data of a single account, e.g. its statements */
+  accountId?: string;
+};
+
+/**
+ * Statement list of an account that changed when it was loaded again in the background
+ */
+export type StatementsUpdate = {
+  bankId: string;
+  sessionId: string;
+  accountId: string;
+  statements: Statement[];
+  updatedAt: number;
+};
+
+/**
+ * A bank the user is signed in to in one of the browser's tabs
+ */
+export type BankSession = {
+  bankId: string;
+  bankName: string;
+
+  /** Session ID reported by the bank module, empty when reading it failed */
+  sessionId: string;
+
+  /** Tab whose content script handles requests for the bank */
+  tabId: number;
+
+  /** Why the session could not be read, e.g. it expired */
+  error?: string;
+
+  /** Known cause of the failure, see BankErrorCode */
+  code?: BankErrorCode;
+};
+
+/**
+ * Optional features implemented by the current bank module
+ */
+export type BankCapabilities = {
+  /** The bank module exports getTransactions */
+  transactions: boolean;
+
+  /** The bank module exports getRangeStatement */
+  rangeStatements: boolean;
+
+  /** Earliest statement date (YYYY-MM-DD) the bank module can load, null when unknown */
+  statementHistoryStart: string | null;
+};
+
+/**
+ * A month where an account's statement was due but none is listed
+ * - missing: the bank did not list a statement for the month
+ * - empty: the bank was asked about the month and answered that it has no statement
+ * - failed: asking the bank about the month failed, so a statement may exist
+ */
+export type StatementGap = {
+  /** Month of the missing statement (YYYY-MM) */
+  month: string;
+
+  /** Why no statement is listed */
+  reason: "missing" | "empty" | "failed";
+
+  /** Message of the error, for failed months */
+  error?: string;
+};
+
+/**
+ * Statement patterns of a bank module as plain data, since RegExp objects do not survive messaging
+ */
+export type SerializedStatementPatterns = {
+  /** Source and flags of each pattern, by field */
+  patterns: {
+    [Field in keyof StatementFigures | "period"]?: Array<{ source: string; flags: string }>;
+  };
+
+  /** Numeric dates are written day first */
+  dayFirst: boolean;
+};
+
+/**
+ * File formats for exported transactions
+ * - csv: spreadsheet, columns and formats from the settings
+ * - ofx: OFX 2.x for personal finance tools
+ * - qfx: OFX for Quicken
+ * - qif: Quicken Interchange Format for older tools
+ */
+export type TransactionExportFormat = "csv" | "ofx" | "qfx" | "qif";
+
+/**
+ * Parameters for a bulk download job
+ */
+export type BulkDownloadRequest = {
+  /** Banks to include. All banks with a live session when omitted. */
+  bankIds?: string[];
+
+  /** Accounts to include. All accounts of the included banks when omitted. */
+  accountIds?: string[];
+
+  /** Earliest statement date to include (YYYY-MM-DD, inclusive) */
+  from?: string;
+
+  /** Latest statement date to include (YYYY-MM-DD, inclusive) */
+  to?: string;
+
+  /** Document types to include. All types when omitted. */
+  documentTypes?: DocumentType[];
+
+  /** Save all statements as a single ZIP archive instead of separate files */
+  archive?: boolean;
+
+  /** Only include statements that are not in the download ledger */
+  onlyNew?: boolean;
+};
+
+export type BulkDownloadItemStatus =
+  | "pending"
+  | "downloading"
+  | "done"
+  | "failed"
+  | "skipped";
+
+/**
+ * A single statement within a bulk download job
+ */
+export type BulkDownloadItem = {
+  /** Bank the statement belongs to */
+  bankId: string;
+
+  statement: Statement;
+
+  /** Filename the statement is saved as, or its path inside the archive */
+  filename: string;
+
+  /** chrome.downloads ID of the saved file */
+  downloadId?: number;
+
+  /** Why the statement was skipped, e.g. the file already exists */
+  skipReason?: string;
+
+  /** SHA-256 of the statement file (hex), recorded for archives */
+  sha256?: string;
+
+  status: BulkDownloadItemStatus;
+
+  /** Error message when the download failed */
+  error?: string;
+};
+
+export type BulkDownloadJobStatus =
+  | "listing"
+  | "downloading"
+  | "completed"
+  | "cancelled";
+
+/**
+ * Bulk download job owned by the background worker
+ * Persisted in chrome.storage.session so the popup can follow its progress
+ */
+export type BulkDownloadJob = {
+  jobId: string;
+
+  /** Banks included in the job, in the order they are listed */
+  banks: { bankId: string; bankName: string }[];
+
+  status: BulkDownloadJobStatus;
+  request: BulkDownloadRequest;
+  items: BulkDownloadItem[];
+
+  /** Errors raised while listing statements, one per failing account */
+  errors: string[];
+
+  /** Filename of the saved archive when the job was started with `archive` */
+  archiveFilename?: string;
+
+  /** Request timing of each bank when the job finished, for banks that use the shared request helper */
+  requestMetrics?: Record<string, RequestMetrics>;
+
+  /** Start time (milliseconds since epoch) */
+  startedAt: number;
+
+  /** Finish time (milliseconds since epoch) */
+  finishedAt?: number;
+};
+
+/**
+ * Extension-wide settings stored in chrome.storage.sync
+ */
+export type Settings = {
+  /** Template for statement filenames, see FILENAME_TOKENS in filename.mjs */
+  filenameTemplate: string;
+
+  /** Folder inside the browser's Downloads folder, may use {bankId} and {bankName} */
+  downloadFolder: string;
+
+  /** What to do when a file with the same name was already downloaded */
+  conflictAction: DownloadConflictAction;
+
+  /** Calendar years of statements to load, including the current one; 0 uses each bank's default lookback */
+  statementHistoryYears: number;
+
+  /** Minutes before cached accounts, statements and transactions are loaded again */
+  cacheTtlMinutes: number;
+
+  /** Banks whose signed-in tabs are ignored, by bank ID */
+  disabledBanks: string[];
+
+  /** Locale of dates shown in the popup, empty for the browser's language */
+  dateLocale: string;
+
+  /** Keep only the downloaded account's pages of statements that cover several accounts */
+  splitCombinedStatements: boolean;
+
+  /** Columns of CSV transaction exports, in order, see CSV_COLUMNS in csv.mjs */
+  csvColumns: string[];
+
+  /** Date format of CSV transaction exports, see CSV_DATE_FORMATS in csv.mjs */
+  csvDateFormat: string;
+
+  /** Decimal separator of CSV transaction exports */
+  csvDecimalSeparator: "." | ",";
+
+  /** Keep account and statement metadata in the encrypted offline cache, see offline_cache.mjs */
+  offlineCache: boolean;
+
+  /** Days a bank's metadata is kept in the offline cache after it was last saved */
+  offlineCacheDays: number;
+
+  /** Per-bank overrides of offlineCacheDays, by bank ID */
+  offlineCacheBankDays: Record<string, number>;
+};
+
+/**
+ * Last known accounts and statements of a bank, kept in the offline cache
+ */
+export type OfflineBank = {
+  bankId: string;
+  bankName: string;
+
+  /** Time of the last update (milliseconds since epoch) */
+  savedAt: number;
+
+  /** Accounts, without the session ID of their profile */
+  accounts: Account[];
+
+  /** Statements by account ID, for the accounts whose statements were loaded */
+  statements: Record<string, Statement[]>;
+};
+
+/**
+ * Content of the offline cache shown in the popup
+ */
+export type OfflineCache = {
+  /** The passphrase has not been entered in this browser session */
+  locked: boolean;
+
+  /** Banks with saved metadata, empty while locked */
+  banks: OfflineBank[];
+};
+
+/**
+ * How to handle a download whose file already exists
+ * - uniquify: save with a numbered filename
+ * - overwrite: replace the existing file
+ * - skip: keep the existing file and do not download again
+ */
+export type DownloadConflictAction = "uniquify" | "overwrite" | "skip";
+
+/**
+ * A downloaded statement recorded in the download ledger
+ */
+export type DownloadLedgerEntry = {
+  /** Statement date (ISO 8601 string format) */
+  statementDate: string;
+
+  /** Path the statement was saved as */
+  filename: string;
+
+  /** chrome.downloads ID, absent for statements saved inside an archive */
+  downloadId?: number;
+
+  /** Download time (milliseconds since epoch) */
+  downloadedAt: number;
+
+  /** Key figures read from the statement PDF, absent when none were found */
+  figures?: StatementFigures;
+};
+
+/**
+ * Downloaded statements of one bank, keyed by account ID and then statement ID
+ */
+export type DownloadLedger = Record<string, Record<string, DownloadLedgerEntry>>;
+
+/**
+ * Result of saving a file with chrome.downloads
+ */
+export type DownloadResult = {
+  /** chrome.downloads ID of the new download, or of the existing file when skipped */
+  downloadId: number;
+
+  /** Path relative to the Downloads folder */
+  filename: string;
+
+  /** True when the file already existed and the download was skipped */
+  skipped: boolean;
 };
 
 /**
@@ -62,6 +444,9 @@ export type SuccessResponse<A extends MessageAction> = {
 export interface ErrorResponse {
   action: "error";
   error: string;
+
+  /** Known cause of the failure, see BankErrorCode */
+  code?: BankErrorCode;
 }
 
 /**
@@ -109,11 +494,19 @@ export type RequestFetchResponse =
   | RequestFetchSuccessResponse
   | RequestFetchErrorResponse;
 
+/**
+ * Routing of a popup message to the tab of a bank
+ */
+export type BankRouting = {
+  /** Bank whose tab handles the message, the active tab when omitted */
+  bankId?: string;
+};
+
 /**
  * Union of all messages that can be sent to the background worker
  * Includes both ContentMessage (from popup) and RequestFetchMessage (from content script)
  */
-export type BackgroundMessage = ContentMessage | RequestFetchMessage;
+export type BackgroundMessage = (ContentMessage & BankRouting) | RequestFetchMessage;
 
 /**
  * Success response from background worker to popup
@@ -129,6 +522,9 @@ export interface BackgroundSuccessResponse<T = any> {
 export interface BackgroundErrorResponse {
   success: false;
   error: string;
+
+  /** Known cause of the failure, passed on from the bank module */
+  code?: BankErrorCode;
 }
 
 /**
@@ -0,0 +1,266 @@
+/**
+ * Statement filename helpers shared by the popup, the options page and the background worker
+ * @typedef {import('../bank/bank.types').Account} Account
+ * @typedef {import('../bank/bank.types').DateRange} DateRange
+ * @typedef {import('../bank/bank.types').Statement} Statement
+ */
+
+/** Filename template matching the original hardcoded format */
+export const DEFAULT_FILENAME_TEMPLATE = '{date}_{bankName}_{profileShortName}_{accountName}_{accountMask}.pdf';
+
+/** Download folder, relative to the browser's Downloads folder */
+export const DEFAULT_DOWNLOAD_FOLDER = 'Bank Statements/{bankName}';
+
+/**
+ * Tokens available in filename templates, with their descriptions
+ * @type {Record<string, string>}
+ */
+export const FILENAME_TOKENS = {
+    bankId: 'Bank identifier, e.g. chase',
+    bankName: 'Bank name, e.g. Chase',
+    profileName: 'Profile name',
+    profileShortName: 'Profile name without the email domain',
+    accountName: 'Account name',
+    accountMask: 'Last digits of the account number',
+    accountType: 'Account type, e.g. Checking',
+    date: 'Statement date (YYYY-MM-DD)',
+    YYYY: 'Statement year',
+    YY: 'Two-digit statement year',
+    MM: 'Two-digit statement month',
+    MMM: 'Statement month name, e.g. Jan',
+    DD: 'Two-digit statement day',
+    statementHash: 'Short hash of the statement ID',
+    documentType: 'Document type: statement, tax, confirmation, notice or other (added to names of other documents when not used)',
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** Characters that are illegal in Windows or macOS filenames, plus control characters */
+const ILLEGAL_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f\x7f]/g;
+
+/** Device names reserved by Windows, with or without an extension */
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+/** Longest path segment allowed by common filesystems */
+const MAX_SEGMENT_LENGTH = 255;
+
+const TOKEN_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Make a token value safe to place inside a single path segment
+ * @param {string} value
+ * @returns {string}
+ */
+function sanitizeValue(value) {
+    return value.replace(ILLEGAL_FILENAME_CHARS, '_');
+}
+
+/**
+ * Make a path segment valid on Windows and macOS
+ * @param {string} segment
+ * @returns {string}
+ */
+function sanitizeSegment(segment) {
+    // Windows drops trailing dots and spaces
+    let result = sanitizeValue(segment).trim().replace(/[. ]+$/, '');
+
+    // Leading dots hide files on macOS and "." / ".." would escape the folder
+    result = result.replace(/^\.+/, '');
+
+    if (WINDOWS_RESERVED_NAMES.test(result)) {
+        result = `_${result}`;
+    }
+
+    if (result.length > MAX_SEGMENT_LENGTH) {
+        const extension = result.match(/\.[a-z0-9]{1,5}$/i)?.[0] || '';
+        result = result.slice(0, MAX_SEGMENT_LENGTH - extension.length) + extension;
+    }
+
+    return result;
+}
+
+/**
+ * Compute a short, stable hash of a string (32-bit FNV-1a as 8 hex characters)
+ * @param {string} value
+ * @returns {string}
+ */
+export function shortHash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Get the profile name without the domain of email-style names
+ * @param {Statement} statement
+ * @returns {string}
+ */
+function getProfileShortName(statement) {
+    const profileName = statement.account.profile.profileName;
+    return profileName.includes('@') ? profileName.split('@')[0] : profileName;
+}
+
+/**
+ * Compute the value of every template token for a statement
+ * @param {string} bankId
+ * @param {string} bankName
+ * @param {Statement} statement
+ * @returns {Record<string, string>}
+ */
+export function getFilenameTokenValues(bankId, bankName, statement) {
+    const account = statement.account;
+    const date = statement.statementDate.split('T')[0];
+    const [year, month, day] = date.split('-');
+
+    return {
+        bankId,
+        bankName,
+        profileName: account.profile.profileName,
+        profileShortName: getProfileShortName(statement),
+        accountName: account.accountName,
+        accountMask: account.accountMask,
+        accountType: account.accountType,
+        date,
+        YYYY: year,
+        YY: year.slice(-2),
+        MM: month,
+        MMM: MONTH_NAMES[parseInt(month, 10) - 1] || month,
+        DD: day,
+        statementHash: shortHash(statement.statementId),
+        documentType: statement.documentType || 'statement',
+    };
+}
+
+/**
+ * Find tokens in a template that are not supported
+ * @param {string} template
+ * @returns {string[]} Unknown token names
+ */
+export function getUnknownTokens(template) {
+    const unknown = [];
+    for (const [, token] of template.matchAll(TOKEN_PATTERN)) {
+        if (!(token in FILENAME_TOKENS)) {
+            unknown.push(token);
+        }
+    }
+    return unknown;
+}
+
+/**
+ * Render a filename template for a statement
+ * "/" in the template creates subfolders; slashes inside token values do not.
+ * Each path segment is sanitized for Windows and macOS, and ".pdf" is appended when missing.
+ * @param {string} template
+ * @param {string} bankId
+ * @param {string} bankName
+ * @param {Statement} statement
+ * @returns {string} Relative file path using "/" as separator
+ */
+export function renderFilenameTemplate(template, bankId, bankName, statement) {
+    const values = getFilenameTokenValues(bankId, bankName, statement);
+
+    const segments = template
+        .split(/[\\/]/)
+        .map(segment => segment.replace(TOKEN_PATTERN, (match, token) =>
+            token in values ? sanitizeValue(values[token]) : match
+        ))
+        .map(sanitizeSegment)
+        .filter(segment => segment.length > 0);
+
+    if (segments.length === 0) {
+        segments.push(sanitizeSegment(values.date));
+    }
+
+    const last = segments.length - 1;
+    if (!segments[last].toLowerCase().endsWith('.pdf')) {
+        segments[last] = `${segments[last]}.pdf`;
+    }
+
+    return segments.join('/');
+}
+
+/**
+ * Render a download folder, which may only use the {bankId} and {bankName} tokens
+ * @param {string} folder
+ * @param {string} bankId
+ * @param {string} bankName
+ * @returns {string} Relative folder path using "/" as separator, or "" for the Downloads folder itself
+ */
+export function renderDownloadFolder(folder, bankId, bankName) {
+    /** @type {Record<string, string>} */
+    const values = { bankId, bankName };
+
+    return folder
+        .split(/[\\/]/)
+        .map(segment => segment.replace(TOKEN_PATTERN, (match, token) =>
+            token in values ? sanitizeValue(values[token]) : match
+        ))
+        .map(sanitizeSegment)
+        .filter(segment => segment.length > 0)
+        .join('/');
+}
+
+/**
+ * Add the {documentType} token to a template that does not use it, for documents other than statements,
+ * so a tax form does not take the filename of the statement of the same date
+ * @param {string} template
+ * @param {Statement} statement
+ * @returns {string}
+ */
+function withDocumentType(template, statement) {
+    if (!statement.documentType || statement.documentType === 'statement' || template.includes('{documentType}')) {
+        return template;
+    }
+    return /\.pdf$/i.test(template)
+        ? template.replace(/\.pdf$/i, '_{documentType}.pdf')
+        : `${template}_{documentType}`;
+}
+
+/**
+ * Build the download filename for a statement
+ * @param {string} bankId
+ * @param {string} bankName
+ * @param {Statement} statement
+ * @param {string} [template] - Filename template, defaults to DEFAULT_FILENAME_TEMPLATE
+ * @param {string} [folder] - Download folder, see renderDownloadFolder
+ * @returns {string}
+ */
+export function getStatementFilename(bankId, bankName, statement, template = DEFAULT_FILENAME_TEMPLATE, folder = '') {
+    const filename = renderFilenameTemplate(withDocumentType(template || DEFAULT_FILENAME_TEMPLATE, statement), bankId, bankName, statement);
+    const folderPath = renderDownloadFolder(folder, bankId, bankName);
+    return folderPath ? `${folderPath}/${filename}` : filename;
+}
+
+/**
+ * Build the path of a statement inside a bulk download archive
+ * Format: {bank}/{profile}/{account}_{mask}/{YYYY-MM-DD}.pdf, with "_{documentType}" for other documents
+ * @param {string} bankId
+ * @param {string} bankName
+ * @param {Statement} statement
+ * @returns {string}
+ */
+export function getStatementArchivePath(bankId, bankName, statement) {
+    const template = withDocumentType('{bankName}/{profileShortName}/{accountName}_{accountMask}/{date}.pdf', statement);
+    return renderFilenameTemplate(template, bankId, bankName, statement);
+}
+
+/**
+ * Build the download filename for exported transactions
+ * Format: {from}_{to}_{bankName}_{accountName}_{accountMask}.{extension}
+ * @param {string} bankId
+ * @param {string} bankName
+ * @param {Account} account
+ * @param {DateRange} range
+ * @param {string} extension - File extension without the dot, e.g. "csv"
+ * @param {string} [folder] - Download folder, see renderDownloadFolder
+ * @returns {string}
+ */
+export function getTransactionExportFilename(bankId, bankName, account, range, extension, folder = '') {
+    const name = [range.from, range.to, bankName, account.accountName, account.accountMask].map(sanitizeValue).join('_');
+    const filename = sanitizeSegment(`${name}.${extension}`);
+    const folderPath = renderDownloadFolder(folder, bankId, bankName);
+    return folderPath ? `${folderPath}/${filename}` : filename;
+}
@@ -0,0 +1,142 @@
+/**
+ * Persistent record of downloaded statements stored in chrome.storage.local
+ * Keyed by bank, account and statement so the popup can tell which statements are new.
+ * @typedef {import('../bank/bank.types').Statement} Statement
+ * @typedef {import('../bank/bank.types').StatementFigures} StatementFigures
+ * @typedef {import('./extension.type').DownloadLedger} DownloadLedger
+ * @typedef {import('./extension.type').DownloadLedgerEntry} DownloadLedgerEntry
+ */
+
+const LEDGER_KEY_PREFIX = 'ledger_';
+
+/**
+ * Writes are serialized so concurrent bulk downloads do not overwrite each other
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Get the download ledger of a bank
+ * @param {string} bankId
+ * @returns {Promise<DownloadLedger>}
+ */
+export async function getLedger(bankId) {
+    const key = `${LEDGER_KEY_PREFIX}${bankId}`;
+    const result = await chrome.storage.local.get(key);
+    return /** @type {DownloadLedger | undefined} */ (result[key]) || {};
+}
+
+/**
+ * Check whether a statement was downloaded before
+ * @param {DownloadLedger} ledger
+ * @param {Statement} statement
+ * @returns {DownloadLedgerEntry | undefined}
+ */
+export function getLedgerEntry(ledger, statement) {
+    return ledger[statement.account.accountId]?.[statement.statementId];
+}
+
+/**
+ * Record downloaded statements in the ledger of a bank
+ * Figures read from an earlier download are kept when none were read this time,
+ * e.g. when the existing file was skipped.
+ * @param {string} bankId
+ * @param {Array<{ statement: Statement, filename: string, downloadId?: number, figures?: StatementFigures | null }>} downloads
+ * @returns {Promise<void>}
+ */
+export function recordDownloads(bankId, downloads) {
+    const write = writeQueue.then(async () => {
+        const key = `${LEDGER_KEY_PREFIX}${bankId}`;
+        const ledger = await getLedger(bankId);
+        const downloadedAt = Date.now();
+
+        for (const { statement, filename, downloadId, figures } of downloads) {
+            const accountId = statement.account.accountId;
+            ledger[accountId] = ledger[accountId] || {};
+            const previousFigures = ledger[accountId][statement.statementId]?.figures;
+            ledger[accountId][statement.statementId] = {
+                statementDate: statement.statementDate,
+                filename,
+                downloadId,
+                downloadedAt,
+                figures: figures || previousFigures,
+            };
+        }
+
+        await chrome.storage.local.set({ [key]: ledger });
+    });
+
+    // Keep the queue going even if this write fails
+    writeQueue = write.catch((error) => {
+        console.error('Ledger write error:', error);
+    });
+    return write;
+}
+
+/**
+ * Fill in the figures of a statement the bank did not list from those read from its PDF
+ * @param {Statement} statement
+ * @param {DownloadLedgerEntry | undefined} entry
+ * @returns {Statement}
+ */
+export function withStatementFigures(statement, entry) {
+    const figures = entry?.figures;
+    if (!figures) {
+        return statement;
+    }
+    return {
+        ...statement,
+        periodStart: statement.periodStart ?? figures.periodStart,
+        periodEnd: statement.periodEnd ?? figures.periodEnd,
+        closingBalance: statement.closingBalance ?? figures.closingBalance,
+        minimumPaymentDue: statement.minimumPaymentDue ?? figures.minimumPaymentDue,
+        paymentDueDate: statement.paymentDueDate ?? figures.paymentDueDate,
+    };
+}
+
+/**
+ * Find statements whose opening balance differs from the closing balance of the account's previous statement
+ * Only statements whose PDF gave an opening balance, and whose previous statement has a known
+ * closing balance, are compared.
+ * @param {Statement[]} statements
+ * @param {DownloadLedger} ledger
+ * @returns {Set<Statement>}
+ */
+export function findUnreconciledStatements(statements, ledger) {
+    /** @type {Set<Statement>} */
+    const unreconciled = new Set();
+    /** @type {Map<string, Statement[]>} */
+    const byAccount = new Map();
+    for (const statement of statements) {
+        if ((statement.documentType || 'statement') !== 'statement') continue;
+        const accountStatements = byAccount.get(statement.account.accountId) || [];
+        accountStatements.push(statement);
+        byAccount.set(statement.account.accountId, accountStatements);
+    }
+
+    for (const accountStatements of byAccount.values()) {
+        accountStatements.sort((a, b) => a.statementDate.localeCompare(b.statementDate));
+        accountStatements.forEach((statement, index) => {
+            const previous = accountStatements[index - 1];
+            const openingBalance = getLedgerEntry(ledger, statement)?.figures?.openingBalance;
+            const previousClosing = previous && withStatementFigures(previous, getLedgerEntry(ledger, previous)).closingBalance;
+            if (openingBalance === undefined || previousClosing === undefined) return;
+            if (Math.abs(openingBalance - previousClosing) >= 0.005) {
+                unreconciled.add(statement);
+            }
+        });
+    }
+    return unreconciled;
+}
+
+/**
+ * Forget every recorded download of all banks
+ * @returns {Promise<void>}
+ */
+export async function clearLedgers() {
+    const all = await chrome.storage.local.get(null);
+    const keys = Object.keys(all).filter(key => key.startsWith(LEDGER_KEY_PREFIX));
+    if (keys.length > 0) {
+        await chrome.storage.local.remove(keys);
+    }
+}
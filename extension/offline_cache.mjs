@@ -0,0 +1,387 @@
+/**
+ * Opt-in offline cache of account and statement metadata stored in chrome.storage.local
+ * Lets the popup show the last known statements after a browser restart or while signed out.
+ * Each bank's metadata is encrypted with AES-GCM under a key derived from the user's passphrase
+ * (PBKDF2). Session IDs are removed before saving and statement files are never cached.
+ * The derived key is kept in chrome.storage.session, so the cache stays unlocked until the browser closes.
+ * @typedef {import('../bank/bank.types').Account} Account
+ * @typedef {import('../bank/bank.types').Statement} Statement
+ * @typedef {import('./extension.type').OfflineBank} OfflineBank
+ * @typedef {import('./extension.type').Settings} Settings
+ */
+
+const OFFLINE_BANK_KEY_PREFIX = 'offline_bank_';
+
+/** Salt and passphrase check, in chrome.storage.local */
+const OFFLINE_CONFIG_KEY = 'offline_cache_config';
+
+/** Raw key of the unlocked cache, in chrome.storage.session */
+const OFFLINE_UNLOCKED_KEY = 'offline_cache_unlocked';
+
+const PBKDF2_ITERATIONS = 600000;
+
+/** Encrypted with the derived key to tell a wrong passphrase from a right one */
+const PASSPHRASE_CHECK = 'bank-statement-downloader';
+
+/**
+ * @typedef {object} EncryptedData
+ * @property {string} iv - AES-GCM initialization vector (base64)
+ * @property {string} data - Ciphertext (base64)
+ */
+
+/**
+ * @typedef {object} OfflineConfig
+ * @property {string} salt - PBKDF2 salt (base64)
+ * @property {number} iterations
+ * @property {EncryptedData} check - PASSPHRASE_CHECK encrypted with the derived key
+ */
+
+/**
+ * Stored entry of a bank; the bank name and save time stay readable so entries can expire while locked
+ * @typedef {object} OfflineBankEntry
+ * @property {string} bankName
+ * @property {number} savedAt
+ * @property {EncryptedData} encrypted - Accounts and statements of the bank
+ */
+
+/**
+ * Writes are serialized so saving accounts and statements at the same time does not lose either
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function fromBase64(base64) {
+    return /** @type {Uint8Array<ArrayBuffer>} */ (Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+}
+
+/**
+ * Derive the AES-GCM key of a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array<ArrayBuffer>} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {unknown} value - Any JSON value
+ * @returns {Promise<EncryptedData>}
+ */
+async function encrypt(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {EncryptedData} encrypted
+ * @returns {Promise<any>}
+ */
+async function decrypt(key, encrypted) {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+        key,
+        fromBase64(encrypted.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Keep a derived key for the rest of the browser session
+ * @param {CryptoKey} key
+ * @returns {Promise<void>}
+ */
+async function keepUnlocked(key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({ [OFFLINE_UNLOCKED_KEY]: toBase64(raw) });
+}
+
+/**
+ * Get the key of the unlocked cache
+ * @returns {Promise<CryptoKey | null>} Null while locked
+ */
+async function getUnlockedKey() {
+    const result = await chrome.storage.session.get(OFFLINE_UNLOCKED_KEY);
+    const raw = /** @type {string | undefined} */ (result[OFFLINE_UNLOCKED_KEY]);
+    if (!raw) {
+        return null;
+    }
+    return crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Remove the session ID, which some banks use as their access token
+ * @param {Account} account
+ * @returns {Account}
+ */
+function withoutSession(account) {
+    return { ...account, profile: { ...account.profile, sessionId: '' } };
+}
+
+/**
+ * Check whether a passphrase was set
+ * @returns {Promise<boolean>}
+ */
+export async function hasOfflinePassphrase() {
+    const result = await chrome.storage.local.get(OFFLINE_CONFIG_KEY);
+    return !!result[OFFLINE_CONFIG_KEY];
+}
+
+/**
+ * Check whether the cache can be read and written in this browser session
+ * @returns {Promise<boolean>}
+ */
+export async function isOfflineCacheUnlocked() {
+    return (await getUnlockedKey()) !== null;
+}
+
+/**
+ * Set a new passphrase and unlock the cache with it
+ * Metadata saved under the previous passphrase is removed
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ */
+export async function setOfflinePassphrase(passphrase) {
+    if (!passphrase) {
+        throw new Error('Passphrase is required');
+    }
+
+    await clearOfflineCache();
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    /** @type {OfflineConfig} */
+    const config = {
+        salt: toBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        check: await encrypt(key, PASSPHRASE_CHECK),
+    };
+    await chrome.storage.local.set({ [OFFLINE_CONFIG_KEY]: config });
+    await keepUnlocked(key);
+}
+
+/**
+ * Unlock the cache for the rest of the browser session
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If no passphrase was set or the passphrase is wrong
+ */
+export async function unlockOfflineCache(passphrase) {
+    const result = await chrome.storage.local.get(OFFLINE_CONFIG_KEY);
+    const config = /** @type {OfflineConfig | undefined} */ (result[OFFLINE_CONFIG_KEY]);
+    if (!config) {
+        throw new Error('No offline passphrase set. Set one in the options.');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+    try {
+        if (await decrypt(key, config.check) !== PASSPHRASE_CHECK) {
+            throw new Error('Passphrase check does not match');
+        }
+    } catch (error) {
+        throw new Error('Wrong passphrase', { cause: error });
+    }
+    await keepUnlocked(key);
+}
+
+/**
+ * Forget the key until the passphrase is entered again
+ * @returns {Promise<void>}
+ */
+export async function lockOfflineCache() {
+    await chrome.storage.session.remove(OFFLINE_UNLOCKED_KEY);
+}
+
+/**
+ * Get the number of days a bank's metadata is kept
+ * @param {Settings} settings
+ * @param {string} bankId
+ * @returns {number}
+ */
+export function getOfflineCacheDays(settings, bankId) {
+    return settings.offlineCacheBankDays[bankId] || settings.offlineCacheDays;
+}
+
+/**
+ * Update the metadata of a bank, doing nothing while the cache is locked
+ * @param {string} bankId
+ * @param {string} bankName
+ * @param {(bank: OfflineBank) => void} update - Changes the decrypted bank in place
+ * @returns {Promise<boolean>} Whether the metadata was saved
+ */
+function updateOfflineBank(bankId, bankName, update) {
+    const write = writeQueue.then(async () => {
+        const key = await getUnlockedKey();
+        if (!key) {
+            return false;
+        }
+
+        const storageKey = `${OFFLINE_BANK_KEY_PREFIX}${bankId}`;
+        const result = await chrome.storage.local.get(storageKey);
+        const entry = /** @type {OfflineBankEntry | undefined} */ (result[storageKey]);
+
+        /** @type {OfflineBank} */
+        let bank = { bankId, bankName, savedAt: 0, accounts: [], statements: {} };
+        if (entry) {
+            try {
+                bank = await decrypt(key, entry.encrypted);
+            } catch (error) {
+                // Saved under another passphrase, start over
+            }
+        }
+
+        update(bank);
+        bank.bankName = bankName;
+        bank.savedAt = Date.now();
+
+        /** @type {OfflineBankEntry} */
+        const newEntry = { bankName, savedAt: bank.savedAt, encrypted: await encrypt(key, bank) };
+        await chrome.storage.local.set({ [storageKey]: newEntry });
+        return true;
+    });
+
+    // Keep the queue going even if this write fails
+    writeQueue = write.then(() => undefined, (error) => {
+        console.error('Offline cache write error:', error);
+    });
+    return write;
+}
+
+/**
+ * Save the accounts of a bank
+ * Statements of accounts that are gone are dropped
+ * @param {string} bankId
+ * @param {string} bankName
+ * @param {Account[]} accounts
+ * @returns {Promise<boolean>} Whether the accounts were saved
+ */
+export function saveOfflineAccounts(bankId, bankName, accounts) {
+    return updateOfflineBank(bankId, bankName, (bank) => {
+        bank.accounts = accounts.map(withoutSession);
+        const accountIds = new Set(accounts.map(account => account.accountId));
+        for (const accountId of Object.keys(bank.statements)) {
+            if (!accountIds.has(accountId)) {
+                delete bank.statements[accountId];
+            }
+        }
+    });
+}
+
+/**
+ * Save the statements of an account
+ * @param {string} bankId
+ * @param {string} bankName
+ * @param {Account} account
+ * @param {Statement[]} statements
+ * @returns {Promise<boolean>} Whether the statements were saved
+ */
+export function saveOfflineStatements(bankId, bankName, account, statements) {
+    return updateOfflineBank(bankId, bankName, (bank) => {
+        bank.statements[account.accountId] = statements.map(statement => ({
+            ...statement,
+            account: withoutSession(statement.account),
+        }));
+    });
+}
+
+/**
+ * Remove the metadata of banks older than their number of days
+ * @param {Settings} settings
+ * @returns {Promise<void>}
+ */
+export async function removeExpiredOfflineBanks(settings) {
+    const all = await chrome.storage.local.get(null);
+    const now = Date.now();
+    const expired = Object.entries(all)
+        .filter(([key, entry]) => key.startsWith(OFFLINE_BANK_KEY_PREFIX)
+            && now - /** @type {OfflineBankEntry} */ (entry).savedAt > getOfflineCacheDays(settings, key.slice(OFFLINE_BANK_KEY_PREFIX.length)) * 24 * 60 * 60 * 1000)
+        .map(([key]) => key);
+    if (expired.length > 0) {
+        await chrome.storage.local.remove(expired);
+    }
+}
+
+/**
+ * List the banks with saved metadata, without decrypting it
+ * @returns {Promise<Array<{bankId: string, bankName: string, savedAt: number}>>}
+ */
+export async function listOfflineBanks() {
+    const all = await chrome.storage.local.get(null);
+    return Object.entries(all)
+        .filter(([key]) => key.startsWith(OFFLINE_BANK_KEY_PREFIX))
+        .map(([key, entry]) => ({
+            bankId: key.slice(OFFLINE_BANK_KEY_PREFIX.length),
+            bankName: /** @type {OfflineBankEntry} */ (entry).bankName,
+            savedAt: /** @type {OfflineBankEntry} */ (entry).savedAt,
+        }));
+}
+
+/**
+ * Get the saved metadata of every bank that has not expired
+ * @param {Settings} settings
+ * @returns {Promise<OfflineBank[]>}
+ * @throws {Error} If the cache is locked
+ */
+export async function getOfflineBanks(settings) {
+    const key = await getUnlockedKey();
+    if (!key) {
+        throw new Error('Offline statements are locked');
+    }
+
+    await removeExpiredOfflineBanks(settings);
+
+    const all = await chrome.storage.local.get(null);
+    /** @type {OfflineBank[]} */
+    const banks = [];
+    for (const [storageKey, entry] of Object.entries(all)) {
+        if (!storageKey.startsWith(OFFLINE_BANK_KEY_PREFIX)) continue;
+        try {
+            banks.push(await decrypt(key, /** @type {OfflineBankEntry} */ (entry).encrypted));
+        } catch (error) {
+            console.error(`Offline cache read error for ${storageKey}:`, error);
+        }
+    }
+    return banks.sort((a, b) => a.bankName.localeCompare(b.bankName));
+}
+
+/**
+ * Remove all saved metadata, the passphrase and the unlocked key
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineCache() {
+    const all = await chrome.storage.local.get(null);
+    const keys = Object.keys(all).filter(key => key.startsWith(OFFLINE_BANK_KEY_PREFIX) || key === OFFLINE_CONFIG_KEY);
+    if (keys.length > 0) {
+        await chrome.storage.local.remove(keys);
+    }
+    await lockOfflineCache();
+}
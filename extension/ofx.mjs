@@ -0,0 +1,231 @@
+/**
+ * OFX 2.x and QFX writer for normalized transactions
+ * Follows the OFX Banking Specification 2.2 (XML syntax)
+ * @typedef {import('../bank/bank.types').Account} Account
+ * @typedef {import('../bank/bank.types').AccountType} AccountType
+ * @typedef {import('../bank/bank.types').DateRange} DateRange
+ * @typedef {import('../bank/bank.types').Transaction} Transaction
+ */
+
+import { shortHash } from './filename.mjs';
+
+/**
+ * @typedef {Object} OfxOptions
+ * @property {string} [organization] - Name of the financial institution, e.g. the bank name
+ * @property {string} [routingNumber] - Bank routing number for BANKACCTFROM, unknown to the extension by default
+ * @property {Date} [generatedAt] - Server time written to the file, defaults to now
+ */
+
+/**
+ * @typedef {OfxOptions & { intuitBankId?: string }} QfxOptions
+ * `intuitBankId` is the INTU.BID Quicken uses to identify the institution
+ */
+
+/** Routing number used when the real one is unknown */
+const UNKNOWN_ROUTING_NUMBER = '000000000';
+
+/** Longest NAME allowed by the specification; the full description goes to MEMO */
+const MAX_NAME_LENGTH = 32;
+
+/**
+ * ACCTTYPE of bank accounts; credit cards use CCACCTFROM, which has no type
+ * @type {Record<Exclude<AccountType, 'CreditCard'>, string>}
+ */
+const BANK_ACCOUNT_TYPES = {
+    Checking: 'CHECKING',
+    Savings: 'SAVINGS',
+    Loan: 'CREDITLINE',
+    // Cash held in a brokerage account
+    Investment: 'MONEYMRKT',
+};
+
+/**
+ * Escape text for an OFX 2.x (XML) element
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return value
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a date as an OFX date (YYYYMMDD)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string}
+ */
+function formatOfxDate(date) {
+    return date.split('T')[0].replace(/-/g, '');
+}
+
+/**
+ * Format a timestamp as an OFX date and time in UTC
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatOfxDateTime(date) {
+    return `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}[0:GMT]`;
+}
+
+/**
+ * Build FITIDs, the IDs importers use to skip transactions they have already seen
+ * The bank's reference ID is used when available. Otherwise the ID is derived from the
+ * transaction itself, so exporting overlapping ranges produces the same IDs.
+ * @param {Transaction[]} transactions
+ * @returns {string[]}
+ */
+function getFitIds(transactions) {
+    /** @type {Map<string, number>} */
+    const seen = new Map();
+
+    return transactions.map(transaction => {
+        if (transaction.referenceId) {
+            return transaction.referenceId;
+        }
+
+        const key = `${transaction.date}|${transaction.amount.toFixed(2)}|${transaction.description}`;
+        const occurrence = seen.get(key) || 0;
+        seen.set(key, occurrence + 1);
+        return `${formatOfxDate(transaction.date)}-${shortHash(key)}-${occurrence}`;
+    });
+}
+
+/**
+ * Write a single STMTTRN element
+ * @param {Transaction} transaction
+ * @param {string} fitId
+ * @returns {string}
+ */
+function writeTransaction(transaction, fitId) {
+    const description = transaction.description.trim() || 'Transaction';
+    const lines = [
+        '<STMTTRN>',
+        `<TRNTYPE>${transaction.amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+        `<DTPOSTED>${formatOfxDate(transaction.postedDate || transaction.date)}</DTPOSTED>`,
+        `<DTUSER>${formatOfxDate(transaction.date)}</DTUSER>`,
+        `<TRNAMT>${transaction.amount.toFixed(2)}</TRNAMT>`,
+        `<FITID>${escapeXml(fitId)}</FITID>`,
+        `<NAME>${escapeXml(description.slice(0, MAX_NAME_LENGTH))}</NAME>`,
+    ];
+    if (description.length > MAX_NAME_LENGTH) {
+        lines.push(`<MEMO>${escapeXml(description)}</MEMO>`);
+    }
+    lines.push('</STMTTRN>');
+    return lines.join('\n');
+}
+
+/**
+ * Write the account element of a statement
+ * The extension only knows the masked account number, which importers use to match the account.
+ * @param {Account} account
+ * @param {string} routingNumber
+ * @returns {string}
+ */
+function writeAccountFrom(account, routingNumber) {
+    const accountId = `<ACCTID>${escapeXml(account.accountMask)}</ACCTID>`;
+    if (account.accountType === 'CreditCard') {
+        return `<CCACCTFROM>${accountId}</CCACCTFROM>`;
+    }
+    return `<BANKACCTFROM><BANKID>${escapeXml(routingNumber)}</BANKID>${accountId}`
+        + `<ACCTTYPE>${BANK_ACCOUNT_TYPES[account.accountType]}</ACCTTYPE></BANKACCTFROM>`;
+}
+
+/**
+ * Write an OFX document
+ * @param {Transaction[]} transactions
+ * @param {Account} account
+ * @param {DateRange} range
+ * @param {QfxOptions} options
+ * @param {boolean} quicken - Add the Quicken-specific institution elements
+ * @returns {string}
+ */
+function writeOfx(transactions, account, range, options, quicken) {
+    const generatedAt = options.generatedAt || new Date();
+    const isCreditCard = account.accountType === 'CreditCard';
+
+    // OFX has a single currency per statement
+    const currency = transactions[0]?.currency || 'USD';
+
+    const signOn = [
+        '<SIGNONMSGSRSV1>',
+        '<SONRS>',
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<DTSERVER>${formatOfxDateTime(generatedAt)}</DTSERVER>`,
+        '<LANGUAGE>ENG</LANGUAGE>',
+    ];
+    if (quicken) {
+        signOn.push(`<FI><ORG>${escapeXml(options.organization || '')}</ORG><FID>${escapeXml(options.intuitBankId || '')}</FID></FI>`);
+        if (options.intuitBankId) {
+            signOn.push(`<INTU.BID>${escapeXml(options.intuitBankId)}</INTU.BID>`);
+        }
+    }
+    signOn.push('</SONRS>', '</SIGNONMSGSRSV1>');
+
+    const fitIds = getFitIds(transactions);
+    const statement = [
+        `<CURDEF>${escapeXml(currency)}</CURDEF>`,
+        writeAccountFrom(account, options.routingNumber || UNKNOWN_ROUTING_NUMBER),
+        '<BANKTRANLIST>',
+        `<DTSTART>${formatOfxDate(range.from)}</DTSTART>`,
+        `<DTEND>${formatOfxDate(range.to)}</DTEND>`,
+        ...transactions.map((transaction, index) => writeTransaction(transaction, fitIds[index])),
+        '</BANKTRANLIST>',
+    ];
+
+    // The ledger balance is only written when the bank reports running balances
+    const last = transactions[transactions.length - 1];
+    if (last && last.runningBalance !== undefined) {
+        statement.push(`<LEDGERBAL><BALAMT>${last.runningBalance.toFixed(2)}</BALAMT><DTASOF>${formatOfxDate(last.date)}</DTASOF></LEDGERBAL>`);
+    }
+
+    const [messageSet, transactionResponse, statementResponse] = isCreditCard
+        ? ['CREDITCARDMSGSRSV1', 'CCSTMTTRNRS', 'CCSTMTRS']
+        : ['BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS'];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+        '<OFX>',
+        ...signOn,
+        `<${messageSet}>`,
+        `<${transactionResponse}>`,
+        '<TRNUID>0</TRNUID>',
+        '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<${statementResponse}>`,
+        ...statement,
+        `</${statementResponse}>`,
+        `</${transactionResponse}>`,
+        `</${messageSet}>`,
+        '</OFX>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Write transactions as an OFX 2.2 bank or credit card statement
+ * Credit cards use CCACCTFROM; other account types use BANKACCTFROM with a matching ACCTTYPE.
+ * @param {Transaction[]} transactions
+ * @param {Account} account
+ * @param {DateRange} range - Period covered by the statement
+ * @param {OfxOptions} [options]
+ * @returns {string}
+ */
+export function toOfx(transactions, account, range, options = {}) {
+    return writeOfx(transactions, account, range, options, false);
+}
+
+/**
+ * Write transactions as a QFX file for Quicken
+ * QFX is OFX with the institution (FI) and Intuit bank ID (INTU.BID) in the sign-on response.
+ * @param {Transaction[]} transactions
+ * @param {Account} account
+ * @param {DateRange} range - Period covered by the statement
+ * @param {QfxOptions} [options]
+ * @returns {string}
+ */
+export function toQfx(transactions, account, range, options = {}) {
+    return writeOfx(transactions, account, range, options, true);
+}
@@ -0,0 +1,431 @@
+/**
+ * Options page for extension-wide settings
+ * @typedef {import('../bank/bank.types').Statement} Statement
+ * @typedef {import('./extension.type').DownloadConflictAction} DownloadConflictAction
+ * @typedef {import('./extension.type').Settings} Settings
+ */
+
+/** Years of statements offered as the default history */
+const MAX_HISTORY_YEARS = 10;
+
+import { CSV_COLUMNS, CSV_DATE_FORMATS } from './csv.mjs';
+import { DEFAULT_FILENAME_TEMPLATE, FILENAME_TOKENS, getStatementFilename, getUnknownTokens } from './filename.mjs';
+import { clearLedgers } from './ledger.mjs';
+import { clearOfflineCache, hasOfflinePassphrase, listOfflineBanks, setOfflinePassphrase } from './offline_cache.mjs';
+import { BANK_NAMES, DATE_LOCALES, DEFAULT_SETTINGS, exportSettings, getSettings, parseSettings, saveSettings } from './settings.mjs';
+
+/**
+ * Sample statement used for the filename preview
+ * @type {Statement}
+ */
+const SAMPLE_STATEMENT = {
+    account: {
+        profile: {
+            sessionId: 'sample',
+            profileId: 'sample',
+            profileName: 'john.doe@example.com',
+        },
+        accountId: '123456789',
+        accountName: 'TOTAL CHECKING',
+        accountMask: '1234',
+        accountType: 'Checking',
+    },
+    statementId: 'sample-statement',
+    statementDate: '2025-01-31T00:00:00.000Z',
+};
+
+/**
+ * Update the preview and validation message for the filename template
+ */
+function updateTemplatePreview() {
+    const input = /** @type {HTMLInputElement} */ (document.getElementById('filename-template'));
+    const folderInput = /** @type {HTMLInputElement} */ (document.getElementById('download-folder'));
+    const preview = /** @type {HTMLElement} */ (document.getElementById('template-preview'));
+    const errorDiv = /** @type {HTMLElement} */ (document.getElementById('template-error'));
+
+    const unknownTokens = getUnknownTokens(input.value);
+    if (unknownTokens.length > 0) {
+        errorDiv.textContent = `Unknown tokens: ${unknownTokens.map(token => `{${token}}`).join(', ')}`;
+        errorDiv.style.display = 'block';
+    } else {
+        errorDiv.style.display = 'none';
+    }
+
+    preview.textContent = getStatementFilename('chase', 'Chase', SAMPLE_STATEMENT, input.value, folderInput.value);
+}
+
+/**
+ * Render the list of template tokens; clicking one inserts it at the cursor
+ */
+function renderTokens() {
+    const tokensDiv = /** @type {HTMLElement} */ (document.getElementById('tokens'));
+    const input = /** @type {HTMLInputElement} */ (document.getElementById('filename-template'));
+
+    for (const [token, description] of Object.entries(FILENAME_TOKENS)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'token';
+        button.textContent = `{${token}}`;
+        button.title = description;
+        button.addEventListener('click', () => {
+            const start = input.selectionStart ?? input.value.length;
+            const end = input.selectionEnd ?? input.value.length;
+            input.setRangeText(`{${token}}`, start, end, 'end');
+            input.focus();
+            updateTemplatePreview();
+        });
+        tokensDiv.appendChild(button);
+    }
+}
+
+/**
+ * Render the CSV column checkboxes and date formats
+ */
+function renderCsvOptions() {
+    const columnsDiv = /** @type {HTMLElement} */ (document.getElementById('csv-columns'));
+    const dateFormatSelect = /** @type {HTMLSelectElement} */ (document.getElementById('csv-date-format'));
+
+    for (const [column, label] of Object.entries(CSV_COLUMNS)) {
+        const checkboxLabel = document.createElement('label');
+        checkboxLabel.className = 'column';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'csvColumn';
+        checkbox.value = column;
+        checkboxLabel.append(checkbox, ` ${label}`);
+        columnsDiv.appendChild(checkboxLabel);
+    }
+
+    for (const format of CSV_DATE_FORMATS) {
+        dateFormatSelect.add(new Option(format, format));
+    }
+}
+
+/**
+ * Render a checkbox for each supported bank, the date locales and the history choices
+ */
+function renderDisplayOptions() {
+    const banksDiv = /** @type {HTMLElement} */ (document.getElementById('banks'));
+    const localeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('date-locale'));
+    const historySelect = /** @type {HTMLSelectElement} */ (document.getElementById('history-years'));
+
+    const banks = Object.entries(BANK_NAMES).sort(([, a], [, b]) => a.localeCompare(b));
+    for (const [bankId, bankName] of banks) {
+        const checkboxLabel = document.createElement('label');
+        checkboxLabel.className = 'column';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'enabledBank';
+        checkbox.value = bankId;
+        checkboxLabel.append(checkbox, ` ${bankName}`);
+        banksDiv.appendChild(checkboxLabel);
+    }
+
+    for (const [locale, label] of Object.entries(DATE_LOCALES)) {
+        localeSelect.add(new Option(label, locale));
+    }
+
+    const currentYear = new Date().getFullYear();
+    historySelect.add(new Option('Each bank\'s default', '0'));
+    for (let years = 1; years <= MAX_HISTORY_YEARS; years++) {
+        historySelect.add(new Option(years === 1 ? 'From this year' : `Since ${currentYear - years + 1}`, String(years)));
+    }
+}
+
+/**
+ * Check the CSV columns that are included in exports
+ * @param {string[]} columns
+ */
+function setCsvColumns(columns) {
+    const checkboxes = /** @type {NodeListOf<HTMLInputElement>} */ (document.querySelectorAll('input[name="csvColumn"]'));
+    checkboxes.forEach(checkbox => {
+        checkbox.checked = columns.includes(checkbox.value);
+    });
+}
+
+/**
+ * Get the checked CSV columns, in the order of CSV_COLUMNS
+ * @returns {string[]}
+ */
+function getCsvColumns() {
+    const checked = /** @type {NodeListOf<HTMLInputElement>} */ (document.querySelectorAll('input[name="csvColumn"]:checked'));
+    return Array.from(checked).map(checkbox => checkbox.value);
+}
+
+/**
+ * Check the banks that are not turned off
+ * @param {string[]} disabledBanks
+ */
+function setEnabledBanks(disabledBanks) {
+    const checkboxes = /** @type {NodeListOf<HTMLInputElement>} */ (document.querySelectorAll('input[name="enabledBank"]'));
+    checkboxes.forEach(checkbox => {
+        checkbox.checked = !disabledBanks.includes(checkbox.value);
+    });
+}
+
+/**
+ * Get the banks that are turned off
+ * @returns {string[]}
+ */
+function getDisabledBanks() {
+    const unchecked = /** @type {NodeListOf<HTMLInputElement>} */ (document.querySelectorAll('input[name="enabledBank"]:not(:checked)'));
+    return Array.from(unchecked).map(checkbox => checkbox.value);
+}
+
+/**
+ * Render a number of days for each bank with offline statements; empty uses the default
+ * @param {Record<string, number>} bankDays
+ * @param {number} defaultDays
+ */
+async function renderOfflineBanks(bankDays, defaultDays) {
+    const banksDiv = /** @type {HTMLElement} */ (document.getElementById('offline-banks'));
+    banksDiv.innerHTML = '';
+
+    const banks = await listOfflineBanks();
+    for (const bank of banks.sort((a, b) => a.bankName.localeCompare(b.bankName))) {
+        const row = document.createElement('label');
+        row.className = 'offline-bank';
+
+        const name = document.createElement('span');
+        name.className = 'bank-name';
+        name.textContent = bank.bankName;
+
+        const daysInput = document.createElement('input');
+        daysInput.type = 'number';
+        daysInput.min = '1';
+        daysInput.max = '365';
+        daysInput.className = 'days-input';
+        daysInput.name = 'offlineBankDays';
+        daysInput.dataset.bankId = bank.bankId;
+        daysInput.placeholder = String(defaultDays);
+        daysInput.value = bankDays[bank.bankId] ? String(bankDays[bank.bankId]) : '';
+
+        const saved = document.createElement('span');
+        saved.textContent = `days, saved ${new Date(bank.savedAt).toLocaleDateString()}`;
+
+        row.append(name, daysInput, saved);
+        banksDiv.appendChild(row);
+    }
+}
+
+/**
+ * Get the numbers of days set for single banks
+ * @returns {Record<string, number>}
+ */
+function getOfflineBankDays() {
+    const inputs = /** @type {NodeListOf<HTMLInputElement>} */ (document.querySelectorAll('input[name="offlineBankDays"]'));
+    /** @type {Record<string, number>} */
+    const bankDays = {};
+    inputs.forEach(daysInput => {
+        const days = parseInt(daysInput.value, 10);
+        if (days > 0 && daysInput.dataset.bankId) {
+            bankDays[daysInput.dataset.bankId] = days;
+        }
+    });
+    return bankDays;
+}
+
+/**
+ * Show the offline options only while the offline cache is on
+ * @param {boolean} enabled
+ * @param {boolean} hasPassphrase
+ */
+function updateOfflineOptions(enabled, hasPassphrase) {
+    const optionsDiv = /** @type {HTMLElement} */ (document.getElementById('offline-options'));
+    const passphraseLabel = /** @type {HTMLElement} */ (document.getElementById('offline-passphrase-label'));
+    optionsDiv.style.display = enabled ? 'block' : 'none';
+    passphraseLabel.textContent = hasPassphrase ? 'New passphrase (leave empty to keep the current one)' : 'Passphrase';
+}
+
+/**
+ * Show a short status message next to the actions
+ * @param {string} message
+ */
+function showStatus(message) {
+    const status = /** @type {HTMLElement} */ (document.getElementById('status'));
+    status.textContent = message;
+    setTimeout(() => {
+        status.textContent = '';
+    }, 2000);
+}
+
+/**
+ * Initialize the options page
+ */
+async function init() {
+    const form = /** @type {HTMLFormElement} */ (document.getElementById('options-form'));
+    const input = /** @type {HTMLInputElement} */ (document.getElementById('filename-template'));
+    const folderInput = /** @type {HTMLInputElement} */ (document.getElementById('download-folder'));
+    const conflictSelect = /** @type {HTMLSelectElement} */ (document.getElementById('conflict-action'));
+    const resetBtn = /** @type {HTMLButtonElement} */ (document.getElementById('reset-btn'));
+    const clearLedgerBtn = /** @type {HTMLButtonElement} */ (document.getElementById('clear-ledger-btn'));
+    const dateFormatSelect = /** @type {HTMLSelectElement} */ (document.getElementById('csv-date-format'));
+    const decimalSelect = /** @type {HTMLSelectElement} */ (document.getElementById('csv-decimal-separator'));
+    const splitCheckbox = /** @type {HTMLInputElement} */ (document.getElementById('split-combined-statements'));
+    const localeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('date-locale'));
+    const historySelect = /** @type {HTMLSelectElement} */ (document.getElementById('history-years'));
+    const cacheTtlInput = /** @type {HTMLInputElement} */ (document.getElementById('cache-ttl'));
+    const exportBtn = /** @type {HTMLButtonElement} */ (document.getElementById('export-btn'));
+    const importBtn = /** @type {HTMLButtonElement} */ (document.getElementById('import-btn'));
+    const importFile = /** @type {HTMLInputElement} */ (document.getElementById('import-file'));
+    const offlineCheckbox = /** @type {HTMLInputElement} */ (document.getElementById('offline-cache'));
+    const passphraseInput = /** @type {HTMLInputElement} */ (document.getElementById('offline-passphrase'));
+    const confirmInput = /** @type {HTMLInputElement} */ (document.getElementById('offline-passphrase-confirm'));
+    const offlineDaysInput = /** @type {HTMLInputElement} */ (document.getElementById('offline-days'));
+    const clearOfflineBtn = /** @type {HTMLButtonElement} */ (document.getElementById('clear-offline-btn'));
+
+    renderTokens();
+    renderDisplayOptions();
+    renderCsvOptions();
+
+    /**
+     * Show settings in the form, except the offline statements which depend on the passphrase
+     * @param {Settings} settings
+     */
+    function fillForm(settings) {
+        input.value = settings.filenameTemplate;
+        folderInput.value = settings.downloadFolder;
+        conflictSelect.value = settings.conflictAction;
+        splitCheckbox.checked = settings.splitCombinedStatements;
+        setEnabledBanks(settings.disabledBanks);
+        localeSelect.value = settings.dateLocale;
+        historySelect.value = String(Math.min(Math.max(settings.statementHistoryYears, 0), MAX_HISTORY_YEARS));
+        cacheTtlInput.value = String(settings.cacheTtlMinutes);
+        setCsvColumns(settings.csvColumns);
+        dateFormatSelect.value = settings.csvDateFormat;
+        decimalSelect.value = settings.csvDecimalSeparator;
+        updateTemplatePreview();
+    }
+
+    const settings = await getSettings();
+    fillForm(settings);
+    offlineCheckbox.checked = settings.offlineCache;
+    offlineDaysInput.value = String(settings.offlineCacheDays);
+    let hasPassphrase = await hasOfflinePassphrase();
+    updateOfflineOptions(settings.offlineCache, hasPassphrase);
+    await renderOfflineBanks(settings.offlineCacheBankDays, settings.offlineCacheDays);
+
+    input.addEventListener('input', updateTemplatePreview);
+    folderInput.addEventListener('input', updateTemplatePreview);
+    offlineCheckbox.addEventListener('change', () => updateOfflineOptions(offlineCheckbox.checked, hasPassphrase));
+
+    resetBtn.addEventListener('click', () => {
+        fillForm(DEFAULT_SETTINGS);
+        offlineCheckbox.checked = DEFAULT_SETTINGS.offlineCache;
+        offlineDaysInput.value = String(DEFAULT_SETTINGS.offlineCacheDays);
+        updateOfflineOptions(offlineCheckbox.checked, hasPassphrase);
+        renderOfflineBanks(DEFAULT_SETTINGS.offlineCacheBankDays, DEFAULT_SETTINGS.offlineCacheDays);
+    });
+
+    exportBtn.addEventListener('click', async () => {
+        const blob = new Blob([exportSettings(await getSettings())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'bank-statement-settings.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    });
+
+    importBtn.addEventListener('click', () => {
+        importFile.click();
+    });
+
+    importFile.addEventListener('change', async () => {
+        const file = importFile.files?.[0];
+        importFile.value = '';
+        if (!file) return;
+
+        try {
+            await saveSettings(parseSettings(await file.text()));
+            fillForm(await getSettings());
+            showStatus('Settings imported');
+        } catch (error) {
+            const err = /** @type {Error} */ (error);
+            showStatus(err.message);
+        }
+    });
+
+    clearLedgerBtn.addEventListener('click', async () => {
+        await clearLedgers();
+        showStatus('Download history cleared');
+    });
+
+    clearOfflineBtn.addEventListener('click', async () => {
+        await clearOfflineCache();
+        hasPassphrase = false;
+        updateOfflineOptions(offlineCheckbox.checked, hasPassphrase);
+        await renderOfflineBanks({}, parseInt(offlineDaysInput.value, 10) || DEFAULT_SETTINGS.offlineCacheDays);
+        showStatus('Offline statements removed');
+    });
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        if (getUnknownTokens(input.value).length > 0) {
+            showStatus('Fix the unknown tokens before saving');
+            return;
+        }
+
+        const csvColumns = getCsvColumns();
+        if (csvColumns.length === 0) {
+            showStatus('Select at least one CSV column');
+            return;
+        }
+
+        const cacheTtlMinutes = parseInt(cacheTtlInput.value, 10);
+        if (!(cacheTtlMinutes > 0)) {
+            showStatus('Enter the number of minutes to keep loaded statements');
+            return;
+        }
+
+        const offlineDays = parseInt(offlineDaysInput.value, 10);
+        if (offlineCheckbox.checked) {
+            if (!(offlineDays > 0)) {
+                showStatus('Enter the number of days to keep offline statements');
+                return;
+            }
+            if (passphraseInput.value !== confirmInput.value) {
+                showStatus('The passphrases do not match');
+                return;
+            }
+            if (!hasPassphrase && !passphraseInput.value) {
+                showStatus('Enter a passphrase for offline statements');
+                return;
+            }
+            if (passphraseInput.value) {
+                await setOfflinePassphrase(passphraseInput.value);
+                hasPassphrase = true;
+            }
+        } else if (hasPassphrase) {
+            await clearOfflineCache();
+            hasPassphrase = false;
+        }
+        passphraseInput.value = '';
+        confirmInput.value = '';
+
+        await saveSettings({
+            filenameTemplate: input.value.trim() || DEFAULT_FILENAME_TEMPLATE,
+            downloadFolder: folderInput.value.trim(),
+            conflictAction: /** @type {DownloadConflictAction} */ (conflictSelect.value),
+            splitCombinedStatements: splitCheckbox.checked,
+            disabledBanks: getDisabledBanks(),
+            dateLocale: localeSelect.value,
+            statementHistoryYears: parseInt(historySelect.value, 10),
+            cacheTtlMinutes,
+            csvColumns,
+            csvDateFormat: dateFormatSelect.value,
+            csvDecimalSeparator: decimalSelect.value === ',' ? ',' : '.',
+            offlineCache: offlineCheckbox.checked,
+            offlineCacheDays: offlineDays > 0 ? offlineDays : DEFAULT_SETTINGS.offlineCacheDays,
+            offlineCacheBankDays: getOfflineBankDays(),
+        });
+        updateOfflineOptions(offlineCheckbox.checked, hasPassphrase);
+        await renderOfflineBanks(getOfflineBankDays(), offlineDays > 0 ? offlineDays : DEFAULT_SETTINGS.offlineCacheDays);
+        showStatus('Saved');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    init();
+});
@@ -0,0 +1,1116 @@
+/**
+ * Minimal PDF reader and page extraction (native JavaScript, no external dependencies)
+ * Objects are found by scanning the file, so classic and compressed cross-reference sections
+ * and incremental updates are all read the same way. Supports object streams, FlateDecode
+ * streams and text extraction through ToUnicode maps. Encrypted documents are not supported.
+ */
+
+/**
+ * @typedef {Object} PdfObject
+ * @property {string} dict - Object value before the stream keyword, usually a dictionary
+ * @property {Uint8Array | null} stream - Raw (still encoded) stream data
+ */
+
+/**
+ * @typedef {Object} PdfDocument
+ * @property {string} version - PDF version from the header, e.g. "1.7"
+ * @property {Map<number, PdfObject>} objects - Objects by object number
+ * @property {number | null} root - Object number of the document catalog
+ * @property {boolean} encrypted - True when the document is encrypted
+ */
+
+/**
+ * @typedef {Object} PdfPage
+ * @property {number} number - Object number of the page
+ * @property {Record<string, string>} inherited - Inheritable attributes set on ancestors, as raw values
+ */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/** Page attributes inherited from the page tree */
+const INHERITABLE_KEYS = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+
+/** Kerning (thousandths of an em) wide enough to be a space between words */
+const WORD_SPACING = 200;
+
+/** Nesting limit for form XObjects drawn inside page content */
+const MAX_FORM_DEPTH = 3;
+
+const WHITESPACE = /[\0\t\n\f\r ]/;
+const DELIMITERS = /[\0\t\n\f\r ()<>[\]{}/%]/;
+
+/**
+ * @typedef {Object} HuffmanTable
+ * @property {Uint16Array} counts - Number of codes of each length
+ * @property {Uint16Array} symbols - Symbols ordered by code
+ */
+
+/**
+ * Build a canonical Huffman decoding table from code lengths
+ * @param {ArrayLike<number>} lengths
+ * @returns {HuffmanTable}
+ */
+function buildHuffmanTable(lengths) {
+    const counts = new Uint16Array(16);
+    for (let i = 0; i < lengths.length; i++) {
+        counts[lengths[i]]++;
+    }
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let length = 1; length < 16; length++) {
+        offsets[length] = offsets[length - 1] + counts[length - 1];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        if (lengths[symbol]) {
+            symbols[offsets[lengths[symbol]]++] = symbol;
+        }
+    }
+    return { counts, symbols };
+}
+
+/** @type {{ literals: HuffmanTable, distances: HuffmanTable } | null} */
+let fixedTables = null;
+
+/**
+ * Get the fixed Huffman tables of deflate block type 1
+ * @returns {{ literals: HuffmanTable, distances: HuffmanTable }}
+ */
+function getFixedTables() {
+    if (!fixedTables) {
+        const lengths = new Uint8Array(288);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, 288);
+        fixedTables = {
+            literals: buildHuffmanTable(lengths),
+            distances: buildHuffmanTable(new Uint8Array(30).fill(5)),
+        };
+    }
+    return fixedTables;
+}
+
+/**
+ * Decompress zlib or raw deflate data (RFC 1950 / RFC 1951)
+ * Truncated data is common in PDF files, so the output decoded so far is returned
+ * when the data ends early.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function inflate(data) {
+    let position = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    // Skip the zlib header when present
+    if (data.length >= 2 && (data[0] & 0x0f) === 8 && ((data[0] << 8) | data[1]) % 31 === 0) {
+        position = 2;
+    }
+
+    let output = new Uint8Array(Math.max(1024, data.length * 4));
+    let outputLength = 0;
+
+    /** @param {number} needed */
+    const reserve = (needed) => {
+        if (outputLength + needed > output.length) {
+            const grown = new Uint8Array(Math.max(output.length * 2, outputLength + needed));
+            grown.set(output.subarray(0, outputLength));
+            output = grown;
+        }
+    };
+
+    /** @param {number} count */
+    const readBits = (count) => {
+        while (bitCount < count) {
+            if (position >= data.length) {
+                throw new RangeError('Unexpected end of deflate data');
+            }
+            bitBuffer |= data[position++] << bitCount;
+            bitCount += 8;
+        }
+        const value = bitBuffer & ((1 << count) - 1);
+        bitBuffer >>>= count;
+        bitCount -= count;
+        return value;
+    };
+
+    /** @param {HuffmanTable} table */
+    const decodeSymbol = (table) => {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length < 16; length++) {
+            code |= readBits(1);
+            const count = table.counts[length];
+            if (code - count < first) {
+                return table.symbols[index + (code - first)];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Invalid deflate Huffman code');
+    };
+
+    try {
+        let isFinal = 0;
+        while (!isFinal) {
+            isFinal = readBits(1);
+            const type = readBits(2);
+
+            if (type === 0) {
+                // Stored block, starting at the next byte boundary
+                bitBuffer = 0;
+                bitCount = 0;
+                if (position + 4 > data.length) {
+                    throw new RangeError('Unexpected end of deflate data');
+                }
+                const length = data[position] | (data[position + 1] << 8);
+                position += 4;
+                const end = Math.min(position + length, data.length);
+                reserve(end - position);
+                output.set(data.subarray(position, end), outputLength);
+                outputLength += end - position;
+                const isTruncated = end - position < length;
+                position = end;
+                if (isTruncated) {
+                    throw new RangeError('Unexpected end of deflate data');
+                }
+                continue;
+            }
+
+            let literals;
+            let distances;
+            if (type === 1) {
+                ({ literals, distances } = getFixedTables());
+            } else if (type === 2) {
+                const literalCount = readBits(5) + 257;
+                const distanceCount = readBits(5) + 1;
+                const codeLengthCount = readBits(4) + 4;
+
+                const codeLengthLengths = new Uint8Array(19);
+                for (let i = 0; i < codeLengthCount; i++) {
+                    codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+                }
+                const codeLengthTable = buildHuffmanTable(codeLengthLengths);
+
+                const lengths = new Uint8Array(literalCount + distanceCount);
+                let i = 0;
+                while (i < lengths.length) {
+                    const symbol = decodeSymbol(codeLengthTable);
+                    if (symbol < 16) {
+                        lengths[i++] = symbol;
+                        continue;
+                    }
+                    let repeat;
+                    let value = 0;
+                    if (symbol === 16) {
+                        if (i === 0) {
+                            throw new Error('Invalid deflate code lengths');
+                        }
+                        value = lengths[i - 1];
+                        repeat = 3 + readBits(2);
+                    } else if (symbol === 17) {
+                        repeat = 3 + readBits(3);
+                    } else {
+                        repeat = 11 + readBits(7);
+                    }
+                    if (i + repeat > lengths.length) {
+                        throw new Error('Invalid deflate code lengths');
+                    }
+                    lengths.fill(value, i, i + repeat);
+                    i += repeat;
+                }
+
+                literals = buildHuffmanTable(lengths.subarray(0, literalCount));
+                distances = buildHuffmanTable(lengths.subarray(literalCount));
+            } else {
+                throw new Error('Invalid deflate block type');
+            }
+
+            for (;;) {
+                const symbol = decodeSymbol(literals);
+                if (symbol < 256) {
+                    reserve(1);
+                    output[outputLength++] = symbol;
+                    continue;
+                }
+                if (symbol === 256) {
+                    break;
+                }
+
+                const lengthIndex = symbol - 257;
+                if (lengthIndex >= LENGTH_BASE.length) {
+                    throw new Error('Invalid deflate length code');
+                }
+                const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+                const distanceIndex = decodeSymbol(distances);
+                if (distanceIndex >= DISTANCE_BASE.length) {
+                    throw new Error('Invalid deflate distance code');
+                }
+                const distance = DISTANCE_BASE[distanceIndex] + readBits(DISTANCE_EXTRA[distanceIndex]);
+                if (distance > outputLength) {
+                    throw new Error('Invalid deflate distance');
+                }
+
+                reserve(length);
+                for (let i = 0; i < length; i++) {
+                    output[outputLength] = output[outputLength - distance];
+                    outputLength++;
+                }
+            }
+        }
+    } catch (error) {
+        if (!(error instanceof RangeError) || outputLength === 0) {
+            throw error;
+        }
+    }
+
+    return output.slice(0, outputLength);
+}
+
+/**
+ * Convert bytes to a string with one character per byte
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToLatin1(bytes) {
+    let result = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        result += String.fromCharCode.apply(null, Array.from(bytes.subarray(i, i + chunkSize)));
+    }
+    return result;
+}
+
+/**
+ * Convert a string with one character per byte to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function latin1ToBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {string} text
+ * @param {number} position
+ * @returns {number} Position of the next token
+ */
+function skipWhitespace(text, position) {
+    while (position < text.length) {
+        const char = text[position];
+        if (WHITESPACE.test(char)) {
+            position++;
+        } else if (char === '%') {
+            while (position < text.length && text[position] !== '\n' && text[position] !== '\r') {
+                position++;
+            }
+        } else {
+            break;
+        }
+    }
+    return position;
+}
+
+/**
+ * Find the end of a literal string starting at an opening parenthesis
+ * @param {string} text
+ * @param {number} position - Position of "("
+ * @returns {number} Position after the closing parenthesis
+ */
+function skipLiteralString(text, position) {
+    let depth = 0;
+    while (position < text.length) {
+        const char = text[position];
+        if (char === '\\') {
+            position += 2;
+            continue;
+        }
+        if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) {
+                return position + 1;
+            }
+        }
+        position++;
+    }
+    return position;
+}
+
+/**
+ * Find the end of the value starting at a position
+ * An indirect reference ("12 0 R") is read as a single value.
+ * @param {string} text
+ * @param {number} position - Position of the first character of the value
+ * @returns {number} Position after the value
+ */
+function skipValue(text, position) {
+    const start = position;
+    const char = text[position];
+
+    if (char === '(') {
+        return skipLiteralString(text, position);
+    }
+
+    if (char === '<' && text[position + 1] === '<') {
+        position += 2;
+        for (;;) {
+            position = skipWhitespace(text, position);
+            if (position >= text.length) {
+                return position;
+            }
+            if (text.startsWith('>>', position)) {
+                return position + 2;
+            }
+            position = skipValue(text, position);
+        }
+    }
+
+    if (char === '<') {
+        const end = text.indexOf('>', position);
+        return end === -1 ? text.length : end + 1;
+    }
+
+    if (char === '[') {
+        position++;
+        for (;;) {
+            position = skipWhitespace(text, position);
+            if (position >= text.length) {
+                return position;
+            }
+            if (text[position] === ']') {
+                return position + 1;
+            }
+            position = skipValue(text, position);
+        }
+    }
+
+    if (char === '/') {
+        position++;
+    } else if (char === ')' || char === '>' || char === ']' || char === '{' || char === '}') {
+        // Stray delimiter: consume it so parsing always advances
+        return position + 1;
+    }
+
+    while (position < text.length && !DELIMITERS.test(text[position])) {
+        position++;
+    }
+
+    // Indirect reference: "<number> <generation> R"
+    const reference = /^[\0\t\n\f\r ]+\d+[\0\t\n\f\r ]+R(?![^\0\t\n\f\r ()<>[\]{}/%])/.exec(text.slice(position, position + 24));
+    if (reference && /^\d+$/.test(text.slice(start, position))) {
+        return position + reference[0].length;
+    }
+    return position;
+}
+
+/**
+ * Get the raw value of a key in a dictionary
+ * @param {string} dict - Dictionary text, starting with "<<"
+ * @param {string} key - Key without the leading slash
+ * @returns {string | null}
+ */
+export function getDictValue(dict, key) {
+    let position = skipWhitespace(dict, 0);
+    if (!dict.startsWith('<<', position)) {
+        return null;
+    }
+    position += 2;
+
+    for (;;) {
+        position = skipWhitespace(dict, position);
+        if (position >= dict.length || dict.startsWith('>>', position)) {
+            return null;
+        }
+
+        const keyEnd = skipValue(dict, position);
+        const name = dict.slice(position, keyEnd);
+        position = skipWhitespace(dict, keyEnd);
+        const valueEnd = skipValue(dict, position);
+
+        if (name === `/${key}`) {
+            return dict.slice(position, valueEnd);
+        }
+        position = valueEnd;
+    }
+}
+
+/**
+ * Get the object number of an indirect reference
+ * @param {string | null} value
+ * @returns {number | null}
+ */
+function getReference(value) {
+    const match = value && /^(\d+)\s+\d+\s+R$/.exec(value.trim());
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Get a value, following an indirect reference
+ * @param {PdfDocument} doc
+ * @param {string | null} value
+ * @returns {string | null}
+ */
+function resolveValue(doc, value) {
+    const reference = getReference(value);
+    if (reference === null) {
+        return value;
+    }
+    return doc.objects.get(reference)?.dict ?? null;
+}
+
+/**
+ * Get the object numbers of all indirect references in a value
+ * @param {string} value
+ * @returns {number[]}
+ */
+function getReferences(value) {
+    return Array.from(value.matchAll(/(\d+)\s+\d+\s+R(?![A-Za-z0-9])/g), match => parseInt(match[1], 10));
+}
+
+/**
+ * Decode the data of a stream object
+ * @param {PdfObject} object
+ * @returns {Uint8Array}
+ */
+export function decodeStream(object) {
+    if (!object.stream) {
+        throw new Error('Object is not a stream');
+    }
+
+    const filter = (getDictValue(object.dict, 'Filter') || '').replace(/[[\]\s]/g, '');
+    if (filter === '') {
+        return object.stream;
+    }
+    if (filter !== '/FlateDecode' && filter !== '/Fl') {
+        throw new Error(`Unsupported stream filter: ${filter}`);
+    }
+
+    const params = getDictValue(object.dict, 'DecodeParms');
+    const predictor = params ? parseInt(getDictValue(params, 'Predictor') || '1', 10) : 1;
+    if (predictor > 1) {
+        throw new Error(`Unsupported stream predictor: ${predictor}`);
+    }
+
+    return inflate(object.stream);
+}
+
+/**
+ * Read the objects of a PDF file
+ * @param {Uint8Array} bytes
+ * @returns {PdfDocument}
+ */
+export function parsePdf(bytes) {
+    const text = bytesToLatin1(bytes);
+    const version = /^%PDF-(\d\.\d)/.exec(text)?.[1];
+    if (!version) {
+        throw new Error('Not a PDF file');
+    }
+
+    /** @type {Map<number, PdfObject>} */
+    const objects = new Map();
+    const header = /(\d+)\s+\d+\s+obj(?![A-Za-z])/g;
+
+    let match;
+    while ((match = header.exec(text)) !== null) {
+        const number = parseInt(match[1], 10);
+        const valueStart = skipWhitespace(text, header.lastIndex);
+        const valueEnd = skipValue(text, valueStart);
+        const dict = text.slice(valueStart, valueEnd);
+
+        let position = skipWhitespace(text, valueEnd);
+        /** @type {Uint8Array | null} */
+        let stream = null;
+
+        if (text.startsWith('stream', position)) {
+            let dataStart = position + 6;
+            if (text[dataStart] === '\r') dataStart++;
+            if (text[dataStart] === '\n') dataStart++;
+
+            // Trust a direct /Length only when "endstream" follows it
+            const length = parseInt(getDictValue(dict, 'Length') || '', 10);
+            let dataEnd = -1;
+            if (Number.isFinite(length) && text.startsWith('endstream', skipWhitespace(text, dataStart + length))) {
+                dataEnd = dataStart + length;
+            } else {
+                const endstream = text.indexOf('endstream', dataStart);
+                dataEnd = endstream === -1 ? text.length : endstream;
+                if (text[dataEnd - 1] === '\n') dataEnd--;
+                if (text[dataEnd - 1] === '\r') dataEnd--;
+            }
+
+            stream = bytes.subarray(dataStart, dataEnd);
+            position = dataEnd;
+        }
+
+        objects.set(number, { dict, stream });
+
+        const endobj = text.indexOf('endobj', position);
+        header.lastIndex = endobj === -1 ? position : endobj + 6;
+    }
+
+    // Objects stored in object streams do not override objects defined directly
+    for (const object of Array.from(objects.values())) {
+        if (!object.stream || !/\/Type\s*\/ObjStm\b/.test(object.dict)) {
+            continue;
+        }
+        try {
+            const content = bytesToLatin1(decodeStream(object));
+            const count = parseInt(getDictValue(object.dict, 'N') || '0', 10);
+            const first = parseInt(getDictValue(object.dict, 'First') || '0', 10);
+            const numbers = content.slice(0, first).trim().split(/\s+/).map(Number);
+
+            for (let i = 0; i < count; i++) {
+                const number = numbers[i * 2];
+                if (objects.has(number)) {
+                    continue;
+                }
+                const valueStart = skipWhitespace(content, first + numbers[i * 2 + 1]);
+                const valueEnd = skipValue(content, valueStart);
+                objects.set(number, { dict: content.slice(valueStart, valueEnd), stream: null });
+            }
+        } catch (error) {
+            // Objects of an unreadable object stream are treated as missing
+        }
+    }
+
+    const roots = Array.from(text.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g));
+    const root = roots.length > 0 ? parseInt(roots[roots.length - 1][1], 10) : null;
+    const encrypted = /\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(text);
+
+    return { version, objects, root, encrypted };
+}
+
+/**
+ * List the pages of a document in order
+ * @param {PdfDocument} doc
+ * @returns {PdfPage[]}
+ */
+export function getPages(doc) {
+    if (doc.root === null) {
+        throw new Error('PDF has no document catalog');
+    }
+    const catalog = doc.objects.get(doc.root);
+    const pagesRoot = catalog ? getReference(getDictValue(catalog.dict, 'Pages')) : null;
+    if (pagesRoot === null) {
+        throw new Error('PDF has no page tree');
+    }
+
+    /** @type {PdfPage[]} */
+    const pages = [];
+    const visited = new Set();
+
+    /**
+     * @param {number} number
+     * @param {Record<string, string>} inherited
+     */
+    const visit = (number, inherited) => {
+        const node = doc.objects.get(number);
+        if (!node || visited.has(number)) {
+            return;
+        }
+        visited.add(number);
+
+        const kids = getDictValue(node.dict, 'Kids');
+        if (kids === null) {
+            pages.push({ number, inherited });
+            return;
+        }
+
+        /** @type {Record<string, string>} */
+        const childInherited = { ...inherited };
+        for (const key of INHERITABLE_KEYS) {
+            const value = getDictValue(node.dict, key);
+            if (value !== null) {
+                childInherited[key] = value;
+            }
+        }
+        for (const kid of getReferences(resolveValue(doc, kids) || '')) {
+            visit(kid, childInherited);
+        }
+    };
+
+    visit(pagesRoot, {});
+    return pages;
+}
+
+/**
+ * Get a page attribute, looking at the page tree when the page does not set it
+ * @param {PdfDocument} doc
+ * @param {PdfPage} page
+ * @param {string} key
+ * @returns {string | null}
+ */
+function getPageAttribute(doc, page, key) {
+    const dict = doc.objects.get(page.number)?.dict || '';
+    return getDictValue(dict, key) ?? page.inherited[key] ?? null;
+}
+
+/**
+ * Decode a UTF-16BE hex string from a ToUnicode map
+ * @param {string} hex
+ * @returns {string}
+ */
+function decodeUtf16Hex(hex) {
+    let result = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+        result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    }
+    return result;
+}
+
+/**
+ * @typedef {Object} FontDecoder
+ * @property {number} codeLength - Bytes per character code
+ * @property {Map<number, string> | null} toUnicode - Unicode text of each character code
+ */
+
+/**
+ * Read a ToUnicode CMap
+ * @param {string} cmap
+ * @returns {{ codeLength: number, map: Map<number, string> }}
+ */
+function parseToUnicode(cmap) {
+    /** @type {Map<number, string>} */
+    const map = new Map();
+    let codeLength = 1;
+
+    for (const [, section] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, source, target] of section.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            codeLength = Math.max(codeLength, source.length / 2);
+            map.set(parseInt(source, 16), decodeUtf16Hex(target));
+        }
+    }
+
+    for (const [, section] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, low, high, target] of section.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+            codeLength = Math.max(codeLength, low.length / 2);
+            const start = parseInt(low, 16);
+            const end = Math.min(parseInt(high, 16), start + 0xffff);
+
+            if (target.startsWith('[')) {
+                const targets = Array.from(target.matchAll(/<([0-9a-fA-F]*)>/g), match => decodeUtf16Hex(match[1]));
+                for (let code = start; code <= end && code - start < targets.length; code++) {
+                    map.set(code, targets[code - start]);
+                }
+            } else {
+                const base = decodeUtf16Hex(target.slice(1, -1));
+                const last = base.charCodeAt(base.length - 1);
+                for (let code = start; code <= end; code++) {
+                    map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - start));
+                }
+            }
+        }
+    }
+
+    return { codeLength, map };
+}
+
+/**
+ * Build the text decoder of a font
+ * @param {PdfDocument} doc
+ * @param {string} fontDict
+ * @returns {FontDecoder}
+ */
+function getFontDecoder(doc, fontDict) {
+    const isComposite = /\/Subtype\s*\/Type0\b/.test(fontDict);
+    const toUnicodeRef = getReference(getDictValue(fontDict, 'ToUnicode'));
+    const toUnicodeObject = toUnicodeRef === null ? undefined : doc.objects.get(toUnicodeRef);
+
+    if (toUnicodeObject?.stream) {
+        try {
+            const { codeLength, map } = parseToUnicode(bytesToLatin1(decodeStream(toUnicodeObject)));
+            return { codeLength: isComposite ? 2 : codeLength, toUnicode: map };
+        } catch (error) {
+            // Fall back to the font encoding
+        }
+    }
+
+    // Without a ToUnicode map, composite font codes are glyph IDs that cannot be read
+    return { codeLength: isComposite ? 2 : 1, toUnicode: isComposite ? new Map() : null };
+}
+
+/**
+ * Decode a string shown with a font
+ * @param {string} bytes - String bytes, one character per byte
+ * @param {FontDecoder | undefined} decoder
+ * @returns {string}
+ */
+function decodeText(bytes, decoder) {
+    if (!decoder || !decoder.toUnicode) {
+        return bytes;
+    }
+
+    let result = '';
+    for (let i = 0; i + decoder.codeLength <= bytes.length; i += decoder.codeLength) {
+        let code = 0;
+        for (let j = 0; j < decoder.codeLength; j++) {
+            code = (code << 8) | bytes.charCodeAt(i + j);
+        }
+        result += decoder.toUnicode.get(code) ?? (decoder.codeLength === 1 ? bytes[i] : '');
+    }
+    return result;
+}
+
+/**
+ * Read a literal string token
+ * @param {string} text
+ * @param {number} position - Position of "("
+ * @returns {string} String bytes, one character per byte
+ */
+function readLiteralString(text, position) {
+    const end = skipLiteralString(text, position);
+    const raw = text.slice(position + 1, end - 1);
+    return raw.replace(/\\(\d{1,3}|\r\n|[\s\S])/g, (match, escaped) => {
+        if (/^\d/.test(escaped)) return String.fromCharCode(parseInt(escaped, 8) & 0xff);
+        switch (escaped) {
+            case 'n': return '\n';
+            case 'r': return '\r';
+            case 't': return '\t';
+            case 'b': return '\b';
+            case 'f': return '\f';
+            case '\r\n':
+            case '\r':
+            case '\n': return '';
+            default: return escaped;
+        }
+    });
+}
+
+/**
+ * Read a hex string token
+ * @param {string} token - Token including the angle brackets
+ * @returns {string} String bytes, one character per byte
+ */
+function readHexString(token) {
+    const hex = token.slice(1, -1).replace(/[^0-9a-fA-F]/g, '');
+    const padded = hex.length % 2 ? `${hex}0` : hex;
+    let result = '';
+    for (let i = 0; i < padded.length; i += 2) {
+        result += String.fromCharCode(parseInt(padded.slice(i, i + 2), 16));
+    }
+    return result;
+}
+
+/**
+ * Convert an operand token to a string or number
+ * @param {string} text
+ * @param {string} token
+ * @param {number} position - Position of the token
+ * @returns {string | number}
+ */
+function readOperand(text, token, position) {
+    if (token.startsWith('(')) return readLiteralString(text, position);
+    if (token.startsWith('<') && !token.startsWith('<<')) return readHexString(token);
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(token) ? parseFloat(token) : token;
+}
+
+/**
+ * Extract the text of a content stream
+ * @param {PdfDocument} doc
+ * @param {string} content - Decoded content stream
+ * @param {string | null} resources - Resources dictionary of the content
+ * @param {number} depth - Form XObject nesting level
+ * @returns {string}
+ */
+function extractContentText(doc, content, resources, depth) {
+    const fonts = resolveValue(doc, resources ? getDictValue(resources, 'Font') : null);
+    const xObjects = resolveValue(doc, resources ? getDictValue(resources, 'XObject') : null);
+
+    /** @type {Map<string, FontDecoder>} */
+    const decoders = new Map();
+    /** @type {FontDecoder | undefined} */
+    let decoder;
+
+    /** @type {Array<string | number | Array<string | number>>} */
+    let operands = [];
+    let result = '';
+    let lastY = 0;
+    let position = 0;
+
+    while (position < content.length) {
+        position = skipWhitespace(content, position);
+        if (position >= content.length) {
+            break;
+        }
+
+        const char = content[position];
+
+        if (char === '[') {
+            // Array operand, as used by TJ
+            /** @type {Array<string | number>} */
+            const items = [];
+            position++;
+            for (;;) {
+                position = skipWhitespace(content, position);
+                if (position >= content.length || content[position] === ']') {
+                    position++;
+                    break;
+                }
+                const end = skipValue(content, position);
+                items.push(readOperand(content, content.slice(position, end), position));
+                position = end;
+            }
+            operands.push(items);
+            continue;
+        }
+
+        if (char === '(' || char === '<' || char === '/' || /[\d+\-.]/.test(char)) {
+            const end = skipValue(content, position);
+            operands.push(readOperand(content, content.slice(position, end), position));
+            position = end;
+            continue;
+        }
+
+        // Operator
+        let end = position;
+        while (end < content.length && !DELIMITERS.test(content[end])) {
+            end++;
+        }
+        if (end === position) {
+            end++;
+        }
+        const operator = content.slice(position, end);
+        position = end;
+
+        switch (operator) {
+            case 'Tf': {
+                const name = String(operands[0] || '').slice(1);
+                if (!decoders.has(name)) {
+                    const fontDict = resolveValue(doc, fonts ? getDictValue(fonts, name) : null);
+                    if (fontDict) {
+                        decoders.set(name, getFontDecoder(doc, fontDict));
+                    }
+                }
+                decoder = decoders.get(name);
+                break;
+            }
+            case 'Tj':
+                result += decodeText(String(operands[0] ?? ''), decoder);
+                break;
+            case "'":
+            case '"':
+                result += '\n' + decodeText(String(operands[operands.length - 1] ?? ''), decoder);
+                break;
+            case 'TJ': {
+                const items = Array.isArray(operands[0]) ? operands[0] : [];
+                for (const item of items) {
+                    if (typeof item === 'number') {
+                        if (item < -WORD_SPACING) {
+                            result += ' ';
+                        }
+                    } else {
+                        result += decodeText(item, decoder);
+                    }
+                }
+                break;
+            }
+            case 'Td':
+            case 'TD':
+                result += operands[1] ? '\n' : ' ';
+                break;
+            case 'T*':
+                result += '\n';
+                break;
+            case 'Tm': {
+                const y = Number(operands[5]) || 0;
+                result += y === lastY ? ' ' : '\n';
+                lastY = y;
+                break;
+            }
+            case 'ET':
+                result += '\n';
+                break;
+            case 'BI': {
+                // Inline image data is binary; skip to the end of the image
+                const imageEnd = content.slice(position).search(/[\0\t\n\f\r ]EI(?![^\0\t\n\f\r ])/);
+                position = imageEnd === -1 ? content.length : position + imageEnd + 3;
+                break;
+            }
+            case 'Do': {
+                if (depth >= MAX_FORM_DEPTH) break;
+                const name = String(operands[0] || '').slice(1);
+                const reference = getReference(xObjects ? getDictValue(xObjects, name) : null);
+                const form = reference === null ? undefined : doc.objects.get(reference);
+                if (form?.stream && /\/Subtype\s*\/Form\b/.test(form.dict)) {
+                    const formResources = resolveValue(doc, getDictValue(form.dict, 'Resources')) || resources;
+                    try {
+                        result += extractContentText(doc, bytesToLatin1(decodeStream(form)), formResources, depth + 1) + '\n';
+                    } catch (error) {
+                        // Skip forms that cannot be decoded
+                    }
+                }
+                break;
+            }
+        }
+
+        operands = [];
+    }
+
+    return result;
+}
+
+/**
+ * Extract the text of a page
+ * Text is returned in drawing order, with line breaks where text moves to a new line.
+ * @param {PdfDocument} doc
+ * @param {PdfPage} page
+ * @returns {string}
+ */
+export function getPageText(doc, page) {
+    const resources = resolveValue(doc, getPageAttribute(doc, page, 'Resources'));
+    const contents = getPageAttribute(doc, page, 'Contents');
+    if (!contents) {
+        return '';
+    }
+
+    const resolved = resolveValue(doc, contents) || '';
+    const streams = getReference(contents) !== null && !resolved.trim().startsWith('[')
+        ? [getReference(contents)]
+        : getReferences(resolved);
+
+    const content = streams
+        .map(number => {
+            const object = number === null ? undefined : doc.objects.get(number);
+            return object?.stream ? bytesToLatin1(decodeStream(object)) : '';
+        })
+        .join('\n');
+
+    return extractContentText(doc, content, resources, 0);
+}
+
+/**
+ * Write a new PDF file containing some pages of a document
+ * Only objects used by the selected pages are copied; references to anything else,
+ * such as links to other pages, are replaced with null.
+ * @param {PdfDocument} doc
+ * @param {number[]} pageIndexes - Zero-based indexes of the pages to keep, in output order
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+export function extractPages(doc, pageIndexes) {
+    const pages = getPages(doc);
+    const selected = pageIndexes.map(index => {
+        if (!pages[index]) {
+            throw new Error(`Page ${index + 1} does not exist`);
+        }
+        return pages[index];
+    });
+
+    // Page tree nodes and unselected pages are never copied
+    const excluded = new Set(doc.root === null ? [] : [doc.root]);
+    for (const number of doc.objects.keys()) {
+        const dict = doc.objects.get(number)?.dict || '';
+        if (/\/Type\s*\/Pages?(?![A-Za-z])/.test(dict) || getDictValue(dict, 'Kids') !== null) {
+            excluded.add(number);
+        }
+    }
+    const selectedNumbers = new Set(selected.map(page => page.number));
+
+    /** @type {Map<number, string>} */
+    const dicts = new Map();
+    for (const page of selected) {
+        let dict = doc.objects.get(page.number)?.dict || '<<>>';
+        dict = dict.replace(/\/Parent\s+\d+\s+\d+\s+R/, '');
+        const missing = INHERITABLE_KEYS
+            .filter(key => getDictValue(dict, key) === null && page.inherited[key] !== undefined)
+            .map(key => `/${key} ${page.inherited[key]}`);
+        dicts.set(page.number, dict.replace(/^\s*<</, `<< ${missing.join(' ')}`));
+    }
+
+    // Number objects in the order they are found: 1 is the catalog and 2 the page tree
+    /** @type {Map<number, number>} */
+    const renumbered = new Map();
+    const queue = selected.map(page => page.number);
+    for (const number of queue) {
+        renumbered.set(number, renumbered.size + 3);
+    }
+    for (let i = 0; i < queue.length; i++) {
+        const object = doc.objects.get(queue[i]);
+        let dict = dicts.get(queue[i]) ?? object?.dict ?? 'null';
+
+        // The copied stream data is written as-is, so its length is written directly
+        if (object?.stream) {
+            dict = dict.replace(/\/Length\s+(\d+\s+\d+\s+R|\d+)/, `/Length ${object.stream.length}`);
+        }
+        dicts.set(queue[i], dict);
+
+        for (const reference of getReferences(dict)) {
+            const isExcluded = excluded.has(reference) && !selectedNumbers.has(reference);
+            if (!renumbered.has(reference) && !isExcluded && doc.objects.has(reference)) {
+                renumbered.set(reference, renumbered.size + 3);
+                queue.push(reference);
+            }
+        }
+    }
+
+    /** @type {Uint8Array[]} */
+    const parts = [];
+    /** @type {number[]} */
+    const offsets = [];
+    let length = 0;
+
+    /** @param {Uint8Array} part */
+    const write = (part) => {
+        parts.push(part);
+        length += part.length;
+    };
+
+    write(latin1ToBytes(`%PDF-${doc.version}\n%\xe2\xe3\xcf\xd3\n`));
+
+    const kids = selected.map(page => `${renumbered.get(page.number)} 0 R`).join(' ');
+    offsets.push(length);
+    write(latin1ToBytes('1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n'));
+    offsets.push(length);
+    write(latin1ToBytes(`2 0 obj\n<< /Type /Pages /Kids [${kids}] /Count ${selected.length} >>\nendobj\n`));
+
+    for (const number of queue) {
+        const object = doc.objects.get(number);
+        let dict = (dicts.get(number) || 'null').replace(/(\d+)\s+\d+\s+R(?![A-Za-z0-9])/g, (match, reference) => {
+            const target = renumbered.get(parseInt(reference, 10));
+            return target === undefined ? 'null' : `${target} 0 R`;
+        });
+        if (selectedNumbers.has(number)) {
+            dict = dict.replace(/^\s*<</, '<< /Parent 2 0 R');
+        }
+
+        offsets.push(length);
+        write(latin1ToBytes(`${renumbered.get(number)} 0 obj\n${dict}\n`));
+        if (object?.stream) {
+            write(latin1ToBytes('stream\n'));
+            write(object.stream);
+            write(latin1ToBytes('\nendstream\n'));
+        }
+        write(latin1ToBytes('endobj\n'));
+    }
+
+    const xrefOffset = length;
+    let trailer = `xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`;
+    for (const offset of offsets) {
+        trailer += `${offset.toString().padStart(10, '0')} 00000 n \n`;
+    }
+    trailer += `trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    write(latin1ToBytes(trailer));
+
+    const result = new Uint8Array(length);
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
@@ -1,15 +1,125 @@
 /**
  * @typedef {import('../bank/bank.types').Account} Account
+ * @typedef {import('../bank/bank.types').AccountType} AccountType
+ * @typedef {import('../bank/bank.types').BankError} BankError
+ * @typedef {import('../bank/bank.types').BankErrorCode} BankErrorCode
  * @typedef {import('../bank/bank.types').Statement} Statement
+ * @typedef {import('../bank/bank.types').StatementProbe} StatementProbe
+ * @typedef {import('../bank/bank.types').DocumentType} DocumentType
  * @typedef {import('./extension.type').MessageAction} MessageAction
  * @typedef {import('./extension.type').MessageDataMap} MessageDataMap
+ * @typedef {import('./extension.type').BulkDownloadJob} BulkDownloadJob
+ * @typedef {import('./extension.type').BulkDownloadRequest} BulkDownloadRequest
+ * @typedef {import('./extension.type').DownloadLedger} DownloadLedger
+ * @typedef {import('./extension.type').DownloadLedgerEntry} DownloadLedgerEntry
+ * @typedef {import('./extension.type').BankCapabilities} BankCapabilities
+ * @typedef {import('./extension.type').BankRouting} BankRouting
+ * @typedef {import('./extension.type').BankSession} BankSession
+ * @typedef {import('./extension.type').OfflineBank} OfflineBank
+ * @typedef {import('./extension.type').StatementsUpdate} StatementsUpdate
+ * @typedef {import('./extension.type').TransactionExportFormat} TransactionExportFormat
  */
 
+import { findUnreconciledStatements, getLedgerEntry, withStatementFigures } from './ledger.mjs';
+import { getSettings, saveSettings } from './settings.mjs';
+import { findStatementGaps } from './statement_gaps.mjs';
+
+const BULK_JOB_KEY = 'bulk_download_job';
+
+/** Statement list that the background worker loaded again after showing the cached one */
+const STATEMENTS_UPDATED_KEY = 'statements_updated';
+
+/**
+ * A signed-in bank shown in the dashboard
+ * @typedef {object} DashboardBank
+ * @property {BankSession} session
+ * @property {Account[]} accounts
+ * @property {BankCapabilities} capabilities
+ * @property {Error} [error] - Why the accounts could not be loaded
+ */
+
+/** @type {DashboardBank[]} */
+let currentBanks = [];
+
+/** @type {BankCapabilities} */
+const NO_CAPABILITIES = { transactions: false, rangeStatements: false, statementHistoryStart: null };
+
+/**
+ * What to tell the user for each known cause of a failed bank request
+ * @type {Record<BankErrorCode, (bankName: string, message: string) => string>}
+ */
+const ERROR_GUIDANCE = {
+    SessionExpired: bankName => `Your ${bankName} session has expired. Sign in to ${bankName} again, then refresh.`,
+    MfaRequired: bankName => `${bankName} needs to verify it's you. Complete the verification in the ${bankName} tab, then refresh.`,
+    RateLimited: bankName => `${bankName} is receiving too many requests. Wait a few minutes, then try again.`,
+    NotSupported: (_bankName, message) => message,
+    NetworkError: bankName => `Could not reach ${bankName}. Check your internet connection, then try again.`,
+    ParseError: bankName => `${bankName} answered in an unexpected format, its website may have changed. Please report this issue if it persists.`,
+};
+
+/** Errors fixed in the bank tab, shown with a button that switches to it */
+const BANK_TAB_ERRORS = ['SessionExpired', 'MfaRequired'];
+
+/**
+ * Document types in the order they are offered in filters, with the filter label and the list badge
+ * @type {Record<DocumentType, {label: string, badge: string}>}
+ */
+const DOCUMENT_TYPES = {
+    statement: { label: 'Statements', badge: 'Statement' },
+    tax: { label: 'Tax documents', badge: 'Tax' },
+    confirmation: { label: 'Confirmations', badge: 'Confirmation' },
+    notice: { label: 'Notices', badge: 'Notice' },
+    other: { label: 'Other documents', badge: 'Other' },
+};
+
+/**
+ * How each kind of statement gap is described in the gaps view
+ * @type {Record<import('./extension.type').StatementGap['reason'], string>}
+ */
+const GAP_REASONS = {
+    missing: 'Not listed by the bank',
+    empty: 'Checked, the bank has no statement',
+    failed: 'Could not be checked',
+};
+
+/**
+ * Account types in the order they are offered in the filter
+ * @type {Record<AccountType, string>}
+ */
+const ACCOUNT_TYPES = {
+    Checking: 'Checking',
+    Savings: 'Savings',
+    CreditCard: 'Credit cards',
+    Loan: 'Loans',
+    Investment: 'Investments',
+};
+
+/**
+ * Filters of the statement lists and search results
+ * @typedef {object} StatementFilters
+ * @property {DocumentType | 'all'} documentType
+ * @property {AccountType | 'all'} accountType
+ * @property {string} from - Earliest statement date (YYYY-MM-DD), empty for no limit
+ * @property {string} to - Latest statement date (YYYY-MM-DD), empty for no limit
+ */
+
+/** @type {StatementFilters} */
+const currentFilters = { documentType: 'all', accountType: 'all', from: '', to: '' };
+
+/**
+ * Statements loaded in the popup, by bank ID and account ID, for searching across accounts
+ * @type {Map<string, Statement[]>}
+ */
+const loadedStatements = new Map();
+
+/** Delay after the last key press before searching */
+const SEARCH_DELAY = 250;
+
 /**
  * Send a message to the background service worker
  * @template {MessageAction} A
  * @param {A} action - The action to perform
- * @param {MessageDataMap[A]['request'] & {forceRefresh?: boolean}} data - The request data
+ * @param {MessageDataMap[A]['request'] & BankRouting & {forceRefresh?: boolean}} data - The request data
  * @returns {Promise<MessageDataMap[A]['response']>}
  */
 async function sendMessageToBackground(action, data) {
@@ -18,13 +128,20 @@ async function sendMessageToBackground(action, data) {
     const response = await chrome.runtime.sendMessage(message);
 
     if (!response.success) {
-        throw new Error(response.error || 'Unknown error from background script');
+        const error = new Error(response.error || 'Unknown error from background script');
+        throw response.code ? Object.assign(error, { code: response.code }) : error;
     }
 
     /** @type {MessageDataMap[A]['response']} */
     return response.data;
 }
 
+/**
+ * Locale of displayed dates and amounts from the settings, undefined for the browser's language
+ * @type {string | undefined}
+ */
+let dateLocale = 'en-US';
+
 /**
  * Format date for display
  * @param {string} isoDateString - ISO 8601 date string (YYYY-MM-DD)
@@ -34,7 +151,7 @@ function formatDate(isoDateString) {
     // Parse date components directly to avoid timezone issues
     const [year, month, day] = isoDateString.split('T')[0].split('-');
     const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-    return date.toLocaleDateString('en-US', {
+    return date.toLocaleDateString(dateLocale, {
         year: 'numeric',
         month: 'short',
         day: 'numeric',
@@ -42,33 +159,601 @@ function formatDate(isoDateString) {
 }
 
 /**
- * Trigger browser download for a blob
- * @param {Blob} blob
- * @param {string} filename
+ * Format an amount of money for display
+ * @param {number} amount
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {string}
+ */
+function formatMoney(amount, currency) {
+    const number = amount.toLocaleString(dateLocale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    if (!currency) {
+        return number;
+    }
+    try {
+        return amount.toLocaleString(dateLocale, { style: 'currency', currency });
+    } catch {
+        // Not a currency code the browser knows
+        return `${number} ${currency}`;
+    }
+}
+
+/**
+ * Describe the balances of an account, e.g. "$1,250.00 · $4,750.00 credit left"
+ * @param {Account} account
+ * @returns {string} Empty when the bank reported no balance
  */
-function triggerDownload(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+function formatBalances(account) {
+    const parts = [];
+    if (account.currentBalance !== undefined) {
+        parts.push(formatMoney(account.currentBalance, account.currency));
+    }
+    if (account.availableBalance !== undefined && account.availableBalance !== account.currentBalance) {
+        parts.push(`${formatMoney(account.availableBalance, account.currency)} available`);
+    }
+    if (account.availableCredit !== undefined) {
+        parts.push(`${formatMoney(account.availableCredit, account.currency)} credit left`);
+    }
+    return parts.join(' · ');
 }
 
 /**
- * Render the UI with accounts and statements
+ * Show the balances of an account in its header
+ * @param {HTMLElement} element - The .account-balance element
+ * @param {Account} account
+ */
+function showBalances(element, account) {
+    element.textContent = formatBalances(account);
+    element.title = account.asOf ? `As of ${formatDate(account.asOf)}` : '';
+}
+
+/**
+ * Add up the balances of a bank's accounts by currency
+ * Amounts owed on credit cards and loans are subtracted; accounts without a balance or currency are left out.
  * @param {Account[]} accounts
+ * @returns {Map<string, number>} Net worth by currency code
+ */
+function getNetWorth(accounts) {
+    /** @type {Map<string, number>} */
+    const totals = new Map();
+    for (const account of accounts) {
+        if (account.currentBalance === undefined || !account.currency) {
+            continue;
+        }
+        const owed = account.accountType === 'CreditCard' || account.accountType === 'Loan';
+        const amount = owed ? -account.currentBalance : account.currentBalance;
+        totals.set(account.currency, (totals.get(account.currency) || 0) + amount);
+    }
+    return totals;
+}
+
+/**
+ * Describe the net worth of a bank, e.g. "Net worth: $1,250.00 · CA$300.00"
+ * @param {Account[]} accounts
+ * @returns {string} Empty when no account has a balance
+ */
+function formatNetWorth(accounts) {
+    const totals = getNetWorth(accounts);
+    if (totals.size === 0) {
+        return '';
+    }
+    const amounts = Array.from(totals, ([currency, total]) => formatMoney(Math.round(total * 100) / 100, currency));
+    return `Net worth: ${amounts.join(' · ')}`;
+}
+
+/**
+ * Format the period a statement covers, e.g. "Sep 21, 2025 – Oct 20, 2025"
+ * Statements without a known period show their date.
+ * @param {Statement} statement
+ * @returns {string}
+ */
+function formatStatementPeriod(statement) {
+    if (statement.periodStart && statement.periodEnd) {
+        return `${formatDate(statement.periodStart)} – ${formatDate(statement.periodEnd)}`;
+    }
+    return formatDate(statement.periodEnd || statement.statementDate);
+}
+
+/**
+ * Describe the balance and payment due of a statement, e.g. "Balance $1,034.87 · $35.00 due Nov 15, 2025"
+ * @param {Statement} statement
+ * @returns {string} Empty when the bank reported none of them
+ */
+function formatStatementDetails(statement) {
+    const { currency } = statement.account;
+    const parts = [];
+    if (statement.closingBalance !== undefined) {
+        parts.push(`Balance ${formatMoney(statement.closingBalance, currency)}`);
+    }
+    if (statement.minimumPaymentDue !== undefined) {
+        const dueDate = statement.paymentDueDate ? ` due ${formatDate(statement.paymentDueDate)}` : '';
+        parts.push(`${formatMoney(statement.minimumPaymentDue, currency)}${dueDate}`);
+    } else if (statement.paymentDueDate) {
+        parts.push(`Due ${formatDate(statement.paymentDueDate)}`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+function toIsoDate(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Render the form to export an account's transactions
+ * @param {BankSession} session
+ * @param {Account} account
+ * @returns {HTMLFormElement}
+ */
+function renderTransactionExport(session, account) {
+    const now = new Date();
+
+    const form = document.createElement('form');
+    form.className = 'transaction-export';
+    form.innerHTML = `
+        <div class="bulk-range">
+            <label>From <input type="date" name="from" required></label>
+            <label>To <input type="date" name="to" required></label>
+        </div>
+        <div class="export-actions">
+            <select name="format">
+                <option value="csv">CSV</option>
+                <option value="ofx">OFX</option>
+                <option value="qfx">QFX (Quicken)</option>
+                <option value="qif">QIF</option>
+            </select>
+            <button type="submit" class="bulk-start">Export transactions</button>
+            <span class="export-status"></span>
+        </div>
+    `;
+
+    const fromInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('from'));
+    const toInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('to'));
+    const formatSelect = /** @type {HTMLSelectElement} */ (form.elements.namedItem('format'));
+    const submitBtn = /** @type {HTMLButtonElement} */ (form.querySelector('button[type="submit"]'));
+    const statusSpan = /** @type {HTMLElement} */ (form.querySelector('.export-status'));
+
+    // Default to the current and previous two months
+    fromInput.value = toIsoDate(new Date(now.getFullYear(), now.getMonth() - 2, 1));
+    toInput.value = toIsoDate(now);
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        if (fromInput.value > toInput.value) {
+            statusSpan.textContent = '✗ Start date is after end date';
+            return;
+        }
+
+        submitBtn.disabled = true;
+        statusSpan.textContent = 'Exporting...';
+
+        try {
+            const result = await sendMessageToBackground('exportTransactions', {
+                bankId: session.bankId,
+                account,
+                from: fromInput.value,
+                to: toInput.value,
+                format: /** @type {TransactionExportFormat} */ (formatSelect.value),
+            });
+            statusSpan.textContent = result.skipped ? '✓ Already exported' : '✓ Exported';
+        } catch (error) {
+            statusSpan.textContent = `✗ ${getErrorMessage(/** @type {Error} */ (error), session.bankName, 'Failed to export transactions')}`;
+            console.error('Export error:', error);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+
+    return form;
+}
+
+/**
+ * Get the preset ranges offered for custom range statements
+ * Presets are the last four complete quarters, the current year to date and the last two complete years
+ * @param {Date} now
+ * @returns {Array<{ label: string, from: string, to: string }>}
+ */
+function getRangePresets(now) {
+    const presets = [];
+    const currentQuarter = Math.floor(now.getMonth() / 3);
+
+    for (let i = 1; i <= 4; i++) {
+        const start = new Date(now.getFullYear(), (currentQuarter - i) * 3, 1);
+        const end = new Date(start.getFullYear(), start.getMonth() + 3, 0);
+        presets.push({
+            label: `Q${Math.floor(start.getMonth() / 3) + 1} ${start.getFullYear()}`,
+            from: toIsoDate(start),
+            to: toIsoDate(end),
+        });
+    }
+
+    presets.push({
+        label: `${now.getFullYear()} to date`,
+        from: toIsoDate(new Date(now.getFullYear(), 0, 1)),
+        to: toIsoDate(now),
+    });
+    for (let i = 1; i <= 2; i++) {
+        const year = now.getFullYear() - i;
+        presets.push({ label: String(year), from: `${year}-01-01`, to: `${year}-12-31` });
+    }
+
+    return presets;
+}
+
+/**
+ * Render the form to request a statement for a custom date range
+ * @param {BankSession} session
+ * @param {Account} account
+ * @returns {HTMLFormElement}
+ */
+function renderRangeStatement(session, account) {
+    const now = new Date();
+    const presets = getRangePresets(now);
+
+    const form = document.createElement('form');
+    form.className = 'range-statement';
+    form.innerHTML = `
+        <div class="bulk-range">
+            <label>From <input type="date" name="from" required></label>
+            <label>To <input type="date" name="to" required></label>
+        </div>
+        <div class="export-actions">
+            <select name="preset">
+                <option value="">Custom range</option>
+            </select>
+            <button type="submit" class="bulk-start">Download statement</button>
+            <span class="export-status"></span>
+        </div>
+    `;
+
+    const fromInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('from'));
+    const toInput = /** @type {HTMLInputElement} */ (form.elements.namedItem('to'));
+    const presetSelect = /** @type {HTMLSelectElement} */ (form.elements.namedItem('preset'));
+    const submitBtn = /** @type {HTMLButtonElement} */ (form.querySelector('button[type="submit"]'));
+    const statusSpan = /** @type {HTMLElement} */ (form.querySelector('.export-status'));
+
+    presets.forEach((preset, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+
+    // Default to the last complete quarter
+    presetSelect.value = '0';
+    fromInput.value = presets[0].from;
+    toInput.value = presets[0].to;
+    fromInput.max = toIsoDate(now);
+    toInput.max = toIsoDate(now);
+
+    presetSelect.addEventListener('change', () => {
+        const preset = presets[parseInt(presetSelect.value, 10)];
+        if (preset) {
+            fromInput.value = preset.from;
+            toInput.value = preset.to;
+        }
+    });
+
+    // Editing the dates switches to a custom range
+    for (const input of [fromInput, toInput]) {
+        input.addEventListener('input', () => {
+            presetSelect.value = '';
+        });
+    }
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        if (fromInput.value > toInput.value) {
+            statusSpan.textContent = '✗ Start date is after end date';
+            return;
+        }
+
+        submitBtn.disabled = true;
+        statusSpan.textContent = 'Generating...';
+
+        try {
+            const result = await sendMessageToBackground('saveRangeStatement', {
+                bankId: session.bankId,
+                account,
+                from: fromInput.value,
+                to: toInput.value,
+            });
+            statusSpan.textContent = result.skipped ? '✓ Already downloaded' : '✓ Downloaded';
+        } catch (error) {
+            statusSpan.textContent = `✗ ${getErrorMessage(/** @type {Error} */ (error), session.bankName, 'Failed to generate statement')}`;
+            console.error('Range statement error:', error);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+
+    return form;
+}
+
+/** Years offered in the history choice when the bank does not report a limit */
+const UNKNOWN_HISTORY_YEARS = 7;
+
+/**
+ * Describe how far back a bank's statements go
+ * @param {string | null} historyStart - Earliest statement date the bank can load (YYYY-MM-DD), null when unknown
+ * @returns {string}
+ */
+function formatHistoryStart(historyStart) {
+    return historyStart
+        ? `History available back to ${new Date(`${historyStart}T00:00:00`).toLocaleDateString(dateLocale, { year: 'numeric', month: 'short' })}.`
+        : 'History available as far back as the bank keeps statements.';
+}
+
+/**
+ * Render the choice of how many years of statements to load, shared by all banks
+ * @param {Array<string | null>} historyStarts - Earliest statement date each bank can load (YYYY-MM-DD), null when unknown
+ * @param {number} selectedYears - Years from the settings, 0 for each bank's default lookback
+ */
+function renderHistorySelect(historyStarts, selectedYears) {
+    const historyDiv = document.getElementById('history');
+    if (!historyDiv) return;
+
+    // Offer the years of the bank with the longest history
+    const currentYear = new Date().getFullYear();
+    const maxYears = Math.max(1, ...historyStarts.map(historyStart => historyStart
+        ? currentYear - parseInt(historyStart, 10) + 1
+        : UNKNOWN_HISTORY_YEARS));
+
+    historyDiv.innerHTML = '<label>Load statements <select></select></label>';
+
+    const select = /** @type {HTMLSelectElement} */ (historyDiv.querySelector('select'));
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '0';
+    defaultOption.textContent = 'bank default';
+    select.appendChild(defaultOption);
+
+    for (let years = 1; years <= maxYears; years++) {
+        const option = document.createElement('option');
+        option.value = String(years);
+        option.textContent = years === 1 ? 'from this year' : `since ${currentYear - years + 1}`;
+        select.appendChild(option);
+    }
+
+    select.value = String(Math.min(Math.max(selectedYears, 0), maxYears));
+
+    select.addEventListener('change', async () => {
+        await saveSettings({ statementHistoryYears: parseInt(select.value, 10) });
+        // Statements are loaded again with the new depth when accounts are expanded
+        renderBanks(currentBanks);
+    });
+
+    historyDiv.style.display = 'flex';
+}
+
+/**
+ * Get the document type of a statement
+ * @param {Statement} statement
+ * @returns {DocumentType}
+ */
+function getDocumentType(statement) {
+    return statement.documentType || 'statement';
+}
+
+/**
+ * Render the badges of a statement: its document type unless it is a statement, and "Combined"
+ * when one document covers several accounts
+ * @param {Statement} statement
+ * @returns {string} HTML
+ */
+function renderStatementBadges(statement) {
+    const documentType = getDocumentType(statement);
+    const badges = documentType === 'statement' ? [] : [`<span class="document-type">${DOCUMENT_TYPES[documentType].badge}</span>`];
+    if (statement.combined) {
+        badges.push('<span class="document-type" title="The same statement covers several accounts">Combined</span>');
+    }
+    return badges.join('');
+}
+
+/**
+ * Add "All documents" and an option per document type to a select
+ * @param {HTMLSelectElement} select
+ */
+function addDocumentTypeOptions(select) {
+    const allOption = document.createElement('option');
+    allOption.value = 'all';
+    allOption.textContent = 'All documents';
+    select.appendChild(allOption);
+
+    for (const [documentType, { label }] of Object.entries(DOCUMENT_TYPES)) {
+        const option = document.createElement('option');
+        option.value = documentType;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Sort statements newest first, whatever order the bank module returned them in
+ * @param {Statement[]} statements
+ * @returns {Statement[]}
+ */
+function sortStatements(statements) {
+    return [...statements].sort((a, b) => b.statementDate.localeCompare(a.statementDate));
+}
+
+/**
+ * Check whether a statement passes the document type and date filters
+ * @param {Statement} statement
+ * @returns {boolean}
+ */
+function matchesFilters(statement) {
+    const date = statement.statementDate.slice(0, 10);
+    return (currentFilters.documentType === 'all' || getDocumentType(statement) === currentFilters.documentType)
+        && (!currentFilters.from || date >= currentFilters.from)
+        && (!currentFilters.to || date <= currentFilters.to);
+}
+
+/**
+ * Check whether an account passes the account type filter
+ * @param {Account} account
+ * @returns {boolean}
+ */
+function matchesAccountFilter(account) {
+    return currentFilters.accountType === 'all' || account.accountType === currentFilters.accountType;
+}
+
+/**
+ * Render the filters shared by all statement lists: document type, account type and date range
+ */
+function renderFilters() {
+    const filterDiv = document.getElementById('filters');
+    if (!filterDiv) return;
+
+    filterDiv.innerHTML = `
+        <label>Show <select name="documentType"></select></label>
+        <label>Accounts <select name="accountType"></select></label>
+        <label>From <input type="date" name="from"></label>
+        <label>To <input type="date" name="to"></label>
+    `;
+
+    const documentTypeSelect = /** @type {HTMLSelectElement} */ (filterDiv.querySelector('[name="documentType"]'));
+    addDocumentTypeOptions(documentTypeSelect);
+    documentTypeSelect.value = currentFilters.documentType;
+
+    // Only offer the account types of the signed-in banks
+    const accountTypeSelect = /** @type {HTMLSelectElement} */ (filterDiv.querySelector('[name="accountType"]'));
+    const accountTypes = new Set(currentBanks.flatMap(bank => bank.accounts.map(account => account.accountType)));
+    accountTypeSelect.add(new Option('All accounts', 'all'));
+    for (const [accountType, label] of Object.entries(ACCOUNT_TYPES)) {
+        if (accountTypes.has(/** @type {AccountType} */ (accountType))) {
+            accountTypeSelect.add(new Option(label, accountType));
+        }
+    }
+    accountTypeSelect.value = currentFilters.accountType;
+
+    const fromInput = /** @type {HTMLInputElement} */ (filterDiv.querySelector('[name="from"]'));
+    const toInput = /** @type {HTMLInputElement} */ (filterDiv.querySelector('[name="to"]'));
+    fromInput.value = currentFilters.from;
+    toInput.value = currentFilters.to;
+
+    filterDiv.style.display = 'flex';
+}
+
+/**
+ * Read the filters from their controls after one changed, and apply them
+ * The controls are rendered again on every refresh, so their values are read when they change.
+ * @param {HTMLElement} filterDiv
+ */
+function updateFilters(filterDiv) {
+    const documentTypeSelect = /** @type {HTMLSelectElement} */ (filterDiv.querySelector('[name="documentType"]'));
+    const accountTypeSelect = /** @type {HTMLSelectElement} */ (filterDiv.querySelector('[name="accountType"]'));
+    const fromInput = /** @type {HTMLInputElement} */ (filterDiv.querySelector('[name="from"]'));
+    const toInput = /** @type {HTMLInputElement} */ (filterDiv.querySelector('[name="to"]'));
+    currentFilters.documentType = /** @type {DocumentType | 'all'} */ (documentTypeSelect.value);
+    currentFilters.accountType = /** @type {AccountType | 'all'} */ (accountTypeSelect.value);
+    currentFilters.from = fromInput.value;
+    currentFilters.to = toInput.value;
+    applyFilters();
+}
+
+/**
+ * Hide the accounts, statements and years that do not match the filters, and search again
  */
-function renderAccounts(accounts) {
+function applyFilters() {
+    document.querySelectorAll('.account[data-account-type]').forEach(element => {
+        const accountDiv = /** @type {HTMLElement} */ (element);
+        const visible = currentFilters.accountType === 'all' || accountDiv.dataset.accountType === currentFilters.accountType;
+        accountDiv.style.display = visible ? '' : 'none';
+    });
+
+    document.querySelectorAll('.statement-item').forEach(element => {
+        const statementDiv = /** @type {HTMLElement} */ (element);
+        const date = statementDiv.dataset.date || '';
+        const visible = (currentFilters.documentType === 'all' || statementDiv.dataset.documentType === currentFilters.documentType)
+            && (!currentFilters.from || date >= currentFilters.from)
+            && (!currentFilters.to || date <= currentFilters.to);
+        statementDiv.style.display = visible ? '' : 'none';
+    });
+
+    document.querySelectorAll('.statement-year-group').forEach(element => {
+        const groupDiv = /** @type {HTMLElement} */ (element);
+        const visible = Array.from(groupDiv.querySelectorAll('.statement-item'))
+            .some(item => /** @type {HTMLElement} */ (item).style.display !== 'none');
+        groupDiv.style.display = visible ? '' : 'none';
+    });
+
+    // Searches show the filtered statements of every account, so they run again
+    document.querySelectorAll('.bank-search input').forEach(element => {
+        const searchInput = /** @type {HTMLInputElement} */ (element);
+        if (searchInput.value.trim()) {
+            searchInput.dispatchEvent(new Event('input'));
+        }
+    });
+}
+
+/**
+ * Render the dashboard: every signed-in bank with its accounts and statements
+ * @param {DashboardBank[]} banks
+ */
+function renderBanks(banks) {
     const appDiv = document.getElementById('app');
     if (!appDiv) return;
 
     appDiv.innerHTML = '';
+    // Accounts load their statements again when expanded, e.g. with a new history depth
+    loadedStatements.clear();
+
+    banks.forEach(bank => {
+        const bankDiv = document.createElement('section');
+        bankDiv.className = 'bank';
+        bankDiv.dataset.bankId = bank.session.bankId;
+
+        const header = document.createElement('div');
+        header.className = 'bank-header';
+        header.innerHTML = `
+            <span class="bank-name"></span>
+            <span class="bank-net-worth"></span>
+            <span class="bank-history"></span>
+        `;
+        /** @type {HTMLElement} */ (header.querySelector('.bank-name')).textContent = bank.session.bankName;
+        /** @type {HTMLElement} */ (header.querySelector('.bank-net-worth')).textContent = bank.error ? '' : formatNetWorth(bank.accounts);
+        /** @type {HTMLElement} */ (header.querySelector('.bank-history')).textContent = bank.error
+            ? ''
+            : formatHistoryStart(bank.capabilities.statementHistoryStart);
+        bankDiv.appendChild(header);
+
+        if (bank.error) {
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'error';
+            showBankError(errorDiv, bank.session, bank.error, 'Failed to load accounts');
+            bankDiv.appendChild(errorDiv);
+        } else {
+            const accountsDiv = document.createElement('div');
+            accountsDiv.className = 'bank-accounts';
+            if (bank.accounts.length > 0) {
+                renderBankSearch(bankDiv, accountsDiv, bank);
+            }
+            renderAccounts(accountsDiv, bank);
+            bankDiv.appendChild(accountsDiv);
+        }
+
+        appDiv.appendChild(bankDiv);
+    });
+}
+
+/**
+ * Render the accounts of a bank with their statements
+ * @param {HTMLElement} container
+ * @param {DashboardBank} bank
+ */
+function renderAccounts(container, bank) {
+    const { session, accounts, capabilities } = bank;
+    const bankId = session.bankId;
 
     if (accounts.length === 0) {
-        appDiv.innerHTML = '<div class="no-statements">No accounts found</div>';
+        container.insertAdjacentHTML('beforeend', '<div class="no-statements">No accounts found</div>');
         return;
     }
 
@@ -76,24 +761,41 @@ function renderAccounts(accounts) {
         const accountDiv = document.createElement('div');
         accountDiv.className = 'account';
         accountDiv.dataset.accountId = account.accountId;
+        accountDiv.dataset.accountType = account.accountType;
+        accountDiv.style.display = matchesAccountFilter(account) ? '' : 'none';
 
         const header = document.createElement('div');
         header.className = 'account-header';
         header.innerHTML = `
             <div>
-                <span class="account-name">${account.accountName}</span>
-                <span class="account-mask">••${account.accountMask}</span>
+                <span class="account-name"></span>
+                <span class="account-mask"></span>
+                <span class="account-balance"></span>
+                <span class="new-count"></span>
             </div>
-            <span class="expand-icon">▶</span>
+            <span class="account-actions">
+                <button type="button" class="account-refresh-btn" title="Refresh statements"></button>
+                <span class="expand-icon">▶</span>
+            </span>
         `;
+        /** @type {HTMLElement} */ (header.querySelector('.account-name')).textContent = account.accountName;
+        /** @type {HTMLElement} */ (header.querySelector('.account-mask')).textContent = `••${account.accountMask}`;
+
+        showBalances(/** @type {HTMLElement} */ (header.querySelector('.account-balance')), account);
 
         const statementsDiv = document.createElement('div');
         statementsDiv.className = 'statements';
         statementsDiv.innerHTML = '<div class="loading" style="padding: 12px;">Loading statements...</div>';
 
         accountDiv.appendChild(header);
+        if (capabilities.transactions) {
+            accountDiv.appendChild(renderTransactionExport(session, account));
+        }
+        if (capabilities.rangeStatements) {
+            accountDiv.appendChild(renderRangeStatement(session, account));
+        }
         accountDiv.appendChild(statementsDiv);
-        appDiv.appendChild(accountDiv);
+        container.appendChild(accountDiv);
 
         // Toggle expand/collapse
         header.addEventListener('click', async () => {
@@ -104,31 +806,130 @@ function renderAccounts(accounts) {
 
                 // Load statements if not already loaded
                 if (!accountDiv.dataset.statementsLoaded) {
-                    try {
-                        const statements = await sendMessageToBackground('getStatements', { account });
-                        renderStatements(statementsDiv, account, statements);
-                        accountDiv.dataset.statementsLoaded = 'true';
-                    } catch (error) {
-                        const err = /** @type {Error} */ (error);
-                        statementsDiv.innerHTML = `<div class="error">Failed to load statements: ${err.message}</div>`;
-                    }
+                    await loadStatements(accountDiv, session, account);
                 }
             } else {
                 accountDiv.classList.remove('expanded');
             }
         });
+
+        const refreshBtn = /** @type {HTMLButtonElement} */ (header.querySelector('.account-refresh-btn'));
+        refreshBtn.addEventListener('click', async (event) => {
+            event.stopPropagation();
+            accountDiv.classList.add('expanded');
+            refreshBtn.classList.add('refreshing');
+            refreshBtn.disabled = true;
+            statementsDiv.innerHTML = '<div class="loading" style="padding: 12px;">Loading statements...</div>';
+            await loadStatements(accountDiv, session, account, true);
+            refreshBtn.classList.remove('refreshing');
+            refreshBtn.disabled = false;
+        });
     });
 }
 
+/**
+ * Load and render the statements of an account
+ * Cached statements are shown right away; the background worker may send a newer list later,
+ * see showStatementsUpdate.
+ * @param {HTMLElement} accountDiv
+ * @param {BankSession} session
+ * @param {Account} account
+ * @param {boolean} [forceRefresh=false] - Load the statements from the bank instead of the cache
+ */
+async function loadStatements(accountDiv, session, account, forceRefresh = false) {
+    const statementsDiv = /** @type {HTMLElement} */ (accountDiv.querySelector('.statements'));
+    const bankId = session.bankId;
+    try {
+        const [statements, ledger] = await Promise.all([
+            sendMessageToBackground('getStatements', { bankId, account, forceRefresh }),
+            sendMessageToBackground('getDownloadLedger', { bankId }),
+        ]);
+        // Asked after the statements, whose loading is what probes the months
+        const probes = await sendMessageToBackground('getStatementProbes', { bankId, account }).catch(() => null);
+        loadedStatements.set(`${bankId}:${account.accountId}`, statements);
+        renderStatements(statementsDiv, session, statements, ledger, probes);
+        updateNewCount(accountDiv);
+        accountDiv.dataset.statementsLoaded = 'true';
+    } catch (error) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error';
+        showBankError(errorDiv, session, /** @type {Error} */ (error), 'Failed to load statements');
+        statementsDiv.replaceChildren(errorDiv);
+    }
+}
+
+/**
+ * Show a statement list that changed after the cached one was shown
+ * @param {StatementsUpdate} update
+ */
+async function showStatementsUpdate(update) {
+    const bank = currentBanks.find(found => found.session.bankId === update.bankId
+        && found.session.sessionId === update.sessionId);
+    if (!bank) return;
+
+    if (loadedStatements.has(`${update.bankId}:${update.accountId}`)) {
+        loadedStatements.set(`${update.bankId}:${update.accountId}`, update.statements);
+    }
+
+    const accountDiv = /** @type {HTMLElement | null} */ (document.querySelector(
+        `.bank[data-bank-id="${CSS.escape(update.bankId)}"] .account[data-account-id="${CSS.escape(update.accountId)}"]`
+    ));
+    if (!accountDiv?.dataset.statementsLoaded) return;
+
+    const statementsDiv = /** @type {HTMLElement} */ (accountDiv.querySelector('.statements'));
+    try {
+        const ledger = await sendMessageToBackground('getDownloadLedger', { bankId: update.bankId });
+        const account = bank.accounts.find(found => found.accountId === update.accountId);
+        const probes = account
+            ? await sendMessageToBackground('getStatementProbes', { bankId: update.bankId, account }).catch(() => null)
+            : null;
+        renderStatements(statementsDiv, bank.session, update.statements, ledger, probes);
+        updateNewCount(accountDiv);
+    } catch (error) {
+        console.error('Statement update error:', error);
+    }
+}
+
+/**
+ * Show the number of statements not downloaded yet in the account header
+ * @param {HTMLElement} accountDiv
+ */
+function updateNewCount(accountDiv) {
+    const newCountSpan = accountDiv.querySelector('.new-count');
+    if (!newCountSpan) return;
+
+    const count = accountDiv.querySelectorAll('.statement-item.new').length;
+    newCountSpan.textContent = count > 0 ? `${count} new` : '';
+}
+
+/**
+ * Mark a statement as downloaded
+ * @param {HTMLElement} statementDiv
+ */
+function markDownloaded(statementDiv) {
+    statementDiv.classList.remove('new');
+    statementDiv.classList.add('downloaded');
+    statementDiv.title = `Downloaded on ${new Date().toLocaleDateString(dateLocale)}`;
+
+    const accountDiv = statementDiv.closest('.account');
+    if (accountDiv) {
+        updateNewCount(/** @type {HTMLElement} */ (accountDiv));
+    }
+}
+
 /**
  * Render statements for an account
  * @param {HTMLElement} container
- * @param {Account} account
+ * @param {BankSession} session
  * @param {Statement[]} statements
+ * @param {DownloadLedger} ledger - Previously downloaded statements of the bank
+ * @param {StatementProbe[] | null} [probes] - Months the bank was asked about, for banks that report them
  */
-function renderStatements(container, account, statements) {
+function renderStatements(container, session, statements, ledger, probes) {
+    const gapsView = renderStatementGaps(findStatementGaps(statements, probes || []));
     if (statements.length === 0) {
         container.innerHTML = '<div class="no-statements">No statements available</div>';
+        if (gapsView) container.appendChild(gapsView);
         return;
     }
 
@@ -140,14 +941,42 @@ function renderStatements(container, account, statements) {
     errorDiv.style.display = 'none';
     errorDiv.style.marginBottom = '8px';
     container.appendChild(errorDiv);
+    if (gapsView) container.appendChild(gapsView);
+
+    /** @type {HTMLElement | null} */
+    let yearGroup = null;
+    const unreconciled = findUnreconciledStatements(statements, ledger);
 
-    statements.forEach(statement => {
+    sortStatements(statements).forEach(statement => {
+        const year = statement.statementDate.slice(0, 4);
+        if (!yearGroup || yearGroup.dataset.year !== year) {
+            yearGroup = renderYearGroup(year);
+            container.appendChild(yearGroup);
+        }
+
+        const entry = getLedgerEntry(ledger, statement);
+        const shown = withStatementFigures(statement, entry);
+        const documentType = getDocumentType(statement);
         const statementDiv = document.createElement('div');
-        statementDiv.className = 'statement-item';
+        statementDiv.className = entry ? 'statement-item downloaded' : 'statement-item new';
+        statementDiv.dataset.documentType = documentType;
+        statementDiv.dataset.date = statement.statementDate.slice(0, 10);
         statementDiv.innerHTML = `
-            <span class="statement-date">${formatDate(statement.statementDate)}</span>
+            <span>
+                <span class="statement-date">${formatStatementPeriod(shown)}</span>
+                ${renderStatementBadges(statement)}
+                <span class="statement-badge">New</span>
+                <span class="statement-details">${formatStatementDetails(shown)}</span>
+            </span>
             <span class="statement-status"></span>
         `;
+        if (entry) {
+            statementDiv.title = `Downloaded on ${new Date(entry.downloadedAt).toLocaleDateString(dateLocale)} as ${entry.filename}`;
+        }
+        if (unreconciled.has(statement)) {
+            statementDiv.classList.add('unreconciled');
+            statementDiv.title += `${statementDiv.title ? '\n' : ''}Opening balance does not match the previous statement's closing balance`;
+        }
 
         statementDiv.addEventListener('click', async () => {
             if (statementDiv.classList.contains('downloading')) {
@@ -161,27 +990,16 @@ function renderStatements(container, account, statements) {
             statusSpan.textContent = 'Downloading...';
 
             try {
-                const base64Data = await sendMessageToBackground('downloadStatement', { statement });
-                // Convert base64 back to blob
-                const response = await fetch(base64Data);
-                const blob = await response.blob();
-
-                const bankName = await sendMessageToBackground('getBankName', {});
-                const profileName = account.profile.profileName.includes('@')
-                    ? account.profile.profileName.split('@')[0]
-                    : account.profile.profileName;
-                const filename = `${statement.statementDate.split('T')[0]}_${bankName}_${profileName}_${account.accountName}_${account.accountMask}.pdf`;
-                triggerDownload(blob, filename);
-                statusSpan.textContent = '✓ Downloaded';
+                const result = await sendMessageToBackground('saveStatement', { bankId: session.bankId, statement });
+                statusSpan.textContent = result.skipped ? '✓ Already downloaded' : '✓ Downloaded';
+                markDownloaded(statementDiv);
                 setTimeout(() => {
                     statementDiv.classList.remove('downloading');
                     statusSpan.textContent = '';
                 }, 2000)
             } catch (error) {
-                const errorMessage = error instanceof Error ? error.message : String(error);
-
                 // Show error at the top of the statements list
-                errorDiv.textContent = errorMessage;
+                showBankError(errorDiv, session, /** @type {Error} */ (error), 'Failed to download statement');
                 errorDiv.style.display = 'block';
 
                 // Update status to failed
@@ -197,8 +1015,520 @@ function renderStatements(container, account, statements) {
             }
         });
 
-        container.appendChild(statementDiv);
+        yearGroup.appendChild(statementDiv);
+    });
+
+    applyFilters();
+}
+
+/**
+ * Create the collapsed list of months where an account's statement seems to be missing
+ * @param {import('./extension.type').StatementGap[]} gaps
+ * @returns {HTMLElement | null} Null when nothing is missing
+ */
+function renderStatementGaps(gaps) {
+    if (gaps.length === 0) {
+        return null;
+    }
+
+    const gapsView = document.createElement('details');
+    gapsView.className = 'statement-gaps';
+    const summary = document.createElement('summary');
+    summary.textContent = gaps.length === 1 ? '1 missing statement' : `${gaps.length} missing statements`;
+    gapsView.appendChild(summary);
+
+    const list = document.createElement('ul');
+    for (const gap of gaps) {
+        const item = document.createElement('li');
+        const month = new Date(`${gap.month}-01T00:00:00`).toLocaleDateString(dateLocale, { year: 'numeric', month: 'long' });
+        item.textContent = `${month}: ${GAP_REASONS[gap.reason]}`;
+        item.dataset.reason = gap.reason;
+        if (gap.error) {
+            item.title = gap.error;
+        }
+        list.appendChild(item);
+    }
+    gapsView.appendChild(list);
+    return gapsView;
+}
+
+/**
+ * Create the group of a year's statements, collapsed by clicking the year
+ * @param {string} year
+ * @returns {HTMLElement}
+ */
+function renderYearGroup(year) {
+    const groupDiv = document.createElement('div');
+    groupDiv.className = 'statement-year-group';
+    groupDiv.dataset.year = year;
+
+    const yearHeader = document.createElement('div');
+    yearHeader.className = 'statement-year';
+    yearHeader.textContent = year;
+    yearHeader.addEventListener('click', () => {
+        groupDiv.classList.toggle('collapsed');
+    });
+
+    groupDiv.appendChild(yearHeader);
+    return groupDiv;
+}
+
+/**
+ * Check whether a statement matches every word of a search
+ * Words are looked up in the account name, mask and type, the statement date and the document type,
+ * and in the figures read from the statement PDF when it was downloaded, e.g. "1234.56" or "$1,234.56".
+ * @param {Statement} statement
+ * @param {string[]} words - Lowercase words of the search
+ * @param {DownloadLedgerEntry} [entry] - Ledger entry of the statement
+ * @returns {boolean}
+ */
+function matchesSearch(statement, words, entry) {
+    const { account } = statement;
+    const documentType = DOCUMENT_TYPES[getDocumentType(statement)];
+    const shown = withStatementFigures(statement, entry);
+    const amounts = Object.values(entry?.figures || {})
+        .filter(value => typeof value === 'number')
+        .flatMap(value => [value.toFixed(2), formatMoney(value, account.currency)]);
+    const text = [
+        account.accountName,
+        account.accountMask,
+        ACCOUNT_TYPES[account.accountType],
+        statement.statementDate.slice(0, 10),
+        formatStatementPeriod(shown),
+        documentType.label,
+        documentType.badge,
+        ...amounts,
+    ].join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+}
+
+/**
+ * Load the statements of every account of a bank that were not loaded yet
+ * @param {DashboardBank} bank
+ * @returns {Promise<Account[]>} Accounts whose statements could not be loaded
+ */
+async function loadBankStatements(bank) {
+    /** @type {Account[]} */
+    const failed = [];
+    // One account at a time, as when the accounts are expanded one by one
+    for (const account of bank.accounts) {
+        const key = `${bank.session.bankId}:${account.accountId}`;
+        if (loadedStatements.has(key)) continue;
+        try {
+            loadedStatements.set(key, await sendMessageToBackground('getStatements', { bankId: bank.session.bankId, account }));
+        } catch (error) {
+            console.error('Search error:', error);
+            failed.push(account);
+        }
+    }
+    return failed;
+}
+
+/**
+ * Render the search of a bank's statements; while searching, the results replace the accounts
+ * @param {HTMLElement} bankDiv
+ * @param {HTMLElement} accountsDiv
+ * @param {DashboardBank} bank
+ */
+function renderBankSearch(bankDiv, accountsDiv, bank) {
+    const searchDiv = document.createElement('div');
+    searchDiv.className = 'bank-search';
+    searchDiv.innerHTML = '<input type="search" placeholder="Search statements of all accounts">';
+
+    const resultsDiv = document.createElement('div');
+    resultsDiv.className = 'search-results';
+    resultsDiv.style.display = 'none';
+
+    bankDiv.append(searchDiv, resultsDiv);
+
+    const searchInput = /** @type {HTMLInputElement} */ (searchDiv.querySelector('input'));
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    let timer;
+    let searchCount = 0;
+
+    searchInput.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            const words = searchInput.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+            if (words.length === 0) {
+                resultsDiv.style.display = 'none';
+                accountsDiv.style.display = '';
+                return;
+            }
+
+            // Only the latest search is shown when an earlier one finishes later
+            const search = ++searchCount;
+            accountsDiv.style.display = 'none';
+            resultsDiv.style.display = 'block';
+            if (!resultsDiv.hasChildNodes()) {
+                resultsDiv.innerHTML = '<div class="loading">Searching...</div>';
+            }
+
+            const failed = await loadBankStatements(bank);
+            const ledger = await sendMessageToBackground('getDownloadLedger', { bankId: bank.session.bankId }).catch(() => ({}));
+            if (search !== searchCount) return;
+
+            const results = sortStatements(bank.accounts
+                .filter(matchesAccountFilter)
+                .flatMap(account => loadedStatements.get(`${bank.session.bankId}:${account.accountId}`) || []))
+                .filter(statement => matchesFilters(statement) && matchesSearch(statement, words, getLedgerEntry(ledger, statement)));
+            renderSearchResults(resultsDiv, bank.session, results, ledger, failed);
+        }, SEARCH_DELAY);
+    });
+}
+
+/**
+ * Render search results that can be selected and downloaded together
+ * @param {HTMLElement} container
+ * @param {BankSession} session
+ * @param {Statement[]} results
+ * @param {DownloadLedger} ledger - Previously downloaded statements of the bank
+ * @param {Account[]} failed - Accounts whose statements could not be searched
+ */
+function renderSearchResults(container, session, results, ledger, failed) {
+    container.innerHTML = `
+        <div class="search-summary">
+            <label><input type="checkbox" class="select-all"> <span class="result-count"></span></label>
+            <button type="button" class="download-selected" disabled>Download selected</button>
+        </div>
+        <div class="error" style="display: none;"></div>
+    `;
+    /** @type {HTMLElement} */ (container.querySelector('.result-count')).textContent =
+        results.length === 1 ? '1 result' : `${results.length} results`;
+
+    const errorDiv = /** @type {HTMLElement} */ (container.querySelector('.error'));
+    if (failed.length > 0) {
+        errorDiv.textContent = `Statements of ${failed.map(account => `${account.accountName} ••${account.accountMask}`).join(', ')} could not be loaded and are not searched.`;
+        errorDiv.style.display = 'block';
+    }
+
+    if (results.length === 0) {
+        container.insertAdjacentHTML('beforeend', '<div class="no-statements">No matching statements</div>');
+    }
+
+    const selectAll = /** @type {HTMLInputElement} */ (container.querySelector('.select-all'));
+    const downloadBtn = /** @type {HTMLButtonElement} */ (container.querySelector('.download-selected'));
+    /** @type {Array<{checkbox: HTMLInputElement, resultDiv: HTMLElement, statement: Statement}>} */
+    const rows = [];
+
+    const updateSelection = () => {
+        const selected = rows.filter(row => row.checkbox.checked).length;
+        selectAll.checked = selected > 0 && selected === rows.length;
+        downloadBtn.disabled = selected === 0;
+        downloadBtn.textContent = selected > 0 ? `Download selected (${selected})` : 'Download selected';
+    };
+
+    results.forEach(statement => {
+        const entry = getLedgerEntry(ledger, statement);
+        const resultDiv = document.createElement('label');
+        resultDiv.className = entry ? 'search-result downloaded' : 'search-result';
+        resultDiv.innerHTML = `
+            <input type="checkbox">
+            <span class="statement-date">${formatStatementPeriod(withStatementFigures(statement, entry))}</span>
+            ${renderStatementBadges(statement)}
+            <span class="search-account"></span>
+            <span class="statement-status"></span>
+        `;
+        /** @type {HTMLElement} */ (resultDiv.querySelector('.search-account')).textContent =
+            `${statement.account.accountName} ••${statement.account.accountMask}`;
+        if (entry) {
+            resultDiv.title = `Downloaded on ${new Date(entry.downloadedAt).toLocaleDateString(dateLocale)} as ${entry.filename}`;
+        }
+
+        const checkbox = /** @type {HTMLInputElement} */ (resultDiv.querySelector('input'));
+        checkbox.addEventListener('change', updateSelection);
+        rows.push({ checkbox, resultDiv, statement });
+        container.appendChild(resultDiv);
+    });
+
+    selectAll.addEventListener('change', () => {
+        rows.forEach(row => {
+            row.checkbox.checked = selectAll.checked;
+        });
+        updateSelection();
+    });
+
+    downloadBtn.addEventListener('click', async () => {
+        downloadBtn.disabled = true;
+        errorDiv.style.display = 'none';
+
+        for (const { checkbox, resultDiv, statement } of rows.filter(row => row.checkbox.checked)) {
+            const statusSpan = /** @type {HTMLElement} */ (resultDiv.querySelector('.statement-status'));
+            statusSpan.textContent = 'Downloading...';
+            try {
+                const result = await sendMessageToBackground('saveStatement', { bankId: session.bankId, statement });
+                statusSpan.textContent = result.skipped ? '✓ Already downloaded' : '✓ Downloaded';
+                resultDiv.classList.add('downloaded');
+                checkbox.checked = false;
+            } catch (error) {
+                showBankError(errorDiv, session, /** @type {Error} */ (error), 'Failed to download statement');
+                errorDiv.style.display = 'block';
+                statusSpan.textContent = '✗ Failed';
+                console.error('Download error:', error);
+            }
+        }
+
+        updateSelection();
+    });
+}
+
+/**
+ * Check whether a bulk download job is still running
+ * @param {BulkDownloadJob | null} job
+ * @returns {boolean}
+ */
+function isBulkJobRunning(job) {
+    return !!job && (job.status === 'listing' || job.status === 'downloading');
+}
+
+/**
+ * Render the bulk download panel
+ * Shows the job progress while a job runs, otherwise the job form and the last job summary
+ * @param {BulkDownloadJob | null} job
+ */
+function renderBulkPanel(job) {
+    const bulkDiv = document.getElementById('bulk');
+    if (!bulkDiv) return;
+
+    bulkDiv.innerHTML = '';
+
+    if (isBulkJobRunning(job)) {
+        renderBulkProgress(bulkDiv, /** @type {BulkDownloadJob} */ (job));
+        return;
+    }
+
+    renderBulkForm(bulkDiv);
+    if (job) {
+        renderBulkSummary(bulkDiv, job);
+    }
+}
+
+/**
+ * Render the form to start a bulk download
+ * @param {HTMLElement} container
+ */
+function renderBulkForm(container) {
+    const form = document.createElement('form');
+    form.className = 'bulk-form';
+    form.innerHTML = `
+        <div class="bulk-accounts"></div>
+        <div class="bulk-range">
+            <label>From <input type="date" name="from"></label>
+            <label>To <input type="date" name="to"></label>
+        </div>
+        <label class="bulk-option">Documents <select name="documentType"></select></label>
+        <label class="bulk-option"><input type="checkbox" name="onlyNew"> Only statements not downloaded before</label>
+        <label class="bulk-option"><input type="checkbox" name="archive"> Save as a single ZIP archive</label>
+        <div class="bulk-error error" style="display: none;"></div>
+        <div class="bulk-actions">
+            <button type="submit" class="bulk-start">Download all</button>
+            <button type="button" class="bulk-start bulk-new">Download all new</button>
+        </div>
+    `;
+
+    const accountsDiv = /** @type {HTMLElement} */ (form.querySelector('.bulk-accounts'));
+    currentBanks.filter(bank => !bank.error).forEach(bank => {
+        const bankName = document.createElement('div');
+        bankName.className = 'bulk-bank';
+        bankName.textContent = bank.session.bankName;
+        accountsDiv.appendChild(bankName);
+
+        bank.accounts.forEach(account => {
+            const label = document.createElement('label');
+            label.className = 'bulk-account';
+            label.innerHTML = `
+                <input type="checkbox" name="account" checked>
+                <span class="account-name"></span>
+                <span class="account-mask"></span>
+            `;
+            /** @type {HTMLElement} */ (label.querySelector('.account-name')).textContent = account.accountName;
+            /** @type {HTMLElement} */ (label.querySelector('.account-mask')).textContent = `••${account.accountMask}`;
+            const checkbox = /** @type {HTMLInputElement} */ (label.querySelector('input'));
+            checkbox.value = account.accountId;
+            checkbox.dataset.bankId = bank.session.bankId;
+            accountsDiv.appendChild(label);
+        });
+    });
+
+    // Defaults to the documents and dates shown in the statement lists
+    const documentTypeSelect = /** @type {HTMLSelectElement} */ (form.elements.namedItem('documentType'));
+    addDocumentTypeOptions(documentTypeSelect);
+    documentTypeSelect.value = currentFilters.documentType;
+    /** @type {HTMLInputElement} */ (form.elements.namedItem('from')).value = currentFilters.from;
+    /** @type {HTMLInputElement} */ (form.elements.namedItem('to')).value = currentFilters.to;
+
+    /**
+     * Get the document types selected for the job, undefined for all of them
+     * @returns {DocumentType[] | undefined}
+     */
+    const getDocumentTypes = () => documentTypeSelect.value === 'all'
+        ? undefined
+        : [/** @type {DocumentType} */ (documentTypeSelect.value)];
+
+    const errorDiv = /** @type {HTMLElement} */ (form.querySelector('.bulk-error'));
+
+    /**
+     * Start the job and show its progress, or show why it could not start
+     * @param {BulkDownloadRequest} request
+     */
+    const start = async (request) => {
+        try {
+            const job = await sendMessageToBackground('startBulkDownload', request);
+            renderBulkPanel(job);
+        } catch (error) {
+            errorDiv.textContent = error instanceof Error ? error.message : String(error);
+            errorDiv.style.display = 'block';
+        }
+    };
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        const checked = /** @type {NodeListOf<HTMLInputElement>} */ (form.querySelectorAll('input[name="account"]:checked'));
+        const accountIds = Array.from(checked).map(input => input.value);
+        const bankIds = Array.from(new Set(Array.from(checked, input => input.dataset.bankId || '')));
+        const from = /** @type {HTMLInputElement} */ (form.elements.namedItem('from')).value;
+        const to = /** @type {HTMLInputElement} */ (form.elements.namedItem('to')).value;
+        const onlyNew = /** @type {HTMLInputElement} */ (form.elements.namedItem('onlyNew')).checked;
+        const archive = /** @type {HTMLInputElement} */ (form.elements.namedItem('archive')).checked;
+
+        if (accountIds.length === 0) {
+            errorDiv.textContent = 'Select at least one account';
+            errorDiv.style.display = 'block';
+            return;
+        }
+
+        await start({
+            bankIds,
+            accountIds,
+            from: from || undefined,
+            to: to || undefined,
+            documentTypes: getDocumentTypes(),
+            onlyNew,
+            archive,
+        });
+    });
+
+    // Everything not downloaded yet, across all accounts of every signed-in bank
+    const newBtn = /** @type {HTMLButtonElement} */ (form.querySelector('.bulk-new'));
+    newBtn.addEventListener('click', async () => {
+        const archive = /** @type {HTMLInputElement} */ (form.elements.namedItem('archive')).checked;
+        await start({ onlyNew: true, documentTypes: getDocumentTypes(), archive });
+    });
+
+    container.appendChild(form);
+}
+
+/**
+ * Render the progress of a running bulk download
+ * @param {HTMLElement} container
+ * @param {BulkDownloadJob} job
+ */
+function renderBulkProgress(container, job) {
+    const finished = job.items.filter(item => item.status === 'done' || item.status === 'failed').length;
+    const failed = job.items.filter(item => item.status === 'failed').length;
+
+    const progressDiv = document.createElement('div');
+    progressDiv.className = 'bulk-progress';
+    progressDiv.innerHTML = job.status === 'listing'
+        ? `<div class="loading">Listing statements... (${job.items.length} found)</div>`
+        : `
+            <div class="bulk-progress-text">Downloaded ${finished} of ${job.items.length}${failed ? `, ${failed} failed` : ''}</div>
+            <progress max="${job.items.length}" value="${finished}"></progress>
+        `;
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'bulk-cancel';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', async () => {
+        cancelBtn.disabled = true;
+        const cancelledJob = await sendMessageToBackground('cancelBulkDownload', {});
+        renderBulkPanel(cancelledJob);
     });
+
+    progressDiv.appendChild(cancelBtn);
+    container.appendChild(progressDiv);
+}
+
+/**
+ * Render the per-file summary of a finished bulk download
+ * @param {HTMLElement} container
+ * @param {BulkDownloadJob} job
+ */
+function renderBulkSummary(container, job) {
+    const done = job.items.filter(item => item.status === 'done').length;
+    const failed = job.items.filter(item => item.status === 'failed').length;
+    const skipped = job.items.filter(item => item.status === 'skipped').length;
+
+    const summaryDiv = document.createElement('div');
+    summaryDiv.className = 'bulk-summary';
+
+    const title = document.createElement('div');
+    title.className = 'bulk-summary-title';
+    title.textContent = `Last ${job.banks.map(bank => bank.bankName).join(', ')} bulk download${job.status === 'cancelled' ? ' (cancelled)' : ''}: `
+        + `${done} downloaded, ${failed} failed${skipped ? `, ${skipped} skipped` : ''}`;
+    summaryDiv.appendChild(title);
+
+    if (job.archiveFilename) {
+        const archiveDiv = document.createElement('div');
+        archiveDiv.className = 'bulk-summary-item done';
+        archiveDiv.textContent = `Saved archive ${job.archiveFilename}`;
+        summaryDiv.appendChild(archiveDiv);
+    }
+
+    for (const bank of job.banks) {
+        const metrics = job.requestMetrics?.[bank.bankId];
+        if (!metrics) continue;
+
+        const metricsDiv = document.createElement('div');
+        metricsDiv.className = 'bulk-summary-item metrics';
+        metricsDiv.textContent = `${bank.bankName}: ${metrics.requests} requests, ${metrics.retries} retried, `
+            + `${metrics.averageTime} ms average, ${(metrics.queueTime / 1000).toFixed(1)} s paced`;
+        summaryDiv.appendChild(metricsDiv);
+    }
+
+    for (const message of job.errors) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'bulk-summary-item failed';
+        errorDiv.textContent = `✗ ${message}`;
+        summaryDiv.appendChild(errorDiv);
+    }
+
+    for (const item of job.items) {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = `bulk-summary-item ${item.status}`;
+        const icon = item.status === 'done' ? '✓' : item.status === 'failed' ? '✗' : '–';
+        const detail = item.error || item.skipReason;
+        itemDiv.textContent = `${icon} ${item.filename}${detail ? `: ${detail}` : ''}`;
+        summaryDiv.appendChild(itemDiv);
+    }
+
+    container.appendChild(summaryDiv);
+}
+
+/**
+ * Toggle the bulk download panel
+ */
+async function toggleBulkPanel() {
+    const bulkDiv = document.getElementById('bulk');
+    if (!bulkDiv) return;
+
+    if (bulkDiv.style.display !== 'none') {
+        bulkDiv.style.display = 'none';
+        return;
+    }
+
+    bulkDiv.style.display = 'block';
+    try {
+        const job = await sendMessageToBackground('getBulkDownloadJob', {});
+        renderBulkPanel(job);
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error';
+        errorDiv.textContent = err.message;
+        bulkDiv.replaceChildren(errorDiv);
+    }
 }
 
 /**
@@ -214,18 +1544,200 @@ function showError(message) {
 /**
  * Get user-friendly error message
  * @param {Error} error
+ * @param {string} bankName - Bank the failed request was sent to
+ * @param {string} [action] - What failed, shown before errors without a known cause
  * @returns {string}
  */
-function getErrorMessage(error) {
+function getErrorMessage(error, bankName, action = 'Failed to load accounts') {
     const message = error.message;
 
-    // Check for content script not loaded (unsupported website or page needs refresh)
+    const code = /** @type {BankError} */ (error).code;
+    if (code && ERROR_GUIDANCE[code]) {
+        return ERROR_GUIDANCE[code](bankName, message);
+    }
+
+    // Check for content script not loaded (the bank tab closed or needs a refresh)
     if (message.includes('Receiving end does not exist') || message.includes('Could not establish connection')) {
-        return 'This website is not supported. Please navigate to a supported bank website.';
+        return 'The bank page is not ready. Please reload the bank tab and try again.';
     }
 
     // Default error message
-    return `Failed to load accounts: ${message}`;
+    return `${action}: ${message}`;
+}
+
+/**
+ * Show a bank request error, with a button to switch to the bank tab when the fix is there
+ * @param {HTMLElement} errorDiv
+ * @param {BankSession} session
+ * @param {Error} error
+ * @param {string} action - What failed, see getErrorMessage
+ */
+function showBankError(errorDiv, session, error, action) {
+    errorDiv.textContent = getErrorMessage(error, session.bankName, action);
+
+    const code = /** @type {BankError} */ (error).code;
+    if (!BANK_TAB_ERRORS.includes(code)) return;
+
+    const focusBtn = document.createElement('button');
+    focusBtn.type = 'button';
+    focusBtn.className = 'focus-tab-btn';
+    focusBtn.textContent = `Go to ${session.bankName}`;
+    focusBtn.addEventListener('click', async () => {
+        try {
+            await focusTab(session.tabId);
+        } catch (error) {
+            console.error('Focus tab error:', error);
+        }
+    });
+    errorDiv.appendChild(focusBtn);
+}
+
+/**
+ * Bring a tab and its window to the front
+ * @param {number} tabId
+ */
+async function focusTab(tabId) {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    if (tab) {
+        await chrome.windows.update(tab.windowId, { focused: true });
+    }
+}
+
+/**
+ * Ask for the passphrase of the offline statements
+ * @param {string} message - Shown above the form
+ */
+function renderOfflineUnlock(message) {
+    const appDiv = document.getElementById('app');
+    if (!appDiv) return;
+
+    appDiv.innerHTML = `
+        <div class="offline-note"></div>
+        <form class="offline-unlock">
+            <input type="password" class="offline-passphrase" placeholder="Passphrase" autocomplete="current-password">
+            <button type="submit" class="offline-unlock-btn">Unlock</button>
+        </form>
+        <div class="error" style="display: none;"></div>
+    `;
+    /** @type {HTMLElement} */ (appDiv.querySelector('.offline-note')).textContent = message;
+
+    const form = /** @type {HTMLFormElement} */ (appDiv.querySelector('.offline-unlock'));
+    const input = /** @type {HTMLInputElement} */ (appDiv.querySelector('.offline-passphrase'));
+    const unlockBtn = /** @type {HTMLButtonElement} */ (appDiv.querySelector('.offline-unlock-btn'));
+    const errorDiv = /** @type {HTMLElement} */ (appDiv.querySelector('.error'));
+    input.focus();
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        unlockBtn.disabled = true;
+        errorDiv.style.display = 'none';
+        try {
+            await sendMessageToBackground('unlockOfflineCache', { passphrase: input.value });
+            await showOfflineCache();
+        } catch (error) {
+            const err = /** @type {Error} */ (error);
+            errorDiv.textContent = err.message;
+            errorDiv.style.display = 'block';
+            unlockBtn.disabled = false;
+        }
+    });
+}
+
+/**
+ * Render the offline statements of each bank, read-only since nothing can be downloaded while signed out
+ * @param {OfflineBank[]} banks
+ */
+function renderOfflineBanks(banks) {
+    const appDiv = document.getElementById('app');
+    if (!appDiv) return;
+
+    appDiv.innerHTML = '<div class="offline-note">No signed-in bank found. Showing the statements saved offline.</div>';
+
+    banks.forEach(bank => {
+        const bankDiv = document.createElement('section');
+        bankDiv.className = 'bank offline';
+        bankDiv.dataset.bankId = bank.bankId;
+
+        const header = document.createElement('div');
+        header.className = 'bank-header';
+        header.innerHTML = `
+            <span class="bank-name"></span>
+            <span class="bank-history"></span>
+        `;
+        /** @type {HTMLElement} */ (header.querySelector('.bank-name')).textContent = bank.bankName;
+        /** @type {HTMLElement} */ (header.querySelector('.bank-history')).textContent =
+            `Saved ${new Date(bank.savedAt).toLocaleDateString(dateLocale)}. Sign in to download.`;
+        bankDiv.appendChild(header);
+
+        if (bank.accounts.length === 0) {
+            bankDiv.insertAdjacentHTML('beforeend', '<div class="no-statements">No accounts found</div>');
+        }
+
+        bank.accounts.forEach(account => {
+            const accountDiv = document.createElement('div');
+            accountDiv.className = 'account';
+            accountDiv.dataset.accountId = account.accountId;
+
+            const accountHeader = document.createElement('div');
+            accountHeader.className = 'account-header';
+            accountHeader.innerHTML = `
+                <div>
+                    <span class="account-name"></span>
+                    <span class="account-mask"></span>
+                    <span class="account-balance"></span>
+                </div>
+                <span class="expand-icon">▶</span>
+            `;
+            /** @type {HTMLElement} */ (accountHeader.querySelector('.account-name')).textContent = account.accountName;
+            /** @type {HTMLElement} */ (accountHeader.querySelector('.account-mask')).textContent = `••${account.accountMask}`;
+            showBalances(/** @type {HTMLElement} */ (accountHeader.querySelector('.account-balance')), account);
+
+            const statementsDiv = document.createElement('div');
+            statementsDiv.className = 'statements';
+            const statements = bank.statements[account.accountId];
+            if (!statements) {
+                statementsDiv.innerHTML = '<div class="no-statements">Statements were not saved offline</div>';
+            } else if (statements.length === 0) {
+                statementsDiv.innerHTML = '<div class="no-statements">No statements available</div>';
+            }
+            sortStatements(statements || []).forEach(statement => {
+                const documentType = getDocumentType(statement);
+                const statementDiv = document.createElement('div');
+                statementDiv.className = 'statement-item';
+                statementDiv.dataset.documentType = documentType;
+                statementDiv.innerHTML = `
+                    <span>
+                        <span class="statement-date">${formatStatementPeriod(statement)}</span>
+                        ${renderStatementBadges(statement)}
+                    </span>
+                `;
+                statementsDiv.appendChild(statementDiv);
+            });
+
+            accountHeader.addEventListener('click', () => {
+                accountDiv.classList.toggle('expanded');
+            });
+
+            accountDiv.append(accountHeader, statementsDiv);
+            bankDiv.appendChild(accountDiv);
+        });
+
+        appDiv.appendChild(bankDiv);
+    });
+}
+
+/**
+ * Show the offline statements when no bank is signed in, asking for the passphrase first if needed
+ */
+async function showOfflineCache() {
+    const cache = await sendMessageToBackground('getOfflineCache', {});
+    if (cache.locked) {
+        renderOfflineUnlock('No signed-in bank found. Enter your passphrase to see the statements saved offline.');
+    } else if (cache.banks.length === 0) {
+        showError('No signed-in bank found and no statements saved offline. Sign in to a supported bank website in any tab, then open this popup again.');
+    } else {
+        renderOfflineBanks(cache.banks);
+    }
 }
 
 /**
@@ -245,11 +1757,55 @@ async function init(forceRefresh = false) {
             await sendMessageToBackground('clearCache', {});
         }
 
-        const accounts = await sendMessageToBackground('getAccounts', { forceRefresh });
-        renderAccounts(accounts);
+        const settings = await getSettings();
+        dateLocale = settings.dateLocale || undefined;
+
+        const sessions = await sendMessageToBackground('getBankSessions', {});
+        if (sessions.length === 0) {
+            if (settings.offlineCache) {
+                await showOfflineCache();
+            } else {
+                showError('No signed-in bank found. Sign in to a supported bank website in any tab, then open this popup again.');
+            }
+            return;
+        }
+
+        // A bank that fails to load is shown with its error, the other banks still load
+        currentBanks = await Promise.all(sessions.map(async (session) => {
+            const bankId = session.bankId;
+            if (session.error) {
+                const error = Object.assign(new Error(session.error), { code: session.code });
+                return { session, accounts: [], capabilities: NO_CAPABILITIES, error };
+            }
+            try {
+                const [accounts, capabilities] = await Promise.all([
+                    sendMessageToBackground('getAccounts', { bankId, forceRefresh }),
+                    sendMessageToBackground('getCapabilities', { bankId }),
+                ]);
+                return { session, accounts, capabilities };
+            } catch (error) {
+                const err = /** @type {Error} */ (error);
+                return { session, accounts: [], capabilities: NO_CAPABILITIES, error: err };
+            }
+        }));
+        renderBanks(currentBanks);
+
+        renderHistorySelect(
+            currentBanks.filter(bank => !bank.error).map(bank => bank.capabilities.statementHistoryStart),
+            settings.statementHistoryYears
+        );
+        renderFilters();
+
+        // Reopen the bulk download panel when a job is still running
+        const job = await sendMessageToBackground('getBulkDownloadJob', {});
+        const bulkDiv = document.getElementById('bulk');
+        if (bulkDiv && isBulkJobRunning(job)) {
+            bulkDiv.style.display = 'block';
+            renderBulkPanel(job);
+        }
     } catch (error) {
         const err = /** @type {Error} */ (error);
-        const errorMessage = getErrorMessage(err);
+        const errorMessage = getErrorMessage(err, 'the bank');
         showError(errorMessage);
         console.error('Init error:', error);
     } finally {
@@ -269,6 +1825,39 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    const optionsBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('options-btn'));
+    if (optionsBtn) {
+        optionsBtn.addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+        });
+    }
+
+    const bulkBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('bulk-btn'));
+    if (bulkBtn) {
+        bulkBtn.addEventListener('click', () => {
+            toggleBulkPanel();
+        });
+    }
+
+    // Added once here, renderFilters only replaces the controls inside
+    const filterDiv = document.getElementById('filters');
+    if (filterDiv) {
+        filterDiv.addEventListener('change', () => {
+            updateFilters(filterDiv);
+        });
+    }
+
+    // Follow bulk download progress written by the background worker
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        const bulkDiv = document.getElementById('bulk');
+        if (areaName === 'session' && changes[BULK_JOB_KEY] && bulkDiv && bulkDiv.style.display !== 'none') {
+            renderBulkPanel(/** @type {BulkDownloadJob | undefined} */ (changes[BULK_JOB_KEY].newValue) || null);
+        }
+        if (areaName === 'session' && changes[STATEMENTS_UPDATED_KEY]?.newValue) {
+            showStatementsUpdate(/** @type {StatementsUpdate} */ (changes[STATEMENTS_UPDATED_KEY].newValue));
+        }
+    });
+
     // Start when popup opens
     init();
 });
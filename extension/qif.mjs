@@ -0,0 +1,73 @@
+/**
+ * QIF (Quicken Interchange Format) writer for normalized transactions
+ * @typedef {import('../bank/bank.types').Account} Account
+ * @typedef {import('../bank/bank.types').AccountType} AccountType
+ * @typedef {import('../bank/bank.types').Transaction} Transaction
+ */
+
+/**
+ * @typedef {Object} QifOptions
+ * @property {'MM/DD/YYYY' | 'DD/MM/YYYY'} [dateFormat] - Date format expected by the importing tool, defaults to US order
+ */
+
+/**
+ * QIF account type header for each account type
+ * Investment accounts are written as bank accounts since only cash transactions are exported.
+ * @type {Record<AccountType, string>}
+ */
+const QIF_TYPES = {
+    Checking: 'Bank',
+    Savings: 'Bank',
+    CreditCard: 'CCard',
+    Loan: 'Oth L',
+    Investment: 'Bank',
+};
+
+/**
+ * Make text fit on a single QIF line
+ * @param {string} value
+ * @returns {string}
+ */
+function singleLine(value) {
+    return value.replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * Format a date for QIF output
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {'MM/DD/YYYY' | 'DD/MM/YYYY'} format
+ * @returns {string}
+ */
+function formatQifDate(date, format) {
+    const [year, month, day] = date.split('T')[0].split('-');
+    return format === 'DD/MM/YYYY' ? `${day}/${month}/${year}` : `${month}/${day}/${year}`;
+}
+
+/**
+ * Write transactions as QIF
+ * @param {Transaction[]} transactions
+ * @param {Account} account
+ * @param {QifOptions} [options]
+ * @returns {string}
+ */
+export function toQif(transactions, account, options = {}) {
+    const dateFormat = options.dateFormat || 'MM/DD/YYYY';
+    const lines = [`!Type:${QIF_TYPES[account.accountType]}`];
+
+    for (const transaction of transactions) {
+        lines.push(
+            `D${formatQifDate(transaction.date, dateFormat)}`,
+            `T${transaction.amount.toFixed(2)}`,
+            `P${singleLine(transaction.description)}`
+        );
+        if (transaction.category) {
+            lines.push(`L${singleLine(transaction.category)}`);
+        }
+        if (transaction.referenceId) {
+            lines.push(`MRef ${singleLine(transaction.referenceId)}`);
+        }
+        lines.push('^');
+    }
+
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,187 @@
+/**
+ * Shared request helper that bank modules opt into
+ * Retries 429 and 5xx responses with exponential backoff, waits as long as Retry-After asks,
+ * and keeps each bank under a concurrency and requests-per-second limit so bulk downloads
+ * look like a person browsing rather than a burst of traffic.
+ * @typedef {import('../bank/bank.types').RequestClientOptions} RequestClientOptions
+ * @typedef {import('../bank/bank.types').RequestMetrics} RequestMetrics
+ */
+
+/** @type {Required<RequestClientOptions>} */
+export const DEFAULT_REQUEST_OPTIONS = {
+    retries: 3,
+    baseDelay: 500,
+    maxDelay: 30000,
+    concurrency: 2,
+    requestsPerSecond: 4,
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a response status is worth retrying
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Read the Retry-After header as a delay in milliseconds
+ * @param {Response} response
+ * @param {number} [now] - Current time (milliseconds since epoch), for HTTP dates
+ * @returns {number | null} Null when the header is missing or invalid
+ */
+export function parseRetryAfter(response, now = Date.now()) {
+    const value = response.headers?.get('retry-after');
+    if (!value) {
+        return null;
+    }
+
+    // Either a number of seconds or an HTTP date
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Get the delay before retrying a request
+ * @param {Response} response - The response that failed
+ * @param {number} attempt - Retries already made
+ * @param {Required<RequestClientOptions>} options
+ * @returns {number | null} Null when the bank asks to wait longer than maxDelay
+ */
+export function getRetryDelay(response, attempt, options) {
+    const retryAfter = parseRetryAfter(response);
+    if (retryAfter !== null) {
+        return retryAfter <= options.maxDelay ? retryAfter : null;
+    }
+    return Math.min(options.baseDelay * 2 ** attempt, options.maxDelay);
+}
+
+/**
+ * Create a request client with its own limits and metrics, usually one per bank module
+ * @param {RequestClientOptions} [options]
+ * @returns {{ fetch: (url: string, init?: RequestInit) => Promise<Response>, getMetrics: () => RequestMetrics }}
+ */
+export function createRequestClient(options = {}) {
+    const config = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+    const interval = 1000 / config.requestsPerSecond;
+
+    let active = 0;
+    /** @type {Array<() => void>} */
+    const waiting = [];
+    let nextStart = 0;
+
+    const metrics = {
+        requests: 0,
+        retries: 0,
+        failures: 0,
+        queueTime: 0,
+        backoffTime: 0,
+        responseTime: 0,
+        maxTime: 0,
+    };
+
+    /**
+     * Wait for a free slot and the next start time allowed by the rate limit
+     * @returns {Promise<void>}
+     */
+    async function acquire() {
+        if (active < config.concurrency) {
+            active++;
+        } else {
+            // release() hands its slot over, so active stays the same
+            await new Promise(resolve => waiting.push(() => resolve(undefined)));
+        }
+
+        const now = Date.now();
+        const start = Math.max(now, nextStart);
+        nextStart = start + interval;
+        if (start > now) {
+            await sleep(start - now);
+        }
+    }
+
+    /**
+     * Free a slot, handing it to the longest waiting request
+     */
+    function release() {
+        const next = waiting.shift();
+        if (next) {
+            next();
+        } else {
+            active--;
+        }
+    }
+
+    /**
+     * Send a request, retrying 429 and 5xx responses
+     * Failed responses are returned after the last retry so the caller can report them as usual
+     * @param {string} url
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    async function request(url, init) {
+        for (let attempt = 0; ; attempt++) {
+            const queuedAt = Date.now();
+            await acquire();
+            const startedAt = Date.now();
+            metrics.queueTime += startedAt - queuedAt;
+            metrics.requests++;
+
+            /** @type {Response} */
+            let response;
+            try {
+                response = await fetch(url, init);
+            } catch (error) {
+                metrics.failures++;
+                throw error;
+            } finally {
+                const time = Date.now() - startedAt;
+                metrics.responseTime += time;
+                metrics.maxTime = Math.max(metrics.maxTime, time);
+                release();
+            }
+
+            if (!isRetryableStatus(response.status)) {
+                return response;
+            }
+
+            const delay = attempt < config.retries ? getRetryDelay(response, attempt, config) : null;
+            if (delay === null) {
+                metrics.failures++;
+                return response;
+            }
+
+            metrics.retries++;
+            metrics.backoffTime += delay;
+            await sleep(delay);
+        }
+    }
+
+    /**
+     * Get the timing of the requests sent so far
+     * @returns {RequestMetrics}
+     */
+    function getMetrics() {
+        const { responseTime, ...rest } = metrics;
+        return {
+            ...rest,
+            averageTime: metrics.requests > 0 ? Math.round(responseTime / metrics.requests) : 0,
+        };
+    }
+
+    return { fetch: request, getMetrics };
+}
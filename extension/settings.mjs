@@ -0,0 +1,205 @@
+/**
+ * Extension-wide settings stored in chrome.storage.sync
+ * @typedef {import('./extension.type').Settings} Settings
+ */
+
+import { CACHE_TTL } from './cache.mjs';
+import { CSV_COLUMNS, DEFAULT_CSV_OPTIONS } from './csv.mjs';
+import { DEFAULT_DOWNLOAD_FOLDER, DEFAULT_FILENAME_TEMPLATE } from './filename.mjs';
+
+/**
+ * Supported banks by bank ID, for settings that apply to a single bank
+ * Keep in sync with the bankId and bankName exports of the bank modules
+ * @type {Record<string, string>}
+ */
+export const BANK_NAMES = {
+    american_express: 'American Express',
+    bank_of_america: 'Bank of America',
+    bmo: 'BMO',
+    chase: 'Chase',
+    chime: 'Chime',
+    citi: 'Citi',
+    discover: 'Discover',
+    disnat: 'Disnat',
+    eq_bank: 'EQ Bank',
+    fidelity: 'Fidelity',
+    first_tech_fcu: 'First Tech Federal Credit Union',
+    hsbc_us: 'HSBC US',
+    mbna_ca: 'MBNA Canada',
+    paypal: 'PayPal',
+    questrade: 'Questrade',
+    simplii: 'Simplii Financial',
+    sofi: 'SoFi',
+    tangerine: 'Tangerine',
+    td_bank: 'TD Bank (EasyWeb)',
+    td_broker: 'TD Direct Investing (WebBroker)',
+    us_bank: 'US Bank',
+    wealthsimple: 'Wealthsimple',
+    wise: 'Wise',
+};
+
+/**
+ * Locales offered for displaying dates, an empty string uses the browser's language
+ * @type {Record<string, string>}
+ */
+export const DATE_LOCALES = {
+    '': 'Browser language',
+    'en-US': 'English (United States): Jan 31, 2025',
+    'en-CA': 'English (Canada): Jan 31, 2025',
+    'en-GB': 'English (United Kingdom): 31 Jan 2025',
+    'fr-CA': 'French (Canada): 31 janv. 2025',
+    'de-DE': 'German: 31. Jan. 2025',
+    'es-US': 'Spanish (United States): 31 ene 2025',
+};
+
+/**
+ * What can be done when a downloaded file's name is taken
+ * @type {Array<import('./extension.type').DownloadConflictAction>}
+ */
+const CONFLICT_ACTIONS = ['uniquify', 'overwrite', 'skip'];
+
+/**
+ * Settings that belong to this computer and are left out of exported settings
+ * @type {Array<keyof Settings>}
+ */
+const LOCAL_SETTINGS = ['offlineCache', 'offlineCacheDays', 'offlineCacheBankDays'];
+
+/** @type {Settings} */
+export const DEFAULT_SETTINGS = {
+    filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+    downloadFolder: DEFAULT_DOWNLOAD_FOLDER,
+    conflictAction: 'uniquify',
+    statementHistoryYears: 0,
+    cacheTtlMinutes: CACHE_TTL / 60000,
+    disabledBanks: [],
+    dateLocale: 'en-US',
+    splitCombinedStatements: true,
+    csvColumns: DEFAULT_CSV_OPTIONS.columns,
+    csvDateFormat: DEFAULT_CSV_OPTIONS.dateFormat,
+    csvDecimalSeparator: DEFAULT_CSV_OPTIONS.decimalSeparator,
+    offlineCache: false,
+    offlineCacheDays: 30,
+    offlineCacheBankDays: {},
+};
+
+/**
+ * Get the current settings, falling back to defaults for unset values
+ * @returns {Promise<Settings>}
+ */
+export async function getSettings() {
+    const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    return /** @type {Settings} */ ({ ...DEFAULT_SETTINGS, ...stored });
+}
+
+/**
+ * Save some or all settings
+ * @param {Partial<Settings>} settings
+ * @returns {Promise<void>}
+ */
+export async function saveSettings(settings) {
+    await chrome.storage.sync.set(settings);
+}
+
+/**
+ * Get the settings to share with other computers as JSON
+ * @param {Settings} settings
+ * @returns {string}
+ */
+export function exportSettings(settings) {
+    /** @type {Record<string, unknown>} */
+    const exported = {};
+    for (const [key, value] of Object.entries(settings)) {
+        if (key in DEFAULT_SETTINGS && !LOCAL_SETTINGS.includes(/** @type {keyof Settings} */ (key))) {
+            exported[key] = value;
+        }
+    }
+    return JSON.stringify(exported, null, 2);
+}
+
+/**
+ * Check the value of an imported setting beyond its type
+ * @param {string} key
+ * @param {unknown} value - Of the type of the default value
+ * @returns {string | null} Why the value is invalid, null when it is valid
+ */
+function getSettingError(key, value) {
+    switch (key) {
+        case 'conflictAction':
+            return /** @type {string[]} */ (CONFLICT_ACTIONS).includes(/** @type {string} */ (value))
+                ? null
+                : `conflictAction should be one of ${CONFLICT_ACTIONS.join(', ')}, got "${value}"`;
+        case 'cacheTtlMinutes':
+            return Number.isFinite(value) && /** @type {number} */ (value) > 0
+                ? null
+                : `cacheTtlMinutes should be a positive number, got ${value}`;
+        case 'dateLocale':
+            return Object.keys(DATE_LOCALES).includes(/** @type {string} */ (value))
+                ? null
+                : `dateLocale "${value}" is not one of the offered locales`;
+        case 'statementHistoryYears':
+            return Number.isInteger(value) && /** @type {number} */ (value) >= 0
+                ? null
+                : `statementHistoryYears should be a whole number of years, 0 or more, got ${value}`;
+        case 'downloadFolder': {
+            const folder = /** @type {string} */ (value);
+            if (/^[\\/]|^[A-Za-z]:/.test(folder)) {
+                return `downloadFolder should be relative to the Downloads folder, got "${folder}"`;
+            }
+            return folder.split(/[\\/]/).some(segment => segment.trim() === '..')
+                ? `downloadFolder should not leave the Downloads folder, got "${folder}"`
+                : null;
+        }
+        case 'csvColumns': {
+            const unknown = /** @type {unknown[]} */ (value)
+                .filter(column => typeof column !== 'string' || !Object.keys(CSV_COLUMNS).includes(column));
+            return unknown.length === 0 ? null : `csvColumns has unknown columns: ${unknown.join(', ')}`;
+        }
+        case 'disabledBanks': {
+            const unknown = /** @type {unknown[]} */ (value)
+                .filter(bankId => typeof bankId !== 'string' || !Object.keys(BANK_NAMES).includes(bankId));
+            return unknown.length === 0 ? null : `disabledBanks has unknown bank IDs: ${unknown.join(', ')}`;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Read settings exported by exportSettings
+ * Unknown settings and settings of this computer are ignored
+ * @param {string} json
+ * @returns {Partial<Settings>}
+ * @throws {Error} If the file is not a settings object or a setting has the wrong type or an invalid value
+ */
+export function parseSettings(json) {
+    /** @type {unknown} */
+    let parsed;
+    try {
+        parsed = JSON.parse(json);
+    } catch (error) {
+        const err = /** @type {Error} */ (error);
+        throw new Error(`Invalid settings file: ${err.message}`, { cause: error });
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Invalid settings file: expected a JSON object');
+    }
+
+    /** @type {Record<string, unknown>} */
+    const settings = {};
+    for (const [key, value] of Object.entries(parsed)) {
+        if (!(key in DEFAULT_SETTINGS) || LOCAL_SETTINGS.includes(/** @type {keyof Settings} */ (key))) {
+            continue;
+        }
+        const defaultValue = DEFAULT_SETTINGS[/** @type {keyof Settings} */ (key)];
+        if (Array.isArray(defaultValue) ? !Array.isArray(value) : typeof value !== typeof defaultValue) {
+            throw new Error(`Invalid settings file: ${key} should be ${Array.isArray(defaultValue) ? 'a list' : `a ${typeof defaultValue}`}`);
+        }
+        const settingError = getSettingError(key, value);
+        if (settingError) {
+            throw new Error(`Invalid settings file: ${settingError}`);
+        }
+        settings[key] = value;
+    }
+    return /** @type {Partial<Settings>} */ (settings);
+}
@@ -0,0 +1,207 @@
+/**
+ * Key figures of a statement read from the text of its PDF
+ * Generic patterns cover the usual labels ("New Balance", "Payment Due Date", ...); bank modules
+ * export statementPatterns for their own layouts, which are tried first.
+ * @typedef {import('../bank/bank.types').StatementFigures} StatementFigures
+ * @typedef {import('../bank/bank.types').StatementPatterns} StatementPatterns
+ * @typedef {import('./extension.type').SerializedStatementPatterns} SerializedStatementPatterns
+ */
+
+import { getPageText, getPages, parsePdf } from './pdf.mjs';
+
+const DATE = String.raw`(?:[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\s+[A-Za-z]{3,9}\.?,?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2})`;
+const AMOUNT = String.raw`[-+–]?\(?[-+–]?(?:[A-Z]{0,2}\$|€|£)?\s?\d[\d,]*\.\d{2}\)?(?:\s?CR\b|-)?`;
+
+/** @type {Record<string, number>} */
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+/** Fields read as amounts, the others are dates */
+const AMOUNT_FIELDS = ['openingBalance', 'closingBalance', 'totalCredits', 'totalDebits', 'minimumPaymentDue'];
+
+/** Totals are sums of money moving one way, whatever sign the statement prints */
+const TOTAL_FIELDS = ['totalCredits', 'totalDebits'];
+
+/** @type {StatementPatterns} */
+const GENERIC_PATTERNS = {
+    period: [
+        new RegExp(String.raw`(?:statement|billing) period:?\s*(${DATE})\s*(?:-|–|to|through)\s*(${DATE})`, 'i'),
+    ],
+    periodEnd: [
+        new RegExp(String.raw`(?<!\/)(?:closing|statement) date:?\s*(${DATE})`, 'i'),
+    ],
+    openingBalance: [
+        new RegExp(String.raw`(?:opening|beginning|previous|starting) balance:?\s*(${AMOUNT})`, 'i'),
+    ],
+    closingBalance: [
+        new RegExp(String.raw`(?:closing|ending|new) balance:?\s*(${AMOUNT})`, 'i'),
+    ],
+    totalCredits: [
+        new RegExp(String.raw`total (?:deposits|credits)(?: and (?:other )?(?:credits|additions))?:?\s*(${AMOUNT})`, 'i'),
+    ],
+    totalDebits: [
+        new RegExp(String.raw`total (?:withdrawals|debits)(?: and (?:other )?(?:debits|subtractions))?:?\s*(${AMOUNT})`, 'i'),
+    ],
+    minimumPaymentDue: [
+        new RegExp(String.raw`minimum (?:payment|amount)(?: due)?:?\s*(${AMOUNT})`, 'i'),
+    ],
+    paymentDueDate: [
+        new RegExp(String.raw`payment due date:?\s*(${DATE})`, 'i'),
+    ],
+};
+
+/**
+ * Parse an amount as printed on a statement, e.g. "$1,234.56", "-$20.00", "(20.00)" or "20.00 CR"
+ * @param {string} value
+ * @returns {number | null}
+ */
+export function parseStatementAmount(value) {
+    const digits = value.replace(/[^\d.]/g, '');
+    const amount = parseFloat(digits);
+    if (!/^\d+\.\d{2}$/.test(digits) || isNaN(amount)) {
+        return null;
+    }
+    return /[-–(]|\bCR\b/.test(value) ? -amount : amount;
+}
+
+/**
+ * Parse a date as printed on a statement, e.g. "October 21, 2025", "21 Oct 2025", "10/21/25" or "2025-10-21"
+ * @param {string} value
+ * @param {boolean} [dayFirst] - Numeric dates are written day first
+ * @returns {string | null} YYYY-MM-DD
+ */
+export function parseStatementDate(value, dayFirst = false) {
+    const text = value.trim();
+    let year;
+    let month;
+    let day;
+
+    let match;
+    if ((match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text))) {
+        [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(text))) {
+        [month, day] = dayFirst ? [Number(match[2]), Number(match[1])] : [Number(match[1]), Number(match[2])];
+        year = Number(match[3]) + (match[3].length === 2 ? 2000 : 0);
+    } else if ((match = /^([A-Za-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/.exec(text))) {
+        [month, day, year] = [MONTHS[match[1].slice(0, 3).toLowerCase()], Number(match[2]), Number(match[3])];
+    } else if ((match = /^(\d{1,2})\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})$/.exec(text))) {
+        [day, month, year] = [Number(match[1]), MONTHS[match[2].slice(0, 3).toLowerCase()], Number(match[3])];
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Read one field from a captured value
+ * @param {string} field
+ * @param {string} value
+ * @param {boolean} dayFirst
+ * @returns {string | number | null}
+ */
+function parseField(field, value, dayFirst) {
+    if (!AMOUNT_FIELDS.includes(field)) {
+        return parseStatementDate(value, dayFirst);
+    }
+    const amount = parseStatementAmount(value);
+    return amount !== null && TOTAL_FIELDS.includes(field) ? Math.abs(amount) : amount;
+}
+
+/**
+ * Fill the fields a set of patterns finds in the text, keeping fields already found
+ * @param {string} text
+ * @param {StatementPatterns} patterns
+ * @param {boolean} dayFirst
+ * @param {Record<string, string | number>} figures - Updated in place
+ */
+function applyPatterns(text, patterns, dayFirst, figures) {
+    for (const pattern of patterns.period || []) {
+        if (figures.periodStart && figures.periodEnd) break;
+        const match = pattern.exec(text);
+        const start = match?.[1] && parseStatementDate(match[1], dayFirst);
+        const end = match?.[2] && parseStatementDate(match[2], dayFirst);
+        if (start && end) {
+            figures.periodStart = figures.periodStart || start;
+            figures.periodEnd = figures.periodEnd || end;
+        }
+    }
+
+    for (const [field, fieldPatterns] of Object.entries(patterns)) {
+        if (field === 'period' || !Array.isArray(fieldPatterns)) continue;
+        for (const pattern of fieldPatterns) {
+            if (figures[field] !== undefined) break;
+            const match = pattern.exec(text);
+            const value = match?.[1] ? parseField(field, match[1], dayFirst) : null;
+            if (value !== null) {
+                figures[field] = value;
+            }
+        }
+    }
+}
+
+/**
+ * Find the key figures in the text of a statement
+ * @param {string} text
+ * @param {StatementPatterns} [patterns] - Patterns of the bank, tried before the generic ones
+ * @returns {StatementFigures}
+ */
+export function findStatementFigures(text, patterns = {}) {
+    const dayFirst = Boolean(patterns.dayFirst);
+    /** @type {Record<string, string | number>} */
+    const figures = {};
+    applyPatterns(text, patterns, dayFirst, figures);
+    applyPatterns(text, GENERIC_PATTERNS, dayFirst, figures);
+    return /** @type {StatementFigures} */ (figures);
+}
+
+/**
+ * Read the key figures of a statement PDF
+ * @param {Uint8Array} bytes
+ * @param {StatementPatterns} [patterns] - Patterns of the bank, tried before the generic ones
+ * @returns {StatementFigures | null} Null when the file is not a readable PDF or has none of the figures
+ */
+export function extractStatementFigures(bytes, patterns = {}) {
+    let doc;
+    try {
+        doc = parsePdf(bytes);
+    } catch (error) {
+        return null;
+    }
+    if (doc.encrypted) {
+        return null;
+    }
+
+    const text = getPages(doc)
+        .map(page => {
+            try {
+                return getPageText(doc, page);
+            } catch (error) {
+                return '';
+            }
+        })
+        .join('\n');
+
+    const figures = findStatementFigures(text, patterns);
+    return Object.keys(figures).length > 0 ? figures : null;
+}
+
+/**
+ * Rebuild the patterns of a bank sent as plain data by the content script
+ * @param {SerializedStatementPatterns | null | undefined} serialized
+ * @returns {StatementPatterns}
+ */
+export function restoreStatementPatterns(serialized) {
+    /** @type {StatementPatterns} */
+    const patterns = { dayFirst: Boolean(serialized?.dayFirst) };
+    for (const [field, fieldPatterns] of Object.entries(serialized?.patterns || {})) {
+        patterns[/** @type {keyof SerializedStatementPatterns['patterns']} */ (field)] =
+            (fieldPatterns || []).map(({ source, flags }) => new RegExp(source, flags));
+    }
+    return patterns;
+}
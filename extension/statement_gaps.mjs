@@ -0,0 +1,119 @@
+/**
+ * Detection of statements missing from an account's history
+ * The cadence is the most common number of months between consecutive statements; a month
+ * where a statement was due but none is listed is a gap. Banks that ask for statements one month
+ * at a time also tell whether such a month came back empty or could not be checked.
+ * @typedef {import('../bank/bank.types').Statement} Statement
+ * @typedef {import('../bank/bank.types').StatementProbe} StatementProbe
+ * @typedef {import('./extension.type').StatementGap} StatementGap
+ */
+
+/** Statements needed before a cadence is trusted */
+const MIN_HISTORY = 3;
+
+/**
+ * Count months from year 0, e.g. 24301 for "2025-02"
+ * @param {string} date - YYYY-MM or a longer ISO 8601 date
+ * @returns {number}
+ */
+function toMonthIndex(date) {
+    const [year, month] = date.slice(0, 7).split('-').map(Number);
+    return year * 12 + month - 1;
+}
+
+/**
+ * @param {number} index
+ * @returns {string} YYYY-MM
+ */
+function fromMonthIndex(index) {
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the months an account has statements for, oldest first
+ * The end of the period is used when known, as statement dates may fall early in the next month.
+ * @param {Statement[]} statements
+ * @returns {number[]}
+ */
+function getStatementMonths(statements) {
+    const months = statements
+        .filter(statement => (statement.documentType || 'statement') === 'statement')
+        .map(statement => toMonthIndex(statement.periodEnd || statement.statementDate));
+    return Array.from(new Set(months)).sort((a, b) => a - b);
+}
+
+/**
+ * Infer how many months apart an account's statements are issued
+ * @param {Statement[]} statements
+ * @returns {number | null} Months between statements, null when the history is too short to tell
+ */
+export function inferStatementCadence(statements) {
+    const months = getStatementMonths(statements);
+    if (months.length < MIN_HISTORY) {
+        return null;
+    }
+
+    /** @type {Map<number, number>} */
+    const counts = new Map();
+    for (let i = 1; i < months.length; i++) {
+        const interval = months[i] - months[i - 1];
+        counts.set(interval, (counts.get(interval) || 0) + 1);
+    }
+
+    // The shorter interval wins a tie, so a skipped month is not taken for the cadence
+    return Array.from(counts.entries())
+        .sort(([a, countA], [b, countB]) => countB - countA || a - b)[0][0];
+}
+
+/**
+ * Find the months of an account where a statement was due but is not listed
+ * Months before the first statement are not gaps, as the account may be newer; the month
+ * after the last statement only becomes one once it is over. Months the bank could not be asked
+ * about are always listed, since a statement may hide behind the error.
+ * @param {Statement[]} statements - Statements of one account
+ * @param {StatementProbe[]} [probes] - Months the bank was asked about, for banks that report them
+ * @param {Date} [today]
+ * @returns {StatementGap[]} Newest first
+ */
+export function findStatementGaps(statements, probes = [], today = new Date()) {
+    const months = getStatementMonths(statements);
+    const listed = new Set(months);
+    const probesByMonth = new Map(probes.map(probe => [toMonthIndex(probe.month), probe]));
+    const cadence = inferStatementCadence(statements);
+
+    /** @type {Set<number>} */
+    const missing = new Set();
+    if (cadence) {
+        for (let i = 1; i < months.length; i++) {
+            for (let month = months[i - 1] + cadence; month + cadence <= months[i]; month += cadence) {
+                missing.add(month);
+            }
+        }
+
+        const currentMonth = today.getFullYear() * 12 + today.getMonth();
+        for (let month = months[months.length - 1] + cadence; month < currentMonth; month += cadence) {
+            missing.add(month);
+        }
+    }
+
+    for (const [month, probe] of probesByMonth) {
+        if (probe.status === 'failed' && !listed.has(month)) {
+            missing.add(month);
+        }
+    }
+
+    return Array.from(missing)
+        .sort((a, b) => b - a)
+        .map(month => {
+            const probe = probesByMonth.get(month);
+            /** @type {StatementGap} */
+            const gap = { month: fromMonthIndex(month), reason: 'missing' };
+            if (probe?.status === 'empty' || probe?.status === 'failed') {
+                gap.reason = probe.status;
+            }
+            if (probe?.status === 'failed' && probe.error) {
+                gap.error = probe.error;
+            }
+            return gap;
+        });
+}
@@ -0,0 +1,154 @@
+/**
+ * Minimal ZIP archive writer (native JavaScript, no external dependencies)
+ * Entries are stored without compression since statement PDFs are already compressed.
+ * @see https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ */
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path of the file inside the archive, using "/" as separator
+ * @property {Uint8Array} data - File content
+ * @property {Date} [lastModified] - Modification time, defaults to now
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+/** Version 2.0, the minimum for folders in entry names */
+const ZIP_VERSION = 20;
+
+/** General purpose flag bit 11: entry names are UTF-8 encoded */
+const FLAG_UTF8 = 0x0800;
+
+/** Largest value representable without ZIP64 extensions */
+const MAX_UINT32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum used by ZIP archives
+ * @param {Uint8Array} data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(date) {
+    // DOS dates start at 1980
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Create a ZIP archive from a list of entries
+ * @param {ZipEntry[]} entries
+ * @returns {Uint8Array} The archive bytes
+ */
+export function createZip(entries) {
+    if (entries.length > MAX_ENTRIES) {
+        throw new Error(`ZIP archive cannot contain more than ${MAX_ENTRIES} entries`);
+    }
+
+    const encoder = new TextEncoder();
+
+    /** @type {Uint8Array[]} */
+    const localParts = [];
+    /** @type {Uint8Array[]} */
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const checksum = crc32(entry.data);
+        const { time, date } = toDosDateTime(entry.lastModified || new Date());
+        const size = entry.data.length;
+
+        if (size > MAX_UINT32 || offset > MAX_UINT32) {
+            throw new Error('ZIP archive exceeds the 4 GB limit');
+        }
+
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+        localView.setUint16(4, ZIP_VERSION, true);
+        localView.setUint16(6, FLAG_UTF8, true);
+        localView.setUint16(8, 0, true); // Compression method: stored
+        localView.setUint16(10, time, true);
+        localView.setUint16(12, date, true);
+        localView.setUint32(14, checksum, true);
+        localView.setUint32(18, size, true); // Compressed size
+        localView.setUint32(22, size, true); // Uncompressed size
+        localView.setUint16(26, name.length, true);
+        localView.setUint16(28, 0, true); // Extra field length
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+        centralView.setUint16(4, ZIP_VERSION, true); // Version made by
+        centralView.setUint16(6, ZIP_VERSION, true); // Version needed to extract
+        centralView.setUint16(8, FLAG_UTF8, true);
+        centralView.setUint16(10, 0, true);
+        centralView.setUint16(12, time, true);
+        centralView.setUint16(14, date, true);
+        centralView.setUint32(16, checksum, true);
+        centralView.setUint32(20, size, true);
+        centralView.setUint32(24, size, true);
+        centralView.setUint16(28, name.length, true);
+        // Extra field, comment, disk number, internal and external attributes are all zero
+        centralView.setUint32(42, offset, true); // Offset of local header
+        central.set(name, 46);
+
+        localParts.push(local, entry.data);
+        centralParts.push(central);
+        offset += local.length + size;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    if (offset > MAX_UINT32) {
+        throw new Error('ZIP archive exceeds the 4 GB limit');
+    }
+
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    endView.setUint16(8, entries.length, true); // Entries on this disk
+    endView.setUint16(10, entries.length, true); // Total entries
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true); // Offset of central directory
+
+    const zip = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    for (const part of [...localParts, ...centralParts, end]) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
@@ -277,6 +277,7 @@ describe('American Express API', () => {
                 '154DD48166489B7E6253FD1382E7353B69656380BDC975709659978149C3D86E4CD320AD51B6EEF66D41D2F1173DFFD735CC5C2106B93665E2F5E1797570687F4FB9F20389CD3DF2E6186F38EDF4D833F47EEB0FF57418C3360F781987527D92F1DE498B015F101CB125E621B3E4394F'
             );
             assert.strictEqual(statements[0].statementDate, new Date('2025-10-21').toISOString());
+            assert.strictEqual(statements[0].periodEnd, '2025-10-21');
             assert.strictEqual(statements[0].account, mockAccount);
 
             // Verify statements are sorted by date descending
@@ -297,6 +298,29 @@ describe('American Express API', () => {
             assert.strictEqual(body.view, 'STATEMENTS');
         });
 
+        it('should leave out statements without a readable end date', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        billingStatements: {
+                            recentStatements: [
+                                { statementEndDate: '2025-10-21', downloadOptions: { STATEMENT_PDF: 'https://global.americanexpress.com/api/servicing/v1/documents/statements/AB12?account_key=K' } },
+                                { downloadOptions: { STATEMENT_PDF: 'https://global.americanexpress.com/api/servicing/v1/documents/statements/CD34?account_key=K' } },
+                            ],
+                            olderStatements: [
+                                { statementEndDate: 'October 2024', downloadOptions: { STATEMENT_PDF: 'https://global.americanexpress.com/api/servicing/v1/documents/statements/EF56?account_key=K' } },
+                            ],
+                        },
+                    }),
+                })
+            );
+
+            const statements = await getStatements(mockAccount);
+
+            assert.deepStrictEqual(statements.map(statement => statement.statementId), ['AB12']);
+        });
+
         it('should handle empty statement list', async () => {
             const mockResponse = {
                 billingStatements: {
@@ -612,10 +636,43 @@ describe('American Express API', () => {
             await assert.rejects(getProfile('test-session'), /American Express API request failed: 401 Unauthorized/);
         });
 
+        it('should report an expired session on 401', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 401,
+                    statusText: 'Unauthorized',
+                })
+            );
+
+            await assert.rejects(getProfile('test-session'), (error) => {
+                assert.strictEqual(error.cause.code, 'SessionExpired');
+                return true;
+            });
+        });
+
+        it('should report rate limiting on 429', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 429,
+                    statusText: 'Too Many Requests',
+                })
+            );
+
+            await assert.rejects(getProfile('test-session'), (error) => {
+                assert.strictEqual(error.cause.code, 'RateLimited');
+                return true;
+            });
+        });
+
         it('should handle network errors', async () => {
             mockFetch.mock.mockImplementationOnce(() => Promise.reject(new Error('Network error')));
 
-            await assert.rejects(getProfile('test-session'));
+            await assert.rejects(getProfile('test-session'), (error) => {
+                assert.strictEqual(error.cause.code, 'NetworkError');
+                return true;
+            });
         });
     });
 });
@@ -3,7 +3,9 @@
  * 
  * This test verifies that all bank implementations under the "bank" folder
  * follow the protocol declared in bank.types.ts by exporting all required
- * functions and constants.
+ * functions and constants, and that optional functions (declared as
+ * "export declare const name: ((...) => ...) | undefined;") have the
+ * declared signature when a bank opts in.
  */
 
 import { describe, it } from 'node:test';
@@ -20,9 +22,20 @@ const projectRoot = join(__dirname, '..');
 const bankDir = join(projectRoot, 'bank');
 const bankTypesPath = join(bankDir, 'bank.types.ts');
 
+/**
+ * Count required parameters by counting colons (each parameter has a type annotation with a colon)
+ * This works better for complex types than splitting on commas
+ * Optional parameters ("name?: Type") are not counted, matching Function.length for defaults
+ * @param {string} params
+ * @returns {number}
+ */
+function countParams(params) {
+    return params.trim() === '' ? 0 : (params.match(/(?<!\?):/g) || []).length;
+}
+
 /**
  * Parse bank.types.ts to extract required exports and their types
- * @returns {Promise<{exports: Object, arity: Object}>}
+ * @returns {Promise<{exports: Object, arity: Object, optionalArity: Object}>}
  */
 async function parseRequiredExports() {
     const content = await readFile(bankTypesPath, 'utf-8');
@@ -30,12 +43,23 @@ async function parseRequiredExports() {
     // Extract export declarations
     const exports = {};
     const arity = {};
+    const optionalArity = {};
 
     // Match: export declare const name: type;
     const constRegex = /export\s+declare\s+const\s+(\w+):\s*([^;]+);/g;
     let match;
     while ((match = constRegex.exec(content)) !== null) {
         const [, name, type] = match;
+
+        // Match: export declare const name: ((...) => ReturnType) | undefined;
+        if (/\|\s*undefined\s*$/.test(type)) {
+            const signature = type.match(/\(\s*\(([^)]*)\)\s*=>/);
+            if (signature) {
+                optionalArity[name] = countParams(signature[1]);
+            }
+            continue;
+        }
+
         // Normalize type to lowercase for typeof comparison
         const normalizedType = type.trim().toLowerCase();
         exports[name] = normalizedType;
@@ -47,13 +71,10 @@ async function parseRequiredExports() {
         const [, name, params] = match;
         exports[name] = 'function';
 
-        // Count parameters by counting colons (each parameter has a type annotation with a colon)
-        // This works better for complex types than splitting on commas
-        const paramCount = params.trim() === '' ? 0 : (params.match(/:/g) || []).length;
-        arity[name] = paramCount;
+        arity[name] = countParams(params);
     }
 
-    return { exports, arity };
+    return { exports, arity, optionalArity };
 }
 
 /**
@@ -192,4 +213,65 @@ describe('Bank Protocol Compliance', () => {
             }
         }
     });
+
+    it('optional function exports should have correct type and arity when present', async () => {
+        const bankModules = await loadBankModules();
+        const { optionalArity } = await parseRequiredExports();
+
+        assert.ok(Object.keys(optionalArity).length > 0, 'Should declare at least one optional function');
+
+        for (const { file, module } of bankModules) {
+            for (const [funcName, expectedCount] of Object.entries(optionalArity)) {
+                const func = module[funcName];
+                if (func === undefined) {
+                    continue;
+                }
+
+                assert.strictEqual(
+                    typeof func,
+                    'function',
+                    `${file}: optional export "${funcName}" should be of type "function", but got "${typeof func}"`
+                );
+
+                assert.strictEqual(
+                    func.length,
+                    expectedCount,
+                    `${file}: function "${funcName}" should have ${expectedCount} parameter(s), but has ${func.length}`
+                );
+            }
+        }
+    });
+
+    it('getStatementHistoryStart should return a past date or null', async () => {
+        const bankModules = await loadBankModules();
+        const today = new Date().toISOString().split('T')[0];
+
+        for (const { file, module } of bankModules) {
+            if (typeof module.getStatementHistoryStart !== 'function') {
+                continue;
+            }
+
+            const start = module.getStatementHistoryStart();
+            if (start === null) {
+                continue;
+            }
+
+            assert.match(start, /^\d{4}-\d{2}-\d{2}$/, `${file}: history start should be YYYY-MM-DD, got "${start}"`);
+            assert.ok(start <= today, `${file}: history start ${start} should not be in the future`);
+        }
+    });
+
+    it('every bank should be listed in BANK_NAMES of the settings', async () => {
+        const bankModules = await loadBankModules();
+        const { BANK_NAMES } = await import('../extension/settings.mjs');
+
+        for (const { file, module } of bankModules) {
+            assert.strictEqual(
+                BANK_NAMES[module.bankId],
+                module.bankName,
+                `${file}: add "${module.bankId}" to BANK_NAMES in extension/settings.mjs`
+            );
+        }
+        assert.strictEqual(Object.keys(BANK_NAMES).length, bankModules.length, 'BANK_NAMES should only list existing banks');
+    });
 });
@@ -0,0 +1,40 @@
+/**
+ * Unit tests for the shared bank error helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createBankError, createResponseError } = await import('../extension/bank_error.mjs');
+
+describe('Bank error helpers', () => {
+    describe('createBankError', () => {
+        it('should create an error carrying the code', () => {
+            const error = createBankError('ParseError', 'Unexpected response');
+            assert.ok(error instanceof Error);
+            assert.strictEqual(error.message, 'Unexpected response');
+            assert.strictEqual(error.code, 'ParseError');
+        });
+    });
+
+    describe('createResponseError', () => {
+        it('should map the status to a known cause', () => {
+            assert.strictEqual(createResponseError({ status: 401 }, 'Failed').code, 'SessionExpired');
+            assert.strictEqual(createResponseError({ status: 403 }, 'Failed').code, 'SessionExpired');
+            assert.strictEqual(createResponseError({ status: 429 }, 'Failed').code, 'RateLimited');
+            assert.strictEqual(createResponseError({ status: 503 }, 'Failed').code, 'NetworkError');
+        });
+
+        it('should leave other statuses without a code', () => {
+            const error = createResponseError({ status: 404 }, 'Not found');
+            assert.strictEqual(error.message, 'Not found');
+            assert.strictEqual(/** @type {any} */ (error).code, undefined);
+        });
+
+        it('should prefer the codes the bank gives for a status', () => {
+            const error = createResponseError({ status: 401 }, 'Code needed', { 401: 'MfaRequired' });
+            assert.strictEqual(error.code, 'MfaRequired');
+            assert.strictEqual(createResponseError({ status: 403 }, 'Failed', { 401: 'MfaRequired' }).code, 'SessionExpired');
+        });
+    });
+});
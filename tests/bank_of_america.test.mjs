@@ -20,7 +20,7 @@ global.document = {
 
 // Import the module after setting up mocks
 const boaModule = await import('../bank/bank_of_america.mjs');
-const { bankId, getSessionId, getProfile, getAccounts, getStatements, downloadStatement } = boaModule;
+const { bankId, getSessionId, getProfile, getAccounts, getStatements, getStatementHistoryStart, downloadStatement } = boaModule;
 
 describe('Bank of America API', () => {
     beforeEach(() => {
@@ -317,7 +317,7 @@ describe('Bank of America API', () => {
             assert.strictEqual(mockFetch.mock.calls.length, 3);
         });
 
-        it('should filter out non-statement documents', async () => {
+        it('should keep only documents of the requested category', async () => {
             const mockResponse = {
                 status: 'SUCCESS',
                 documentList: [
@@ -354,6 +354,47 @@ describe('Bank of America API', () => {
             // Each year returns 1 statement doc out of 3 total, so 3 years = 3 statements
             assert.strictEqual(statements.length, 3);
             assert.ok(statements[0].statementId.includes('stmt-1'));
+            assert.strictEqual(statements[0].documentType, undefined);
+        });
+
+        it('should return documents of the other listed categories', async () => {
+            const currentYear = new Date().getFullYear();
+            /** @type {Record<string, any[]>} */
+            const documentsByCategory = {
+                DISPFLD001: [{ docId: 'stmt-1', docCategoryId: 'DISPFLD001', adx: mockAccount.accountId, date: `${currentYear}-03-28T00:00:00.000+0000` }],
+                DISPFLD002: [{ docId: 'notice-1', docCategoryId: 'DISPFLD002', adx: mockAccount.accountId, date: `${currentYear}-02-15T00:00:00.000+0000` }],
+                DISPFLD003: [{ docId: 'summary-1', docCategoryId: 'DISPFLD003', adx: mockAccount.accountId, date: `${currentYear}-01-20T00:00:00.000+0000` }],
+                DISPFLD010: [],
+            };
+            mockFetch.mock.mockImplementation((url, options) => {
+                const body = JSON.parse(options.body);
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        status: 'SUCCESS',
+                        documentList: body.year === String(currentYear) ? documentsByCategory[body.docCategoryId] : [],
+                        documentCategoryList: [
+                            { docCategoryName: 'Statements', docCategoryId: 'DISPFLD001' },
+                            { docCategoryName: 'Credit Card Year-end Summary', docCategoryId: 'DISPFLD003' },
+                            { docCategoryName: 'Notifications and Letters', docCategoryId: 'DISPFLD002' },
+                            { docCategoryName: 'Other Account Documents', docCategoryId: 'DISPFLD010' },
+                        ],
+                    }),
+                });
+            });
+
+            const statements = await getStatements(mockAccount, { from: `${currentYear}-01-01` });
+
+            assert.deepStrictEqual(
+                statements.map(s => [s.statementId, s.documentType]),
+                [
+                    [`${mockAccount.accountId}|stmt-1`, undefined],
+                    [`${mockAccount.accountId}|notice-1|DISPFLD002`, 'notice'],
+                    [`${mockAccount.accountId}|summary-1|DISPFLD003`, 'other'],
+                ]
+            );
+            const categories = mockFetch.mock.calls.map(call => JSON.parse(call.arguments[1].body).docCategoryId);
+            assert.deepStrictEqual(categories, ['DISPFLD001', 'DISPFLD003', 'DISPFLD002', 'DISPFLD010']);
         });
 
         it('should handle empty statement list', async () => {
@@ -367,6 +408,31 @@ describe('Bank of America API', () => {
             const statements = await getStatements(mockAccount);
             assert.strictEqual(statements.length, 0);
         });
+
+        it('should request only the years within the window', async () => {
+            const currentYear = new Date().getFullYear();
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({ ok: true, json: () => Promise.resolve({ status: 'SUCCESS', documentList: [] }) })
+            );
+
+            await getStatements(mockAccount, { from: `${currentYear - 5}-01-01`, to: `${currentYear - 4}-12-31` });
+
+            const years = mockFetch.mock.calls.map(call => JSON.parse(call.arguments[1].body).year);
+            assert.deepStrictEqual(years, [String(currentYear - 4), String(currentYear - 5)]);
+        });
+
+        it('should not request years older than the statement history', async () => {
+            const currentYear = new Date().getFullYear();
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({ ok: true, json: () => Promise.resolve({ status: 'SUCCESS', documentList: [] }) })
+            );
+
+            await getStatements(mockAccount, { from: '2000-01-01' });
+
+            assert.strictEqual(mockFetch.mock.calls.length, 8);
+            assert.strictEqual(JSON.parse(mockFetch.mock.calls[7].arguments[1].body).year, String(currentYear - 7));
+            assert.strictEqual(getStatementHistoryStart(), `${currentYear - 7}-01-01`);
+        });
     });
 
     describe('getStatements - Credit Card', () => {
@@ -437,6 +503,25 @@ describe('Bank of America API', () => {
             assert.strictEqual(typeof statements[0].statementDate, 'string');
             assert.strictEqual(new Date(statements[0].statementDate).getMonth(), 9); // October (0-indexed)
         });
+
+        it('should leave out documents without a readable date', async () => {
+            const mockResponse = {
+                status: 'SUCCESS',
+                documentList: [
+                    { docId: 'stmt-1', docCategoryId: 'DISPFLD001', adx: mockAccount.accountId, date: '2025-09-18T00:00:00.000+0000' },
+                    { docId: 'stmt-2', docCategoryId: 'DISPFLD001', adx: mockAccount.accountId },
+                    { docId: 'stmt-3', docCategoryId: 'DISPFLD001', adx: mockAccount.accountId, dateString: 'soon' },
+                ],
+            };
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({ ok: true, json: () => Promise.resolve(mockResponse) })
+            );
+
+            const statements = await getStatements(mockAccount);
+
+            assert.ok(statements.length > 0);
+            assert.ok(statements.every(statement => statement.statementId.endsWith('|stmt-1')));
+        });
     });
 
     describe('downloadStatement', () => {
@@ -608,6 +693,39 @@ describe('Bank of America API', () => {
             assert.ok(downloadUrl.includes('adx=ejggfsfoubey234'));
             assert.ok(downloadUrl.includes('documentId=epdje567'));
         });
+
+        it('should refresh the category of documents other than statements', async () => {
+            const mockPdfBlob = new Blob([new Uint8Array(200000)], { type: 'application/pdf' });
+            const noticeStatement = {
+                account: mockAccount,
+                statementId: `${mockAccount.accountId}|notice-1|DISPFLD002`,
+                statementDate: new Date(2025, 1, 15).toISOString(),
+                documentType: 'notice',
+            };
+
+            let callCount = 0;
+            mockFetch.mock.mockImplementation(() => {
+                callCount++;
+                if (callCount === 1) {
+                    return Promise.resolve({ ok: true, json: () => Promise.resolve({ status: 'SUCCESS' }) });
+                }
+                return Promise.resolve({
+                    ok: true,
+                    blob: () => Promise.resolve(mockPdfBlob),
+                    headers: {
+                        get: (name) => (name === 'content-type' ? 'application/pdf' : null),
+                    },
+                });
+            });
+
+            await downloadStatement(noticeStatement);
+
+            const refreshBody = JSON.parse(mockFetch.mock.calls[0].arguments[1].body);
+            assert.strictEqual(refreshBody.docCategoryId, 'DISPFLD002');
+            const downloadUrl = mockFetch.mock.calls[1].arguments[0];
+            assert.ok(downloadUrl.includes(`adx=${mockAccount.accountId}`));
+            assert.ok(downloadUrl.includes('documentId=notice-1&'));
+        });
     });
 
     describe('Error Handling', () => {
@@ -628,7 +746,11 @@ describe('Bank of America API', () => {
                 })
             );
 
-            await assert.rejects(getStatements(mockAccount), /API request failed: 401 Unauthorized/);
+            await assert.rejects(getStatements(mockAccount), (error) => {
+                assert.match(error.message, /API request failed: 401 Unauthorized/);
+                assert.strictEqual(error.cause.code, 'SessionExpired');
+                return true;
+            });
         });
 
         it('should handle invalid response format', async () => {
@@ -647,7 +769,11 @@ describe('Bank of America API', () => {
                 })
             );
 
-            await assert.rejects(getStatements(mockAccount), /Invalid response format/);
+            await assert.rejects(getStatements(mockAccount), (error) => {
+                assert.match(error.message, /Invalid response format/);
+                assert.strictEqual(error.cause.code, 'ParseError');
+                return true;
+            });
         });
 
         it('should handle network errors', async () => {
@@ -661,7 +787,11 @@ describe('Bank of America API', () => {
 
             mockFetch.mock.mockImplementation(() => Promise.reject(new Error('Network error')));
 
-            await assert.rejects(getStatements(mockAccount), /Network error/);
+            await assert.rejects(getStatements(mockAccount), (error) => {
+                assert.match(error.message, /Network error/);
+                assert.strictEqual(error.cause.code, 'NetworkError');
+                return true;
+            });
         });
     });
 });
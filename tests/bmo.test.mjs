@@ -174,6 +174,9 @@ describe('BMO API', () => {
                                         accountNumber: '1895 4905-784',
                                         currency: 'CAD',
                                         accountIndex: 0,
+                                        asOfDate: '2025-11-17',
+                                        accountBalance: '2006.98',
+                                        availableAmount: '1906.98',
                                     },
                                     {
                                         accountType: 'BANK_ACCOUNT',
@@ -213,6 +216,10 @@ describe('BMO API', () => {
                 accountName: 'Chequing',
                 accountMask: '5784',
                 accountType: 'Checking',
+                currency: 'CAD',
+                currentBalance: 2006.98,
+                availableBalance: 1906.98,
+                asOf: '2025-11-17',
             });
 
             assert.deepStrictEqual(accounts[1], {
@@ -221,6 +228,7 @@ describe('BMO API', () => {
                 accountName: 'Savings',
                 accountMask: '2110',
                 accountType: 'Savings',
+                currency: 'CAD',
             });
         });
 
@@ -622,13 +630,21 @@ describe('BMO API', () => {
                 })
             );
 
-            await assert.rejects(getProfile('test-session'), /API request failed: 401 Unauthorized/);
+            await assert.rejects(getProfile('test-session'), (error) => {
+                assert.match(error.message, /API request failed: 401 Unauthorized/);
+                assert.strictEqual(error.code, 'SessionExpired');
+                return true;
+            });
         });
 
         it('should handle network errors', async () => {
             mockFetch.mock.mockImplementationOnce(() => Promise.reject(new Error('Network error')));
 
-            await assert.rejects(getProfile('test-session'), /Network error/);
+            await assert.rejects(getProfile('test-session'), (error) => {
+                assert.match(error.message, /Network error/);
+                assert.strictEqual(error.code, 'NetworkError');
+                return true;
+            });
         });
     });
 });
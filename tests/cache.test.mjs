@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the session cache
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+/** @type {Record<string, any>} */
+let sessionStore = {};
+global.chrome = {
+    storage: {
+        session: {
+            get: async (/** @type {string | null} */ key) => {
+                if (key === null) return structuredClone(sessionStore);
+                return key in sessionStore ? { [key]: structuredClone(sessionStore[key]) } : {};
+            },
+            set: async (/** @type {Record<string, any>} */ items) => {
+                Object.assign(sessionStore, structuredClone(items));
+            },
+            remove: async (/** @type {string | string[]} */ keys) => {
+                for (const key of [].concat(keys)) delete sessionStore[key];
+            },
+        },
+    },
+};
+
+const { CACHE_TTL, clearCache, getCacheEntry, getCachedData, isCacheEntryFresh, setCachedData } = await import('../extension/cache.mjs');
+
+const CHASE = { bankId: 'chase', sessionId: 'session-1' };
+
+describe('Cache', () => {
+    beforeEach(() => {
+        sessionStore = {};
+    });
+
+    it('should read back data in its scope', async () => {
+        await setCachedData('getAccounts', CHASE, undefined, []);
+        await setCachedData('getTransactions', { ...CHASE, accountId: 'A1' }, '2025-01-01_2025-01-31', []);
+
+        assert.deepStrictEqual(await getCachedData('getAccounts', CHASE), []);
+        assert.deepStrictEqual(await getCachedData('getTransactions', { ...CHASE, accountId: 'A1' }, '2025-01-01_2025-01-31'), []);
+        assert.strictEqual(await getCachedData('getAccounts', { bankId: 'chase', sessionId: 'session-2' }), null);
+        assert.ok('cached_getAccounts_chase_session-1' in sessionStore);
+        assert.ok('cached_getTransactions_chase_session-1_A1_2025-01-01_2025-01-31' in sessionStore);
+    });
+
+    it('should drop data older than the TTL but keep the entry readable until then', async () => {
+        await setCachedData('getAccounts', CHASE, undefined, []);
+        sessionStore['cached_getAccounts_chase_session-1'].timestamp -= CACHE_TTL + 1;
+
+        const entry = await getCacheEntry('getAccounts', CHASE);
+        assert.ok(entry);
+        assert.strictEqual(isCacheEntryFresh(entry), false);
+
+        assert.strictEqual(await getCachedData('getAccounts', CHASE), null);
+        assert.strictEqual(await getCacheEntry('getAccounts', CHASE), null);
+    });
+
+    it('should clear only the entries of an account', async () => {
+        await setCachedData('getAccounts', CHASE, undefined, []);
+        await setCachedData('getStatements', { ...CHASE, accountId: 'A1' }, '2025-01-01_', []);
+        await setCachedData('getStatements', { ...CHASE, accountId: 'A2' }, '2025-01-01_', []);
+
+        await clearCache({ bankId: 'chase', accountId: 'A1' });
+
+        assert.deepStrictEqual(Object.keys(sessionStore).sort(), [
+            'cached_getAccounts_chase_session-1',
+            'cached_getStatements_chase_session-1_A2_2025-01-01_',
+        ]);
+    });
+
+    it('should clear only the entries of a bank or session', async () => {
+        await setCachedData('getAccounts', CHASE, undefined, []);
+        await setCachedData('getAccounts', { bankId: 'chase', sessionId: 'session-2' }, undefined, []);
+        await setCachedData('getAccounts', { bankId: 'citi', sessionId: 'session-3' }, undefined, []);
+
+        await clearCache({ bankId: 'chase', sessionId: 'session-1' });
+        assert.deepStrictEqual(Object.keys(sessionStore).sort(), [
+            'cached_getAccounts_chase_session-2',
+            'cached_getAccounts_citi_session-3',
+        ]);
+
+        await clearCache({ bankId: 'chase' });
+        assert.deepStrictEqual(Object.keys(sessionStore), ['cached_getAccounts_citi_session-3']);
+    });
+
+    it('should clear every cache entry but nothing else without a scope', async () => {
+        await setCachedData('getAccounts', CHASE, undefined, []);
+        sessionStore.bulk_download_job = { status: 'done' };
+
+        await clearCache();
+
+        assert.deepStrictEqual(Object.keys(sessionStore), ['bulk_download_job']);
+    });
+});
@@ -26,6 +26,22 @@ global.document = {
 const chaseModule = await import('../bank/chase.mjs');
 const { bankId, bankName, getSessionId, getProfile, getAccounts, getStatements, downloadStatement } = chaseModule;
 
+/**
+ * Mock the document reference API, answering each date filter with its own response
+ * @param {any} currentYearResponse
+ * @param {any} [priorYearResponse]
+ */
+function mockDocRefs(currentYearResponse, priorYearResponse = { code: 'SUCCESS', idaldocRefs: [] }) {
+    mockFetch.mock.mockImplementation((url, options) =>
+        Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve(
+                options.body.includes('PRIOR_YEAR') ? priorYearResponse : currentYearResponse
+            ),
+        })
+    );
+}
+
 describe('Chase API', () => {
     beforeEach(() => {
         // Reset fetch mock between tests for isolation
@@ -191,6 +207,35 @@ describe('Chase API', () => {
             assert.strictEqual(loans.length, 1);
             assert.strictEqual(loans[0].accountId, 'TU62');
         });
+
+        it('should read balances and available credit from the account tiles', async () => {
+            const mockResponse = {
+                code: 'SUCCESS',
+                currentDateTime: '2025-11-17T06:00:00.000Z',
+                accountTiles: [
+                    {
+                        accountId: 894084738,
+                        accountTileType: 'CARD',
+                        mask: '5673',
+                        nickname: 'Freedom X',
+                        tileDetail: { availableBalance: 6000.0, currentBalance: 125.5, productGroupCode: 2 },
+                    },
+                    { accountId: 'MR7', productGroupCode: 3, nickname: 'Auto Loan', mask: '3951' },
+                ],
+            };
+            mockFetch.mock.mockImplementationOnce(() => Promise.resolve({ ok: true, json: () => Promise.resolve(mockResponse) }));
+            const accounts = await getAccounts(mockProfile);
+
+            assert.strictEqual(accounts[0].accountId, '894084738');
+            assert.strictEqual(accounts[0].currency, 'USD');
+            assert.strictEqual(accounts[0].currentBalance, 125.5);
+            assert.strictEqual(accounts[0].availableCredit, 6000);
+            assert.strictEqual(accounts[0].availableBalance, undefined);
+            assert.strictEqual(accounts[0].asOf, '2025-11-17T06:00:00.000Z');
+
+            assert.strictEqual(accounts[1].currentBalance, undefined);
+            assert.strictEqual(accounts[1].asOf, undefined);
+        });
     });
 
     describe('getStatements - Credit Card', () => {
@@ -230,27 +275,23 @@ describe('Chase API', () => {
                 ],
             };
 
-            mockFetch.mock.mockImplementationOnce(() =>
-                Promise.resolve({
-                    ok: true,
-                    json: () => Promise.resolve(mockResponse),
-                })
-            );
+            mockDocRefs(mockResponse);
 
             const statements = await getStatements(mockAccount);
 
             assert.strictEqual(statements.length, 3);
             assert.strictEqual(statements[0].statementId, 'h9b24299-eg0e-6d0d-1b52-ef268ghfdi08');
             assert.strictEqual(statements[0].statementDate, new Date(2025, 8, 18).toISOString()); // September 18, 2025
+            assert.strictEqual(statements[0].periodEnd, '2025-09-18');
             assert.strictEqual(statements[0].account, mockAccount);
 
             // Verify statements are sorted by date descending
             assert.ok(new Date(statements[0].statementDate).getTime() > new Date(statements[1].statementDate).getTime());
             assert.ok(new Date(statements[1].statementDate).getTime() > new Date(statements[2].statementDate).getTime());
 
-            // Verify API call
+            // Verify API calls: one per date filter, newest first
             const calls = mockFetch.mock.calls;
-            assert.strictEqual(calls.length, 1);
+            assert.strictEqual(calls.length, 2);
             assert.strictEqual(
                 calls[0].arguments[0],
                 'https://secure.chase.com/svc/rr/documents/secure/idal/v2/docref/list'
@@ -258,9 +299,67 @@ describe('Chase API', () => {
             assert.strictEqual(calls[0].arguments[1].method, 'POST');
             assert.ok(calls[0].arguments[1].body.includes('accountFilter=' + mockAccount.accountId));
             assert.ok(calls[0].arguments[1].body.includes('dateFilter.idalDateFilterType=CURRENT_YEAR'));
+            assert.ok(calls[1].arguments[1].body.includes('dateFilter.idalDateFilterType=PRIOR_YEAR'));
+        });
+
+        it('should merge and de-duplicate statements of all date filters', async () => {
+            const currentYear = new Date().getFullYear();
+            mockDocRefs(
+                {
+                    idaldocRefs: [
+                        { documentId: 'stmt-feb', documentDate: `${currentYear}0218`, idaldocType: 'STMT' },
+                        { documentId: 'stmt-jan', documentDate: `${currentYear}0118`, idaldocType: 'STMT' },
+                    ],
+                },
+                {
+                    idaldocRefs: [
+                        { documentId: 'stmt-jan', documentDate: `${currentYear}0118`, idaldocType: 'STMT' },
+                        { documentId: 'stmt-dec', documentDate: `${currentYear - 1}1218`, idaldocType: 'STMT' },
+                    ],
+                }
+            );
+
+            const statements = await getStatements(mockAccount);
+
+            assert.deepStrictEqual(statements.map(statement => statement.statementId), ['stmt-feb', 'stmt-jan', 'stmt-dec']);
+        });
+
+        it('should only load the years up to the requested end date', async () => {
+            const currentYear = new Date().getFullYear();
+            mockDocRefs(
+                { idaldocRefs: [] },
+                {
+                    idaldocRefs: [
+                        { documentId: 'stmt-dec', documentDate: `${currentYear - 1}1218`, idaldocType: 'STMT' },
+                        { documentId: 'stmt-jun', documentDate: `${currentYear - 1}0618`, idaldocType: 'STMT' },
+                    ],
+                }
+            );
+
+            const statements = await getStatements(mockAccount, { to: `${currentYear - 1}-11-30` });
+
+            assert.deepStrictEqual(statements.map(statement => statement.statementId), ['stmt-jun']);
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+            assert.ok(mockFetch.mock.calls[0].arguments[1].body.includes('dateFilter.idalDateFilterType=PRIOR_YEAR'));
         });
 
-        it('should filter out non-statement documents', async () => {
+        it('should only load the years from the requested start date', async () => {
+            const currentYear = new Date().getFullYear();
+            mockDocRefs({
+                idaldocRefs: [
+                    { documentId: 'stmt-mar', documentDate: `${currentYear}0318`, idaldocType: 'STMT' },
+                    { documentId: 'stmt-jan', documentDate: `${currentYear}0118`, idaldocType: 'STMT' },
+                ],
+            });
+
+            const statements = await getStatements(mockAccount, { from: `${currentYear}-02-01` });
+
+            assert.deepStrictEqual(statements.map(statement => statement.statementId), ['stmt-mar']);
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+            assert.ok(mockFetch.mock.calls[0].arguments[1].body.includes('dateFilter.idalDateFilterType=CURRENT_YEAR'));
+        });
+
+        it('should return other documents with their document type', async () => {
             const mockResponse = {
                 code: 'SUCCESS',
                 idaldocRefs: [
@@ -279,20 +378,42 @@ describe('Chase API', () => {
                         documentDate: '20250101',
                         idaldocType: 'TAX',
                     },
+                    {
+                        documentId: 'summary-5',
+                        documentDate: '20250115',
+                        documentTypeDesc: 'Year-end mortgage',
+                    },
                 ],
             };
 
-            mockFetch.mock.mockImplementationOnce(() =>
-                Promise.resolve({
-                    ok: true,
-                    json: () => Promise.resolve(mockResponse),
-                })
+            mockDocRefs(mockResponse);
+
+            const statements = await getStatements(mockAccount);
+
+            assert.deepStrictEqual(
+                statements.map(s => [s.statementId, s.documentType]),
+                [
+                    ['stmt-2', undefined],
+                    ['notice-3', 'notice'],
+                    ['summary-5', 'other'],
+                    ['tax-4', 'tax'],
+                ]
             );
+        });
+
+        it('should leave out documents without a readable date', async () => {
+            mockDocRefs({
+                code: 'SUCCESS',
+                idaldocRefs: [
+                    { documentId: 'stmt-2', documentDate: '20250918', idaldocType: 'STMT' },
+                    { documentId: 'undated-3', idaldocType: 'STMT' },
+                    { documentId: 'garbled-4', documentDate: 'not a date', idaldocType: 'STMT' },
+                ],
+            });
 
             const statements = await getStatements(mockAccount);
 
-            assert.strictEqual(statements.length, 1);
-            assert.strictEqual(statements[0].statementId, 'stmt-2');
+            assert.deepStrictEqual(statements.map(s => s.statementId), ['stmt-2']);
         });
 
         it('should handle empty statement list', async () => {
@@ -301,12 +422,7 @@ describe('Chase API', () => {
                 idaldocRefs: [],
             };
 
-            mockFetch.mock.mockImplementationOnce(() =>
-                Promise.resolve({
-                    ok: true,
-                    json: () => Promise.resolve(mockResponse),
-                })
-            );
+            mockDocRefs(mockResponse);
 
             const statements = await getStatements(mockAccount);
 
@@ -359,12 +475,7 @@ describe('Chase API', () => {
                 ],
             };
 
-            mockFetch.mock.mockImplementationOnce(() =>
-                Promise.resolve({
-                    ok: true,
-                    json: () => Promise.resolve(mockResponse),
-                })
-            );
+            mockDocRefs(mockResponse);
 
             const statements = await getStatements(mockAccount);
 
@@ -450,6 +561,9 @@ describe('Chase API', () => {
             );
             assert.ok(calls[1].arguments[1].body.includes('accountFilter=905195849'));
             assert.ok(calls[1].arguments[1].body.includes('documentId=g9c24299-eg0e-6d0d-1b52-ef268ghfdi08'));
+            assert.ok(calls[1].arguments[1].body.includes(
+                `dateFilter.idalDateFilterType=${new Date().getFullYear() === 2025 ? 'CURRENT_YEAR' : 'PRIOR_YEAR'}`
+            ));
 
             // Verify PDF download request
             const downloadUrl = calls[2].arguments[0];
@@ -538,7 +652,11 @@ describe('Chase API', () => {
                 })
             );
 
-            await assert.rejects(getStatements(mockAccount), /Chase API request failed: 401 Unauthorized/);
+            await assert.rejects(getStatements(mockAccount), (error) => {
+                assert.match(error.message, /Chase API request failed: 401 Unauthorized/);
+                assert.strictEqual(error.cause.code, 'SessionExpired');
+                return true;
+            });
         });
 
         it('should handle network errors', async () => {
@@ -552,7 +670,10 @@ describe('Chase API', () => {
 
             mockFetch.mock.mockImplementationOnce(() => Promise.reject(new Error('Network error')));
 
-            await assert.rejects(getStatements(mockAccount));
+            await assert.rejects(getStatements(mockAccount), (error) => {
+                assert.strictEqual(error.cause.code, 'NetworkError');
+                return true;
+            });
         });
     });
 });
@@ -763,7 +763,11 @@ describe('Chime API', () => {
 
             await assert.rejects(
                 getAccounts(mockProfile),
-                /Chime GraphQL error 401 Unauthorized \(HomeFeedAccountsQuery\)/
+                (error) => {
+                    assert.match(error.message, /Chime GraphQL error 401 Unauthorized \(HomeFeedAccountsQuery\)/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
 
@@ -808,7 +812,11 @@ describe('Chime API', () => {
 
             await assert.rejects(
                 getAccounts(mockProfile),
-                /Invalid GraphQL response for HomeFeedAccountsQuery/
+                (error) => {
+                    assert.match(error.message, /Invalid GraphQL response for HomeFeedAccountsQuery/);
+                    assert.strictEqual(error.cause.code, 'ParseError');
+                    return true;
+                }
             );
         });
 
@@ -825,7 +833,11 @@ describe('Chime API', () => {
 
             await assert.rejects(
                 getAccounts(mockProfile),
-                /Network error/
+                (error) => {
+                    assert.match(error.message, /Network error/);
+                    assert.strictEqual(error.cause.code, 'NetworkError');
+                    return true;
+                }
             );
         });
     });
@@ -378,6 +378,13 @@ describe('Citi API', () => {
                     json: () => Promise.resolve(mockResponse),
                 })
             );
+            // The balances of the latest statement are loaded next
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ accountLedgerData: [] }),
+                }), 1
+            );
 
             const statements = await getStatements(mockAccount);
 
@@ -397,13 +404,18 @@ describe('Citi API', () => {
 
             // Verify account reference
             assert.strictEqual(statements[0].account, mockAccount);
+            assert.strictEqual(statements[0].periodEnd, '2025-07-17');
 
             const calls = mockFetch.mock.calls;
-            assert.strictEqual(calls.length, 1);
+            assert.strictEqual(calls.length, 2);
             assert.strictEqual(
                 calls[0].arguments[0],
                 'https://online.citi.com/gcgapi/prod/public/v1/v2/digital/card/accounts/statements/accountsAndStatements/retrieve'
             );
+            assert.strictEqual(
+                calls[1].arguments[0],
+                'https://online.citi.com/gcgapi/prod/public/v1/cbol/accounts/details/balances?isRedesignPage=true'
+            );
 
             // Verify request body
             const requestInit = calls[0].arguments[1];
@@ -412,6 +424,88 @@ describe('Citi API', () => {
             assert.deepStrictEqual(body, { accountId: mockAccount.accountId });
         });
 
+        it('should add the balance, minimum payment and due date of the latest statement', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        statementsByYear: [
+                            {
+                                displayYearTitle: '2025',
+                                statementsByMonth: [
+                                    { displayDate: 'October 17', statementDate: '10/17/2025' },
+                                    { displayDate: 'September 18', statementDate: '09/18/2025' },
+                                ],
+                            },
+                        ],
+                    }),
+                })
+            );
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        accountLedgerData: [
+                            {
+                                accountMetaData: { accountId: 'another-card' },
+                                accountBalance: { statementBalanceAmount: '99.0', prevStatementClosingDate: 'Oct 17, 2025' },
+                            },
+                            {
+                                accountMetaData: { accountId: mockAccount.accountId },
+                                accountBalance: {
+                                    currentBalanceAmount: '310.25',
+                                    statementBalanceAmount: '1234.56',
+                                    minimumPaymentAmount: '35.0',
+                                    paymentDueDate: 'Nov 15, 2025',
+                                    nextStatementClosingDate: 'Nov 19, 2025',
+                                    prevStatementClosingDate: 'Oct 17, 2025',
+                                },
+                            },
+                        ],
+                    }),
+                }), 1
+            );
+
+            const statements = await getStatements(mockAccount);
+
+            assert.strictEqual(statements[0].closingBalance, 1234.56);
+            assert.strictEqual(statements[0].minimumPaymentDue, 35);
+            assert.strictEqual(statements[0].paymentDueDate, '2025-11-15');
+            assert.strictEqual(statements[1].closingBalance, undefined);
+            assert.strictEqual(statements[1].paymentDueDate, undefined);
+        });
+
+        it('should list statements without figures when the balances fail to load', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({
+                        statementsByYear: [
+                            { displayYearTitle: '2025', statementsByMonth: [{ statementDate: '10/17/2025' }] },
+                        ],
+                    }),
+                })
+            );
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 503,
+                    statusText: 'Service Unavailable',
+                }), 1
+            );
+            const warn = mock.method(console, 'warn', () => {});
+
+            try {
+                const statements = await getStatements(mockAccount);
+
+                assert.strictEqual(statements.length, 1);
+                assert.strictEqual(statements[0].closingBalance, undefined);
+                assert.strictEqual(warn.mock.calls.length, 1);
+            } finally {
+                warn.mock.restore();
+            }
+        });
+
         it('should handle empty statements list', async () => {
             const mockResponse = {
                 statementsByYear: [],
@@ -566,7 +660,11 @@ describe('Citi API', () => {
 
             await assert.rejects(
                 async () => await getProfile('test-session-id'),
-                /Network error/
+                (error) => {
+                    assert.match(error.message, /Network error/);
+                    assert.strictEqual(error.cause.code, 'NetworkError');
+                    return true;
+                }
             );
         });
 
@@ -595,7 +693,11 @@ describe('Citi API', () => {
 
             await assert.rejects(
                 async () => await getProfile('test-session-id'),
-                /Citi API request failed: 401 Unauthorized/
+                (error) => {
+                    assert.match(error.message, /Citi API request failed: 401 Unauthorized/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
     });
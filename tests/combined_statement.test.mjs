@@ -0,0 +1,126 @@
+/**
+ * Unit tests for splitting combined statements per account
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+
+const { findAccountPages, mentionsAccount, splitCombinedStatement } = await import('../extension/combined_statement.mjs');
+const { getPageText, getPages, parsePdf } = await import('../extension/pdf.mjs');
+
+/**
+ * Build a PDF with one page per text
+ * @param {string[]} texts
+ * @returns {Uint8Array}
+ */
+function buildPdf(texts) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${texts.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${texts.length} /Resources << /Font << /F1 3 0 R >> >> >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ].map(dict => Buffer.from(dict, 'latin1'));
+
+    texts.forEach((text, i) => {
+        objects.push(Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${5 + i * 2} 0 R >>`, 'latin1'));
+        const stream = deflateSync(Buffer.from(`BT /F1 12 Tf 50 700 Td (${text}) Tj ET`, 'latin1'));
+        objects.push(Buffer.concat([
+            Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            stream,
+            Buffer.from('\nendstream', 'latin1'),
+        ]));
+    });
+
+    return Buffer.concat([
+        Buffer.from('%PDF-1.4\n', 'latin1'),
+        ...objects.map((body, i) => Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')])),
+        Buffer.from(`trailer\n<< /Root 1 0 R >>\n%%EOF\n`, 'latin1'),
+    ]);
+}
+
+/**
+ * Read the text of each page of a PDF
+ * @param {Uint8Array} bytes
+ * @returns {string[]}
+ */
+function readPageTexts(bytes) {
+    const doc = parsePdf(bytes);
+    return getPages(doc).map(page => getPageText(doc, page).trim());
+}
+
+describe('Combined statements', () => {
+    describe('mentionsAccount', () => {
+        it('should match masks at the end of account numbers', () => {
+            assert.strictEqual(mentionsAccount('Account X12-341644', '1644'), true);
+            assert.strictEqual(mentionsAccount('Account ending in *1644.', '1644'), true);
+            assert.strictEqual(mentionsAccount('Account 1644, Individual', '1644'), true);
+        });
+
+        it('should not match amounts or longer numbers', () => {
+            assert.strictEqual(mentionsAccount('Balance $1,644.50', '1644'), false);
+            assert.strictEqual(mentionsAccount('Balance 1644,50', '1644'), false);
+            assert.strictEqual(mentionsAccount('Reference 16448', '1644'), false);
+        });
+    });
+
+    describe('findAccountPages', () => {
+        it('should follow account sections across pages without account numbers', () => {
+            const pages = [
+                'Summary of accounts 1111 2222',
+                'Account 1111 activity',
+                'continued',
+                'Account 2222 activity',
+                'continued',
+                'Important information',
+            ];
+
+            assert.deepStrictEqual(findAccountPages(pages, '1111', ['2222']), [1, 2]);
+            assert.deepStrictEqual(findAccountPages(pages, '2222', ['1111']), [3, 4, 5]);
+        });
+
+        it('should keep pages of the current account that mention another account', () => {
+            const pages = ['Account 1111', 'Transfer to 2222 from 1111', 'Account 2222'];
+            assert.deepStrictEqual(findAccountPages(pages, '1111', ['2222']), [0, 1]);
+        });
+
+        it('should accept masks with prefixes', () => {
+            assert.deepStrictEqual(findAccountPages(['Share 1644', 'Share 0001'], '*1644', ['*0001']), [0]);
+        });
+
+        it('should return null when the pages cannot be told apart', () => {
+            // No other accounts known
+            assert.strictEqual(findAccountPages(['Account 1111'], '1111', []), null);
+            // The statement never mentions another account
+            assert.strictEqual(findAccountPages(['Account 1111', 'continued'], '1111', ['2222']), null);
+            // The account never has a page of its own
+            assert.strictEqual(findAccountPages(['Accounts 1111 2222', 'Account 2222'], '1111', ['2222']), null);
+            // No digits in the mask
+            assert.strictEqual(findAccountPages(['Account 1111'], 'N/A', ['2222']), null);
+        });
+    });
+
+    describe('splitCombinedStatement', () => {
+        it('should keep only the pages of the account', () => {
+            const bytes = buildPdf(['Summary 1111 2222', 'Account 1111', 'More 1111 activity', 'Account 2222']);
+            const result = splitCombinedStatement(bytes, '1111', ['2222']);
+
+            assert.ok(result);
+            assert.deepStrictEqual(readPageTexts(result), ['Account 1111', 'More 1111 activity']);
+        });
+
+        it('should return null when every page belongs to the account', () => {
+            const bytes = buildPdf(['Account 1111', 'continued']);
+            assert.strictEqual(splitCombinedStatement(bytes, '1111', ['2222']), null);
+        });
+
+        it('should return null for encrypted documents', () => {
+            const bytes = Buffer.concat([buildPdf(['Account 1111', 'Account 2222']), Buffer.from('trailer\n<< /Root 1 0 R /Encrypt 9 0 R >>\n')]);
+            assert.strictEqual(splitCombinedStatement(bytes, '1111', ['2222']), null);
+        });
+
+        it('should return null when no text can be read', () => {
+            const bytes = buildPdf(['', '']);
+            assert.strictEqual(splitCombinedStatement(bytes, '1111', ['2222']), null);
+        });
+    });
+});
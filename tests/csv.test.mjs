@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the CSV transaction writer
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { DEFAULT_CSV_OPTIONS, formatCsvDate, formatCsvNumber, toCsv } = await import('../extension/csv.mjs');
+
+const account = {
+    profile: {
+        sessionId: 'session',
+        profileId: 'profile',
+        profileName: 'John Doe',
+    },
+    accountId: '235052283',
+    accountName: 'Savings Plus',
+    accountMask: '283',
+    accountType: /** @type {const} */ ('Savings'),
+};
+
+const transactions = [
+    {
+        date: '2025-10-01',
+        postedDate: '2025-10-02',
+        description: 'Interac e-Transfer sent to Jane Smith',
+        amount: -2011,
+        currency: 'CAD',
+        runningBalance: 2001.99,
+    },
+    {
+        date: '2025-10-31',
+        description: 'Interest received',
+        amount: 1.15,
+        currency: 'CAD',
+        runningBalance: 8011.14,
+        category: 'Interest',
+        referenceId: 'TX-2',
+    },
+];
+
+describe('CSV writer', () => {
+    describe('toCsv', () => {
+        it('should write the default columns with a header row', () => {
+            const csv = toCsv(transactions, account);
+
+            assert.strictEqual(csv, [
+                'Date,Description,Amount,Currency,Balance,Category,Reference',
+                '2025-10-01,Interac e-Transfer sent to Jane Smith,-2011.00,CAD,2001.99,,',
+                '2025-10-31,Interest received,1.15,CAD,8011.14,Interest,TX-2',
+                '',
+            ].join('\r\n'));
+        });
+
+        it('should write only the selected columns in order', () => {
+            const csv = toCsv(transactions, account, {
+                columns: ['accountMask', 'postedDate', 'debit', 'credit', 'accountName'],
+            });
+
+            assert.deepStrictEqual(csv.trim().split('\r\n'), [
+                'Account Number,Posted Date,Debit,Credit,Account',
+                '283,2025-10-02,2011.00,,Savings Plus',
+                '283,2025-10-31,,1.15,Savings Plus',
+            ]);
+        });
+
+        it('should use the default columns when none are selected', () => {
+            const csv = toCsv([], account, { columns: [] });
+            assert.strictEqual(csv, 'Date,Description,Amount,Currency,Balance,Category,Reference\r\n');
+            assert.strictEqual(DEFAULT_CSV_OPTIONS.columns.length, 7);
+        });
+
+        it('should separate fields with semicolons when using a decimal comma', () => {
+            const csv = toCsv(transactions, account, {
+                columns: ['date', 'amount', 'runningBalance'],
+                dateFormat: 'DD.MM.YYYY',
+                decimalSeparator: ',',
+            });
+
+            assert.deepStrictEqual(csv.trim().split('\r\n'), [
+                'Date;Amount;Balance',
+                '01.10.2025;-2011,00;2001,99',
+                '31.10.2025;1,15;8011,14',
+            ]);
+        });
+
+        it('should quote fields with delimiters, quotes and line breaks', () => {
+            const csv = toCsv([{
+                date: '2025-10-01',
+                description: 'Coffee, "large"\nto go',
+                amount: -4.5,
+                currency: 'USD',
+            }], account, { columns: ['description'] });
+
+            assert.strictEqual(csv, 'Description\r\n"Coffee, ""large""\nto go"\r\n');
+        });
+
+        it('should keep spreadsheets from evaluating descriptions as formulas', () => {
+            const csv = toCsv([{
+                date: '2025-10-01',
+                description: '=HYPERLINK("http://example.com")',
+                amount: -1,
+                currency: 'USD',
+            }], account, { columns: ['description', 'amount'] });
+
+            assert.strictEqual(csv.split('\r\n')[1], '"\'=HYPERLINK(""http://example.com"")",-1.00');
+        });
+
+        it('should reject unknown columns', () => {
+            assert.throws(() => toCsv(transactions, account, { columns: ['payee'] }), /Unknown CSV column: payee/);
+        });
+    });
+
+    describe('formatCsvDate', () => {
+        it('should format dates with the YYYY, MM and DD tokens', () => {
+            assert.strictEqual(formatCsvDate('2025-03-09', 'MM/DD/YYYY'), '03/09/2025');
+            assert.strictEqual(formatCsvDate('2025-03-09', 'DD/MM/YYYY'), '09/03/2025');
+            assert.strictEqual(formatCsvDate('2025-03-09T00:00:00.000Z', 'YYYY-MM-DD'), '2025-03-09');
+        });
+    });
+
+    describe('formatCsvNumber', () => {
+        it('should format numbers with two decimals', () => {
+            assert.strictEqual(formatCsvNumber(1234.5, '.'), '1234.50');
+            assert.strictEqual(formatCsvNumber(-0.1, ','), '-0,10');
+        });
+    });
+});
@@ -22,6 +22,18 @@ global.document = {
     cookie: 'customerId=12345678; cif=87654321; sectoken=abc123def456; other=value',
 };
 
+/**
+ * Find the code of an error thrown by the bank module, following the errors it was wrapped in
+ * @param {any} error
+ * @returns {string | undefined}
+ */
+function getErrorCode(error) {
+    for (let cause = error; cause; cause = cause.cause) {
+        if (cause.code) return cause.code;
+    }
+    return undefined;
+}
+
 // Mock window.location for domain checks
 global.window = {
     location: {
@@ -619,6 +631,50 @@ describe('Discover API', () => {
             assert.strictEqual(statements[1].statementDate, new Date('2025-09-20').toISOString());
         });
 
+        it('should read the statement periods and the latest closing balance', async () => {
+            window.location.hostname = 'card.discover.com';
+
+            const mockRecentResponse = {
+                summaryData: {
+                    lastStmtDate: '10/20/2025',
+                    lastStmtBal: '1,034.87',
+                },
+            };
+
+            const mockStmtListResponse = {
+                jsonResponse: JSON.stringify({
+                    statements: [
+                        {
+                            fromDate: '09/21/2025',
+                            toDate: '10/20/2025',
+                            pdfAvailable: true,
+                            pdfUri: '/cardmembersvcs/statements/app/stmtPDF?view=true&date=20251020',
+                        },
+                        {
+                            fromDate: '08/21/2025',
+                            toDate: '09/20/2025',
+                            pdfAvailable: true,
+                            pdfUri: '/cardmembersvcs/statements/app/stmtPDF?view=true&date=20250920',
+                        },
+                    ],
+                }),
+            };
+
+            mockFetch.mock.mockImplementation((url) => Promise.resolve({
+                ok: true,
+                text: () => Promise.resolve(")]}'," + JSON.stringify(url.includes('/transactions/v1/recent') ? mockRecentResponse : mockStmtListResponse)),
+            }));
+
+            const statements = await getStatements(testCardAccount);
+
+            assert.strictEqual(statements[0].periodStart, '2025-09-21');
+            assert.strictEqual(statements[0].periodEnd, '2025-10-20');
+            assert.strictEqual(statements[0].closingBalance, 1034.87);
+            assert.strictEqual(statements[1].periodStart, '2025-08-21');
+            assert.strictEqual(statements[1].periodEnd, '2025-09-20');
+            assert.strictEqual(statements[1].closingBalance, undefined);
+        });
+
         it('should handle API errors gracefully', async () => {
             window.location.hostname = 'card.discover.com';
 
@@ -632,7 +688,11 @@ describe('Discover API', () => {
 
             await assert.rejects(
                 () => getStatements(testCardAccount),
-                /API request failed: 500 Internal Server Error/
+                (error) => {
+                    assert.match(error.message, /API request failed: 500 Internal Server Error/);
+                    assert.strictEqual(getErrorCode(error), 'NetworkError');
+                    return true;
+                }
             );
         });
     });
@@ -723,7 +783,11 @@ describe('Discover API', () => {
 
             await assert.rejects(
                 () => getStatements(testBankAccount),
-                /API request failed: 403 Forbidden/
+                (error) => {
+                    assert.match(error.message, /API request failed: 403 Forbidden/);
+                    assert.strictEqual(getErrorCode(error), 'SessionExpired');
+                    return true;
+                }
             );
         });
 
@@ -737,7 +801,11 @@ describe('Discover API', () => {
 
             await assert.rejects(
                 () => getStatements(testBankAccount),
-                /Invalid response format: expected array of statements/
+                (error) => {
+                    assert.match(error.message, /Invalid response format: expected array of statements/);
+                    assert.strictEqual(getErrorCode(error), 'ParseError');
+                    return true;
+                }
             );
         });
     });
@@ -106,7 +106,30 @@ describe('Disnat API', () => {
 
             await assert.rejects(
                 getProfile('test-session-id'),
-                /Invalid response format from demographics API/
+                (error) => {
+                    assert.match(error.message, /Invalid response format from demographics API/);
+                    assert.strictEqual(error.cause.code, 'ParseError');
+                    return true;
+                }
+            );
+        });
+
+        it('should report an expired session when the demographics API returns 401', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 401,
+                    statusText: 'Unauthorized',
+                })
+            );
+
+            await assert.rejects(
+                getProfile('test-session-id'),
+                (error) => {
+                    assert.match(error.message, /Disnat API request failed: 401 Unauthorized/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
 
@@ -227,12 +250,17 @@ describe('Disnat API', () => {
             assert.strictEqual(accounts[0].accountName, 'CASH CAD');
             assert.strictEqual(accounts[0].accountMask, 'KAA2');
             assert.strictEqual(accounts[0].accountType, 'Investment');
+            assert.strictEqual(accounts[0].currency, 'CAD');
+            assert.strictEqual(accounts[0].currentBalance, 8571.75);
+            assert.ok(accounts[0].asOf);
 
             // Verify USD account
             assert.strictEqual(accounts[1].accountId, '6N3KAB0');
             assert.strictEqual(accounts[1].accountName, 'CASH USD');
             assert.strictEqual(accounts[1].accountMask, 'KAB0');
             assert.strictEqual(accounts[1].accountType, 'Investment');
+            assert.strictEqual(accounts[1].currency, 'USD');
+            assert.strictEqual(accounts[1].currentBalance, 8.8);
 
             const calls = mockFetch.mock.calls;
             assert.strictEqual(calls.length, 1);
@@ -429,10 +457,10 @@ describe('Disnat API', () => {
             const [url] = calls[0].arguments;
             assert.match(url, /\/s9web\/secure\/web-api\/v2\/documents\/info\/clients/);
             assert.match(url, /clientCodes=6N3KA/);
-            assert.match(url, /documentTypes=ETATCOMPTE/);
+            assert.match(url, /documentTypes=ETATCOMPTE&documentTypes=RAP_PERF&documentTypes=RAP_FRAIS&documentTypes=RPFEE_AM/);
         });
 
-        it('should filter out non-ETATCOMPTE documents', async () => {
+        it('should return reports as other documents and skip unknown types', async () => {
             const mockAccount = {
                 profile: {
                     sessionId: 'test-session',
@@ -460,6 +488,13 @@ describe('Disnat API', () => {
                     type: 'RAP_PERF',
                     clientId: '6N3KA',
                 },
+                {
+                    date: '2025-10-31',
+                    id: '211952811',
+                    token: 'cde34567-8901-2cde-fgh2-345678901cde',
+                    type: 'UNKNOWN',
+                    clientId: '6N3KA',
+                },
             ];
 
             mockFetch.mock.mockImplementationOnce(() =>
@@ -471,8 +506,11 @@ describe('Disnat API', () => {
 
             const statements = await getStatements(mockAccount);
 
-            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements.length, 2);
             assert.strictEqual(statements[0].statementId, '578g5c4e-bg1d-5658-cd85-6035450d14e0');
+            assert.strictEqual(statements[0].documentType, undefined);
+            assert.strictEqual(statements[1].statementId, 'bcd23456-7890-1bcd-efg1-234567890bcd');
+            assert.strictEqual(statements[1].documentType, 'other');
         });
 
         it('should skip documents with missing tokens', async () => {
@@ -586,6 +624,33 @@ describe('Disnat API', () => {
                 /Invalid response format from documents API/
             );
         });
+
+        it('should request the window of statement dates', async () => {
+            const mockAccount = {
+                profile: {
+                    sessionId: 'test-session',
+                    profileId: '6N3KA',
+                    profileName: 'JOHN DOE',
+                },
+                accountId: '6N3KAA2',
+                accountName: 'CASH CAD',
+                accountMask: 'JZA2',
+                accountType: 'Investment',
+            };
+
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve([]),
+                })
+            );
+
+            await getStatements(mockAccount, { from: '2021-01-01', to: '2022-12-31' });
+
+            const url = mockFetch.mock.calls[0].arguments[0];
+            assert.ok(url.includes('fromDate=2021-01-01'));
+            assert.ok(url.includes('toDate=2022-12-31'));
+        });
     });
 
     describe('downloadStatement', () => {
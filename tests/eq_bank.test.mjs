@@ -13,6 +13,9 @@ import assert from 'node:assert/strict';
 const mockFetch = mock.fn();
 global.fetch = mockFetch;
 
+// Let the request helper's waits fire immediately
+mock.method(global, 'setTimeout', (/** @type {() => void} */ callback) => setImmediate(callback));
+
 // Mock document.cookie for getEncryptionKey
 global.document = {
     cookie: 'eq_uuid1568ce91d8f1178fb4671d3e646784ee=eHVueS1mb2RzY3N1MTQxYmQubnRsZj==; other=value',
@@ -48,7 +51,7 @@ global.btoa = (str) => Buffer.from(str, 'binary').toString('base64');
 // Import the module after setting up mocks
 // Note: getSessionId tests are skipped because they require crypto.subtle which is read-only in Node.js
 const eqBankModule = await import('../bank/eq_bank.mjs');
-const { bankId, bankName, getProfile, getAccounts, getStatements, downloadStatement } = eqBankModule;
+const { bankId, bankName, getProfile, getAccounts, getStatements, getTransactions, downloadStatement } = eqBankModule;
 
 describe('EQ Bank API', () => {
     beforeEach(() => {
@@ -265,11 +268,17 @@ describe('EQ Bank API', () => {
             assert.strictEqual(accounts[1].accountName, 'US Savings (USD)');
             assert.strictEqual(accounts[1].accountMask, '788');
             assert.strictEqual(accounts[1].accountType, 'Savings');
+            assert.strictEqual(accounts[1].currency, 'USD');
+            assert.strictEqual(accounts[1].currentBalance, 11.75);
+            assert.strictEqual(accounts[1].availableBalance, 11.75);
+            assert.ok(accounts[1].asOf);
 
             // Check CARD (PPC) account
             assert.strictEqual(accounts[2].accountName, 'EQ Bank Card (CAD)');
             assert.strictEqual(accounts[2].accountMask, '7148');
             assert.strictEqual(accounts[2].accountType, 'CreditCard');
+            // Prepaid card balances are not amounts owed
+            assert.strictEqual(accounts[2].currentBalance, undefined);
         });
 
         it('should skip closed accounts', async () => {
@@ -378,6 +387,25 @@ describe('EQ Bank API', () => {
             profileName: 'John Doe',
         };
 
+        /**
+         * Answer the accounts API with the accounts and the transactions API with the month's transactions
+         * @param {any[]} accounts
+         * @param {(statementMonthYear: string) => any} [transactionsBody] - Body of the transactions API for a month
+         */
+        function mockStatementsApi(accounts, transactionsBody = () => ({ transactions: [] })) {
+            mockFetch.mock.mockImplementation((url) => {
+                const { pathname, searchParams } = new URL(url);
+                const body = pathname.endsWith('/transaction/statements')
+                    ? transactionsBody(searchParams.get('statementMonthYear') || '')
+                    : accounts;
+                return Promise.resolve({
+                    ok: true,
+                    status: 200,
+                    json: () => Promise.resolve(body),
+                });
+            });
+        }
+
         it('should generate statements for regular HISA account', async () => {
             const mockAccount = {
                 profile: mockProfile,
@@ -400,13 +428,7 @@ describe('EQ Bank API', () => {
                 },
             ];
 
-            mockFetch.mock.mockImplementation(() =>
-                Promise.resolve({
-                    ok: true,
-                    status: 200,
-                    json: () => Promise.resolve(mockAccountsResponse),
-                })
-            );
+            mockStatementsApi(mockAccountsResponse);
 
             const statements = await getStatements(mockAccount);
 
@@ -492,13 +514,7 @@ describe('EQ Bank API', () => {
                 },
             ];
 
-            mockFetch.mock.mockImplementation(() =>
-                Promise.resolve({
-                    ok: true,
-                    status: 200,
-                    json: () => Promise.resolve(mockAccountsResponse),
-                })
-            );
+            mockStatementsApi(mockAccountsResponse);
 
             const statements = await getStatements(mockAccount);
 
@@ -510,34 +526,405 @@ describe('EQ Bank API', () => {
                     `Statement date ${statement.statementDate} should be after account opening month`);
             }
         });
-    });
 
-    describe('downloadStatement', () => {
-        it('should throw error indicating PDF download is not supported', async () => {
-            const mockProfile = {
-                sessionId: 'test-jwt-token',
-                profileId: '29239011|john.doe@example.com',
-                profileName: 'John Doe',
+        it('should generate the months of the window', async () => {
+            const mockAccount = {
+                profile: mockProfile,
+                accountId: 'test-account-id|2020-01-15',
+                accountName: 'Test Account',
+                accountMask: '999',
+                accountType: /** @type {const} */ ('Savings'),
             };
 
+            mockStatementsApi([{
+                productType: 'HISA',
+                accountNumber: '999999999',
+                accountId: 'test-account-id',
+            }]);
+
+            const year = new Date().getFullYear() - 3;
+            const statements = await getStatements(mockAccount, { from: `${year}-01-01`, to: `${year}-03-31` });
+
+            assert.deepStrictEqual(statements.map(statement => statement.statementDate), [
+                `${year}-03-31`,
+                `${year}-02-${new Date(year, 2, 0).getDate()}`,
+                `${year}-01-31`,
+            ]);
+        });
+
+        it('should report each month as found, empty or failed and skip the failed ones', async () => {
             const mockAccount = {
                 profile: mockProfile,
-                accountId: 'test-account-id|2025-06-06',
-                accountName: 'Chequing (CAD)',
-                accountMask: '283',
+                accountId: 'probe-account-id|2020-01-15',
+                accountName: 'Test Account (CAD)',
+                accountMask: '999',
                 accountType: /** @type {const} */ ('Savings'),
             };
 
-            const mockStatement = {
-                account: mockAccount,
-                statementId: '235052283|102025|2025-10-01|2025-10-31',
-                statementDate: '2025-10-31',
+            const year = new Date().getFullYear() - 3;
+            mockStatementsApi([{
+                productType: 'HISA',
+                accountNumber: '999999999',
+                accountId: 'probe-account-id',
+            }], statementMonthYear => {
+                if (statementMonthYear === `02${year}`) return {};
+                return { transactions: statementMonthYear === `03${year}` ? [{ type: 'CREDIT', date: `31 MAR ${year}`, amount: 1 }] : [] };
+            });
+
+            const statements = await getStatements(mockAccount, { from: `${year}-01-01`, to: `${year}-03-31` });
+
+            assert.deepStrictEqual(statements.map(statement => statement.statementDate), [`${year}-03-31`, `${year}-01-31`]);
+            assert.deepStrictEqual(eqBankModule.getStatementProbes(mockAccount), [
+                { month: `${year}-01`, status: 'empty' },
+                { month: `${year}-02`, status: 'failed', error: 'Invalid response format from transactions API' },
+                { month: `${year}-03`, status: 'found' },
+            ]);
+        });
+
+        it('should not request transactions or report months for card accounts', async () => {
+            const mockAccount = {
+                profile: mockProfile,
+                accountId: 'probe-card-id|2025-06-06',
+                accountName: 'EQ Bank Card (CAD)',
+                accountMask: '7148',
+                accountType: /** @type {const} */ ('CreditCard'),
             };
+            mockStatementsApi([{ productType: 'CARD', accountNumber: '413158923', accountId: 'probe-card-id' }]);
+
+            await getStatements(mockAccount);
+
+            assert.ok(mockFetch.mock.calls.every(call => !call.arguments[0].includes('/transaction/statements')));
+            assert.deepStrictEqual(eqBankModule.getStatementProbes(mockAccount), []);
+        });
+    });
+
+    describe('getTransactions', () => {
+        const mockProfile = {
+            sessionId: 'test-jwt-token',
+            profileId: '29239011|john.doe@example.com',
+            profileName: 'John Doe',
+        };
+
+        const mockAccount = {
+            profile: mockProfile,
+            accountId: '6b14ff6901b05d1fbgfb3537087gc5bde685140gdbc7df0bg22g8983979gf538|2025-06-06',
+            accountName: 'Chequing (CAD)',
+            accountMask: '283',
+            accountType: /** @type {const} */ ('Savings'),
+        };
+
+        const mockAccountsResponse = [
+            {
+                productType: 'HISA',
+                accountType: 'HISA',
+                accountNumber: '235052283',
+                accountName: 'Chequing',
+                currency: 'CAD',
+                accountId: '6b14ff6901b05d1fbgfb3537087gc5bde685140gdbc7df0bg22g8983979gf538',
+                restrictionStatus: 'ACTIVE',
+            },
+        ];
+
+        /** @type {Record<string, any[]>} */
+        const mockTransactionsByMonth = {
+            '092025': [
+                {
+                    type: 'CREDIT',
+                    accountId: '235052283',
+                    date: '30 SEP 2025',
+                    amount: 1.08,
+                    balance: 4012.99,
+                    description: 'Interest received',
+                    dateTime: '2025-10-01T03:59:00Z',
+                    bookingDateTime: '2025-09-30T23:59:00-04:00',
+                },
+            ],
+            '102025': [
+                {
+                    type: 'CREDIT',
+                    accountId: '235052283',
+                    date: '31 OCT 2025',
+                    amount: 1.15,
+                    balance: 8011.14,
+                    description: 'Interest received',
+                    dateTime: '2025-11-01T03:59:00Z',
+                    bookingDateTime: '2025-10-31T23:59:00-04:00',
+                },
+                {
+                    type: 'DEBIT',
+                    accountId: '235052283',
+                    date: '01 OCT 2025',
+                    amount: 2011,
+                    balance: 2001.99,
+                    lockedAmount: null,
+                    description: 'Interac e-Transfer sent to Jane Smith',
+                    dateTime: '2025-10-02T04:50:00Z',
+                    bookingDateTime: '2025-10-02T00:50:00-04:00',
+                    exchangeRate: null,
+                },
+            ],
+        };
+
+        /**
+         * @param {any[]} accounts
+         */
+        function mockTransactionsApi(accounts) {
+            mockFetch.mock.mockImplementation((url) => {
+                const { pathname, searchParams } = new URL(url);
+                const body = pathname.endsWith('/transaction/statements')
+                    ? { transactions: mockTransactionsByMonth[searchParams.get('statementMonthYear') || ''] || [] }
+                    : accounts;
+                return Promise.resolve({
+                    ok: true,
+                    status: 200,
+                    json: () => Promise.resolve(body),
+                });
+            });
+        }
+
+        it('should request each month of the range with the account number header', async () => {
+            mockTransactionsApi(mockAccountsResponse);
+
+            await getTransactions(mockAccount, { from: '2025-09-15', to: '2025-10-31' });
+
+            const transactionCalls = mockFetch.mock.calls.filter(call => call.arguments[0].includes('/transaction/statements'));
+            assert.strictEqual(transactionCalls.length, 2);
+
+            const first = new URL(transactionCalls[0].arguments[0]);
+            assert.strictEqual(first.searchParams.get('statementMonthYear'), '092025');
+            assert.strictEqual(first.searchParams.get('startDate'), '2025-09-15');
+            assert.strictEqual(first.searchParams.get('endDate'), '2025-09-30');
+            assert.strictEqual(transactionCalls[0].arguments[1].headers['accountid'], '235052283');
+
+            const second = new URL(transactionCalls[1].arguments[0]);
+            assert.strictEqual(second.searchParams.get('statementMonthYear'), '102025');
+            assert.strictEqual(second.searchParams.get('startDate'), '2025-10-01');
+            assert.strictEqual(second.searchParams.get('endDate'), '2025-10-31');
+        });
+
+        it('should normalize transactions and order them by date', async () => {
+            mockTransactionsApi(mockAccountsResponse);
+
+            const transactions = await getTransactions(mockAccount, { from: '2025-10-01', to: '2025-10-31' });
+
+            assert.deepStrictEqual(transactions, [
+                {
+                    date: '2025-10-01',
+                    postedDate: '2025-10-02',
+                    description: 'Interac e-Transfer sent to Jane Smith',
+                    amount: -2011,
+                    currency: 'CAD',
+                    runningBalance: 2001.99,
+                },
+                {
+                    date: '2025-10-31',
+                    description: 'Interest received',
+                    amount: 1.15,
+                    currency: 'CAD',
+                    runningBalance: 8011.14,
+                },
+            ]);
+        });
+
+        it('should exclude transactions outside the range', async () => {
+            mockTransactionsApi(mockAccountsResponse);
+
+            const transactions = await getTransactions(mockAccount, { from: '2025-10-15', to: '2025-10-31' });
+
+            assert.strictEqual(transactions.length, 1);
+            assert.strictEqual(transactions[0].date, '2025-10-31');
+        });
+
+        it('should use the currency from the account name', async () => {
+            mockTransactionsApi(mockAccountsResponse);
+
+            const transactions = await getTransactions(
+                { ...mockAccount, accountName: 'USD HISA (USD)' },
+                { from: '2025-10-01', to: '2025-10-31' }
+            );
+
+            assert.ok(transactions.every(transaction => transaction.currency === 'USD'));
+        });
+
+        it('should throw error for card accounts', async () => {
+            mockTransactionsApi([{ ...mockAccountsResponse[0], productType: 'CARD', accountType: 'PPC' }]);
+
+            await assert.rejects(
+                getTransactions(mockAccount, { from: '2025-10-01', to: '2025-10-31' }),
+                (error) => {
+                    assert.match(error.message, /not supported for EQ Bank Card accounts/);
+                    assert.strictEqual(error.cause.code, 'NotSupported');
+                    return true;
+                }
+            );
+        });
+    });
+
+    describe('downloadStatement', () => {
+        const mockProfile = {
+            sessionId: 'test-jwt-token',
+            profileId: '29239011|john.doe@example.com',
+            profileName: 'John Doe',
+        };
+
+        const mockAccount = {
+            profile: mockProfile,
+            accountId: 'test-account-id|2025-06-06',
+            accountName: 'Chequing (CAD)',
+            accountMask: '283',
+            accountType: /** @type {const} */ ('Savings'),
+        };
+
+        const mockStatement = {
+            account: mockAccount,
+            statementId: '235052283|102025|2025-10-01|2025-10-31',
+            statementDate: '2025-10-31',
+        };
+
+        /**
+         * @param {any[]} transactions
+         */
+        function mockStatementApi(transactions) {
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: true,
+                    status: 200,
+                    json: () => Promise.resolve({ transactions }),
+                })
+            );
+        }
+
+        /**
+         * Read a generated PDF as a Latin-1 string
+         * @param {Blob} blob
+         * @returns {Promise<string>}
+         */
+        async function readPdf(blob) {
+            return Buffer.from(await blob.arrayBuffer()).toString('latin1');
+        }
+
+        const mockTransactions = [
+            {
+                type: 'CREDIT',
+                accountId: '235052283',
+                date: '31 OCT 2025',
+                amount: 1.15,
+                balance: 8011.14,
+                description: 'Interest received',
+                dateTime: '2025-11-01T03:59:00Z',
+                bookingDateTime: '2025-10-31T23:59:00-04:00',
+            },
+            {
+                type: 'DEBIT',
+                accountId: '235052283',
+                date: '01 OCT 2025',
+                amount: 2011,
+                balance: 2001.99,
+                description: 'Interac e-Transfer sent to Jane Smith (rent)',
+                dateTime: '2025-10-02T04:50:00Z',
+                bookingDateTime: '2025-10-02T00:50:00-04:00',
+            },
+        ];
+
+        it('should fetch the transactions of the statement period', async () => {
+            mockStatementApi(mockTransactions);
+
+            await downloadStatement(mockStatement);
+
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+            const [url, options] = mockFetch.mock.calls[0].arguments;
+            const { pathname, searchParams } = new URL(url);
+            assert.strictEqual(pathname, '/web/v1.1/transaction/statements');
+            assert.strictEqual(searchParams.get('statementMonthYear'), '102025');
+            assert.strictEqual(searchParams.get('startDate'), '2025-10-01');
+            assert.strictEqual(searchParams.get('endDate'), '2025-10-31');
+            assert.strictEqual(options.headers['accountid'], '235052283');
+        });
+
+        it('should generate a statement PDF with balances and transactions', async () => {
+            mockStatementApi(mockTransactions);
+
+            const blob = await downloadStatement(mockStatement);
+            assert.strictEqual(blob.type, 'application/pdf');
+
+            const pdf = await readPdf(blob);
+            assert.ok(pdf.startsWith('%PDF-1.4'));
+            assert.ok(pdf.trimEnd().endsWith('%%EOF'));
+            assert.ok(pdf.includes('/Count 1'));
+
+            assert.ok(pdf.includes('(Account Statement)'));
+            assert.ok(pdf.includes('(John Doe)'));
+            assert.ok(pdf.includes('(Account number: 235052283)'));
+            assert.ok(pdf.includes('(Amounts in CAD)'));
+
+            // Opening balance is the balance before the first transaction
+            assert.ok(pdf.includes('(4,012.99)'));
+            assert.ok(pdf.includes('(8,011.14)'));
+            assert.ok(pdf.includes('(2,011.00)'));
+
+            // Parentheses in text are escaped and transactions are in chronological order
+            const debit = pdf.indexOf('(Interac e-Transfer sent to Jane Smith \\(rent\\))');
+            const credit = pdf.indexOf('(Interest received)');
+            assert.ok(debit > 0);
+            assert.ok(credit > debit);
+        });
+
+        it('should write a valid cross-reference table', async () => {
+            mockStatementApi(mockTransactions);
+
+            const pdf = await readPdf(await downloadStatement(mockStatement));
+            const xrefOffset = parseInt(pdf.slice(pdf.lastIndexOf('startxref') + 10), 10);
+            assert.ok(pdf.startsWith('xref', xrefOffset));
+
+            const lines = pdf.slice(xrefOffset).split('\n');
+            const count = parseInt(lines[1].split(' ')[1], 10);
+            for (let i = 1; i < count; i++) {
+                const offset = parseInt(lines[2 + i].slice(0, 10), 10);
+                assert.ok(pdf.startsWith(`${i} 0 obj`, offset), `Object ${i} should start at offset ${offset}`);
+            }
+        });
+
+        it('should continue the transaction table on more pages', async () => {
+            const transactions = Array.from({ length: 80 }, (_, i) => ({
+                type: 'CREDIT',
+                accountId: '235052283',
+                date: '15 OCT 2025',
+                amount: 1,
+                balance: 100 + i,
+                description: `Deposit ${i}`,
+                dateTime: `2025-10-15T12:${String(Math.floor(i / 60)).padStart(2, '0')}:${String(i % 60).padStart(2, '0')}Z`,
+            }));
+            mockStatementApi(transactions);
+
+            const pdf = await readPdf(await downloadStatement(mockStatement));
+
+            assert.ok(pdf.includes('/Count 2'));
+            assert.ok(pdf.includes('(Page 2 of 2)'));
+            assert.ok(pdf.includes('(Deposit 79)'));
+        });
+
+        it('should generate a statement for a period without transactions', async () => {
+            mockStatementApi([]);
+
+            const pdf = await readPdf(await downloadStatement(mockStatement));
+
+            assert.ok(pdf.includes('(No transactions in this period)'));
+            assert.ok(pdf.includes('(Not available)'));
+        });
 
+        it('should throw error for card statements', async () => {
             await assert.rejects(
-                downloadStatement(mockStatement),
-                /PDF download is not currently supported for EQ Bank/
+                downloadStatement({
+                    ...mockStatement,
+                    statementId: 'e97629df|2025-10-01T00:00:00-04:00|2025-10-31T23:59:59-04:00',
+                }),
+                (error) => {
+                    assert.match(error.message, /not supported for EQ Bank Card statements/);
+                    assert.strictEqual(error.code, 'NotSupported');
+                    return true;
+                }
             );
+            assert.strictEqual(mockFetch.mock.calls.length, 0);
         });
     });
 
@@ -272,7 +272,11 @@ describe('Fidelity API', () => {
                 })
             );
 
-            await assert.rejects(getAccounts(mockProfile), /GetContext API request failed: 401 Unauthorized/);
+            await assert.rejects(getAccounts(mockProfile), (error) => {
+                assert.match(error.message, /GetContext API request failed: 401 Unauthorized/);
+                assert.strictEqual(error.cause.code, 'SessionExpired');
+                return true;
+            });
         });
     });
 
@@ -494,6 +498,20 @@ describe('Fidelity API', () => {
             assert.strictEqual(requestBody.variables.accountId, '22226731857822968467');
         });
 
+        it('should request the window of statement dates', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ data: { getStatementsList: { statements: [] } } }),
+                })
+            );
+
+            await getStatements(mockAccount, { from: '2023-01-01', to: '2023-12-31' });
+
+            const requestBody = JSON.parse(mockFetch.mock.calls[0].arguments[1].body);
+            assert.deepStrictEqual(requestBody.variables.dateRange, { startDate: '2023-01-01', endDate: '2023-12-31' });
+        });
+
         it('should include required headers for credit card API', async () => {
             const mockResponse = {
                 data: {
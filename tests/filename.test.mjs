@@ -0,0 +1,179 @@
+/**
+ * Unit tests for statement filename templates
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const {
+    DEFAULT_FILENAME_TEMPLATE,
+    getStatementArchivePath,
+    getStatementFilename,
+    getTransactionExportFilename,
+    getUnknownTokens,
+    renderDownloadFolder,
+    renderFilenameTemplate,
+} = await import('../extension/filename.mjs');
+
+/**
+ * Build a statement for tests
+ * @param {Record<string, any>} [accountOverrides]
+ * @param {Record<string, any>} [statementOverrides]
+ */
+function createStatement(accountOverrides = {}, statementOverrides = {}) {
+    return {
+        account: {
+            profile: {
+                sessionId: 'session',
+                profileId: 'profile',
+                profileName: 'john.doe@example.com',
+            },
+            accountId: '123456789',
+            accountName: 'TOTAL CHECKING',
+            accountMask: '1234',
+            accountType: 'Checking',
+            ...accountOverrides,
+        },
+        statementId: 'doc-1',
+        statementDate: '2025-03-31T00:00:00.000Z',
+        ...statementOverrides,
+    };
+}
+
+describe('Filename templates', () => {
+    describe('getStatementFilename', () => {
+        it('should use the original format by default', () => {
+            const filename = getStatementFilename('chase', 'Chase', createStatement());
+            assert.strictEqual(filename, '2025-03-31_Chase_john.doe_TOTAL CHECKING_1234.pdf');
+        });
+
+        it('should fall back to the default template when the template is empty', () => {
+            const filename = getStatementFilename('chase', 'Chase', createStatement(), '');
+            assert.strictEqual(filename, renderFilenameTemplate(DEFAULT_FILENAME_TEMPLATE, 'chase', 'Chase', createStatement()));
+        });
+
+        it('should place the file inside the download folder', () => {
+            const filename = getStatementFilename('chase', 'Chase', createStatement(), '{date}', 'Bank Statements/{bankName}');
+            assert.strictEqual(filename, 'Bank Statements/Chase/2025-03-31.pdf');
+        });
+
+        it('should add the document type to names of other documents', () => {
+            const taxForm = createStatement({}, { documentType: 'tax' });
+            assert.strictEqual(getStatementFilename('chase', 'Chase', taxForm, '{date}_{accountMask}.pdf'), '2025-03-31_1234_tax.pdf');
+            assert.strictEqual(getStatementFilename('chase', 'Chase', taxForm, '{date}'), '2025-03-31_tax.pdf');
+            assert.strictEqual(getStatementFilename('chase', 'Chase', taxForm, '{documentType}/{date}'), 'tax/2025-03-31.pdf');
+            assert.strictEqual(getStatementFilename('chase', 'Chase', createStatement(), '{documentType}/{date}'), 'statement/2025-03-31.pdf');
+        });
+    });
+
+    describe('renderFilenameTemplate', () => {
+        it('should create subfolders and date parts', () => {
+            const filename = renderFilenameTemplate('{bankId}/{YYYY}/{MM} {accountName}.pdf', 'chase', 'Chase', createStatement());
+            assert.strictEqual(filename, 'chase/2025/03 TOTAL CHECKING.pdf');
+        });
+
+        it('should render month names, short years, account type and full profile name', () => {
+            const filename = renderFilenameTemplate('{YY}-{MMM}-{DD} {accountType} {profileName}', 'chase', 'Chase', createStatement());
+            assert.strictEqual(filename, '25-Mar-31 Checking john.doe@example.com.pdf');
+        });
+
+        it('should render a stable short hash of the statement ID', () => {
+            const first = renderFilenameTemplate('{statementHash}', 'chase', 'Chase', createStatement());
+            const second = renderFilenameTemplate('{statementHash}', 'chase', 'Chase', createStatement());
+            const other = renderFilenameTemplate('{statementHash}', 'chase', 'Chase', createStatement({}, { statementId: 'doc-2' }));
+
+            assert.match(first, /^[0-9a-f]{8}\.pdf$/);
+            assert.strictEqual(first, second);
+            assert.notStrictEqual(first, other);
+        });
+
+        it('should not create folders from slashes inside token values', () => {
+            const filename = renderFilenameTemplate('{accountName}', 'chase', 'Chase', createStatement({ accountName: 'Joint/Savings' }));
+            assert.strictEqual(filename, 'Joint_Savings.pdf');
+        });
+
+        it('should replace characters that are illegal on Windows or macOS', () => {
+            const filename = renderFilenameTemplate('{accountName}', 'chase', 'Chase', createStatement({ accountName: 'A:B*C?"D<E>F|G\\H' }));
+            assert.strictEqual(filename, 'A_B_C__D_E_F_G_H.pdf');
+        });
+
+        it('should strip trailing dots and spaces and leading dots from segments', () => {
+            const filename = renderFilenameTemplate('..{bankName}. /{date}', 'chase', 'Chase', createStatement());
+            assert.strictEqual(filename, 'Chase/2025-03-31.pdf');
+        });
+
+        it('should not allow parent folder segments', () => {
+            const filename = renderFilenameTemplate('../../{date}', 'chase', 'Chase', createStatement());
+            assert.strictEqual(filename, '2025-03-31.pdf');
+        });
+
+        it('should prefix Windows reserved device names', () => {
+            const filename = renderFilenameTemplate('{accountName}/{date}', 'chase', 'Chase', createStatement({ accountName: 'CON' }));
+            assert.strictEqual(filename, '_CON/2025-03-31.pdf');
+        });
+
+        it('should append the pdf extension once', () => {
+            assert.strictEqual(renderFilenameTemplate('{date}', 'chase', 'Chase', createStatement()), '2025-03-31.pdf');
+            assert.strictEqual(renderFilenameTemplate('{date}.PDF', 'chase', 'Chase', createStatement()), '2025-03-31.PDF');
+        });
+
+        it('should keep unknown tokens as literal text', () => {
+            const filename = renderFilenameTemplate('{date}_{unknown}', 'chase', 'Chase', createStatement());
+            assert.strictEqual(filename, '2025-03-31_{unknown}.pdf');
+        });
+
+        it('should use the statement date when the template renders empty', () => {
+            assert.strictEqual(renderFilenameTemplate('///', 'chase', 'Chase', createStatement()), '2025-03-31.pdf');
+        });
+    });
+
+    describe('renderDownloadFolder', () => {
+        it('should render bank tokens and sanitize segments', () => {
+            assert.strictEqual(renderDownloadFolder('Bank Statements/{bankId}/', 'td_bank', 'TD Bank'), 'Bank Statements/td_bank');
+            assert.strictEqual(renderDownloadFolder('../Statements:{bankName}', 'chase', 'Chase'), 'Statements_Chase');
+        });
+
+        it('should return an empty path for the Downloads folder itself', () => {
+            assert.strictEqual(renderDownloadFolder('', 'chase', 'Chase'), '');
+            assert.strictEqual(renderDownloadFolder('/', 'chase', 'Chase'), '');
+        });
+    });
+
+    describe('getUnknownTokens', () => {
+        it('should list unsupported tokens', () => {
+            assert.deepStrictEqual(getUnknownTokens('{bankId}/{year}/{MM}_{foo}'), ['year', 'foo']);
+        });
+
+        it('should return an empty list for valid templates', () => {
+            assert.deepStrictEqual(getUnknownTokens(DEFAULT_FILENAME_TEMPLATE), []);
+        });
+    });
+
+    describe('getStatementArchivePath', () => {
+        it('should lay out statements by bank, profile and account', () => {
+            const path = getStatementArchivePath('chase', 'Chase', createStatement());
+            assert.strictEqual(path, 'Chase/john.doe/TOTAL CHECKING_1234/2025-03-31.pdf');
+        });
+
+        it('should add the document type to names of other documents', () => {
+            const path = getStatementArchivePath('chase', 'Chase', createStatement({}, { documentType: 'notice' }));
+            assert.strictEqual(path, 'Chase/john.doe/TOTAL CHECKING_1234/2025-03-31_notice.pdf');
+        });
+    });
+
+    describe('getTransactionExportFilename', () => {
+        it('should name exports after the range and account', () => {
+            const { account } = createStatement({ accountName: 'Joint/Savings' });
+            const range = { from: '2025-01-01', to: '2025-03-31' };
+
+            assert.strictEqual(
+                getTransactionExportFilename('chase', 'Chase', account, range, 'csv'),
+                '2025-01-01_2025-03-31_Chase_Joint_Savings_1234.csv'
+            );
+            assert.strictEqual(
+                getTransactionExportFilename('chase', 'Chase', account, range, 'ofx', 'Bank Statements/{bankName}'),
+                'Bank Statements/Chase/2025-01-01_2025-03-31_Chase_Joint_Savings_1234.ofx'
+            );
+        });
+    });
+});
@@ -278,7 +278,11 @@ describe('First Tech Federal Credit Union API', () => {
 
             await assert.rejects(
                 () => getProfile('test-session-id'),
-                /Failed to get profile: Failed to fetch dashboard: 401 Unauthorized/
+                (error) => {
+                    assert.match(error.message, /Failed to get profile: Failed to fetch dashboard: 401 Unauthorized/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
 
@@ -421,7 +425,7 @@ describe('First Tech Federal Credit Union API', () => {
     });
 
     describe('getStatements', () => {
-        it('should filter statements for a checking account', async () => {
+        it('should return statements, notices and tax forms for a checking account', async () => {
             const profile = {
                 sessionId: 'test-session-id',
                 profileId: JSON.stringify(mockDocumentsData),
@@ -438,13 +442,18 @@ describe('First Tech Federal Credit Union API', () => {
 
             const statements = await getStatements(account);
 
-            // Should only include actual statements (STMT type), not NSF or 1099
-            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements.length, 3);
             assert.strictEqual(statements[0].statementDate, '2025-10-31');
+            assert.strictEqual(statements[0].documentType, undefined);
             assert.ok(statements[0].statementId.includes('818'));
             assert.ok(statements[0].statementId.includes('20251031'));
             assert.deepStrictEqual(statements[0].account, account);
 
+            assert.strictEqual(statements[1].statementDate, '2023-05-01');
+            assert.strictEqual(statements[1].documentType, 'notice');
+            assert.strictEqual(statements[2].statementDate, '2023-01-03');
+            assert.strictEqual(statements[2].documentType, 'tax');
+
             // No API calls should be made
             assert.strictEqual(mockFetch.mock.calls.length, 0);
         });
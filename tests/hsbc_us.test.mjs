@@ -126,7 +126,11 @@ describe('HSBC US API', () => {
 
             await assert.rejects(
                 () => getProfile('test-session-id'),
-                /Invalid response format from dashboard data API/
+                (error) => {
+                    assert.match(error.message, /Invalid response format from dashboard data API/);
+                    assert.strictEqual(error.cause.code, 'ParseError');
+                    return true;
+                }
             );
         });
 
@@ -141,7 +145,11 @@ describe('HSBC US API', () => {
 
             await assert.rejects(
                 () => getProfile('test-session-id'),
-                /HSBC US API request failed: 401 Unauthorized/
+                (error) => {
+                    assert.match(error.message, /HSBC US API request failed: 401 Unauthorized/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
     });
@@ -335,6 +343,7 @@ describe('HSBC US API', () => {
             assert.strictEqual(statements.length, 1);
             assert.strictEqual(statements[0].statementDate, '2025-10-29');
             assert.strictEqual(statements[0].statementId, 'XGfVThPEV1fVUoPJb4YF5aIDHwZ6mjYgc6z__statement1');
+            assert.strictEqual(statements[0].periodEnd, '2025-10-29');
             assert.strictEqual(statements[0].account, mockAccount);
 
             const calls = mockFetch.mock.calls;
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for the download ledger
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Mock chrome.storage.local with an in-memory store
+/** @type {Record<string, any>} */
+let store = {};
+global.chrome = {
+    storage: {
+        local: {
+            get: async (key) => {
+                if (key === null) return structuredClone(store);
+                return key in store ? { [key]: structuredClone(store[key]) } : {};
+            },
+            set: async (items) => {
+                Object.assign(store, structuredClone(items));
+            },
+            remove: async (keys) => {
+                for (const key of [].concat(keys)) delete store[key];
+            },
+        },
+    },
+};
+
+const { getLedger, getLedgerEntry, recordDownloads, clearLedgers, findUnreconciledStatements, withStatementFigures } = await import('../extension/ledger.mjs');
+
+/**
+ * @param {string} accountId
+ * @param {string} statementId
+ * @param {string} [statementDate]
+ */
+function createStatement(accountId, statementId, statementDate = '2025-01-31T00:00:00.000Z') {
+    return {
+        account: {
+            profile: { sessionId: 'session', profileId: 'profile', profileName: 'John' },
+            accountId,
+            accountName: 'Checking',
+            accountMask: '1234',
+            accountType: 'Checking',
+        },
+        statementId,
+        statementDate,
+    };
+}
+
+describe('Download ledger', () => {
+    beforeEach(() => {
+        store = {};
+    });
+
+    it('should return an empty ledger for a bank without downloads', async () => {
+        assert.deepStrictEqual(await getLedger('chase'), {});
+    });
+
+    it('should record downloads by account and statement', async () => {
+        const statement = createStatement('acc-1', 'stmt-1');
+        await recordDownloads('chase', [{ statement, filename: 'a.pdf', downloadId: 7 }]);
+
+        const ledger = await getLedger('chase');
+        const entry = getLedgerEntry(ledger, statement);
+        assert.strictEqual(entry?.filename, 'a.pdf');
+        assert.strictEqual(entry?.downloadId, 7);
+        assert.strictEqual(entry?.statementDate, '2025-01-31T00:00:00.000Z');
+        assert.strictEqual(getLedgerEntry(ledger, createStatement('acc-1', 'stmt-2')), undefined);
+        assert.deepStrictEqual(await getLedger('amex'), {});
+    });
+
+    it('should keep every entry when writes run concurrently', async () => {
+        await Promise.all([
+            recordDownloads('chase', [{ statement: createStatement('acc-1', 'stmt-1'), filename: 'a.pdf' }]),
+            recordDownloads('chase', [{ statement: createStatement('acc-1', 'stmt-2'), filename: 'b.pdf' }]),
+            recordDownloads('chase', [{ statement: createStatement('acc-2', 'stmt-3'), filename: 'c.pdf' }]),
+        ]);
+
+        const ledger = await getLedger('chase');
+        assert.deepStrictEqual(Object.keys(ledger['acc-1']).sort(), ['stmt-1', 'stmt-2']);
+        assert.deepStrictEqual(Object.keys(ledger['acc-2']), ['stmt-3']);
+    });
+
+    it('should keep the figures of an earlier download when none were read', async () => {
+        const statement = createStatement('acc-1', 'stmt-1');
+        await recordDownloads('chase', [{ statement, filename: 'a.pdf', figures: { closingBalance: 120.5 } }]);
+        await recordDownloads('chase', [{ statement, filename: 'a.pdf', figures: null }]);
+
+        const entry = getLedgerEntry(await getLedger('chase'), statement);
+        assert.deepStrictEqual(entry?.figures, { closingBalance: 120.5 });
+    });
+
+    it('should fill in figures the bank did not list from the statement PDF', () => {
+        const statement = { ...createStatement('acc-1', 'stmt-1'), closingBalance: 10 };
+        const entry = {
+            statementDate: statement.statementDate,
+            filename: 'a.pdf',
+            downloadedAt: 0,
+            figures: { closingBalance: 99, periodStart: '2025-01-01', periodEnd: '2025-01-31', paymentDueDate: '2025-02-25' },
+        };
+
+        const filled = withStatementFigures(statement, entry);
+        assert.strictEqual(filled.closingBalance, 10);
+        assert.strictEqual(filled.periodStart, '2025-01-01');
+        assert.strictEqual(filled.paymentDueDate, '2025-02-25');
+        assert.strictEqual(withStatementFigures(statement, undefined), statement);
+    });
+
+    it('should flag statements whose opening balance differs from the previous closing balance', async () => {
+        const january = createStatement('acc-1', 'stmt-1', '2025-01-31T00:00:00.000Z');
+        const february = createStatement('acc-1', 'stmt-2', '2025-02-28T00:00:00.000Z');
+        const march = createStatement('acc-1', 'stmt-3', '2025-03-31T00:00:00.000Z');
+        const other = createStatement('acc-2', 'stmt-4', '2025-02-28T00:00:00.000Z');
+        await recordDownloads('chase', [
+            { statement: january, filename: 'a.pdf', figures: { closingBalance: 100 } },
+            { statement: february, filename: 'b.pdf', figures: { openingBalance: 100, closingBalance: 150.25 } },
+            { statement: march, filename: 'c.pdf', figures: { openingBalance: 140 } },
+            { statement: other, filename: 'd.pdf', figures: { openingBalance: 5 } },
+        ]);
+
+        const unreconciled = findUnreconciledStatements([march, other, january, february], await getLedger('chase'));
+        assert.deepStrictEqual([...unreconciled], [march]);
+    });
+
+    it('should clear the ledgers of all banks only', async () => {
+        store.other = 'kept';
+        await recordDownloads('chase', [{ statement: createStatement('acc-1', 'stmt-1'), filename: 'a.pdf' }]);
+        await recordDownloads('amex', [{ statement: createStatement('acc-1', 'stmt-1'), filename: 'a.pdf' }]);
+
+        await clearLedgers();
+
+        assert.deepStrictEqual(await getLedger('chase'), {});
+        assert.deepStrictEqual(await getLedger('amex'), {});
+        assert.strictEqual(store.other, 'kept');
+    });
+});
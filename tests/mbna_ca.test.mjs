@@ -95,7 +95,11 @@ describe('MBNA Canada API', () => {
             const sessionId = '2874747274142';
             await assert.rejects(
                 async () => await getProfile(sessionId),
-                /Failed to get profile: 401 Unauthorized/
+                (error) => {
+                    assert.match(error.message, /Failed to get profile: 401 Unauthorized/);
+                    assert.strictEqual(error.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
     });
@@ -310,6 +314,35 @@ describe('MBNA Canada API', () => {
             assert.strictEqual(statements.length, 0);
         });
 
+        it('should only request the years within the window', async () => {
+            const currentYear = new Date().getFullYear();
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 404,
+                })
+            );
+
+            const account = {
+                profile: {
+                    sessionId: '2874747274142',
+                    profileId: 'JOHN_DOE',
+                    profileName: 'JOHN DOE',
+                },
+                accountId: '11353522844',
+                accountName: 'MBNA Rewards World Elite® Mastercard®',
+                accountMask: '4623',
+                accountType: 'CreditCard',
+            };
+
+            await getStatements(account, { from: `${currentYear - 2}-06-01`, to: `${currentYear - 1}-12-31` });
+
+            assert.deepStrictEqual(
+                mockFetch.mock.calls.map(call => call.arguments[0].split('/').pop()),
+                [String(currentYear - 1), String(currentYear - 2)]
+            );
+        });
+
         it('should handle API errors gracefully and continue', async () => {
             let callCount = 0;
             mockFetch.mock.mockImplementation(() => {
@@ -344,6 +377,37 @@ describe('MBNA Canada API', () => {
             assert.strictEqual(statements.length, 0);
         });
 
+        it('should stop with an expired session instead of returning no statements', async () => {
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 401,
+                    statusText: 'Unauthorized',
+                })
+            );
+
+            const account = {
+                profile: {
+                    sessionId: '2874747274142',
+                    profileId: 'JOHN_DOE',
+                    profileName: 'JOHN DOE',
+                },
+                accountId: '11353522844',
+                accountName: 'MBNA Rewards World Elite® Mastercard®',
+                accountMask: '4623',
+                accountType: 'CreditCard',
+            };
+
+            await assert.rejects(
+                async () => await getStatements(account),
+                (error) => {
+                    assert.strictEqual(error.code, 'SessionExpired');
+                    return true;
+                }
+            );
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+        });
+
         it('should verify correct API URL format for each year', async () => {
             mockFetch.mock.mockImplementation(() =>
                 Promise.resolve({
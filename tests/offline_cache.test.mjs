@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the encrypted offline cache
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * In-memory chrome.storage area
+ * @param {() => Record<string, any>} getStore - Store of the current test
+ */
+function createStorageArea(getStore) {
+    return {
+        get: async (/** @type {string | null} */ key) => {
+            const store = getStore();
+            if (key === null) return structuredClone(store);
+            return key in store ? { [key]: structuredClone(store[key]) } : {};
+        },
+        set: async (/** @type {Record<string, any>} */ items) => {
+            Object.assign(getStore(), structuredClone(items));
+        },
+        remove: async (/** @type {string | string[]} */ keys) => {
+            const store = getStore();
+            for (const key of [].concat(keys)) delete store[key];
+        },
+    };
+}
+
+/** @type {Record<string, any>} */
+let localStore = {};
+/** @type {Record<string, any>} */
+let sessionStore = {};
+global.chrome = {
+    storage: {
+        local: createStorageArea(() => localStore),
+        session: createStorageArea(() => sessionStore),
+    },
+};
+
+const {
+    clearOfflineCache,
+    getOfflineBanks,
+    getOfflineCacheDays,
+    hasOfflinePassphrase,
+    isOfflineCacheUnlocked,
+    listOfflineBanks,
+    lockOfflineCache,
+    saveOfflineAccounts,
+    saveOfflineStatements,
+    setOfflinePassphrase,
+    unlockOfflineCache,
+} = await import('../extension/offline_cache.mjs');
+
+const SETTINGS = { offlineCache: true, offlineCacheDays: 30, offlineCacheBankDays: {} };
+
+/**
+ * @param {string} accountId
+ */
+function createAccount(accountId) {
+    return {
+        profile: { sessionId: 'secret-token', profileId: 'profile', profileName: 'John' },
+        accountId,
+        accountName: 'Checking',
+        accountMask: '1234',
+        accountType: 'Checking',
+    };
+}
+
+describe('Offline cache', () => {
+    beforeEach(() => {
+        localStore = {};
+        sessionStore = {};
+    });
+
+    it('should save and read back accounts and statements once unlocked', async () => {
+        await setOfflinePassphrase('correct horse');
+        const account = createAccount('A1');
+
+        assert.strictEqual(await saveOfflineAccounts('chase', 'Chase', [account]), true);
+        assert.strictEqual(await saveOfflineStatements('chase', 'Chase', account, [
+            { account, statementId: 'S1', statementDate: '2025-01-31' },
+        ]), true);
+
+        const banks = await getOfflineBanks(SETTINGS);
+        assert.strictEqual(banks.length, 1);
+        assert.strictEqual(banks[0].bankId, 'chase');
+        assert.strictEqual(banks[0].bankName, 'Chase');
+        assert.strictEqual(banks[0].accounts[0].accountId, 'A1');
+        assert.strictEqual(banks[0].statements.A1[0].statementId, 'S1');
+    });
+
+    it('should never store session IDs or readable metadata', async () => {
+        await setOfflinePassphrase('correct horse');
+        const account = createAccount('A1');
+        await saveOfflineAccounts('chase', 'Chase', [account]);
+        await saveOfflineStatements('chase', 'Chase', account, [{ account, statementId: 'statement-2025-01', statementDate: '2025-01-31' }]);
+
+        const stored = JSON.stringify(localStore);
+        assert.ok(!stored.includes('secret-token'));
+        assert.ok(!stored.includes('Checking'));
+        assert.ok(!stored.includes('statement-2025-01'));
+
+        const banks = await getOfflineBanks(SETTINGS);
+        assert.strictEqual(banks[0].accounts[0].profile.sessionId, '');
+        assert.strictEqual(banks[0].statements.A1[0].account.profile.sessionId, '');
+    });
+
+    it('should skip saving and refuse reading while locked', async () => {
+        await setOfflinePassphrase('correct horse');
+        await lockOfflineCache();
+
+        assert.strictEqual(await isOfflineCacheUnlocked(), false);
+        assert.strictEqual(await saveOfflineAccounts('chase', 'Chase', [createAccount('A1')]), false);
+        await assert.rejects(() => getOfflineBanks(SETTINGS), /Offline statements are locked/);
+    });
+
+    it('should unlock with the right passphrase only', async () => {
+        await setOfflinePassphrase('correct horse');
+        await saveOfflineAccounts('chase', 'Chase', [createAccount('A1')]);
+        await lockOfflineCache();
+
+        await assert.rejects(() => unlockOfflineCache('wrong'), /Wrong passphrase/);
+        assert.strictEqual(await isOfflineCacheUnlocked(), false);
+
+        await unlockOfflineCache('correct horse');
+        const banks = await getOfflineBanks(SETTINGS);
+        assert.strictEqual(banks[0].accounts.length, 1);
+    });
+
+    it('should drop statements of accounts that are gone', async () => {
+        await setOfflinePassphrase('correct horse');
+        const first = createAccount('A1');
+        const second = createAccount('A2');
+        await saveOfflineAccounts('chase', 'Chase', [first, second]);
+        await saveOfflineStatements('chase', 'Chase', first, [{ account: first, statementId: 'S1', statementDate: '2025-01-31' }]);
+        await saveOfflineStatements('chase', 'Chase', second, [{ account: second, statementId: 'S2', statementDate: '2025-01-31' }]);
+
+        await saveOfflineAccounts('chase', 'Chase', [second]);
+
+        const banks = await getOfflineBanks(SETTINGS);
+        assert.deepStrictEqual(Object.keys(banks[0].statements), ['A2']);
+    });
+
+    it('should expire banks after their number of days', async () => {
+        await setOfflinePassphrase('correct horse');
+        await saveOfflineAccounts('chase', 'Chase', [createAccount('A1')]);
+        await saveOfflineAccounts('citi', 'Citi', [createAccount('B1')]);
+        localStore.offline_bank_chase.savedAt -= 3 * 24 * 60 * 60 * 1000;
+        localStore.offline_bank_citi.savedAt -= 3 * 24 * 60 * 60 * 1000;
+
+        const banks = await getOfflineBanks({ ...SETTINGS, offlineCacheBankDays: { chase: 2 } });
+
+        assert.deepStrictEqual(banks.map(bank => bank.bankId), ['citi']);
+        assert.deepStrictEqual((await listOfflineBanks()).map(bank => bank.bankId), ['citi']);
+    });
+
+    it('should use the per-bank number of days over the default', () => {
+        const settings = { ...SETTINGS, offlineCacheBankDays: { questrade: 7 } };
+        assert.strictEqual(getOfflineCacheDays(settings, 'questrade'), 7);
+        assert.strictEqual(getOfflineCacheDays(settings, 'chase'), 30);
+    });
+
+    it('should remove everything when cleared', async () => {
+        await setOfflinePassphrase('correct horse');
+        await saveOfflineAccounts('chase', 'Chase', [createAccount('A1')]);
+
+        await clearOfflineCache();
+
+        assert.strictEqual(await hasOfflinePassphrase(), false);
+        assert.strictEqual(await isOfflineCacheUnlocked(), false);
+        assert.deepStrictEqual(await listOfflineBanks(), []);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the OFX and QFX transaction writers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { toOfx, toQfx } = await import('../extension/ofx.mjs');
+
+/**
+ * Build an account for tests
+ * @param {import('../bank/bank.types').AccountType} accountType
+ */
+function createAccount(accountType) {
+    return {
+        profile: {
+            sessionId: 'session',
+            profileId: 'profile',
+            profileName: 'John Doe',
+        },
+        accountId: '123456789',
+        accountName: 'Account',
+        accountMask: '1234',
+        accountType,
+    };
+}
+
+const range = { from: '2025-10-01', to: '2025-10-31' };
+const generatedAt = new Date(Date.UTC(2025, 10, 1, 12, 30, 15));
+
+const transactions = [
+    {
+        date: '2025-10-01',
+        postedDate: '2025-10-02',
+        description: 'Interac e-Transfer sent to Jane Smith & Co',
+        amount: -2011,
+        currency: 'CAD',
+        runningBalance: 2001.99,
+    },
+    {
+        date: '2025-10-31',
+        description: 'Interest <received>',
+        amount: 1.15,
+        currency: 'CAD',
+        runningBalance: 8011.14,
+        referenceId: 'TX-2',
+    },
+];
+
+/**
+ * Get the text content of every element with the given tag
+ * @param {string} ofx
+ * @param {string} tag
+ * @returns {string[]}
+ */
+function getElements(ofx, tag) {
+    return Array.from(ofx.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g')), match => match[1]);
+}
+
+describe('OFX writer', () => {
+    describe('toOfx', () => {
+        it('should write an OFX 2.2 XML header', () => {
+            const ofx = toOfx(transactions, createAccount('Checking'), range, { generatedAt });
+            const lines = ofx.split('\n');
+
+            assert.strictEqual(lines[0], '<?xml version="1.0" encoding="UTF-8" standalone="no"?>');
+            assert.match(lines[1], /^<\?OFX OFXHEADER="200" VERSION="220"/);
+            assert.deepStrictEqual(getElements(ofx, 'DTSERVER'), ['20251101123015[0:GMT]']);
+        });
+
+        it('should write bank accounts with BANKACCTFROM and the account type', () => {
+            const ofx = toOfx(transactions, createAccount('Savings'), range, { generatedAt });
+
+            assert.ok(ofx.includes('<BANKMSGSRSV1>'));
+            assert.ok(ofx.includes('<STMTRS>'));
+            assert.ok(ofx.includes('<BANKACCTFROM><BANKID>000000000</BANKID><ACCTID>1234</ACCTID><ACCTTYPE>SAVINGS</ACCTTYPE></BANKACCTFROM>'));
+            assert.ok(!ofx.includes('CCACCTFROM'));
+        });
+
+        it('should map account types to ACCTTYPE', () => {
+            const checking = toOfx([], createAccount('Checking'), range);
+            const loan = toOfx([], createAccount('Loan'), range);
+            const investment = toOfx([], createAccount('Investment'), range);
+
+            assert.deepStrictEqual(getElements(checking, 'ACCTTYPE'), ['CHECKING']);
+            assert.deepStrictEqual(getElements(loan, 'ACCTTYPE'), ['CREDITLINE']);
+            assert.deepStrictEqual(getElements(investment, 'ACCTTYPE'), ['MONEYMRKT']);
+        });
+
+        it('should write credit cards with CCACCTFROM', () => {
+            const ofx = toOfx(transactions, createAccount('CreditCard'), range, { generatedAt });
+
+            assert.ok(ofx.includes('<CREDITCARDMSGSRSV1>'));
+            assert.ok(ofx.includes('<CCSTMTRS>'));
+            assert.ok(ofx.includes('<CCACCTFROM><ACCTID>1234</ACCTID></CCACCTFROM>'));
+            assert.ok(!ofx.includes('BANKACCTFROM'));
+            assert.ok(!ofx.includes('ACCTTYPE'));
+        });
+
+        it('should write transactions with signed amounts, dates and escaped text', () => {
+            const ofx = toOfx(transactions, createAccount('Checking'), range, { generatedAt });
+
+            assert.deepStrictEqual(getElements(ofx, 'TRNTYPE'), ['DEBIT', 'CREDIT']);
+            assert.deepStrictEqual(getElements(ofx, 'TRNAMT'), ['-2011.00', '1.15']);
+            assert.deepStrictEqual(getElements(ofx, 'DTPOSTED'), ['20251002', '20251031']);
+            assert.deepStrictEqual(getElements(ofx, 'DTUSER'), ['20251001', '20251031']);
+            assert.deepStrictEqual(getElements(ofx, 'DTSTART'), ['20251001']);
+            assert.deepStrictEqual(getElements(ofx, 'DTEND'), ['20251031']);
+            assert.deepStrictEqual(getElements(ofx, 'CURDEF'), ['CAD']);
+
+            // NAME is limited to 32 characters, the full description goes to MEMO
+            assert.deepStrictEqual(getElements(ofx, 'NAME'), ['Interac e-Transfer sent to Jane ', 'Interest &lt;received&gt;']);
+            assert.deepStrictEqual(getElements(ofx, 'MEMO'), ['Interac e-Transfer sent to Jane Smith &amp; Co']);
+        });
+
+        it('should write the last running balance as the ledger balance', () => {
+            const ofx = toOfx(transactions, createAccount('Checking'), range, { generatedAt });
+            assert.ok(ofx.includes('<LEDGERBAL><BALAMT>8011.14</BALAMT><DTASOF>20251031</DTASOF></LEDGERBAL>'));
+
+            const withoutBalance = toOfx([{ ...transactions[0], runningBalance: undefined }], createAccount('Checking'), range);
+            assert.ok(!withoutBalance.includes('LEDGERBAL'));
+        });
+
+        it('should use reference IDs as FITIDs and derive stable ones otherwise', () => {
+            const duplicate = { ...transactions[0] };
+            const first = getElements(toOfx([transactions[0], duplicate, transactions[1]], createAccount('Checking'), range), 'FITID');
+            const second = getElements(toOfx([transactions[0], duplicate], createAccount('Checking'), range), 'FITID');
+
+            assert.strictEqual(first.length, 3);
+            assert.strictEqual(first[2], 'TX-2');
+            assert.notStrictEqual(first[0], first[1]);
+            assert.match(first[0], /^20251001-[0-9a-f]{8}-0$/);
+            assert.deepStrictEqual(second, first.slice(0, 2));
+        });
+
+        it('should not include Quicken-specific elements', () => {
+            const ofx = toOfx(transactions, createAccount('Checking'), range, { organization: 'EQ Bank' });
+            assert.ok(!ofx.includes('<FI>'));
+            assert.ok(!ofx.includes('INTU.BID'));
+        });
+    });
+
+    describe('toQfx', () => {
+        it('should add the institution and Intuit bank ID', () => {
+            const qfx = toQfx(transactions, createAccount('Checking'), range, { organization: 'EQ Bank', intuitBankId: '12345' });
+
+            assert.ok(qfx.includes('<FI><ORG>EQ Bank</ORG><FID>12345</FID></FI>'));
+            assert.deepStrictEqual(getElements(qfx, 'INTU.BID'), ['12345']);
+            assert.deepStrictEqual(getElements(qfx, 'TRNAMT'), ['-2011.00', '1.15']);
+        });
+
+        it('should omit INTU.BID when unknown', () => {
+            const qfx = toQfx(transactions, createAccount('Checking'), range, { organization: 'EQ Bank' });
+
+            assert.ok(qfx.includes('<FI><ORG>EQ Bank</ORG><FID></FID></FI>'));
+            assert.ok(!qfx.includes('INTU.BID'));
+        });
+    });
+});
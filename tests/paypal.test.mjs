@@ -150,7 +150,11 @@ describe('PayPal API', () => {
 
             await assert.rejects(
                 getProfile('test-session-id'),
-                /Failed to retrieve PayPal user profile: 401 Unauthorized/
+                (error) => {
+                    assert.match(error.message, /Failed to retrieve PayPal user profile: 401 Unauthorized/);
+                    assert.strictEqual(error.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
 
@@ -164,7 +168,11 @@ describe('PayPal API', () => {
 
             await assert.rejects(
                 getProfile('test-session-id'),
-                /PayPal user profile data is missing or invalid/
+                (error) => {
+                    assert.match(error.message, /PayPal user profile data is missing or invalid/);
+                    assert.strictEqual(error.code, 'ParseError');
+                    return true;
+                }
             );
         });
     });
@@ -247,6 +255,40 @@ describe('PayPal API', () => {
             assert.strictEqual(accounts[0].accountType, 'Checking');
         });
 
+        it('should create one balance account per currency', async () => {
+            const mockHtml = `
+                <html>
+                    <body>
+                        <div class="balance-item">$1,234.56 USD</div>
+                        <div class="balance-item">$200.00 CAD</div>
+                        <div class="balance-item">€50.00 EUR</div>
+                        <div class="balance-item">£10.00 GBP</div>
+                        <span class="balance-total">Total in USD</span>
+                        <p>Send money FAST</p>
+                    </body>
+                </html>
+            `;
+
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: true,
+                    text: () => Promise.resolve(mockHtml),
+                })
+            );
+
+            const accounts = await getAccounts({ sessionId: 'test-session', profileId: 'test-profile', profileName: 'John Doe' });
+
+            assert.deepStrictEqual(accounts.map(account => account.accountId), [
+                'paypal_balance_usd',
+                'paypal_balance_cad',
+                'paypal_balance_eur',
+                'paypal_balance_gbp',
+            ]);
+            assert.strictEqual(accounts[1].accountName, 'PayPal Balance (CAD)');
+            assert.strictEqual(accounts[1].accountMask, 'CAD');
+            assert.ok(accounts.every(account => account.accountType === 'Checking'));
+        });
+
         it('should support short encrypted account number format', async () => {
             const mockHtml = `
                 <html>
@@ -389,6 +431,43 @@ describe('PayPal API', () => {
                 assert.match(calls[0].arguments[0], /\/myaccount\/statements\/api\/statements$/);
             });
 
+            it('should list the combined statements on every currency balance', async () => {
+                const mockHtml = `
+                    <div class="balance-item">$1,234.56 USD</div>
+                    <div class="balance-item">$200.00 CAD</div>
+                `;
+                mockFetch.mock.mockImplementationOnce(() =>
+                    Promise.resolve({
+                        ok: true,
+                        text: () => Promise.resolve(mockHtml),
+                    })
+                );
+                const profile = { sessionId: 'test-session', profileId: 'test-profile', profileName: 'John Doe' };
+                const [usdAccount, cadAccount] = await getAccounts(profile);
+                mockFetch.mock.resetCalls();
+
+                const statementsResponse = () =>
+                    Promise.resolve({
+                        ok: true,
+                        json: () => Promise.resolve({
+                            data: { statements: [{ year: '2025', details: [{ date: '20251001' }] }] },
+                        }),
+                    });
+                mockFetch.mock.mockImplementationOnce(statementsResponse, 0);
+                mockFetch.mock.mockImplementationOnce(statementsResponse, 1);
+
+                const usdStatements = await getStatements(usdAccount);
+                const cadStatements = await getStatements(cadAccount);
+
+                for (const [account, statements] of [[usdAccount, usdStatements], [cadAccount, cadStatements]]) {
+                    assert.strictEqual(statements.length, 1);
+                    assert.strictEqual(statements[0].account, account);
+                    assert.strictEqual(statements[0].statementId, '20251001');
+                    assert.strictEqual(statements[0].combined, true);
+                }
+                assert.strictEqual(mockFetch.mock.calls.length, 2);
+            });
+
             it('should handle empty statement list', async () => {
                 mockFetch.mock.mockImplementationOnce(() =>
                     Promise.resolve({
@@ -450,6 +529,9 @@ describe('PayPal API', () => {
                                         formattedDateString: '9/9/2025',
                                         formattedDateStringLong: 'September 9, 2025',
                                     },
+                                    formattedTotalBalance: {
+                                        formattedCurrency: '$1,125.83',
+                                    },
                                 },
                                 {
                                     statementId: '2025-08-11',
@@ -494,9 +576,12 @@ describe('PayPal API', () => {
                 assert.strictEqual(statements[0].account, account);
                 assert.strictEqual(statements[1].statementId, '2025-08-11');
                 assert.strictEqual(statements[1].statementDate, '2025-08-11');
+                assert.strictEqual(statements[0].closingBalance, 1125.83);
+                assert.ok(!('closingBalance' in statements[1]));
 
                 const calls = mockFetch.mock.calls;
                 assert.strictEqual(calls.length, 2);
+                assert.match(JSON.parse(calls[1].arguments[1].body).query, /formattedTotalBalance/);
                 // Verify CSRF token was decoded correctly
                 const graphqlCall = calls[1];
                 assert.strictEqual(graphqlCall.arguments[1].headers['x-csrf-token'], 'i0X8jmzOuLWgtntg+/QANixE8HL6mGkTCa7ZpF=');
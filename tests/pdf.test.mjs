@@ -0,0 +1,367 @@
+/**
+ * Unit tests for the PDF reader and page extraction
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync, deflateSync } from 'node:zlib';
+
+const { decodeStream, extractPages, getDictValue, getPageText, getPages, inflate, parsePdf } = await import('../extension/pdf.mjs');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * @typedef {Object} TestObject
+ * @property {string} dict
+ * @property {Uint8Array} [stream]
+ */
+
+/**
+ * Write a PDF file from objects numbered from 1
+ * @param {TestObject[]} objects
+ * @param {string} [trailer] - Trailer entries
+ * @returns {Uint8Array}
+ */
+function buildPdf(objects, trailer = '/Root 1 0 R') {
+    /** @type {Uint8Array[]} */
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    /** @param {string | Uint8Array} part */
+    const write = (part) => {
+        const bytes = typeof part === 'string' ? Buffer.from(part, 'latin1') : part;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+
+    write('%PDF-1.6\n');
+    objects.forEach((object, index) => {
+        offsets.push(length);
+        write(`${index + 1} 0 obj\n${object.dict}\n`);
+        if (object.stream) {
+            write('stream\n');
+            write(object.stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    });
+    const xrefOffset = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    for (const offset of offsets) {
+        write(`${String(offset).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objects.length + 1} ${trailer} >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    return Buffer.concat(parts);
+}
+
+/**
+ * Build a compressed content stream object
+ * @param {string} content
+ * @returns {TestObject}
+ */
+function flateStream(content) {
+    const stream = deflateSync(Buffer.from(content, 'latin1'));
+    return { dict: `<< /Length ${stream.length} /Filter /FlateDecode >>`, stream };
+}
+
+/**
+ * Build a document with one page per text, drawn with a simple font
+ * @param {string[]} texts
+ * @returns {Uint8Array}
+ */
+function buildTextPdf(texts) {
+    const firstPage = 4;
+    const kids = texts.map((_, index) => `${firstPage + index * 2} 0 R`).join(' ');
+    /** @type {TestObject[]} */
+    const objects = [
+        { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+        { dict: `<< /Type /Pages /Kids [${kids}] /Count ${texts.length} /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> >>` },
+        { dict: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>' },
+    ];
+    texts.forEach((text, index) => {
+        objects.push({ dict: `<< /Type /Page /Parent 2 0 R /Contents ${firstPage + index * 2 + 1} 0 R >>` });
+        objects.push(flateStream(`BT /F1 12 Tf 50 700 Td (${text}) Tj ET`));
+    });
+    return buildPdf(objects);
+}
+
+/**
+ * Check that the cross-reference table of a written PDF points at its objects
+ * @param {Uint8Array} bytes
+ */
+function assertValidXref(bytes) {
+    const text = Buffer.from(bytes).toString('latin1');
+    const startxref = parseInt(/startxref\n(\d+)/.exec(text)?.[1] || '', 10);
+    assert.ok(text.startsWith('xref', startxref));
+
+    const entries = Array.from(text.slice(startxref).matchAll(/(\d{10}) 00000 n /g), match => parseInt(match[1], 10));
+    entries.forEach((offset, index) => {
+        assert.ok(text.startsWith(`${index + 1} 0 obj`, offset), `object ${index + 1} offset`);
+    });
+}
+
+describe('PDF', () => {
+    describe('inflate', () => {
+        const text = Array.from({ length: 400 }, (_, i) => `Line ${i}: ${'abcdefghij'.slice(i % 10)} ${i * 7919 % 1000}\n`).join('');
+
+        it('should decompress zlib data', () => {
+            const compressed = deflateSync(Buffer.from(text));
+            assert.strictEqual(decoder.decode(inflate(compressed)), text);
+        });
+
+        it('should decompress raw deflate data and stored blocks', () => {
+            assert.strictEqual(decoder.decode(inflate(deflateRawSync(Buffer.from(text)))), text);
+            assert.strictEqual(decoder.decode(inflate(deflateSync(Buffer.from(text), { level: 0 }))), text);
+        });
+
+        it('should decompress data with fixed Huffman codes', () => {
+            // Short inputs are compressed with the fixed codes
+            const compressed = deflateSync(Buffer.from('BT (Hi) Tj ET'));
+            assert.strictEqual(decoder.decode(inflate(compressed)), 'BT (Hi) Tj ET');
+        });
+
+        it('should return the decoded part of truncated data', () => {
+            const compressed = deflateSync(Buffer.from(text));
+            const partial = decoder.decode(inflate(compressed.subarray(0, compressed.length - 40)));
+
+            assert.ok(partial.length > 0);
+            assert.ok(text.startsWith(partial));
+        });
+
+        it('should reject data that is not deflate', () => {
+            assert.throws(() => inflate(new Uint8Array([0xff, 0xff, 0xff, 0xff])));
+        });
+    });
+
+    describe('getDictValue', () => {
+        it('should read direct values, references and nested dictionaries', () => {
+            const dict = '<< /Type /Page /Contents 12 0 R /Resources << /Font << /F1 3 0 R >> >> /Rotate 90 /Annots [4 0 R 5 0 R] >>';
+
+            assert.strictEqual(getDictValue(dict, 'Type'), '/Page');
+            assert.strictEqual(getDictValue(dict, 'Contents'), '12 0 R');
+            assert.strictEqual(getDictValue(dict, 'Resources'), '<< /Font << /F1 3 0 R >> >>');
+            assert.strictEqual(getDictValue(dict, 'Rotate'), '90');
+            assert.strictEqual(getDictValue(dict, 'Annots'), '[4 0 R 5 0 R]');
+            assert.strictEqual(getDictValue(dict, 'MediaBox'), null);
+        });
+
+        it('should not match keys inside strings or nested dictionaries', () => {
+            const dict = '<< /Title (/Type /Fake) /Info << /Type /Inner >> /Type /Outer >>';
+            assert.strictEqual(getDictValue(dict, 'Type'), '/Outer');
+        });
+    });
+
+    describe('parsePdf', () => {
+        it('should read objects and the document catalog', () => {
+            const doc = parsePdf(buildTextPdf(['Hello']));
+
+            assert.strictEqual(doc.version, '1.6');
+            assert.strictEqual(doc.root, 1);
+            assert.strictEqual(doc.encrypted, false);
+            assert.strictEqual(doc.objects.get(3)?.dict, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+            assert.strictEqual(decoder.decode(decodeStream(/** @type {any} */ (doc.objects.get(5)))), 'BT /F1 12 Tf 50 700 Td (Hello) Tj ET');
+        });
+
+        it('should find the end of streams with a wrong length', () => {
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [3 0 R] /Count 1 >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>' },
+                { dict: '<< /Length 999 >>', stream: encoder.encode('BT (endobj 9 0 obj) Tj ET') },
+            ]);
+            const doc = parsePdf(bytes);
+
+            assert.strictEqual(decoder.decode(decodeStream(/** @type {any} */ (doc.objects.get(4)))), 'BT (endobj 9 0 obj) Tj ET');
+            assert.strictEqual(doc.objects.has(9), false);
+        });
+
+        it('should read objects from object streams', () => {
+            const page = '<< /Type /Page /Parent 2 0 R >>';
+            const font = '<< /Type /Font /Subtype /Type1 >>';
+            const header = `4 0 5 ${page.length + 1} `;
+            const objectStream = deflateSync(Buffer.from(`${header}${page} ${font}`));
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [4 0 R] /Count 1 >>' },
+                { dict: `<< /Type /ObjStm /N 2 /First ${header.length} /Length ${objectStream.length} /Filter /FlateDecode >>`, stream: objectStream },
+            ]);
+            const doc = parsePdf(bytes);
+
+            assert.strictEqual(doc.objects.get(4)?.dict, page);
+            assert.strictEqual(doc.objects.get(5)?.dict, font);
+            assert.deepStrictEqual(getPages(doc).map(({ number }) => number), [4]);
+        });
+
+        it('should use the latest definition of objects updated incrementally', () => {
+            const original = buildTextPdf(['Old text']);
+            const update = deflateSync(Buffer.from('BT /F1 12 Tf 50 700 Td (New text) Tj ET'));
+            const appended = Buffer.concat([
+                Buffer.from(original),
+                Buffer.from(`5 0 obj\n<< /Length ${update.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                update,
+                Buffer.from('\nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n', 'latin1'),
+            ]);
+            const doc = parsePdf(appended);
+
+            assert.strictEqual(getPageText(doc, getPages(doc)[0]).trim(), 'New text');
+        });
+
+        it('should detect encrypted documents', () => {
+            const doc = parsePdf(buildPdf([{ dict: '<< /Type /Catalog >>' }], '/Root 1 0 R /Encrypt << /Filter /Standard >>'));
+            assert.strictEqual(doc.encrypted, true);
+        });
+
+        it('should reject files that are not PDFs', () => {
+            assert.throws(() => parsePdf(encoder.encode('<html></html>')), { message: 'Not a PDF file' });
+        });
+    });
+
+    describe('getPages', () => {
+        it('should list pages of nested page trees with inherited attributes', () => {
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [3 0 R 5 0 R] /Count 3 /MediaBox [0 0 612 792] >>' },
+                { dict: '<< /Type /Pages /Parent 2 0 R /Kids [4 0 R 6 0 R] /Count 2 /Rotate 90 >>' },
+                { dict: '<< /Type /Page /Parent 3 0 R >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R >>' },
+                { dict: '<< /Type /Page /Parent 3 0 R /MediaBox [0 0 100 100] >>' },
+            ]);
+            const pages = getPages(parsePdf(bytes));
+
+            assert.deepStrictEqual(pages.map(page => page.number), [4, 6, 5]);
+            assert.deepStrictEqual(pages[0].inherited, { MediaBox: '[0 0 612 792]', Rotate: '90' });
+            assert.deepStrictEqual(pages[2].inherited, { MediaBox: '[0 0 612 792]' });
+        });
+
+        it('should not loop on page trees with cycles', () => {
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [2 0 R 3 0 R] /Count 1 >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R >>' },
+            ]);
+            assert.deepStrictEqual(getPages(parsePdf(bytes)).map(page => page.number), [3]);
+        });
+    });
+
+    describe('getPageText', () => {
+        it('should extract text of simple fonts', () => {
+            const doc = parsePdf(buildTextPdf(['Account ending in 1234 \\(Individual\\)']));
+            assert.strictEqual(getPageText(doc, getPages(doc)[0]).trim(), 'Account ending in 1234 (Individual)');
+        });
+
+        it('should add spaces for wide kerning and line breaks for new lines', () => {
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [3 0 R] /Count 1 >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 5 0 R >> >> /Contents [4 0 R] >>' },
+                flateStream('BT /F1 10 Tf 50 700 Td [(Acc) -20 (ount) -300 (X1234)] TJ 0 -12 Td (Total) Tj T* <4E657874> Tj ET'),
+                { dict: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>' },
+            ]);
+            const doc = parsePdf(bytes);
+
+            assert.strictEqual(getPageText(doc, getPages(doc)[0]).trim(), 'Account X1234\nTotal\nNext');
+        });
+
+        it('should decode composite fonts through their ToUnicode map', () => {
+            const cmap = [
+                'begincmap',
+                '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+                '2 beginbfchar <0001> <0041> <0002> <0063> endbfchar',
+                '1 beginbfrange <0010> <0019> <0030> endbfrange',
+                'endcmap',
+            ].join('\n');
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [3 0 R] /Count 1 >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F2 5 0 R >> >> /Contents 4 0 R >>' },
+                flateStream('BT /F2 10 Tf <0001000200020003> Tj ( ) Tj <0011001200130014> Tj ET'),
+                { dict: '<< /Type /Font /Subtype /Type0 /ToUnicode 6 0 R >>' },
+                flateStream(cmap),
+            ]);
+            const doc = parsePdf(bytes);
+
+            // Code 0003 has no mapping and is dropped; the literal space is a single-byte string in a two-byte font
+            assert.strictEqual(getPageText(doc, getPages(doc)[0]).trim(), 'Acc1234');
+        });
+
+        it('should extract text of form XObjects', () => {
+            const form = deflateSync(Buffer.from('BT /F1 10 Tf (Inside form) Tj ET'));
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [3 0 R] /Count 1 >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R /Resources << /XObject << /X1 5 0 R >> /Font << /F1 6 0 R >> >> /Contents 4 0 R >>' },
+                flateStream('q /X1 Do Q'),
+                { dict: `<< /Type /XObject /Subtype /Form /Length ${form.length} /Filter /FlateDecode >>`, stream: form },
+                { dict: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>' },
+            ]);
+            const doc = parsePdf(bytes);
+
+            assert.strictEqual(getPageText(doc, getPages(doc)[0]).trim(), 'Inside form');
+        });
+
+        it('should skip inline image data', () => {
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [3 0 R] /Count 1 >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>' },
+                flateStream('BI /W 2 /H 1 /BPC 8 /CS /G ID (\x01) Tj\xff EI BT (After) Tj ET'),
+            ]);
+            const doc = parsePdf(bytes);
+
+            assert.strictEqual(getPageText(doc, getPages(doc)[0]).trim(), 'After');
+        });
+    });
+
+    describe('extractPages', () => {
+        it('should write a valid PDF with the selected pages in order', () => {
+            const doc = parsePdf(buildTextPdf(['First', 'Second', 'Third']));
+            const output = extractPages(doc, [2, 0]);
+            assertValidXref(output);
+
+            const extracted = parsePdf(output);
+            const pages = getPages(extracted);
+            assert.deepStrictEqual(pages.map(page => getPageText(extracted, page).trim()), ['Third', 'First']);
+            assert.match(extracted.objects.get(2)?.dict || '', /\/Count 2/);
+        });
+
+        it('should copy inherited attributes onto the selected pages', () => {
+            const doc = parsePdf(buildTextPdf(['First', 'Second']));
+            const extracted = parsePdf(extractPages(doc, [1]));
+            const [page] = getPages(extracted);
+            const dict = extracted.objects.get(page.number)?.dict || '';
+
+            assert.strictEqual(getDictValue(dict, 'MediaBox'), '[0 0 612 792]');
+            assert.match(getDictValue(dict, 'Resources') || '', /\/F1 \d+ 0 R/);
+            assert.strictEqual(getDictValue(dict, 'Parent'), '2 0 R');
+            assert.strictEqual(getPageText(extracted, page).trim(), 'Second');
+        });
+
+        it('should only copy objects used by the selected pages', () => {
+            const bytes = buildPdf([
+                { dict: '<< /Type /Catalog /Pages 2 0 R /Outlines 8 0 R >>' },
+                { dict: '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R /Contents 5 0 R /Annots [7 0 R] >>' },
+                { dict: '<< /Type /Page /Parent 2 0 R /Contents 6 0 R >>' },
+                { dict: '<< /Length 9 0 R >>', stream: encoder.encode('BT (A) Tj ET') },
+                { dict: '<< /Length 12 >>', stream: encoder.encode('BT (B) Tj ET') },
+                { dict: '<< /Type /Annot /Subtype /Link /Dest [4 0 R /Fit] >>' },
+                { dict: '<< /Type /Outlines >>' },
+                { dict: '12' },
+            ]);
+            const extracted = parsePdf(extractPages(parsePdf(bytes), [0]));
+            const dicts = Array.from(extracted.objects.values(), object => object.dict);
+
+            assert.strictEqual(extracted.objects.size, 5);
+            // The link to the dropped page and the indirect stream length are not copied
+            assert.ok(dicts.includes('<< /Type /Annot /Subtype /Link /Dest [null /Fit] >>'));
+            assert.ok(dicts.includes('<< /Length 12 >>'));
+            assert.ok(!dicts.some(dict => dict.includes('/Outlines')));
+        });
+
+        it('should reject pages that do not exist', () => {
+            const doc = parsePdf(buildTextPdf(['First']));
+            assert.throws(() => extractPages(doc, [1]), { message: 'Page 2 does not exist' });
+        });
+    });
+});
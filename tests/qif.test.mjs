@@ -0,0 +1,75 @@
+/**
+ * Unit tests for the QIF transaction writer
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { toQif } = await import('../extension/qif.mjs');
+
+/**
+ * Build an account for tests
+ * @param {import('../bank/bank.types').AccountType} accountType
+ */
+function createAccount(accountType) {
+    return {
+        profile: {
+            sessionId: 'session',
+            profileId: 'profile',
+            profileName: 'John Doe',
+        },
+        accountId: '123456789',
+        accountName: 'Account',
+        accountMask: '1234',
+        accountType,
+    };
+}
+
+const transactions = [
+    {
+        date: '2025-10-01',
+        description: 'Grocery Store',
+        amount: -54.2,
+        currency: 'USD',
+        category: 'Groceries',
+    },
+    {
+        date: '2025-10-15',
+        description: 'Payroll\r\nACME Corp',
+        amount: 2500,
+        currency: 'USD',
+        referenceId: 'PR-1015',
+    },
+];
+
+describe('QIF writer', () => {
+    it('should write bank transactions in US date order', () => {
+        const qif = toQif(transactions, createAccount('Checking'));
+
+        assert.strictEqual(qif, [
+            '!Type:Bank',
+            'D10/01/2025',
+            'T-54.20',
+            'PGrocery Store',
+            'LGroceries',
+            '^',
+            'D10/15/2025',
+            'T2500.00',
+            'PPayroll ACME Corp',
+            'MRef PR-1015',
+            '^',
+            '',
+        ].join('\n'));
+    });
+
+    it('should use day-first dates when requested', () => {
+        const qif = toQif(transactions, createAccount('Savings'), { dateFormat: 'DD/MM/YYYY' });
+        assert.ok(qif.includes('D15/10/2025\n'));
+    });
+
+    it('should use the account type header matching the account', () => {
+        assert.ok(toQif([], createAccount('CreditCard')).startsWith('!Type:CCard\n'));
+        assert.ok(toQif([], createAccount('Loan')).startsWith('!Type:Oth L\n'));
+        assert.ok(toQif([], createAccount('Investment')).startsWith('!Type:Bank\n'));
+    });
+});
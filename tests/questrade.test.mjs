@@ -393,7 +393,11 @@ describe('Questrade API', () => {
 
             await assert.rejects(
                 () => getAccounts(profile),
-                /Failed to retrieve Questrade accounts/
+                (error) => {
+                    assert.match(error.message, /Failed to retrieve Questrade accounts/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
 
@@ -692,7 +696,11 @@ describe('Questrade API', () => {
 
             await assert.rejects(
                 () => getStatements(account),
-                /Failed to retrieve Questrade statements/
+                (error) => {
+                    assert.match(error.message, /Failed to retrieve Questrade statements/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
     });
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the shared request helper
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const mockFetch = mock.fn();
+global.fetch = mockFetch;
+
+const { createRequestClient, getRetryDelay, isRetryableStatus, parseRetryAfter, DEFAULT_REQUEST_OPTIONS } = await import('../extension/request.mjs');
+
+/**
+ * Build a response with a status and optional headers
+ * @param {number} status
+ * @param {Record<string, string>} [headers]
+ */
+function createResponse(status, headers = {}) {
+    return { ok: status >= 200 && status < 300, status, headers: new Headers(headers) };
+}
+
+describe('Request helper', () => {
+    beforeEach(() => {
+        mockFetch.mock.resetCalls();
+        mockFetch.mock.mockImplementation(() => Promise.resolve(createResponse(200)));
+    });
+
+    describe('isRetryableStatus', () => {
+        it('should retry rate limits and server errors only', () => {
+            assert.strictEqual(isRetryableStatus(429), true);
+            assert.strictEqual(isRetryableStatus(500), true);
+            assert.strictEqual(isRetryableStatus(503), true);
+            assert.strictEqual(isRetryableStatus(401), false);
+            assert.strictEqual(isRetryableStatus(404), false);
+            assert.strictEqual(isRetryableStatus(422), false);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        it('should read seconds', () => {
+            assert.strictEqual(parseRetryAfter(createResponse(429, { 'retry-after': '3' })), 3000);
+        });
+
+        it('should read HTTP dates', () => {
+            const now = Date.parse('2025-01-01T00:00:00Z');
+            const response = createResponse(503, { 'retry-after': 'Wed, 01 Jan 2025 00:00:05 GMT' });
+            assert.strictEqual(parseRetryAfter(response, now), 5000);
+        });
+
+        it('should return null for missing or invalid values', () => {
+            assert.strictEqual(parseRetryAfter(createResponse(429)), null);
+            assert.strictEqual(parseRetryAfter(createResponse(429, { 'retry-after': 'soon' })), null);
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        it('should double the delay for each retry up to maxDelay', () => {
+            const options = { ...DEFAULT_REQUEST_OPTIONS, baseDelay: 100, maxDelay: 300 };
+            assert.strictEqual(getRetryDelay(createResponse(500), 0, options), 100);
+            assert.strictEqual(getRetryDelay(createResponse(500), 1, options), 200);
+            assert.strictEqual(getRetryDelay(createResponse(500), 2, options), 300);
+        });
+
+        it('should wait as long as Retry-After asks', () => {
+            assert.strictEqual(getRetryDelay(createResponse(429, { 'retry-after': '2' }), 0, DEFAULT_REQUEST_OPTIONS), 2000);
+        });
+
+        it('should give up when Retry-After is longer than maxDelay', () => {
+            const options = { ...DEFAULT_REQUEST_OPTIONS, maxDelay: 1000 };
+            assert.strictEqual(getRetryDelay(createResponse(429, { 'retry-after': '60' }), 0, options), null);
+        });
+    });
+
+    describe('createRequestClient', () => {
+        it('should retry 429 and 5xx responses until one succeeds', async () => {
+            const responses = [createResponse(429), createResponse(502), createResponse(200)];
+            mockFetch.mock.mockImplementation(() => Promise.resolve(responses.shift()));
+            const client = createRequestClient({ baseDelay: 1, requestsPerSecond: 1000 });
+
+            const response = await client.fetch('https://example.com/api', { method: 'POST' });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(mockFetch.mock.callCount(), 3);
+            assert.deepStrictEqual(mockFetch.mock.calls[2].arguments, ['https://example.com/api', { method: 'POST' }]);
+            const metrics = client.getMetrics();
+            assert.strictEqual(metrics.requests, 3);
+            assert.strictEqual(metrics.retries, 2);
+            assert.strictEqual(metrics.failures, 0);
+        });
+
+        it('should return the last failed response after the retries', async () => {
+            mockFetch.mock.mockImplementation(() => Promise.resolve(createResponse(503)));
+            const client = createRequestClient({ retries: 2, baseDelay: 1, requestsPerSecond: 1000 });
+
+            const response = await client.fetch('https://example.com/api');
+
+            assert.strictEqual(response.status, 503);
+            assert.strictEqual(mockFetch.mock.callCount(), 3);
+            assert.strictEqual(client.getMetrics().failures, 1);
+        });
+
+        it('should not retry other failed responses', async () => {
+            mockFetch.mock.mockImplementation(() => Promise.resolve(createResponse(401)));
+            const client = createRequestClient({ baseDelay: 1 });
+
+            const response = await client.fetch('https://example.com/api');
+
+            assert.strictEqual(response.status, 401);
+            assert.strictEqual(mockFetch.mock.callCount(), 1);
+        });
+
+        it('should pass on network errors without retrying', async () => {
+            mockFetch.mock.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+            const client = createRequestClient({ baseDelay: 1 });
+
+            await assert.rejects(() => client.fetch('https://example.com/api'), /Failed to fetch/);
+            assert.strictEqual(mockFetch.mock.callCount(), 1);
+            assert.strictEqual(client.getMetrics().failures, 1);
+        });
+
+        it('should keep no more requests in flight than the concurrency limit', async () => {
+            let inFlight = 0;
+            let maxInFlight = 0;
+            mockFetch.mock.mockImplementation(async () => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                inFlight--;
+                return createResponse(200);
+            });
+            const client = createRequestClient({ concurrency: 2, requestsPerSecond: 1000 });
+
+            await Promise.all(Array.from({ length: 6 }, () => client.fetch('https://example.com/api')));
+
+            assert.strictEqual(mockFetch.mock.callCount(), 6);
+            assert.strictEqual(maxInFlight, 2);
+        });
+
+        it('should space requests by the rate limit', async () => {
+            const client = createRequestClient({ concurrency: 4, requestsPerSecond: 20 });
+            const startedAt = Date.now();
+
+            await Promise.all(Array.from({ length: 4 }, () => client.fetch('https://example.com/api')));
+
+            // The 4th request starts 3 intervals of 50ms after the first
+            assert.ok(Date.now() - startedAt >= 140);
+            assert.ok(client.getMetrics().queueTime > 0);
+        });
+    });
+});
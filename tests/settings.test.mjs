@@ -0,0 +1,91 @@
+/**
+ * Unit tests for exporting and importing settings
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { DEFAULT_SETTINGS, exportSettings, parseSettings } = await import('../extension/settings.mjs');
+
+describe('Settings', () => {
+    describe('exportSettings', () => {
+        it('should export shared settings as JSON', () => {
+            const settings = { ...DEFAULT_SETTINGS, dateLocale: 'en-GB', disabledBanks: ['wise'] };
+            const exported = JSON.parse(exportSettings(settings));
+
+            assert.strictEqual(exported.dateLocale, 'en-GB');
+            assert.deepStrictEqual(exported.disabledBanks, ['wise']);
+            assert.strictEqual(exported.filenameTemplate, DEFAULT_SETTINGS.filenameTemplate);
+        });
+
+        it('should leave out the offline statement settings', () => {
+            const exported = JSON.parse(exportSettings({ ...DEFAULT_SETTINGS, offlineCache: true }));
+
+            assert.ok(!('offlineCache' in exported));
+            assert.ok(!('offlineCacheDays' in exported));
+            assert.ok(!('offlineCacheBankDays' in exported));
+        });
+    });
+
+    describe('parseSettings', () => {
+        it('should read exported settings back', () => {
+            const settings = { ...DEFAULT_SETTINGS, cacheTtlMinutes: 60, statementHistoryYears: 3 };
+            const parsed = parseSettings(exportSettings(settings));
+
+            assert.strictEqual(parsed.cacheTtlMinutes, 60);
+            assert.strictEqual(parsed.statementHistoryYears, 3);
+        });
+
+        it('should ignore unknown and offline statement settings', () => {
+            const parsed = parseSettings(JSON.stringify({ dateLocale: 'fr-CA', theme: 'dark', offlineCache: true }));
+
+            assert.deepStrictEqual(parsed, { dateLocale: 'fr-CA' });
+        });
+
+        it('should reject settings of the wrong type', () => {
+            assert.throws(() => parseSettings('{"cacheTtlMinutes": "15"}'), /cacheTtlMinutes should be a number/);
+            assert.throws(() => parseSettings('{"disabledBanks": "wise"}'), /disabledBanks should be a list/);
+        });
+
+        it('should reject settings with invalid values', () => {
+            assert.throws(() => parseSettings('{"conflictAction": "replace"}'), /conflictAction should be one of uniquify, overwrite, skip/);
+            assert.throws(() => parseSettings('{"cacheTtlMinutes": 0}'), /cacheTtlMinutes should be a positive number/);
+            assert.throws(() => parseSettings('{"cacheTtlMinutes": -5}'), /cacheTtlMinutes should be a positive number/);
+            assert.throws(() => parseSettings('{"dateLocale": "xx-YY"}'), /dateLocale "xx-YY" is not one of the offered locales/);
+            assert.throws(() => parseSettings('{"disabledBanks": ["wise", "acme", 3]}'), /disabledBanks has unknown bank IDs: acme, 3/);
+            assert.throws(() => parseSettings('{"statementHistoryYears": -1}'), /statementHistoryYears should be a whole number of years/);
+            assert.throws(() => parseSettings('{"statementHistoryYears": 2.5}'), /statementHistoryYears should be a whole number of years/);
+            assert.throws(() => parseSettings('{"csvColumns": ["date", "memo"]}'), /csvColumns has unknown columns: memo/);
+            assert.throws(() => parseSettings('{"downloadFolder": "Statements/../../.ssh"}'), /downloadFolder should not leave the Downloads folder/);
+            assert.throws(() => parseSettings('{"downloadFolder": "/etc"}'), /downloadFolder should be relative to the Downloads folder/);
+            assert.throws(() => parseSettings('{"downloadFolder": "C:\\\\Users"}'), /downloadFolder should be relative to the Downloads folder/);
+        });
+
+        it('should accept every offered value', () => {
+            const parsed = parseSettings(JSON.stringify({
+                conflictAction: 'skip',
+                cacheTtlMinutes: 0.5,
+                dateLocale: '',
+                disabledBanks: ['wise', 'td_broker'],
+                statementHistoryYears: 0,
+                csvColumns: ['date', 'amount'],
+                downloadFolder: 'Statements/{bankName}',
+            }));
+
+            assert.deepStrictEqual(parsed, {
+                conflictAction: 'skip',
+                cacheTtlMinutes: 0.5,
+                dateLocale: '',
+                disabledBanks: ['wise', 'td_broker'],
+                statementHistoryYears: 0,
+                csvColumns: ['date', 'amount'],
+                downloadFolder: 'Statements/{bankName}',
+            });
+        });
+
+        it('should reject files that are not a settings object', () => {
+            assert.throws(() => parseSettings('not json'), /Invalid settings file/);
+            assert.throws(() => parseSettings('[1, 2]'), /expected a JSON object/);
+        });
+    });
+});
@@ -13,6 +13,9 @@ import assert from 'node:assert/strict';
 const mockFetch = mock.fn();
 global.fetch = mockFetch;
 
+// Skip the request helper's rate limit and backoff delays
+mock.method(global, 'setTimeout', (/** @type {() => void} */ callback) => setImmediate(callback));
+
 // Mock sessionStorage for getSessionId
 global.sessionStorage = {
     getItem: mock.fn((key) => {
@@ -30,7 +33,7 @@ global.document = {
 
 // Import the module after setting up mocks
 const simpliiModule = await import('../bank/simplii.mjs');
-const { bankId, getSessionId, getProfile, getAccounts, getStatements, downloadStatement } = simpliiModule;
+const { bankId, getSessionId, getProfile, getAccounts, getStatements, getStatementHistoryStart, downloadStatement } = simpliiModule;
 
 describe('Simplii Financial API', () => {
     beforeEach(() => {
@@ -388,6 +391,8 @@ describe('Simplii Financial API', () => {
             assert.strictEqual(statements[0].account, mockAccount);
             assert.ok(statements[0].statementId.startsWith('statement-uuid-'));
             assert.ok(statements[0].statementDate);
+            assert.match(statements[0].periodStart, /^\d{4}-\d{2}-01$/);
+            assert.strictEqual(statements[0].periodEnd.slice(0, 7), statements[0].periodStart.slice(0, 7));
 
             // Verify JSON body is sent (not Base64)
             const calls = mockFetch.mock.calls;
@@ -411,6 +416,93 @@ describe('Simplii Financial API', () => {
             assert.strictEqual(statements.length, 0);
         });
 
+        it('should stop when a one-time verification code is needed', async () => {
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 401,
+                    statusText: 'Unauthorized',
+                })
+            );
+
+            await assert.rejects(
+                () => getStatements(mockAccount),
+                (error) => {
+                    assert.strictEqual(error.cause.code, 'MfaRequired');
+                    return true;
+                }
+            );
+            assert.strictEqual(mockFetch.mock.calls.length, 1);
+        });
+
+        it('should stop when the session has expired', async () => {
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 403,
+                    statusText: 'Forbidden',
+                })
+            );
+
+            await assert.rejects(
+                () => getStatements(mockAccount),
+                (error) => {
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
+            );
+        });
+
+        it('should retry a month the server failed to answer', async () => {
+            let calls = 0;
+            mockFetch.mock.mockImplementation(() => {
+                calls++;
+                if (calls === 1) {
+                    return Promise.resolve({
+                        ok: false,
+                        status: 503,
+                        statusText: 'Service Unavailable',
+                        headers: new Headers({ 'retry-after': '1' }),
+                    });
+                }
+                if (calls === 2) {
+                    return Promise.resolve({
+                        ok: true,
+                        status: 200,
+                        json: async () => ({ eStatements: [{ fileUri: 'statement-uuid-retried' }] }),
+                    });
+                }
+                return Promise.resolve({ ok: false, status: 422 });
+            });
+
+            const statements = await getStatements(mockAccount);
+
+            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements[0].statementId, 'statement-uuid-retried');
+            assert.strictEqual(simpliiModule.getRequestMetrics().retries > 0, true);
+        });
+
+        it('should stop when still rate limited after the retries', async () => {
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 429,
+                    statusText: 'Too Many Requests',
+                    headers: new Headers(),
+                })
+            );
+
+            await assert.rejects(
+                () => getStatements(mockAccount),
+                (error) => {
+                    assert.strictEqual(error.cause.code, 'RateLimited');
+                    return true;
+                }
+            );
+            // The first month and its 3 retries
+            assert.strictEqual(mockFetch.mock.calls.length, 4);
+        });
+
         it('should limit lookback to 12 months', async () => {
             mockFetch.mock.mockImplementation(() =>
                 Promise.resolve({
@@ -446,6 +538,67 @@ describe('Simplii Financial API', () => {
             // Should only query ~2-3 months since account was opened recently
             assert.ok(calls.length <= 4);
         });
+
+        it('should probe only the months of the window', async () => {
+            const year = new Date().getFullYear() - 1;
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 422,
+                })
+            );
+
+            await getStatements(mockAccount, { from: `${year}-03-01`, to: `${year}-05-31` });
+
+            const periods = mockFetch.mock.calls.map(call => JSON.parse(call.arguments[1].body).eStatement);
+            assert.deepStrictEqual(periods.map(period => `${period.year}-${period.month}`), [`${year}-5`, `${year}-4`, `${year}-3`]);
+        });
+
+        it('should report which months were found, empty or failed', async () => {
+            const year = new Date().getFullYear() - 1;
+            const account = { ...mockAccount, accountId: 'probed-account' };
+            mockFetch.mock.mockImplementation((url, request) => {
+                const { month } = JSON.parse(request.body).eStatement;
+                if (month === '5') {
+                    return Promise.resolve({
+                        ok: true,
+                        status: 201,
+                        json: async () => ({ eStatements: [{ fileUri: 'statement-uuid-may' }] }),
+                    });
+                }
+                if (month === '4') {
+                    return Promise.resolve({ ok: false, status: 400, statusText: 'Bad Request' });
+                }
+                return Promise.resolve({ ok: false, status: 422 });
+            });
+
+            const statements = await getStatements(account, { from: `${year}-03-01`, to: `${year}-05-31` });
+
+            assert.strictEqual(statements.length, 1);
+            assert.deepStrictEqual(simpliiModule.getStatementProbes(account), [
+                { month: `${year}-03`, status: 'empty' },
+                { month: `${year}-04`, status: 'failed', error: 'Simplii API request failed: 400 Bad Request at /ebm-ai/api/v1/json/eStatements' },
+                { month: `${year}-05`, status: 'found' },
+            ]);
+            assert.deepStrictEqual(simpliiModule.getStatementProbes({ ...mockAccount, accountId: 'other' }), []);
+        });
+
+        it('should not probe months before the statement history', async () => {
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 422,
+                })
+            );
+
+            await getStatements({ ...mockAccount, _openDate: undefined }, { from: '1990-01-01' });
+
+            const periods = mockFetch.mock.calls.map(call => JSON.parse(call.arguments[1].body).eStatement);
+            const oldest = periods[periods.length - 1];
+            const [startYear, startMonth] = getStatementHistoryStart().split('-').map(Number);
+            assert.strictEqual(periods.length, 25);
+            assert.deepStrictEqual([Number(oldest.year), Number(oldest.month)], [startYear, startMonth]);
+        });
     });
 
     describe('downloadStatement', () => {
@@ -112,7 +112,11 @@ describe('SoFi API', () => {
 
             await assert.rejects(
                 async () => await getProfile('test-session-id'),
-                /Failed to retrieve profile: HTTP 401/
+                (error) => {
+                    assert.match(error.message, /Failed to retrieve profile: HTTP 401/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
 
@@ -370,7 +374,11 @@ describe('SoFi API', () => {
 
             await assert.rejects(
                 async () => await getStatements(mockAccount),
-                /Failed to retrieve statements: HTTP 500/
+                (error) => {
+                    assert.match(error.message, /Failed to retrieve statements: HTTP 500/);
+                    assert.strictEqual(error.cause.code, 'NetworkError');
+                    return true;
+                }
             );
         });
 
@@ -0,0 +1,268 @@
+/**
+ * Unit tests for reading key figures from statement PDFs
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+
+const {
+    extractStatementFigures,
+    findStatementFigures,
+    parseStatementAmount,
+    parseStatementDate,
+    restoreStatementPatterns,
+} = await import('../extension/statement_figures.mjs');
+const chase = await import('../bank/chase.mjs');
+const citi = await import('../bank/citi.mjs');
+const discover = await import('../bank/discover.mjs');
+const hsbc = await import('../bank/hsbc_us.mjs');
+const tdBank = await import('../bank/td_bank.mjs');
+const usBank = await import('../bank/us_bank.mjs');
+
+/**
+ * Build a PDF with one page per list of lines
+ * @param {string[][]} pages
+ * @returns {Uint8Array}
+ */
+function buildPdf(pages) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} /Resources << /Font << /F1 3 0 R >> >> >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ].map(dict => Buffer.from(dict, 'latin1'));
+
+    pages.forEach((lines, i) => {
+        objects.push(Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${5 + i * 2} 0 R >>`, 'latin1'));
+        const content = `BT /F1 10 Tf 50 700 Td ${lines.map(line => `(${line}) Tj 0 -14 Td`).join(' ')} ET`;
+        const stream = deflateSync(Buffer.from(content, 'latin1'));
+        objects.push(Buffer.concat([
+            Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            stream,
+            Buffer.from('\nendstream', 'latin1'),
+        ]));
+    });
+
+    return Buffer.concat([
+        Buffer.from('%PDF-1.4\n', 'latin1'),
+        ...objects.map((body, i) => Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')])),
+        Buffer.from(`trailer\n<< /Root 1 0 R >>\n%%EOF\n`, 'latin1'),
+    ]);
+}
+
+describe('Statement figures', () => {
+    describe('parseStatementAmount', () => {
+        it('should read amounts with currency symbols and separators', () => {
+            assert.strictEqual(parseStatementAmount('$1,234.56'), 1234.56);
+            assert.strictEqual(parseStatementAmount('+$20.00'), 20);
+            assert.strictEqual(parseStatementAmount('CA$ 5.10'), 5.1);
+        });
+
+        it('should read negative amounts', () => {
+            assert.strictEqual(parseStatementAmount('-$20.00'), -20);
+            assert.strictEqual(parseStatementAmount('(20.00)'), -20);
+            assert.strictEqual(parseStatementAmount('20.00 CR'), -20);
+            assert.strictEqual(parseStatementAmount('20.00-'), -20);
+        });
+
+        it('should reject values without cents', () => {
+            assert.strictEqual(parseStatementAmount('1,234'), null);
+        });
+    });
+
+    describe('parseStatementDate', () => {
+        it('should read the usual date formats', () => {
+            assert.strictEqual(parseStatementDate('October 21, 2025'), '2025-10-21');
+            assert.strictEqual(parseStatementDate('Oct. 21, 2025'), '2025-10-21');
+            assert.strictEqual(parseStatementDate('21 Oct 2025'), '2025-10-21');
+            assert.strictEqual(parseStatementDate('10/21/2025'), '2025-10-21');
+            assert.strictEqual(parseStatementDate('10/21/25'), '2025-10-21');
+            assert.strictEqual(parseStatementDate('2025-10-21'), '2025-10-21');
+        });
+
+        it('should read numeric dates day first when asked', () => {
+            assert.strictEqual(parseStatementDate('05/10/2025', true), '2025-10-05');
+            assert.strictEqual(parseStatementDate('21/10/2025'), null);
+        });
+
+        it('should reject impossible dates', () => {
+            assert.strictEqual(parseStatementDate('02/30/2025'), null);
+            assert.strictEqual(parseStatementDate('Smarch 3, 2025'), null);
+        });
+    });
+
+    describe('findStatementFigures', () => {
+        it('should find figures with the generic labels', () => {
+            const text = [
+                'Statement Period: 09/22/2025 - 10/21/2025',
+                'Beginning Balance $1,000.00',
+                'Total Deposits and Other Credits 250.00',
+                'Total Withdrawals 300.50',
+                'Ending Balance $949.50',
+            ].join('\n');
+
+            assert.deepStrictEqual(findStatementFigures(text), {
+                periodStart: '2025-09-22',
+                periodEnd: '2025-10-21',
+                openingBalance: 1000,
+                totalCredits: 250,
+                totalDebits: 300.5,
+                closingBalance: 949.5,
+            });
+        });
+
+        it('should find the payment due of card statements', () => {
+            const text = [
+                'Closing Date 10/21/25',
+                'Previous Balance $500.00',
+                'New Balance $742.18',
+                'Minimum Payment Due $35.00',
+                'Payment Due Date 11/18/25',
+            ].join('\n');
+
+            assert.deepStrictEqual(findStatementFigures(text), {
+                periodEnd: '2025-10-21',
+                openingBalance: 500,
+                closingBalance: 742.18,
+                minimumPaymentDue: 35,
+                paymentDueDate: '2025-11-18',
+            });
+        });
+
+        it('should prefer the bank patterns over the generic ones', () => {
+            const text = [
+                'Opening/Closing Date 09/22/25 - 10/21/25',
+                'Previous Balance $500.00',
+                'Payment, Credits -$500.00',
+                'Purchases +$742.18',
+                'New Balance $742.18',
+            ].join('\n');
+
+            const figures = findStatementFigures(text, chase.statementPatterns);
+            assert.strictEqual(figures.periodStart, '2025-09-22');
+            assert.strictEqual(figures.periodEnd, '2025-10-21');
+            assert.strictEqual(figures.totalCredits, 500);
+            assert.strictEqual(figures.totalDebits, 742.18);
+            assert.strictEqual(figures.closingBalance, 742.18);
+        });
+
+        it('should read Citi billing periods that print the year once', () => {
+            const text = [
+                'Billing Period: Sep 19-Oct 17, 2025',
+                'Previous balance $500.00',
+                'Purchases +$742.18',
+                'New balance $742.18',
+                'Payment due date: 11/13/2025',
+            ].join('\n');
+
+            assert.deepStrictEqual(findStatementFigures(text, citi.statementPatterns), {
+                periodEnd: '2025-10-17',
+                openingBalance: 500,
+                closingBalance: 742.18,
+                totalDebits: 742.18,
+                paymentDueDate: '2025-11-13',
+            });
+        });
+
+        it('should read the Discover open and close dates', () => {
+            const text = [
+                'Open Date: 09/13/2025 - Close Date: 10/12/2025',
+                'Previous Balance $500.00',
+                'Payments and Credits -$500.00',
+                'Purchases +$120.45',
+                'New Balance $120.45',
+            ].join('\n');
+
+            assert.deepStrictEqual(findStatementFigures(text, discover.statementPatterns), {
+                periodStart: '2025-09-13',
+                periodEnd: '2025-10-12',
+                openingBalance: 500,
+                closingBalance: 120.45,
+                totalCredits: 500,
+                totalDebits: 120.45,
+            });
+        });
+
+        it('should read the dated US Bank balances', () => {
+            const text = [
+                'Beginning Balance on Sep 1 $1,000.00',
+                'Customer Deposits 250.00',
+                'Ending Balance on Sep 30, 2025 $1,250.00',
+            ].join('\n');
+
+            assert.deepStrictEqual(findStatementFigures(text, usBank.statementPatterns), {
+                periodEnd: '2025-09-30',
+                openingBalance: 1000,
+                closingBalance: 1250,
+            });
+        });
+
+        it('should read the HSBC deposit and withdrawal totals', () => {
+            const text = [
+                'Opening Balance $1,000.00',
+                'Deposits & Other Credits $250.00',
+                'Withdrawals & Other Debits -$300.50',
+                'Closing Balance $949.50',
+            ].join('\n');
+
+            assert.deepStrictEqual(findStatementFigures(text, hsbc.statementPatterns), {
+                openingBalance: 1000,
+                closingBalance: 949.5,
+                totalCredits: 250,
+                totalDebits: 300.5,
+            });
+        });
+
+        it('should read the TD card summary', () => {
+            const text = [
+                'Previous Statement Balance $500.00',
+                'Payments & Credits -$500.00',
+                'Purchases & Debits $742.18',
+                'New Balance $742.18',
+                'Minimum Payment $10.00',
+            ].join('\n');
+
+            assert.deepStrictEqual(findStatementFigures(text, tdBank.statementPatterns), {
+                openingBalance: 500,
+                closingBalance: 742.18,
+                totalCredits: 500,
+                totalDebits: 742.18,
+                minimumPaymentDue: 10,
+            });
+        });
+    });
+
+    describe('extractStatementFigures', () => {
+        it('should read figures from every page of a compressed PDF', () => {
+            const bytes = buildPdf([
+                ['Account ending in 1234', 'Statement Period: Sep 1, 2025 to Sep 30, 2025'],
+                ['Opening Balance: 100.00', 'Closing Balance: (25.00)'],
+            ]);
+
+            assert.deepStrictEqual(extractStatementFigures(bytes), {
+                periodStart: '2025-09-01',
+                periodEnd: '2025-09-30',
+                openingBalance: 100,
+                closingBalance: -25,
+            });
+        });
+
+        it('should return null for files that are not PDFs or have no figures', () => {
+            assert.strictEqual(extractStatementFigures(new TextEncoder().encode('<html></html>')), null);
+            assert.strictEqual(extractStatementFigures(buildPdf([['Thank you for banking with us']])), null);
+        });
+    });
+
+    describe('restoreStatementPatterns', () => {
+        it('should rebuild patterns sent as plain data', () => {
+            const patterns = restoreStatementPatterns({
+                patterns: { closingBalance: [{ source: 'Balance owing\\s*(\\S+)', flags: 'i' }] },
+                dayFirst: true,
+            });
+
+            assert.strictEqual(patterns.dayFirst, true);
+            assert.deepStrictEqual(findStatementFigures('BALANCE OWING $12.00', patterns), { closingBalance: 12 });
+            assert.deepStrictEqual(restoreStatementPatterns(null), { dayFirst: false });
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for finding missing statements
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { findStatementGaps, inferStatementCadence } = await import('../extension/statement_gaps.mjs');
+
+const ACCOUNT = {
+    profile: { sessionId: 'session', profileId: 'profile', profileName: 'John' },
+    accountId: 'acc-1',
+    accountName: 'Checking',
+    accountMask: '1234',
+    accountType: 'Checking',
+};
+
+/**
+ * @param {string[]} dates - Statement dates (YYYY-MM-DD)
+ * @returns {import('../bank/bank.types').Statement[]}
+ */
+function createStatements(dates) {
+    return dates.map(statementDate => ({ account: ACCOUNT, statementId: statementDate, statementDate }));
+}
+
+const TODAY = new Date(2025, 5, 15);
+
+describe('Statement gaps', () => {
+    describe('inferStatementCadence', () => {
+        it('should find monthly and quarterly statements', () => {
+            assert.strictEqual(inferStatementCadence(createStatements(['2025-01-31', '2025-02-28', '2025-04-30', '2025-05-31'])), 1);
+            assert.strictEqual(inferStatementCadence(createStatements(['2024-03-31', '2024-06-30', '2024-09-30', '2024-12-31'])), 3);
+        });
+
+        it('should not guess from a short history', () => {
+            assert.strictEqual(inferStatementCadence(createStatements(['2025-01-31', '2025-02-28'])), null);
+        });
+
+        it('should ignore documents other than statements', () => {
+            const statements = [
+                ...createStatements(['2025-01-31', '2025-04-30', '2025-07-31']),
+                { account: ACCOUNT, statementId: 'tax', statementDate: '2025-02-15', documentType: /** @type {const} */ ('tax') },
+            ];
+            assert.strictEqual(inferStatementCadence(statements), 3);
+        });
+    });
+
+    describe('findStatementGaps', () => {
+        it('should list months between statements and after the last one, newest first', () => {
+            const statements = createStatements(['2025-01-31', '2025-02-28', '2025-04-30']);
+            assert.deepStrictEqual(findStatementGaps(statements, [], TODAY), [
+                { month: '2025-05', reason: 'missing' },
+                { month: '2025-03', reason: 'missing' },
+            ]);
+        });
+
+        it('should not list the current month or months before the first statement', () => {
+            const statements = createStatements(['2025-03-31', '2025-04-30', '2025-05-31']);
+            assert.deepStrictEqual(findStatementGaps(statements, [], TODAY), []);
+        });
+
+        it('should use the end of the period over the statement date', () => {
+            const statements = createStatements(['2025-02-01', '2025-03-01', '2025-05-01'])
+                .map((statement, index) => ({ ...statement, periodEnd: ['2025-01-31', '2025-02-28', '2025-04-30'][index] }));
+            assert.deepStrictEqual(findStatementGaps(statements, [], TODAY).map(gap => gap.month), ['2025-05', '2025-03']);
+        });
+
+        it('should tell empty months from months that could not be checked', () => {
+            const statements = createStatements(['2025-01-01', '2025-02-01', '2025-05-01']);
+            const probes = [
+                { month: '2025-01', status: /** @type {const} */ ('found') },
+                { month: '2025-02', status: /** @type {const} */ ('found') },
+                { month: '2025-03', status: /** @type {const} */ ('empty') },
+                { month: '2025-04', status: /** @type {const} */ ('failed'), error: 'Request failed: 400' },
+                { month: '2025-05', status: /** @type {const} */ ('found') },
+            ];
+            assert.deepStrictEqual(findStatementGaps(statements, probes, TODAY), [
+                { month: '2025-04', reason: 'failed', error: 'Request failed: 400' },
+                { month: '2025-03', reason: 'empty' },
+            ]);
+        });
+
+        it('should list failed months even without a known cadence', () => {
+            const probes = [
+                { month: '2025-03', status: /** @type {const} */ ('empty') },
+                { month: '2025-04', status: /** @type {const} */ ('failed'), error: 'Request failed: 500' },
+            ];
+            assert.deepStrictEqual(findStatementGaps([], probes, TODAY), [
+                { month: '2025-04', reason: 'failed', error: 'Request failed: 500' },
+            ]);
+        });
+    });
+});
@@ -13,6 +13,9 @@ import assert from 'node:assert/strict';
 const mockFetch = mock.fn();
 global.fetch = mockFetch;
 
+// Resolve the request helper's pacing and retry waits right away
+mock.method(global, 'setTimeout', (/** @type {() => void} */ callback) => setImmediate(callback));
+
 // Mock document.cookie for getSessionId
 global.document = {
     cookie: 'CTOK=P|81919892T2; rxVisitor=123; other=value',
@@ -171,7 +174,11 @@ describe('Tangerine Bank API', () => {
 
             await assert.rejects(
                 () => getProfile('P|TEST123'),
-                /Tangerine API request failed: 401 Unauthorized/
+                (error) => {
+                    assert.match(error.message, /Tangerine API request failed: 401 Unauthorized/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
     });
@@ -651,6 +658,26 @@ describe('Tangerine Bank API', () => {
             assert.strictEqual(calls.length, 13);
         });
 
+        it('should fetch every listed month of the window', async () => {
+            const months = Array.from({ length: 29 }, (_, i) => {
+                const date = new Date(2025, 9 - i, 1);
+                return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            });
+            mockFetch.mock.mockImplementation((url) => Promise.resolve({
+                ok: true,
+                json: async () => url.includes('start-month=')
+                    ? { response_status: { status_code: 'SUCCESS' }, statements: [] }
+                    : { response_status: { status_code: 'SUCCESS' }, months: months.map(month => ({ month })), statements: [] },
+            }));
+
+            await getStatements(mockCheckingAccount, { from: '2023-09-01', to: '2025-02-28' });
+
+            const fetchedMonths = mockFetch.mock.calls.slice(1).map(call => new URL(call.arguments[0]).searchParams.get('start-month'));
+            assert.strictEqual(fetchedMonths.length, 18);
+            assert.strictEqual(fetchedMonths[0], '2025-02');
+            assert.strictEqual(fetchedMonths[17], '2023-09');
+        });
+
         it('should sort statements by date descending', async () => {
             const mockMonthsResponse = {
                 response_status: { status_code: 'SUCCESS' },
@@ -717,18 +744,48 @@ describe('Tangerine Bank API', () => {
                 ],
             };
 
-            const responses = [
-                { ok: true, json: async () => mockMonthsResponse },
-                { ok: false, status: 500, statusText: 'Internal Server Error' },
-                { ok: true, json: async () => mockOctoberResponse },
-            ];
-            mockFetch.mock.mockImplementation(() => Promise.resolve(responses.shift()));
+            mockFetch.mock.mockImplementation((url) => {
+                if (!url.includes('start-month=')) {
+                    return Promise.resolve({ ok: true, json: async () => mockMonthsResponse });
+                }
+                if (url.includes('start-month=2025-09')) {
+                    return Promise.resolve({ ok: false, status: 500, statusText: 'Internal Server Error', headers: new Headers() });
+                }
+                return Promise.resolve({ ok: true, json: async () => mockOctoberResponse });
+            });
 
             const statements = await getStatements(mockCheckingAccount);
 
-            // Should still get October statement even though September failed
+            // Should still get October statement even though September failed after its retries
             assert.strictEqual(statements.length, 1);
             assert.strictEqual(statements[0].statementId, 'OCT');
+            assert.strictEqual(mockFetch.mock.callCount(), 6);
+        });
+
+        it('should stop fetching months when the session has expired', async () => {
+            const mockMonthsResponse = {
+                response_status: { status_code: 'SUCCESS' },
+                months: [
+                    { month: '2025-10', description: 'October 2025' },
+                    { month: '2025-09', description: 'September 2025' },
+                ],
+                statements: [],
+            };
+
+            const responses = [
+                { ok: true, json: async () => mockMonthsResponse },
+                { ok: false, status: 401, statusText: 'Unauthorized' },
+            ];
+            mockFetch.mock.mockImplementation(() => Promise.resolve(responses.shift()));
+
+            await assert.rejects(
+                () => getStatements(mockCheckingAccount),
+                (error) => {
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
+            );
+            assert.strictEqual(mockFetch.mock.callCount(), 2);
         });
 
         it('should throw error when initial response is invalid', async () => {
@@ -138,7 +138,11 @@ describe('TD Bank Canada API', () => {
 
             await assert.rejects(
                 () => getProfile('test-session-id'),
-                /API request failed: 401/
+                (error) => {
+                    assert.match(error.message, /API request failed: 401/);
+                    assert.strictEqual(error.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
     });
@@ -36,6 +36,7 @@ const {
     getProfile,
     getAccounts,
     getStatements,
+    getStatementHistoryStart,
     downloadStatement,
 } = tdBrokerModule;
 
@@ -216,7 +217,11 @@ describe('TD Direct Investing (WebBroker) API', () => {
 
             await assert.rejects(
                 () => getProfile('test-session-id'),
-                /Failed to get profile: 401 Unauthorized/
+                (error) => {
+                    assert.match(error.message, /Failed to get profile: 401 Unauthorized/);
+                    assert.strictEqual(error.code, 'SessionExpired');
+                    return true;
+                }
             );
         });
 
@@ -649,6 +654,24 @@ describe('TD Direct Investing (WebBroker) API', () => {
             assert.ok(url.includes('toDate='));
             assert.ok(url.includes('AJAXREQUEST=1'));
         });
+
+        it('should request the window, starting no earlier than the statement history', async () => {
+            mockFetch.mock.mockImplementation(() =>
+                Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve({ documents: [] }),
+                })
+            );
+
+            await getStatements(mockAccount, { from: '2025-01-01', to: '2025-06-30' });
+            const url = new URL(mockFetch.mock.calls[0].arguments[0]);
+            assert.strictEqual(url.searchParams.get('fromDate'), '2025-01-01T00:00:00');
+            assert.strictEqual(url.searchParams.get('toDate'), '2025-06-30T00:00:00');
+
+            await getStatements(mockAccount, { from: '1990-01-01' });
+            const clampedUrl = new URL(mockFetch.mock.calls[1].arguments[0]);
+            assert.strictEqual(clampedUrl.searchParams.get('fromDate'), `${getStatementHistoryStart()}T00:00:00`);
+        });
     });
 
     describe('downloadStatement', () => {
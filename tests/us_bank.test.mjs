@@ -357,7 +357,11 @@ describe('US Bank API', () => {
                 })
             );
 
-            await assert.rejects(getAccounts(mockProfile), /US Bank GraphQL request failed: 401 Unauthorized/);
+            await assert.rejects(getAccounts(mockProfile), (error) => {
+                assert.match(error.message, /US Bank GraphQL request failed: 401 Unauthorized/);
+                assert.strictEqual(error.cause.code, 'SessionExpired');
+                return true;
+            });
         });
 
         it('should throw error when GraphQL returns errors', async () => {
@@ -429,6 +433,7 @@ describe('US Bank API', () => {
             assert.strictEqual(statements.length, 3);
             assert.strictEqual(statements[0].statementId, 'tunu-jefouJgJfs-2');
             assert.strictEqual(statements[0].statementDate, '2025-11-04');
+            assert.strictEqual(statements[0].periodEnd, '2025-11-04');
             assert.strictEqual(statements[0].account, mockAccount);
             assert.strictEqual(statements[1].statementDate, '2025-10-03');
             assert.strictEqual(statements[2].statementDate, '2025-09-04');
@@ -470,6 +475,18 @@ describe('US Bank API', () => {
             assert.strictEqual(statements.length, 0);
         });
 
+        it('should request the window of statement dates', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({ ok: true, json: () => Promise.resolve({ data: { Statements: { list: [] } } }) })
+            );
+
+            await getStatements(mockAccount, { from: '2022-03-01', to: '2023-02-28' });
+
+            const body = JSON.parse(mockFetch.mock.calls[0].arguments[1].body);
+            assert.strictEqual(body.variables.statementListRequest.fromDate, '03/01/2022');
+            assert.strictEqual(body.variables.statementListRequest.toDate, '02/28/2023');
+        });
+
         it('should parse date correctly from MM/DD/YYYY to ISO format', async () => {
             const mockResponse = {
                 data: {
@@ -643,7 +660,11 @@ describe('US Bank API', () => {
 
             mockFetch.mock.mockImplementationOnce(() => Promise.reject(new Error('Network error')));
 
-            await assert.rejects(getStatements(mockAccount), /Network error/);
+            await assert.rejects(getStatements(mockAccount), (error) => {
+                assert.match(error.message, /Network error/);
+                assert.strictEqual(error.cause.code, 'NetworkError');
+                return true;
+            });
         });
 
         it('should provide clear error messages for missing credentials', async () => {
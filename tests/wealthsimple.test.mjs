@@ -180,7 +180,11 @@ describe('Wealthsimple API', () => {
 
             await assert.rejects(
                 () => getProfile('Bearer test-token'),
-                /Wealthsimple GraphQL request failed: 500 Internal Server Error/
+                (error) => {
+                    assert.match(error.message, /Wealthsimple GraphQL request failed: 500 Internal Server Error/);
+                    assert.strictEqual(error.code, 'NetworkError');
+                    return true;
+                }
             );
         });
     });
@@ -280,6 +284,7 @@ describe('Wealthsimple API', () => {
                 accountName: 'Non-registered',
                 accountMask: '9DcGqjyfLx',
                 accountType: 'Investment',
+                currency: 'CAD',
             });
 
             // TFSA investment account
@@ -289,6 +294,7 @@ describe('Wealthsimple API', () => {
                 accountName: 'TFSA',
                 accountMask: '9iFS3QnQqB',
                 accountType: 'Investment',
+                currency: 'CAD',
             });
 
             // Checking account (ca_cash_msb)
@@ -298,6 +304,7 @@ describe('Wealthsimple API', () => {
                 accountName: 'Chequing',
                 accountMask: 'x',
                 accountType: 'Checking',
+                currency: 'CAD',
             });
 
             const calls = mockFetch.mock.calls;
@@ -628,7 +635,7 @@ describe('Wealthsimple API', () => {
             assert.strictEqual(statements[0].statementDate, new Date('2025-10-01').toISOString());
         });
 
-        it('should skip non-monthly statements', async () => {
+        it('should return yearly tax documents with their document type', async () => {
             const mockResponse = {
                 data: {
                     identity: {
@@ -710,9 +717,12 @@ describe('Wealthsimple API', () => {
 
             const statements = await getStatements(account);
 
-            // Should only include monthly statement, not yearly tax statement
-            assert.strictEqual(statements.length, 1);
+            assert.strictEqual(statements.length, 2);
             assert.strictEqual(JSON.parse(statements[0].statementId).id, 'qeg-tubufnfou-npouimz');
+            assert.strictEqual(statements[0].documentType, undefined);
+            assert.strictEqual(JSON.parse(statements[1].statementId).id, 'uby-tubufnfou-zfbsmz');
+            assert.strictEqual(statements[1].statementDate, '2024-01-01T00:00:00.000Z');
+            assert.strictEqual(statements[1].documentType, 'tax');
         });
 
         it('should skip statements without S3 key', async () => {
@@ -24,7 +24,7 @@ mock.method(Intl.DateTimeFormat.prototype, 'resolvedOptions', mockResolvedOption
 
 // Import the module after setting up mocks
 const wiseModule = await import('../bank/wise.mjs');
-const { bankId, getSessionId, getProfile, getAccounts, getStatements, downloadStatement } = wiseModule;
+const { bankId, getSessionId, getProfile, getAccounts, getStatements, getRangeStatement, downloadStatement } = wiseModule;
 
 describe('Wise API', () => {
     beforeEach(() => {
@@ -88,7 +88,11 @@ describe('Wise API', () => {
 
             await assert.rejects(
                 getProfile('test-session'),
-                /Could not find __NEXT_DATA__ in home page/
+                (error) => {
+                    assert.match(error.message, /Could not find __NEXT_DATA__ in home page/);
+                    assert.strictEqual(error.cause.code, 'ParseError');
+                    return true;
+                }
             );
         });
 
@@ -141,6 +145,25 @@ describe('Wise API', () => {
                 /Could not extract profileId from home page/
             );
         });
+
+        it('should report an expired session when the home page is refused', async () => {
+            mockFetch.mock.mockImplementationOnce(() =>
+                Promise.resolve({
+                    ok: false,
+                    status: 401,
+                    statusText: 'Unauthorized',
+                })
+            );
+
+            await assert.rejects(
+                getProfile('test-session'),
+                (error) => {
+                    assert.match(error.message, /Failed to fetch home page: 401 Unauthorized/);
+                    assert.strictEqual(error.cause.code, 'SessionExpired');
+                    return true;
+                }
+            );
+        });
     });
 
     describe('getAccounts', () => {
@@ -151,7 +174,7 @@ describe('Wise API', () => {
         };
 
         it('should extract all balance accounts from launchpad data', async () => {
-            const mockHtml = `<!DOCTYPE html><html><body><script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"launchpadData":{"components":[{"id":"section1","components":[{"trackingName":"Section - Balances","components":[{"title":"USD","label":{"text":"·· 62330"},"urn":"urn:wise:balances:61274539","type":"BALANCE"},{"title":"CAD","label":{"text":"·· 10970"},"urn":"urn:wise:balances:61275726","type":"BALANCE"},{"title":"CNY","label":{"text":"·· 700 52"},"urn":"urn:wise:balances:61275774","type":"BALANCE"},{"title":"Add currency","type":"ADD_BALANCE"}]}]}]}}}}</script></body></html>`;
+            const mockHtml = `<!DOCTYPE html><html><body><script id="__NEXT_DATA__" type="application/json">{"props":{"pageProps":{"launchpadData":{"components":[{"id":"section1","components":[{"trackingName":"Section - Balances","components":[{"title":"USD","value":"1,053.69","label":{"text":"·· 62330"},"urn":"urn:wise:balances:61274539","type":"BALANCE"},{"title":"CAD","label":{"text":"·· 10970"},"urn":"urn:wise:balances:61275726","type":"BALANCE"},{"title":"CNY","label":{"text":"·· 700 52"},"urn":"urn:wise:balances:61275774","type":"BALANCE"},{"title":"Add currency","type":"ADD_BALANCE"}]}]}]}}}}</script></body></html>`;
 
             mockFetch.mock.mockImplementationOnce(() =>
                 Promise.resolve({
@@ -169,11 +192,16 @@ describe('Wise API', () => {
             assert.strictEqual(accounts[0].accountName, 'USD');
             assert.strictEqual(accounts[0].accountMask, '62330');
             assert.strictEqual(accounts[0].accountType, 'Checking');
+            assert.strictEqual(accounts[0].currency, 'USD');
+            assert.strictEqual(accounts[0].currentBalance, 1053.69);
+            assert.ok(accounts[0].asOf);
 
             // CAD account
             assert.strictEqual(accounts[1].accountId, '61275726');
             assert.strictEqual(accounts[1].accountName, 'CAD');
             assert.strictEqual(accounts[1].accountMask, '10970');
+            assert.strictEqual(accounts[1].currency, 'CAD');
+            assert.strictEqual(accounts[1].currentBalance, undefined);
 
             // CNY account (with space removed)
             assert.strictEqual(accounts[2].accountId, '61275774');
@@ -273,6 +301,8 @@ describe('Wise API', () => {
 
                 // Verify date range covers a full month
                 const [fromDate, toDate] = statement.statementId.split(',');
+                assert.strictEqual(statement.periodStart, fromDate);
+                assert.strictEqual(statement.periodEnd, toDate);
                 const from = new Date(fromDate + 'T00:00:00'); // Force to local timezone
                 const to = new Date(toDate + 'T00:00:00');
 
@@ -294,6 +324,63 @@ describe('Wise API', () => {
                 assert.strictEqual(statement.account, mockAccount);
             }
         });
+
+        it('should generate the months of the window', async () => {
+            const lastYear = new Date().getFullYear() - 1;
+            const statements = await getStatements(mockAccount, { from: `${lastYear - 2}-11-01`, to: `${lastYear - 1}-02-15` });
+
+            assert.deepStrictEqual(statements.map(statement => statement.statementId.split(',')[0]), [
+                `${lastYear - 1}-02-01`,
+                `${lastYear - 1}-01-01`,
+                `${lastYear - 2}-12-01`,
+                `${lastYear - 2}-11-01`,
+            ]);
+        });
+    });
+
+    describe('getRangeStatement', () => {
+        const mockAccount = {
+            profile: {
+                sessionId: 'selected-profile-id-50503398=47742732',
+                profileId: '47742732',
+                profileName: 'John Doe',
+            },
+            accountId: '61274539',
+            accountName: 'USD',
+            accountMask: '62330',
+            accountType: 'Checking',
+        };
+
+        it('should encode the requested range in the statement ID', async () => {
+            const statement = await getRangeStatement(mockAccount, { from: '2025-04-01', to: '2025-06-30' });
+
+            assert.strictEqual(statement.statementId, '2025-04-01,2025-06-30');
+            assert.strictEqual(statement.statementDate, new Date(2025, 3, 1).toISOString());
+            assert.strictEqual(statement.account, mockAccount);
+            assert.strictEqual(mockFetch.mock.calls.length, 0);
+        });
+
+        it('should reject ranges that end before they start', async () => {
+            await assert.rejects(
+                getRangeStatement(mockAccount, { from: '2025-06-30', to: '2025-04-01' }),
+                /Failed to get range statement for account 61274539: Start date is after end date/
+            );
+        });
+
+        it('should reject ranges ending in the future', async () => {
+            const nextYear = new Date().getFullYear() + 1;
+            await assert.rejects(
+                getRangeStatement(mockAccount, { from: '2025-01-01', to: `${nextYear}-12-31` }),
+                /End date is in the future/
+            );
+        });
+
+        it('should reject malformed dates', async () => {
+            await assert.rejects(
+                getRangeStatement(mockAccount, { from: '2025-1-1', to: '2025-03-31' }),
+                /Dates must be in YYYY-MM-DD format/
+            );
+        });
     });
 
     describe('downloadStatement', () => {
@@ -443,6 +530,77 @@ describe('Wise API', () => {
             assert.ok(calls[1].arguments[0].includes('action=request'));
         });
 
+        it('should reuse cached statements of any range and title format', async () => {
+            const mockRefreshResponse = {
+                layout: [
+                    {
+                        type: 'list',
+                        control: 'statements-list-item-with-action',
+                        items: [
+                            {
+                                title: '1 October 2025 - 31 October 2025',
+                                tags: ['', '{"url":"/v1/profiles/47842732/statement-requests/aaa11111-1111-1111-1111-111111111111/statement-file"}'],
+                            },
+                            {
+                                title: '1 July 2025 - 30 September 2025',
+                                tags: ['', '{"url":"/v1/profiles/47842732/statement-requests/bbb22222-2222-2222-2222-222222222222/statement-file"}'],
+                            },
+                        ],
+                    },
+                ],
+            };
+            const mockPdfBlob = new Blob(['PDF content'], { type: 'application/pdf' });
+
+            mockFetch.mock.mockImplementation((url) => {
+                if (url.includes('action=refresh')) {
+                    return Promise.resolve({ ok: true, json: () => Promise.resolve(mockRefreshResponse) });
+                } else if (url.includes('statement-file')) {
+                    return Promise.resolve({ ok: true, headers: { get: () => 'application/pdf' }, blob: () => Promise.resolve(mockPdfBlob) });
+                }
+                return Promise.reject(new Error('Unexpected URL: ' + url));
+            });
+
+            await downloadStatement({ ...mockStatement, statementId: '2025-07-01,2025-09-30' });
+
+            const calls = mockFetch.mock.calls;
+            assert.strictEqual(calls.length, 2);
+            assert.ok(calls[1].arguments[0].includes('bbb22222-2222-2222-2222-222222222222'));
+        });
+
+        it('should request custom ranges in the create and poll calls', async () => {
+            const mockCreateResponse = {
+                action: {
+                    url: 'https://wise.com/hold/v1/profiles/47842732/statements-and-reports/balance-statement/ccc33333-3333-3333-3333-333333333333',
+                },
+            };
+            const mockPollResponse = {
+                layout: [{ components: [{ control: 'statements-download-action-button' }] }],
+            };
+            const mockPdfBlob = new Blob(['PDF'], { type: 'application/pdf' });
+
+            mockFetch.mock.mockImplementation((url) => {
+                if (url.includes('action=refresh')) {
+                    return Promise.resolve({ ok: true, json: () => Promise.resolve({ layout: [] }) });
+                } else if (url.includes('action=request')) {
+                    return Promise.resolve({ ok: true, json: () => Promise.resolve(mockCreateResponse) });
+                } else if (url.includes('statement-file')) {
+                    return Promise.resolve({ ok: true, headers: { get: () => 'application/pdf' }, blob: () => Promise.resolve(mockPdfBlob) });
+                }
+                return Promise.resolve({ ok: true, json: () => Promise.resolve(mockPollResponse) });
+            });
+
+            await downloadStatement({ ...mockStatement, statementId: '2024-01-01,2024-12-31' });
+
+            const [, createCall, pollCall] = mockFetch.mock.calls;
+            for (const call of [createCall, pollCall]) {
+                const body = JSON.parse(call.arguments[1].body);
+                assert.strictEqual(body.from, '2024-01-01');
+                assert.strictEqual(body.to, '2024-12-31');
+                assert.strictEqual(body.dateRange, '2024-01-01,2024-12-31');
+                assert.deepStrictEqual(body.balances, [61274539]);
+            }
+        });
+
         it('should include required headers in all API calls', async () => {
             // Mock minimal successful flow
             const mockRefreshResponse = { layout: [] };
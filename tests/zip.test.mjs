@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the ZIP archive writer
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createZip, crc32 } = await import('../extension/zip.mjs');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Read entries back from an archive through its central directory
+ * @param {Uint8Array} zip
+ */
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const endOffset = zip.length - 22;
+    assert.strictEqual(view.getUint32(endOffset, true), 0x06054b50);
+
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(view.getUint32(position, true), 0x02014b50);
+        const flags = view.getUint16(position + 8, true);
+        const method = view.getUint16(position + 10, true);
+        const checksum = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(zip.subarray(position + 46, position + 46 + nameLength));
+
+        assert.strictEqual(view.getUint32(localOffset, true), 0x04034b50);
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const dataStart = localOffset + 30 + localNameLength;
+        const data = zip.subarray(dataStart, dataStart + size);
+
+        entries.push({ name, flags, method, checksum, data });
+        position += 46 + nameLength;
+    }
+
+    return entries;
+}
+
+describe('ZIP writer', () => {
+    describe('crc32', () => {
+        it('should match the standard check value', () => {
+            assert.strictEqual(crc32(encoder.encode('123456789')), 0xcbf43926);
+        });
+
+        it('should return zero for empty input', () => {
+            assert.strictEqual(crc32(new Uint8Array(0)), 0);
+        });
+    });
+
+    describe('createZip', () => {
+        it('should create an empty archive', () => {
+            const zip = createZip([]);
+            assert.strictEqual(zip.length, 22);
+            assert.deepStrictEqual(readZip(zip), []);
+        });
+
+        it('should store entries with folders and checksums', () => {
+            const statement = encoder.encode('%PDF-1.4 statement');
+            const manifest = encoder.encode('{"statements":[]}');
+
+            const zip = createZip([
+                { name: 'Chase/John/Checking_1234/2025-01-31.pdf', data: statement },
+                { name: 'manifest.json', data: manifest },
+            ]);
+
+            const entries = readZip(zip);
+            assert.strictEqual(entries.length, 2);
+
+            assert.strictEqual(entries[0].name, 'Chase/John/Checking_1234/2025-01-31.pdf');
+            assert.strictEqual(entries[0].method, 0);
+            assert.strictEqual(entries[0].checksum, crc32(statement));
+            assert.deepStrictEqual(entries[0].data, statement);
+
+            assert.strictEqual(entries[1].name, 'manifest.json');
+            assert.deepStrictEqual(entries[1].data, manifest);
+        });
+
+        it('should encode entry names as UTF-8', () => {
+            const zip = createZip([{ name: 'Desjardins/Épargne_1234/2025-01-31.pdf', data: new Uint8Array([1]) }]);
+
+            const [entry] = readZip(zip);
+            assert.strictEqual(entry.name, 'Desjardins/Épargne_1234/2025-01-31.pdf');
+            assert.strictEqual(entry.flags & 0x0800, 0x0800);
+        });
+
+        it('should write the modification date in DOS format', () => {
+            const zip = createZip([{ name: 'a.pdf', data: new Uint8Array([1]), lastModified: new Date(2025, 0, 31, 10, 30, 20) }]);
+            const view = new DataView(zip.buffer);
+
+            assert.strictEqual(view.getUint16(10, true), (10 << 11) | (30 << 5) | 10);
+            assert.strictEqual(view.getUint16(12, true), ((2025 - 1980) << 9) | (1 << 5) | 31);
+        });
+    });
+});